@@ -1,5 +1,5 @@
 -- database name: rfkc
--- 13 tables
+-- 29 tables
 
 CREATE TABLE "user" (
 "id" SERIAL PRIMARY KEY,
@@ -9,9 +9,56 @@ CREATE TABLE "user" (
 "last_name" VARCHAR(30),
 "phone_number" VARCHAR(15),
 "created_at" timestamp default (now() at time zone 'utc'),
-"updated_at" timestamp default (now() at time zone 'utc')
+"updated_at" timestamp default (now() at time zone 'utc'),
+-- set when the user opens the link emailed to their username
+"email_verified_at" TIMESTAMPTZ,
+-- deactivated users can't log in. Merged duplicates are deactivated and point at the account that was kept.
+"deactivated_at" TIMESTAMPTZ,
+"merged_into_id" INT references "user" on delete set null
 );
 
+-- Single-use links emailed to users. purpose is password_reset or email_verification.
+-- Only a hash of the token is stored.
+CREATE TABLE "user_token" (
+"id" SERIAL PRIMARY KEY,
+"user_id" INT references "user" on delete cascade NOT NULL,
+"purpose" VARCHAR (20) NOT NULL,
+"token_hash" VARCHAR (64) NOT NULL unique,
+"expires_at" TIMESTAMPTZ NOT NULL,
+"used_at" TIMESTAMPTZ,
+"created_at" TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- Every login attempt, for lockouts and rate limiting (see server/modules/login-throttle.js).
+-- username isn't a foreign key: attempts on accounts that don't exist are tracked too.
+-- Unlocking an account marks its failures cleared instead of deleting them.
+CREATE TABLE "login_attempt" (
+"id" SERIAL PRIMARY KEY,
+"username" VARCHAR (150) NOT NULL,
+"ip" VARCHAR (45),
+"succeeded" BOOLEAN NOT NULL,
+"cleared" BOOLEAN DEFAULT false NOT NULL,
+"attempted_at" TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+CREATE INDEX "login_attempt_username" ON "login_attempt" ("username", "attempted_at");
+CREATE INDEX "login_attempt_ip" ON "login_attempt" ("ip", "attempted_at");
+
+-- What staff changed, written by recordAudit in server/modules/audit-log.js.
+-- action is like user.deactivate; target_type and target_id say what was changed.
+CREATE TABLE "audit_log" (
+"id" SERIAL PRIMARY KEY,
+"actor_id" INT references "user" on delete set null,
+"action" VARCHAR (50) NOT NULL,
+"target_type" VARCHAR (30) NOT NULL,
+"target_id" INT,
+-- the location the change was made at, when there is one. Not a foreign key, so entries outlive it.
+"location_id" INT,
+"details" JSONB DEFAULT '{}' NOT NULL,
+"created_at" TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+CREATE INDEX "audit_log_created_at" ON "audit_log" ("created_at");
+CREATE INDEX "audit_log_target" ON "audit_log" ("target_type", "target_id");
+
 CREATE TABLE "location" (
 	"id" SERIAL PRIMARY KEY,
 	"name" VARCHAR (255) NOT NULL
@@ -26,18 +73,86 @@ ALTER TABLE "user_location"
 ADD CONSTRAINT unique_user_location UNIQUE (user_id, location_id);
 
 
+-- Gifts donors have promised (see server/modules/pledges.js). The installment schedule is worked out
+-- from first_due_on, frequency (once, monthly, quarterly or yearly) and installment_count, and
+-- donations are linked to the pledge as they are paid.
+CREATE TABLE "pledge" (
+"id" SERIAL PRIMARY KEY,
+"user_id" INT references "user" on delete cascade NOT NULL,
+"location_id" INT references "location" NOT NULL,
+"amount_cents" INT NOT NULL CHECK ("amount_cents" > 0),
+"currency" CHAR (3) DEFAULT 'USD' NOT NULL,
+"frequency" VARCHAR (10) DEFAULT 'once' NOT NULL,
+"installment_count" INT DEFAULT 1 NOT NULL CHECK ("installment_count" > 0),
+"first_due_on" DATE NOT NULL,
+"campaign" VARCHAR (100),
+"memo" TEXT,
+"created_by" INT references "user" on delete set null,
+"cancelled_at" timestamptz,
+"created_at" timestamp default (now() at time zone 'utc'),
+"updated_at" timestamp default (now() at time zone 'utc')
+);
+CREATE INDEX "pledge_user_id" ON "pledge" ("user_id");
+CREATE INDEX "pledge_location_id" ON "pledge" ("location_id");
+
+-- Gifts from donors (see server/modules/donations.js). amount_cents is in cents of currency.
+-- method is check, cash, card or in_kind; it's null on donations recorded before methods were.
+-- campaign is the campaign or fund the gift is designated for, if any.
 CREATE TABLE "donation" (
 "id" SERIAL PRIMARY KEY,
 "user_id" INT references "user",
-"amount" INT,
+"amount_cents" INT NOT NULL CHECK ("amount_cents" >= 0),
+"currency" CHAR (3) DEFAULT 'USD' NOT NULL,
+"method" VARCHAR (10),
+"check_number" VARCHAR (30),
+"campaign" VARCHAR (100),
+-- the location that received the gift
+"location_id" INT references "location",
+"memo" TEXT,
+"received_on" DATE DEFAULT CURRENT_DATE NOT NULL,
+-- the pledge this gift pays toward, if any
+"pledge_id" INT references "pledge" on delete set null,
 "created_at" timestamp default (now() at time zone 'utc'),
 "updated_at" timestamp default (now() at time zone 'utc')
 );
+CREATE INDEX "donation_user_id" ON "donation" ("user_id", "received_on");
+CREATE INDEX "donation_pledge_id" ON "donation" ("pledge_id");
+
+-- Year-end giving statements issued to donors (see server/modules/receipts.js). statement holds
+-- what was printed, so a receipt can be printed again exactly as it was issued.
+CREATE TABLE "donation_receipt" (
+"id" SERIAL PRIMARY KEY,
+"user_id" INT references "user" on delete cascade NOT NULL,
+"location_id" INT references "location" on delete cascade NOT NULL,
+"year" INT NOT NULL,
+"statement" JSONB NOT NULL,
+"issued_by" INT references "user" on delete set null,
+"issued_at" timestamptz default now() NOT NULL
+);
+CREATE INDEX "donation_receipt_year" ON "donation_receipt" ("location_id", "year");
+
+-- Pipeline types (volunteer, donor, board member...) and the stages a new pipeline of that type starts with
+CREATE TABLE "pipeline_template" (
+"id" SERIAL PRIMARY KEY,
+"key" VARCHAR(20) NOT NULL unique,
+"name" VARCHAR(100) NOT NULL,
+"created_at" timestamp default (now() at time zone 'utc'),
+"updated_at" timestamp default (now() at time zone 'utc')
+);
+
+CREATE TABLE "pipeline_template_status" (
+"id" SERIAL PRIMARY KEY,
+"template_id" INT references "pipeline_template" on delete cascade NOT NULL,
+"order" int not null,
+"name" VARCHAR (150) NOT NULL
+);
 
 CREATE TABLE "pipeline" (
 "id" SERIAL PRIMARY KEY,
 "name" VARCHAR(32),
+-- the key of the template the pipeline was created from
 "type" VARCHAR(20),
+"template_id" INT references "pipeline_template" on delete set null,
 "location_id" INTEGER REFERENCES "location" NOT NULL
 );
 
@@ -48,14 +163,105 @@ CREATE TABLE "pipeline_status" (
 "name" VARCHAR (150)
 );
 
+-- Requirements an applicant has to meet before they can be moved into a status.
+-- type is previous_stage, file_uploaded, note_present or donation_recorded.
+-- config holds options for the type, e.g. {"question_id": 12} for a file_uploaded requirement.
+CREATE TABLE "pipeline_status_requirement" (
+"id" SERIAL PRIMARY KEY,
+"pipeline_status_id" INT references "pipeline_status" on delete cascade NOT NULL,
+"type" VARCHAR (30) NOT NULL,
+"config" JSONB DEFAULT '{}' NOT NULL,
+"description" VARCHAR (255)
+);
+
 CREATE TABLE "user_status" (
 "user_id" INT references "user" on delete cascade,
-"pipeline_status_id" INT references "pipeline_status" on delete cascade
+"pipeline_status_id" INT references "pipeline_status" on delete cascade,
+-- when the user moved into this status
+"entered_at" TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+-- the staff member looking after this applicant on the pipeline, kept when they change status
+"owner_id" INT references "user" on delete set null
 );
 -- Alter table to put unique constraint on key to prevent duplicate pairings
 ALTER TABLE "user_status"
 ADD CONSTRAINT unique_user_pipeline_status UNIQUE (user_id, pipeline_status_id);
 
+-- Every move of a user between the statuses of a pipeline. A null from status means the user
+-- entered the pipeline, a null to status means they were removed from it. Status names are
+-- copied so the history still reads after a status is renamed or deleted.
+CREATE TABLE "user_status_history" (
+"id" SERIAL PRIMARY KEY,
+"user_id" INT references "user" on delete cascade NOT NULL,
+"pipeline_id" INT references "pipeline" on delete cascade NOT NULL,
+"from_status_id" INT references "pipeline_status" on delete set null,
+"from_status_name" VARCHAR (150),
+"to_status_id" INT references "pipeline_status" on delete set null,
+"to_status_name" VARCHAR (150),
+-- who made the move, null if they have since been deleted
+"actor_id" INT references "user" on delete set null,
+"note" TEXT,
+-- true when staff moved the user in spite of unmet stage requirements
+"override" BOOLEAN DEFAULT false NOT NULL,
+"moved_at" TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+CREATE INDEX "user_status_history_user_id" ON "user_status_history" ("user_id", "moved_at");
+
+-- Automations run when an applicant enters or leaves a status, or finishes a form while in it.
+-- trigger is enter, exit or form_submitted. action is advance, send_email, assign_owner or create_task.
+-- config holds the action's options, e.g. {"form_id": 1} to only advance after that form is submitted,
+-- {"to": "applicant", "subject": "...", "body": "..."} for an email or {"title": "...", "due_in_days": 3} for a task.
+CREATE TABLE "pipeline_status_action" (
+"id" SERIAL PRIMARY KEY,
+"pipeline_status_id" INT references "pipeline_status" on delete cascade NOT NULL,
+"trigger" VARCHAR (20) NOT NULL,
+"action" VARCHAR (30) NOT NULL,
+"config" JSONB DEFAULT '{}' NOT NULL,
+"created_at" TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- Emails waiting to be sent
+CREATE TABLE "email_queue" (
+"id" SERIAL PRIMARY KEY,
+"to_address" VARCHAR (255) NOT NULL,
+"subject" VARCHAR (255) NOT NULL,
+"body" TEXT NOT NULL,
+-- pending, sent or failed
+"status" VARCHAR (10) DEFAULT 'pending' NOT NULL,
+"attempts" INT DEFAULT 0 NOT NULL,
+"last_error" TEXT,
+"created_at" TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+"sent_at" TIMESTAMPTZ
+);
+
+-- A location's own wording for an email, replacing the default in server/modules/notifications.js.
+-- event is submission_received, submission_received_staff, stage_changed or donation_recorded.
+CREATE TABLE "email_template" (
+"id" SERIAL PRIMARY KEY,
+"location_id" INT references "location" on delete cascade NOT NULL,
+"event" VARCHAR (40) NOT NULL,
+"subject" VARCHAR (255) NOT NULL,
+"body" TEXT NOT NULL,
+-- false stops this email being sent at the location
+"enabled" BOOLEAN DEFAULT true NOT NULL,
+"updated_at" TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+CONSTRAINT "unique_email_template" UNIQUE ("location_id", "event")
+);
+
+-- Follow-up tasks for staff about an applicant, e.g. "Call to schedule an interview"
+CREATE TABLE "follow_up_task" (
+"id" SERIAL PRIMARY KEY,
+"user_id" INT references "user" on delete cascade NOT NULL,
+"pipeline_id" INT references "pipeline" on delete cascade NOT NULL,
+"pipeline_status_id" INT references "pipeline_status" on delete set null,
+"assigned_to" INT references "user" on delete set null,
+"title" VARCHAR (255) NOT NULL,
+"due_at" TIMESTAMPTZ,
+"completed_at" TIMESTAMPTZ,
+-- the automation that created the task
+"action_id" INT references "pipeline_status_action" on delete set null,
+"created_at" TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
 CREATE TABLE "forms" (
 "id" SERIAL PRIMARY KEY,
 "name" VARCHAR (150),
@@ -64,10 +270,37 @@ CREATE TABLE "forms" (
 "archived" BOOLEAN default 'false' NOT NULL
 );
 
+-- Published, immutable copies of a form. The live sections/question tables are the draft.
+CREATE TABLE "form_revision" (
+"id" SERIAL PRIMARY KEY,
+"form_id" INT references "forms" on delete cascade,
+"revision" INT not null,
+"snapshot" JSONB not null,
+"published_by" INT references "user" on delete set null,
+"published_at" timestamp default (now() at time zone 'utc')
+);
+ALTER TABLE "form_revision"
+ADD CONSTRAINT unique_form_revision UNIQUE (form_id, revision);
+-- Published revisions can never be edited. Only published_by can change, so the staff
+-- member who published one can still be deleted.
+CREATE FUNCTION form_revision_immutable() RETURNS trigger AS $$
+BEGIN
+  NEW.id := OLD.id;
+  NEW.form_id := OLD.form_id;
+  NEW.revision := OLD.revision;
+  NEW.snapshot := OLD.snapshot;
+  NEW.published_at := OLD.published_at;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+CREATE TRIGGER form_revision_immutable BEFORE UPDATE ON "form_revision"
+FOR EACH ROW EXECUTE FUNCTION form_revision_immutable();
+
 CREATE TABLE "submission" (
 "id" SERIAL PRIMARY KEY,
 "user_id" INT references "user",
 "form_id" INT references "forms",
+"form_revision_id" INT references "form_revision",
 "started_at" timestamp default (now() at time zone 'utc'),
 "finished_at" timestamp
 );
@@ -77,18 +310,23 @@ CREATE TABLE "sections"(
 "name" VARCHAR (150) not null,
 "description" varchar(500) default '',
 "form_id" INT references "forms" on delete cascade,
-"order" INT not null
+"order" INT not null,
+-- e.g. {"action": "hide", "question_id": 18, "operator": "includes", "value": "No"}
+"visibility_rule" JSONB
 );
 
 CREATE TABLE "question"(
 "id" SERIAL PRIMARY KEY,
 "question" VARCHAR (500),
 "description" VARCHAR (500),
+-- text, long_text, email, phone, date, number, yes_no, rating, dropdown, multiple_choice or file
 "answer_type" VARCHAR (30),
 "order" INT not null,
 "section_id" INT references "sections", 
 "archived" BOOLEAN default 'false',
 "required" boolean DEFAULT 'false',
+-- e.g. {"action": "show", "question_id": 14, "operator": "equals", "value": "Yes"}
+"visibility_rule" JSONB,
 "created_at" timestamp default (now() at time zone 'utc'),
 "updated_at" timestamp default (now() at time zone 'utc')
 );
@@ -106,7 +344,32 @@ CREATE TABLE "answer" (
 CREATE TABLE "multiple_choice_answers" (
 "id" SERIAL PRIMARY KEY,
 "question_id" INT references "question" on delete cascade,
-"answer" VARCHAR (1000)
+"answer" VARCHAR (1000),
+-- Removed options are archived so answers and published revisions that use them still resolve
+"archived" BOOLEAN default 'false' NOT NULL
+);
+
+-- One row per option chosen for a multiple_choice answer (answer.answer is left empty).
+-- answer_text keeps the option text the applicant saw.
+CREATE TABLE "answer_selection" (
+"id" SERIAL PRIMARY KEY,
+"answer_id" INT references "answer" on delete cascade NOT NULL,
+"multiple_choice_answer_id" INT references "multiple_choice_answers" NOT NULL,
+"answer_text" VARCHAR (1000)
+);
+ALTER TABLE "answer_selection"
+ADD CONSTRAINT unique_answer_selection UNIQUE (answer_id, multiple_choice_answer_id);
+
+-- Files uploaded for a "file" answer. The files live in UPLOAD_DIR under stored_name.
+CREATE TABLE "answer_file" (
+"id" SERIAL PRIMARY KEY,
+"answer_id" INT references "answer" on delete cascade NOT NULL,
+"original_name" VARCHAR (255) NOT NULL,
+"stored_name" VARCHAR (255) NOT NULL unique,
+"mime_type" VARCHAR (255) NOT NULL,
+"size_bytes" INT NOT NULL,
+"uploaded_by" INT references "user",
+"uploaded_at" timestamp default (now() at time zone 'utc')
 );
 
 --------------------------------
@@ -121,10 +384,27 @@ INSERT INTO "location" ("id", "name") VALUES
 (2, 'Moorhead'),
 (3, 'Sioux Falls');
 
+	-- Seed data for pipeline templates
+	INSERT INTO "pipeline_template" (id, key, name) VALUES
+	(1, 'volunteer', 'Volunteer'),
+	(2, 'donor', 'Donor');
+
+	INSERT INTO "pipeline_template_status" (template_id, "order", name) VALUES
+	(1, 1, 'application submitted'),
+	(1, 2, 'application review'),
+	(1, 3, 'interview'),
+	(1, 4, 'background check'),
+	(1, 5, 'verified/accepted'),
+	(2, 1, 'interested'),
+	(2, 2, 'discussed'),
+	(2, 3, 'check sent'),
+	(2, 4, 'check verified'),
+	(2, 5, 'donated');
+
 	-- Seed data for pipeline table 
-	INSERT INTO "pipeline" (id, name, type, location_id) VALUES
-	(1, 'Volunteer-Fargo', 'volunteer', 1),
-	(3, 'Donor-Fargo', 'donor', 1),
+	INSERT INTO "pipeline" (id, name, type, template_id, location_id) VALUES
+	(1, 'Volunteer-Fargo', 'volunteer', 1, 1),
+	(3, 'Donor-Fargo', 'donor', 2, 1),
 
 
 	-- Seed data for pipeline_status table 
@@ -158,22 +438,22 @@ INSERT INTO "sections" ("name", "description", "form_id", "order") VALUES
 INSERT INTO "question" ("question", "description", "answer_type", "order", "section_id", "required") VALUES
 -- Section 1: Personal Information
 ('What is your full name?', 'Please enter your first and last name.', 'text', 1, (SELECT id FROM "sections" WHERE "name" = 'Personal Information' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
-('What is your date of birth?', 'Enter in the format YYYY-MM-DD.', 'text', 2, (SELECT id FROM "sections" WHERE "name" = 'Personal Information' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
-('What is your email address?', 'This will be used to contact you.', 'text', 3, (SELECT id FROM "sections" WHERE "name" = 'Personal Information' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
-('What is your phone number?', 'Include country code if applicable.', 'text', 4, (SELECT id FROM "sections" WHERE "name" = 'Personal Information' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
+('What is your date of birth?', 'Enter in the format YYYY-MM-DD.', 'date', 2, (SELECT id FROM "sections" WHERE "name" = 'Personal Information' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
+('What is your email address?', 'This will be used to contact you.', 'email', 3, (SELECT id FROM "sections" WHERE "name" = 'Personal Information' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
+('What is your phone number?', 'Include country code if applicable.', 'phone', 4, (SELECT id FROM "sections" WHERE "name" = 'Personal Information' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
 ('Do you have any dietary restrictions?', 'Specify if applicable.', 'multiple_choice', 5, (SELECT id FROM "sections" WHERE "name" = 'Personal Information' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
 
 -- Section 2: Volunteer Experience
 ('Have you volunteered with us before?', 'Provide details if applicable.', 'text', 1, (SELECT id FROM "sections" WHERE "name" = 'Volunteer Experience' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
-('How many years of volunteer experience do you have?', 'Specify in number of years.', 'text', 2, (SELECT id FROM "sections" WHERE "name" = 'Volunteer Experience' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
+('How many years of volunteer experience do you have?', 'Specify in number of years.', 'number', 2, (SELECT id FROM "sections" WHERE "name" = 'Volunteer Experience' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
 ('What type of volunteering have you done before?', 'List relevant types.', 'text', 3, (SELECT id FROM "sections" WHERE "name" = 'Volunteer Experience' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
-('Why are you interested in volunteering?', 'Briefly describe your motivation.', 'text', 4, (SELECT id FROM "sections" WHERE "name" = 'Volunteer Experience' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
+('Why are you interested in volunteering?', 'Briefly describe your motivation.', 'long_text', 4, (SELECT id FROM "sections" WHERE "name" = 'Volunteer Experience' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
 ('What is your preferred volunteering activity?', 'Select one or more.', 'multiple_choice', 5, (SELECT id FROM "sections" WHERE "name" = 'Volunteer Experience' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), TRUE),
 
 -- Section 3: Availability
 ('What days of the week are you available?', 'Select all that apply.', 'multiple_choice', 1, (SELECT id FROM "sections" WHERE "name" = 'Availability' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), FALSE),
 ('What time of the day works best for you?', 'Choose from the options.', 'multiple_choice', 2, (SELECT id FROM "sections" WHERE "name" = 'Availability' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), FALSE),
-('How many hours can you commit each week?', 'Provide a rough estimate.', 'text', 3, (SELECT id FROM "sections" WHERE "name" = 'Availability' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), FALSE),
+('How many hours can you commit each week?', 'Provide a rough estimate.', 'number', 3, (SELECT id FROM "sections" WHERE "name" = 'Availability' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), FALSE),
 ('Are you open to on-call volunteering?', 'Yes or No.', 'dropdown', 4, (SELECT id FROM "sections" WHERE "name" = 'Availability' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), FALSE),
 ('Do you have any upcoming commitments we should be aware of?', 'Provide details.', 'text', 5, (SELECT id FROM "sections" WHERE "name" = 'Availability' AND form_id = (SELECT id FROM "forms" WHERE "name" = 'Fargo New Volunteer Form')), FALSE),
 
@@ -248,15 +528,148 @@ INSERT INTO "multiple_choice_answers" ("question_id", "answer") VALUES
 SELECT setval(pg_get_serial_sequence('user', 'id'), (SELECT MAX(id) FROM "user"));
 SELECT setval(pg_get_serial_sequence('location', 'id'), (SELECT MAX(id) FROM "location"));
 SELECT setval(pg_get_serial_sequence('donation', 'id'), (SELECT MAX(id) FROM "donation"));
+SELECT setval(pg_get_serial_sequence('pipeline_template', 'id'), (SELECT MAX(id) FROM "pipeline_template"));
 SELECT setval(pg_get_serial_sequence('pipeline', 'id'), (SELECT MAX(id) FROM "pipeline"));
 SELECT setval(pg_get_serial_sequence('pipeline_status', 'id'), (SELECT MAX(id) FROM "pipeline_status"));
 SELECT setval(pg_get_serial_sequence('forms', 'id'), (SELECT MAX(id) FROM "forms"));
+SELECT setval(pg_get_serial_sequence('form_revision', 'id'), (SELECT MAX(id) FROM "form_revision"));
 SELECT setval(pg_get_serial_sequence('submission', 'id'), (SELECT MAX(id) FROM "submission"));
 SELECT setval(pg_get_serial_sequence('sections', 'id'), (SELECT MAX(id) FROM "sections"));
 SELECT setval(pg_get_serial_sequence('question', 'id'), (SELECT MAX(id) FROM "question"));
 SELECT setval(pg_get_serial_sequence('answer', 'id'), (SELECT MAX(id) FROM "answer"));
 SELECT setval(pg_get_serial_sequence('multiple_choice_answers', 'id'), (SELECT MAX(id) FROM "multiple_choice_answers"));
 
+-- Adding form revisions to an existing database
+-- ONLY RUN ONCE, after creating the form_revision table, its constraint, function and trigger
+-- ALTER TABLE "submission" ADD COLUMN "form_revision_id" INT references "form_revision";
+
+-- Adding conditional questions and sections to an existing database
+-- ONLY RUN ONCE
+-- ALTER TABLE "sections" ADD COLUMN "visibility_rule" JSONB;
+-- ALTER TABLE "question" ADD COLUMN "visibility_rule" JSONB;
+
+-- Moving an existing database to answer_selection
+-- Multiple choice answers used to be saved in answer.answer joined with '|'
+-- ONLY RUN ONCE, after creating the answer_selection table and multiple_choice_answers.archived
+-- INSERT INTO "answer_selection" ("answer_id", "multiple_choice_answer_id", "answer_text")
+-- SELECT DISTINCT ON (answer.id, multiple_choice_answers.id) answer.id, multiple_choice_answers.id, multiple_choice_answers.answer
+-- FROM "answer"
+-- JOIN "question" ON question.id = answer.question_id AND question.answer_type = 'multiple_choice'
+-- CROSS JOIN LATERAL unnest(string_to_array(answer.answer, '|')) AS selected(text)
+-- JOIN "multiple_choice_answers" ON multiple_choice_answers.question_id = question.id
+--   AND trim(multiple_choice_answers.answer) = trim(selected.text);
+-- UPDATE "answer" SET "answer" = NULL
+-- FROM "question" WHERE question.id = answer.question_id AND question.answer_type = 'multiple_choice';
+
+-- Adding file upload answers to an existing database
+-- ONLY RUN ONCE
+-- CREATE TABLE "answer_file" (
+-- "id" SERIAL PRIMARY KEY,
+-- "answer_id" INT references "answer" on delete cascade NOT NULL,
+-- "original_name" VARCHAR (255) NOT NULL,
+-- "stored_name" VARCHAR (255) NOT NULL unique,
+-- "mime_type" VARCHAR (255) NOT NULL,
+-- "size_bytes" INT NOT NULL,
+-- "uploaded_by" INT references "user",
+-- "uploaded_at" timestamp default (now() at time zone 'utc')
+-- );
+
+-- Adding pipeline templates to an existing database
+-- ONLY RUN ONCE, after creating the pipeline_template and pipeline_template_status tables and their seed data
+-- ALTER TABLE "pipeline" ADD COLUMN "template_id" INT references "pipeline_template" on delete set null;
+-- UPDATE "pipeline" SET "template_id" = "pipeline_template"."id"
+-- FROM "pipeline_template" WHERE "pipeline_template"."key" = "pipeline"."type";
+
+-- Adding stage history to an existing database
+-- ONLY RUN ONCE, after creating the user_status_history table
+-- ALTER TABLE "user_status" ADD COLUMN "entered_at" TIMESTAMPTZ DEFAULT NOW() NOT NULL;
+
+-- Adding stage requirements to an existing database
+-- ONLY RUN ONCE, on a database that already had user_status_history (create pipeline_status_requirement too)
+-- ALTER TABLE "user_status_history" ADD COLUMN "override" BOOLEAN DEFAULT false NOT NULL;
+
+-- Adding stage automations to an existing database
+-- ONLY RUN ONCE, after creating the pipeline_status_action, email_queue and follow_up_task tables
+-- ALTER TABLE "user_status" ADD COLUMN "owner_id" INT references "user" on delete set null;
+
+-- Adding per-location email templates to an existing database
+-- ONLY RUN ONCE
+-- CREATE TABLE "email_template" (
+-- "id" SERIAL PRIMARY KEY,
+-- "location_id" INT references "location" on delete cascade NOT NULL,
+-- "event" VARCHAR (40) NOT NULL,
+-- "subject" VARCHAR (255) NOT NULL,
+-- "body" TEXT NOT NULL,
+-- "enabled" BOOLEAN DEFAULT true NOT NULL,
+-- "updated_at" TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+-- CONSTRAINT "unique_email_template" UNIQUE ("location_id", "event")
+-- );
+
+-- Adding password reset and email verification to an existing database
+-- ONLY RUN ONCE, after creating the user_token table. Existing users count as verified.
+-- ALTER TABLE "user" ADD COLUMN "email_verified_at" TIMESTAMPTZ;
+-- UPDATE "user" SET "email_verified_at" = NOW();
+
+-- Adding the admin console to an existing database
+-- ONLY RUN ONCE, after creating the audit_log table
+-- ALTER TABLE "user" ADD COLUMN "deactivated_at" TIMESTAMPTZ;
+-- ALTER TABLE "user" ADD COLUMN "merged_into_id" INT references "user" on delete set null;
+
+-- Moving an existing database to the donation ledger
+-- ONLY RUN ONCE. Amounts were whole dollars; existing donations take the donor's first location.
+-- ALTER TABLE "donation" RENAME COLUMN "amount" TO "amount_cents";
+-- UPDATE "donation" SET "amount_cents" = COALESCE("amount_cents", 0) * 100;
+-- ALTER TABLE "donation"
+--   ALTER COLUMN "amount_cents" SET NOT NULL,
+--   ADD CHECK ("amount_cents" >= 0),
+--   ADD COLUMN "currency" CHAR (3) DEFAULT 'USD' NOT NULL,
+--   ADD COLUMN "method" VARCHAR (10),
+--   ADD COLUMN "check_number" VARCHAR (30),
+--   ADD COLUMN "campaign" VARCHAR (100),
+--   ADD COLUMN "location_id" INT references "location",
+--   ADD COLUMN "memo" TEXT,
+--   ADD COLUMN "received_on" DATE DEFAULT CURRENT_DATE NOT NULL;
+-- UPDATE "donation" SET "received_on" = "created_at"::date, "location_id" = (
+--   SELECT MIN("location_id") FROM "user_location" WHERE "user_location"."user_id" = "donation"."user_id"
+-- );
+-- CREATE INDEX "donation_user_id" ON "donation" ("user_id", "received_on");
+
+-- Adding year-end giving statements to an existing database
+-- ONLY RUN ONCE
+-- CREATE TABLE "donation_receipt" (
+-- "id" SERIAL PRIMARY KEY,
+-- "user_id" INT references "user" on delete cascade NOT NULL,
+-- "location_id" INT references "location" on delete cascade NOT NULL,
+-- "year" INT NOT NULL,
+-- "statement" JSONB NOT NULL,
+-- "issued_by" INT references "user" on delete set null,
+-- "issued_at" timestamptz default now() NOT NULL
+-- );
+-- CREATE INDEX "donation_receipt_year" ON "donation_receipt" ("location_id", "year");
+
+-- Adding pledges to an existing database
+-- ONLY RUN ONCE
+-- CREATE TABLE "pledge" (
+-- "id" SERIAL PRIMARY KEY,
+-- "user_id" INT references "user" on delete cascade NOT NULL,
+-- "location_id" INT references "location" NOT NULL,
+-- "amount_cents" INT NOT NULL CHECK ("amount_cents" > 0),
+-- "currency" CHAR (3) DEFAULT 'USD' NOT NULL,
+-- "frequency" VARCHAR (10) DEFAULT 'once' NOT NULL,
+-- "installment_count" INT DEFAULT 1 NOT NULL CHECK ("installment_count" > 0),
+-- "first_due_on" DATE NOT NULL,
+-- "campaign" VARCHAR (100),
+-- "memo" TEXT,
+-- "created_by" INT references "user" on delete set null,
+-- "cancelled_at" timestamptz,
+-- "created_at" timestamp default (now() at time zone 'utc'),
+-- "updated_at" timestamp default (now() at time zone 'utc')
+-- );
+-- CREATE INDEX "pledge_user_id" ON "pledge" ("user_id");
+-- CREATE INDEX "pledge_location_id" ON "pledge" ("location_id");
+-- ALTER TABLE "donation" ADD COLUMN "pledge_id" INT references "pledge" on delete set null;
+-- CREATE INDEX "donation_pledge_id" ON "donation" ("pledge_id");
+
 -- Create extension for pg_trgm
 -- ONLY RUN ONCE
 CREATE EXTENSION if not exists pg_trgm;
\ No newline at end of file
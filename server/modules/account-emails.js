@@ -0,0 +1,36 @@
+const { getTransport } = require('./mail-transport');
+
+/*
+  Emails about a user's account. These carry single-use tokens, so unlike the
+  notifications in notifications.js they're sent straight away instead of
+  being stored in email_queue. They still go through the transport set with
+  MAIL_TRANSPORT, so tests can use the file or console transport.
+
+  Links point at APP_URL, the address of the React app.
+*/
+
+const appUrl = (path) => `${(process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '')}${path}`;
+
+const sendPasswordReset = (user, token) =>
+  getTransport().send({
+    to: user.username,
+    subject: 'Reset your Royal Family Kids Camp password',
+    text:
+      `Hi ${user.first_name || 'there'},\n\n` +
+      `Someone asked to reset the password for this account. To choose a new password, open:\n\n` +
+      `${appUrl(`/reset-password?token=${token}`)}\n\n` +
+      `The link works once, for the next hour. If you didn't ask for this, you can ignore this email.`,
+  });
+
+const sendEmailVerification = (user, token) =>
+  getTransport().send({
+    to: user.username,
+    subject: 'Confirm your email for Royal Family Kids Camp',
+    text:
+      `Hi ${user.first_name || 'there'},\n\n` +
+      `Please confirm this is your email address by opening:\n\n` +
+      `${appUrl(`/verify-email?token=${token}`)}\n\n` +
+      `The link works for the next 2 days.`,
+  });
+
+module.exports = { sendPasswordReset, sendEmailVerification };
@@ -0,0 +1,156 @@
+/*
+  The kinds of answers a question can take (question.answer_type).
+
+  Every answer is stored as text in answer.answer. Typed answers are
+  normalized before they are saved so they read the same everywhere:
+    * email    - trimmed and lower cased, e.g. 'jane@example.com'
+    * phone    - digits only, with a leading '+' when a country code is given
+    * date     - 'YYYY-MM-DD'
+    * number   - a plain number like '3' or '2.5'
+    * yes_no   - 'Yes' or 'No'
+    * rating   - a whole number from 1 to RATING_MAX
+  Multiple choice answers are the exception: each chosen option is a row in
+  answer_selection, and answers carry them as `selections: [{ id, answer }]`.
+  File answers are uploaded through file.router.js and carry `files: [{ id, name }]`.
+  The form renderer lists the same types in src/components/FormPage/answerTypes.js.
+*/
+
+const ANSWER_TYPES = [
+  'text',
+  'long_text',
+  'email',
+  'phone',
+  'date',
+  'number',
+  'yes_no',
+  'rating',
+  'dropdown',
+  'multiple_choice',
+  'file',
+];
+
+// Types whose answers come from the question's multiple_choice_answers
+const CHOICE_ANSWER_TYPES = ['dropdown', 'multiple_choice'];
+
+const RATING_MAX = 5;
+
+const choiceOptions = (question) =>
+  (question.multiple_choice_answers || []).filter(Boolean).map((option) => option.answer.trim());
+
+/**
+ * Finds the question's options that were chosen, ignoring anything that isn't one of them.
+ *
+ * @param {object} question - A multiple_choice question from the form tree.
+ * @param {object[]} selections - Chosen options like `{ id }`.
+ * @returns {object[]} - The matching options as `{ id, answer }`, in the question's order.
+ */
+const selectedOptions = (question, selections) =>
+  (question.multiple_choice_answers || [])
+    .filter(Boolean)
+    .filter((option) => (selections || []).some((selection) => String(selection?.id) === String(option.id)))
+    .map((option) => ({ id: option.id, answer: option.answer }));
+
+/**
+ * Gets what was answered: the selections for multiple choice questions, the files for
+ * file questions, the text otherwise.
+ *
+ * @param {object} question - The question that was answered.
+ * @param {object} answer - An answer like `{ answer, selections, files }`.
+ * @returns {string|object[]} - The answer's value.
+ */
+const answerValue = (question, answer) => {
+  if (question.answer_type === 'multiple_choice') {
+    return answer?.selections || [];
+  }
+  if (question.answer_type === 'file') {
+    return answer?.files || [];
+  }
+  return answer?.answer ?? '';
+};
+
+const isBlankValue = (value) => (Array.isArray(value) ? value.length === 0 : String(value ?? '').trim() === '');
+
+// Each normalizer returns { value } with the text to store, or { error } with a message for the applicant.
+const normalizers = {
+  text: (value) => ({ value }),
+  long_text: (value) => ({ value }),
+  email: (value) =>
+    /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+      ? { value: value.toLowerCase() }
+      : { error: 'Enter a valid email address' },
+  phone: (value) => {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 10 || digits.length > 15) {
+      return { error: 'Enter a valid phone number' };
+    }
+    return { value: value.startsWith('+') || digits.length > 10 ? `+${digits}` : digits };
+  },
+  date: (value) => {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    if (!date || date.getUTCMonth() !== match[2] - 1 || date.getUTCDate() !== Number(match[3])) {
+      return { error: 'Enter a date like 1990-01-31' };
+    }
+    return { value };
+  },
+  // Plain decimals only, so hex like '0x1A' and exponents like '1e3' are refused
+  number: (value) => {
+    const cleaned = value.replace(/,/g, '');
+    return /^-?\d+(\.\d+)?$/.test(cleaned) ? { value: String(Number(cleaned)) } : { error: 'Enter a number' };
+  },
+  yes_no: (value) => {
+    const cleaned = value.toLowerCase();
+    if (['yes', 'y', 'true'].includes(cleaned)) {
+      return { value: 'Yes' };
+    }
+    if (['no', 'n', 'false'].includes(cleaned)) {
+      return { value: 'No' };
+    }
+    return { error: 'Choose Yes or No' };
+  },
+  rating: (value) => {
+    const rating = /^\d+$/.test(value) ? Number(value) : NaN;
+    return rating >= 1 && rating <= RATING_MAX
+      ? { value: String(rating) }
+      : { error: `Choose a rating from 1 to ${RATING_MAX}` };
+  },
+  dropdown: (value, question) => {
+    const match = choiceOptions(question).find((option) => option === value);
+    return match ? { value: match } : { error: 'Choose one of the listed options' };
+  },
+  multiple_choice: (selections, question) => {
+    if (!Array.isArray(selections)) {
+      return { error: 'Choose only from the listed options' };
+    }
+    const chosen = selectedOptions(question, selections);
+    const chosenIds = new Set(selections.map((selection) => String(selection?.id)));
+    return chosen.length === chosenIds.size ? { value: chosen } : { error: 'Choose only from the listed options' };
+  },
+  // Uploads are checked when they're stored, see file-storage.js
+  file: (files) => (Array.isArray(files) ? { value: files } : { error: 'Upload a file' }),
+};
+
+/**
+ * Checks and normalizes a single non-empty answer for a question.
+ *
+ * @param {object} question - A question from the form tree, with `answer_type` and `multiple_choice_answers`.
+ * @param {string|object[]} value - The answer as entered, or the selections for multiple choice.
+ * @returns {{ value?: string|object[], error?: string }} - The value to store, or an error message.
+ */
+const normalizeAnswer = (question, value) => {
+  const normalize = normalizers[question.answer_type];
+  if (!normalize) {
+    return { error: `Unknown answer type ${question.answer_type}` };
+  }
+  return normalize(Array.isArray(value) ? value : String(value).trim(), question);
+};
+
+module.exports = {
+  ANSWER_TYPES,
+  CHOICE_ANSWER_TYPES,
+  RATING_MAX,
+  selectedOptions,
+  answerValue,
+  isBlankValue,
+  normalizeAnswer,
+};
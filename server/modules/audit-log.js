@@ -0,0 +1,230 @@
+const pool = require('./pool');
+const { fetchDraftForm } = require('./form-revision');
+
+/*
+  A record of who changed what, kept in audit_log.
+
+  Most routes use the auditRoute middleware, which saves what the changed row
+  looked like before and after the request:
+
+    router.delete('/:formId', requireInternal(...), auditRoute('form.delete', 'form', {
+      id: (req) => req.params.formId,
+      location: (req) => formLocation(req.params.formId),
+    }), handler);
+
+  Routes that create a row don't know its id up front, so they set
+  res.locals.auditTargetId once it's inserted; when they don't set it (nothing
+  was created) no entry is made. Routes that change several
+  things in one transaction can call recordAudit with the same client instead,
+  so the entry is only kept when the change is committed.
+
+  action is "<what>.<verb>". details holds the before and after snapshots, or
+  anything else worth keeping. Snapshots never include passwords or tokens.
+*/
+
+/**
+ * Adds an entry to the audit log.
+ *
+ * @param {object} client - pg client or pool.
+ * @param {object} entry - { actorId, action, targetType, targetId, locationId, details }.
+ * locationId is the location the change was made at, when there is one.
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (client, { actorId, action, targetType, targetId, locationId = null, details = {} }) => {
+  await client.query(
+    `INSERT INTO "audit_log" ("actor_id", "action", "target_type", "target_id", "location_id", "details")
+     VALUES ($1, $2, $3, $4, $5, $6);`,
+    [actorId, action, targetType, targetId, locationId, JSON.stringify(details)]
+  );
+};
+
+const rowOrNull = (result) => result.rows[0] ?? null;
+
+// What each type of row looked like, by target_type. Each is called with the
+// target id and the request, and resolves to null when the row doesn't exist.
+const SNAPSHOTS = {
+  user: (id) =>
+    pool
+      .query(
+        `SELECT "id", "username", "first_name", "last_name", "phone_number", "email_verified_at",
+           "deactivated_at", "merged_into_id"
+         FROM "user" WHERE "id" = $1;`,
+        [id]
+      )
+      .then(rowOrNull),
+  form: async (id) => (await fetchDraftForm(id)) ?? null,
+  section: (id) =>
+    pool
+      .query(
+        `SELECT "sections".*, (
+           SELECT json_agg("question" ORDER BY "question"."order")
+           FROM "question" WHERE "question"."section_id" = "sections"."id"
+         ) AS "questions"
+         FROM "sections" WHERE "id" = $1;`,
+        [id]
+      )
+      .then(rowOrNull),
+  question: (id) =>
+    pool
+      .query(
+        `SELECT "question".*, (
+           SELECT json_agg("multiple_choice_answers" ORDER BY "multiple_choice_answers"."id")
+           FROM "multiple_choice_answers" WHERE "multiple_choice_answers"."question_id" = "question"."id"
+         ) AS "multiple_choice_answers"
+         FROM "question" WHERE "id" = $1;`,
+        [id]
+      )
+      .then(rowOrNull),
+  pipeline: (id) =>
+    pool
+      .query(
+        `SELECT "pipeline".*, (
+           SELECT json_agg("pipeline_status" ORDER BY "pipeline_status"."order")
+           FROM "pipeline_status" WHERE "pipeline_status"."pipeline_id" = "pipeline"."id"
+         ) AS "statuses", (
+           SELECT COUNT(*)::int FROM "user_status"
+           JOIN "pipeline_status" ON "pipeline_status"."id" = "user_status"."pipeline_status_id"
+           WHERE "pipeline_status"."pipeline_id" = "pipeline"."id"
+         ) AS "applicant_count"
+         FROM "pipeline" WHERE "id" = $1;`,
+        [id]
+      )
+      .then(rowOrNull),
+  pipeline_status: (id) => pool.query(`SELECT * FROM "pipeline_status" WHERE "id" = $1;`, [id]).then(rowOrNull),
+  pipeline_status_requirement: (id) =>
+    pool.query(`SELECT * FROM "pipeline_status_requirement" WHERE "id" = $1;`, [id]).then(rowOrNull),
+  pipeline_status_action: (id) =>
+    pool.query(`SELECT * FROM "pipeline_status_action" WHERE "id" = $1;`, [id]).then(rowOrNull),
+  follow_up_task: (id) => pool.query(`SELECT * FROM "follow_up_task" WHERE "id" = $1;`, [id]).then(rowOrNull),
+  // The target is the applicant; the pipeline comes from the status in the request
+  user_status: (userId, req) =>
+    pool
+      .query(
+        `SELECT "user_status".*, "pipeline_status"."name" AS "status_name", "pipeline_status"."pipeline_id"
+         FROM "user_status"
+         JOIN "pipeline_status" ON "pipeline_status"."id" = "user_status"."pipeline_status_id"
+         WHERE "user_status"."user_id" = $1 AND "pipeline_status"."pipeline_id" = (
+           SELECT "pipeline_id" FROM "pipeline_status" WHERE "id" = $2
+         );`,
+        [userId, req.params.pipelineStatusId || req.body.pipeline_status_id]
+      )
+      .then(rowOrNull),
+  donation: (id) => pool.query(`SELECT * FROM "donation" WHERE "id" = $1;`, [id]).then(rowOrNull),
+  pledge: (id) => pool.query(`SELECT * FROM "pledge" WHERE "id" = $1;`, [id]).then(rowOrNull),
+  submission: (id) =>
+    pool
+      .query(
+        `SELECT "submission".*, (
+           SELECT json_agg(json_build_object(
+             'id', "answer"."id",
+             'question_id', "answer"."question_id",
+             'answer', "answer"."answer",
+             'selections', (
+               SELECT json_agg("answer_selection"."answer_text") FROM "answer_selection"
+               WHERE "answer_selection"."answer_id" = "answer"."id"
+             ),
+             'files', (
+               SELECT json_agg("answer_file"."original_name") FROM "answer_file"
+               WHERE "answer_file"."answer_id" = "answer"."id"
+             )
+           ) ORDER BY "answer"."question_id")
+           FROM "answer" WHERE "answer"."submission_id" = "submission"."id"
+         ) AS "answers"
+         FROM "submission" WHERE "id" = $1;`,
+        [id]
+      )
+      .then(rowOrNull),
+  answer_file: (id) =>
+    pool
+      .query(
+        `SELECT "id", "answer_id", "original_name", "mime_type", "size_bytes", "uploaded_by", "uploaded_at"
+         FROM "answer_file" WHERE "id" = $1;`,
+        [id]
+      )
+      .then(rowOrNull),
+  pipeline_template: (id) =>
+    pool
+      .query(
+        `SELECT "pipeline_template".*, (
+           SELECT json_agg("pipeline_template_status" ORDER BY "pipeline_template_status"."order")
+           FROM "pipeline_template_status" WHERE "pipeline_template_status"."template_id" = "pipeline_template"."id"
+         ) AS "statuses"
+         FROM "pipeline_template" WHERE "id" = $1;`,
+        [id]
+      )
+      .then(rowOrNull),
+  // The target is the location; the event comes from the request
+  email_template: (locationId, req) =>
+    pool
+      .query(`SELECT * FROM "email_template" WHERE "location_id" = $1 AND "event" = $2;`, [
+        locationId,
+        req.params.event,
+      ])
+      .then(rowOrNull),
+};
+
+/**
+ * Builds middleware that records a successful request in the audit log, with
+ * snapshots of the target before and after. Place it after the route's access
+ * checks. Requests that fail (status 400 and up) aren't recorded. The entry is written when the
+ * route sends its response and before it goes out; when that fails the response becomes a 500.
+ *
+ * @param {string} action - e.g. 'form.delete'.
+ * @param {string} targetType - A key of SNAPSHOTS, e.g. 'form'.
+ * @param {object} [options] - { id, location }. id is called with `req` and returns the target's
+ * id; leave it out when the route creates the target and sets res.locals.auditTargetId. location
+ * is called with `req` and returns (or resolves to) the location id, or an array of ids where the
+ * first is used. Both run before the route, so deleted rows can still be looked up.
+ * @returns {function} - Express middleware.
+ */
+const auditRoute =
+  (action, targetType, { id: idResolver, location: locationResolver } = {}) =>
+  async (req, res, next) => {
+    const snapshot = SNAPSHOTS[targetType];
+    let targetId;
+    let locationId;
+    let before;
+    try {
+      targetId = idResolver ? (idResolver(req) ?? null) : null;
+      before = targetId !== null ? await snapshot(targetId, req) : null;
+      locationId = locationResolver ? ([].concat(await locationResolver(req))[0] ?? null) : null;
+    } catch (err) {
+      // Better to refuse the change than to make it without a record
+      console.error(`Error reading ${targetType} for the audit log:`, err);
+      res.sendStatus(500);
+      return;
+    }
+
+    // Write the entry before the response goes out, so the caller is told when it couldn't be kept
+    const send = res.send.bind(res);
+    let handled = false;
+    res.send = (body) => {
+      const finalTargetId = targetId ?? res.locals.auditTargetId ?? null;
+      if (handled || res.statusCode >= 400 || (!idResolver && finalTargetId === null)) {
+        return send(body);
+      }
+      handled = true;
+      const record = async () => {
+        const after = finalTargetId !== null ? await snapshot(finalTargetId, req) : null;
+        await recordAudit(pool, {
+          actorId: req.user?.id ?? null,
+          action,
+          targetType,
+          targetId: finalTargetId,
+          locationId,
+          details: { before, after, route: `${req.method} ${req.originalUrl}` },
+        });
+      };
+      record()
+        .then(() => send(body))
+        .catch((err) => {
+          console.error(`Error writing the audit log for ${action}:`, err);
+          res.status(500);
+          send({ message: 'The change was made but could not be recorded in the audit log' });
+        });
+      return res;
+    };
+    next();
+  };
+
+module.exports = { recordAudit, auditRoute, SNAPSHOTS };
@@ -1,3 +1,6 @@
+const pool = require('./pool');
+const { userLocations } = require('./location-lookup');
+
 const rejectUnauthenticated = (req, res, next) => {
   if (req.isAuthenticated()) {
     // We've verified the request came from an authenticated user, so
@@ -11,5 +14,132 @@ const rejectUnauthenticated = (req, res, next) => {
   }
 };
 
+/**
+ * Returns the ids of every location where the user is internal staff.
+ * `req.user.locations` is attached in user.strategy.js.
+ *
+ * @param {object} user - The logged in user (`req.user`).
+ * @returns {number[]} - Location ids where `user_location.internal` is true.
+ */
+const internalLocationIds = (user) => {
+  return (user?.locations || [])
+    .filter((location) => location.id !== null && location.internal)
+    .map((location) => location.id);
+};
+
+/**
+ * Builds middleware that only lets internal staff through. When a
+ * `locationResolver` is given, the user must be internal at the location
+ * that owns the data being changed.
+ *
+ * @param {function} [locationResolver] - Called with `req`. Returns (or resolves to) the owning
+ * location id, or an array of ids where any one is enough. Returning null or undefined means
+ * the record doesn't exist, and the request gets a 404.
+ * @returns {function} - Express middleware.
+ */
+const requireInternal = (locationResolver) => async (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    res.sendStatus(403);
+    return;
+  }
+
+  const allowedLocationIds = internalLocationIds(req.user);
+  if (!locationResolver) {
+    if (allowedLocationIds.length > 0) {
+      next();
+    } else {
+      res.sendStatus(403);
+    }
+    return;
+  }
+
+  try {
+    const owningLocation = await locationResolver(req);
+    if (owningLocation === null || owningLocation === undefined) {
+      res.sendStatus(404);
+      return;
+    }
+    const owningLocationIds = [].concat(owningLocation).map(Number);
+    if (owningLocationIds.some((locationId) => allowedLocationIds.includes(locationId))) {
+      next();
+    } else {
+      res.sendStatus(403);
+    }
+  } catch (err) {
+    console.error('Error resolving location in requireInternal:', err);
+    res.sendStatus(500);
+  }
+};
+
+/**
+ * Builds middleware for routes that read one user's data. Users can always
+ * read their own data; anyone else must be internal staff at one of that
+ * user's locations.
+ *
+ * @param {function} userIdResolver - Called with `req`, returns the id of the user being read.
+ * @returns {function} - Express middleware.
+ */
+const requireSelfOrInternal = (userIdResolver) => {
+  const internalCheck = requireInternal((req) => userLocations(userIdResolver(req)));
+  return (req, res, next) => {
+    if (req.isAuthenticated() && String(req.user.id) === String(userIdResolver(req))) {
+      next();
+    } else {
+      internalCheck(req, res, next);
+    }
+  };
+};
+
+/**
+ * Middleware for changes that affect every location, like the pipeline
+ * templates they share. The caller must be internal staff at every location.
+ */
+const requireInternalEverywhere = async (req, res, next) => {
+  const allowedLocationIds = internalLocationIds(req.user);
+  if (!req.isAuthenticated() || allowedLocationIds.length === 0) {
+    res.sendStatus(403);
+    return;
+  }
+  try {
+    const result = await pool.query(`SELECT "id" FROM "location" WHERE NOT ("id" = ANY($1)) LIMIT 1;`, [
+      allowedLocationIds,
+    ]);
+    if (result.rows[0]) {
+      res.status(403).send({ message: 'Only staff at every location can change what all locations share' });
+      return;
+    }
+    next();
+  } catch (err) {
+    console.error('Error checking locations in requireInternalEverywhere:', err);
+    res.sendStatus(500);
+  }
+};
+
+/**
+ * Builds middleware for routes that manage a user's account. The caller must be
+ * internal staff at one of that user's locations. Users not tied to a location
+ * yet (like a newly registered donor) can be managed by any internal staff, as
+ * in the pipeline search.
+ *
+ * @param {function} userIdResolver - Called with `req`, returns the id of the user being managed.
+ * @returns {function} - Express middleware. Unknown users get a 404.
+ */
+const requireInternalForUser = (userIdResolver) =>
+  requireInternal(async (req) => {
+    const userId = userIdResolver(req);
+    const result = await pool.query(`SELECT "id" FROM "user" WHERE "id" = $1;`, [userId]);
+    if (!result.rows[0]) {
+      return null;
+    }
+    const locationIds = await userLocations(userId);
+    return locationIds.length > 0 ? locationIds : internalLocationIds(req.user);
+  });
 
-module.exports = { rejectUnauthenticated };
+module.exports = {
+  rejectUnauthenticated,
+  requireInternal,
+  requireInternalEverywhere,
+  requireSelfOrInternal,
+  requireInternalForUser,
+  internalLocationIds,
+};
@@ -0,0 +1,87 @@
+/*
+  Reads CSV files staff upload, and writes CSV files for them to open in a
+  spreadsheet.
+
+  Text that starts with = + - or @ would run as a formula in Excel, so it gets
+  a leading apostrophe. Everything is quoted, so commas and line breaks in a
+  cell are kept.
+*/
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '""';
+  }
+  let text =
+    value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Numbers are left alone so negative amounts still add up
+  if (typeof value !== 'number' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Builds a CSV file with a header row.
+ *
+ * @param {Array<object>} columns - [{ key, label }], in order. key picks the value out of each row.
+ * @param {Array<object>} rows - The rows, as returned by pg.
+ * @returns {string} - The CSV, with CRLF line endings.
+ */
+const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => csvCell(column.label)),
+    ...rows.map((row) => columns.map((column) => csvCell(row[column.key]))),
+  ]
+    .map((cells) => cells.join(','))
+    .join('\r\n') + '\r\n';
+
+/**
+ * Reads a CSV file, as written by Excel, Google Sheets and most exports: cells
+ * separated by commas, quoted with double quotes where they hold commas, quotes
+ * or line breaks.
+ *
+ * @param {string} text - The file's contents. A byte order mark is ignored.
+ * @returns {Array<Array<string>>} - The rows, each an array of cells. Blank lines are left out.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+module.exports = { toCsv, parseCsv };
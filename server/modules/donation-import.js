@@ -0,0 +1,402 @@
+const { parseCsv } = require('./csv');
+const { DONATION_METHODS, parseDonation } = require('./donations');
+
+/*
+  Imports donations from a CSV file, like a treasurer's spreadsheet or a card
+  processor's export. Staff say which column holds each field (a guess is made
+  from the headers), every row is checked and matched to a donor, and they see
+  a preview before anything is saved.
+
+  Donors are matched by email, then phone number, then by name with the same
+  pg_trgm similarity as the pipeline search. Only a close name match is taken
+  on its own; otherwise staff pick from the closest names. Rows that look like
+  a donation already recorded (same donor, amount, currency, date and check
+  number), or like an earlier row of the file, are skipped unless staff say
+  otherwise.
+
+  Rows are numbered as in a spreadsheet: the header is row 1.
+*/
+
+// The fields a column can be mapped to, in the order columns are guessed for them
+const IMPORT_FIELDS = [
+  { key: 'email', label: 'Email', guess: /e-?mail/i },
+  { key: 'phone', label: 'Phone', guess: /phone|mobile|cell/i },
+  { key: 'first_name', label: 'First name', guess: /first/i },
+  { key: 'last_name', label: 'Last name', guess: /last|surname/i },
+  { key: 'name', label: 'Full name', guess: /^(donor|customer|full|billing)?\s*name$/i },
+  { key: 'check_number', label: 'Check number', guess: /check|cheque/i },
+  { key: 'amount', label: 'Amount', guess: /amount|gross|total|gift/i },
+  { key: 'received_on', label: 'Date received', guess: /date|received/i },
+  { key: 'method', label: 'Payment method', guess: /method|payment|type/i },
+  { key: 'campaign', label: 'Campaign or fund', guess: /campaign|fund|designation|appeal/i },
+  { key: 'memo', label: 'Memo', guess: /memo|note|description|comment/i },
+  { key: 'currency', label: 'Currency', guess: /currency/i },
+];
+const DONOR_FIELDS = ['email', 'phone', 'name', 'first_name', 'last_name'];
+
+const MAX_IMPORT_ROWS = 2000;
+// Name matches at least this close are taken without asking
+const NAME_MATCH_SCORE = 0.6;
+
+// Payment methods as processors and spreadsheets tend to write them
+const METHOD_WORDS = [
+  ['check', /check|cheque/i],
+  ['cash', /cash/i],
+  ['in_kind', /in.?kind|goods/i],
+  ['card', /card|visa|master|amex|discover|credit|debit|stripe|paypal|square|online/i],
+];
+
+/**
+ * Guesses which column holds each field from the header row.
+ *
+ * @param {Array<string>} headers - The header row.
+ * @returns {object} - Column index by field key, e.g. { amount: 3, email: 1 }. Unguessed fields are left out.
+ */
+const guessMapping = (headers) => {
+  const mapping = {};
+  const taken = new Set();
+  for (const field of IMPORT_FIELDS) {
+    const index = headers.findIndex((header, column) => !taken.has(column) && field.guess.test(header.trim()));
+    if (index !== -1) {
+      mapping[field.key] = index;
+      taken.add(index);
+    }
+  }
+  return mapping;
+};
+
+/**
+ * Checks the import options sent with the file.
+ *
+ * @param {string} text - JSON: { location_id, mapping, method, currency, overrides, notify }. mapping is
+ * column index by field key; leave it out to use guessMapping. method is the payment method of rows
+ * that don't say. overrides are by row number: { user_id, skip, import_duplicate }.
+ * @returns {object} - { options }, or { error }.
+ */
+const parseImportOptions = (text) => {
+  let raw;
+  try {
+    raw = JSON.parse(text || '{}');
+  } catch (err) {
+    return { error: 'options must be JSON' };
+  }
+  if (!/^\d+$/.test(String(raw.location_id ?? ''))) {
+    return { error: 'location_id is required' };
+  }
+  const mapping = raw.mapping ?? null;
+  if (mapping !== null) {
+    const keys = IMPORT_FIELDS.map((field) => field.key);
+    const valid =
+      typeof mapping === 'object' &&
+      Object.entries(mapping).every(([key, index]) => keys.includes(key) && Number.isInteger(index) && index >= 0);
+    if (!valid) {
+      return { error: 'mapping must give a column number for each field' };
+    }
+  }
+  if (raw.method && !DONATION_METHODS.includes(raw.method)) {
+    return { error: `method must be one of ${DONATION_METHODS.join(', ')}` };
+  }
+  const overrides = raw.overrides && typeof raw.overrides === 'object' ? raw.overrides : {};
+  const validOverrides = Object.values(overrides).every(
+    (override) =>
+      override &&
+      typeof override === 'object' &&
+      (override.user_id === undefined || override.user_id === null || /^\d+$/.test(String(override.user_id)))
+  );
+  if (!validOverrides) {
+    return { error: 'overrides must give each row a user_id that is a user id, or none' };
+  }
+  return {
+    options: {
+      locationId: Number(raw.location_id),
+      mapping,
+      method: raw.method || null,
+      currency: raw.currency || 'USD',
+      overrides,
+      notify: raw.notify === true,
+    },
+  };
+};
+
+// "$1,234.50" is 123450 cents. Returns null for anything else, including negative amounts.
+const parseImportAmount = (text) => {
+  const match = text.replace(/[$\s]/g, '').match(/^(\d{1,3}(?:,\d{3})+|\d+)?(?:\.(\d{1,2}))?$/);
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+  return Number((match[1] || '0').replace(/,/g, '')) * 100 + Number((match[2] || '').padEnd(2, '0'));
+};
+
+// 2024-06-30, 6/30/2024 and 6/30/24 are all 2024-06-30. A time after the date is ignored.
+const parseImportDate = (text) => {
+  let year;
+  let month;
+  let day;
+  const iso = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T\s].*)?$/);
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?:\s.*)?$/);
+  if (iso) {
+    [, year, month, day] = iso.map(Number);
+  } else if (us) {
+    [, month, day, year] = us.map(Number);
+    year = year < 100 ? 2000 + year : year;
+  } else {
+    return null;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+const parseImportMethod = (text, fallback) => {
+  if (!text) {
+    return fallback;
+  }
+  return METHOD_WORDS.find(([, pattern]) => pattern.test(text))?.[0] ?? null;
+};
+
+// Reads one row into the donor to match and the donation, with the problems found
+const readRow = (cells, mapping, options) => {
+  const value = (key) => (mapping[key] === undefined ? '' : (cells[mapping[key]] ?? '').trim());
+  const errors = [];
+
+  const amountText = value('amount');
+  const amountCents = parseImportAmount(amountText);
+  if (amountCents === null) {
+    errors.push(amountText ? `"${amountText}" isn't an amount` : 'No amount');
+  }
+  const dateText = value('received_on');
+  const receivedOn = dateText ? parseImportDate(dateText) : null;
+  if (dateText && !receivedOn) {
+    errors.push(`"${dateText}" isn't a date`);
+  }
+  const methodText = value('method');
+  const method = parseImportMethod(methodText, options.method);
+  if (!method) {
+    errors.push(methodText ? `Unknown payment method "${methodText}"` : 'No payment method');
+  }
+
+  let donation = null;
+  if (errors.length === 0) {
+    const parsed = parseDonation({
+      amount_cents: amountCents,
+      currency: value('currency') || options.currency,
+      method,
+      check_number: value('check_number'),
+      campaign: value('campaign'),
+      location_id: options.locationId,
+      memo: value('memo'),
+      received_on: receivedOn,
+    });
+    if (parsed.error) {
+      errors.push(parsed.error);
+    }
+    donation = parsed.donation ?? null;
+  }
+
+  const name = value('name') || [value('first_name'), value('last_name')].filter(Boolean).join(' ');
+  return { donor: { email: value('email'), phone: value('phone'), name }, donation, errors };
+};
+
+// Users staff at these locations can see, as in the pipeline search: users at one of the locations,
+// or not at any location yet. $1 is the location ids.
+const VISIBLE_USER = `
+  "user"."deactivated_at" IS NULL AND (
+    "user"."id" IN (SELECT "user_id" FROM "user_location" WHERE "location_id" = ANY($1))
+    OR "user"."id" IN (
+      SELECT "user_status"."user_id" FROM "user_status"
+      JOIN "pipeline_status" ON "pipeline_status"."id" = "user_status"."pipeline_status_id"
+      JOIN "pipeline" ON "pipeline"."id" = "pipeline_status"."pipeline_id"
+      WHERE "pipeline"."location_id" = ANY($1)
+    )
+    OR (
+      NOT EXISTS (SELECT 1 FROM "user_location" WHERE "user_location"."user_id" = "user"."id")
+      AND NOT EXISTS (SELECT 1 FROM "user_status" WHERE "user_status"."user_id" = "user"."id")
+    )
+  )`;
+const USER_COLUMNS = `"user"."id", "user"."username" AS "email",
+  COALESCE(NULLIF(CONCAT_WS(' ', "user"."first_name", "user"."last_name"), ''), "user"."username") AS "name"`;
+
+/**
+ * Finds the donor of a row: by email, then phone, then name.
+ *
+ * @param {object} client - pg client or pool.
+ * @param {object} donor - { email, phone, name } from the row.
+ * @param {Array<number>} locationIds - Only users staff at these locations can see are matched.
+ * @returns {Promise<object>} - { user, match, candidates }. user is { id, email, name } or null; match
+ * is email, phone or name. candidates are the closest names, with their score, when the name alone
+ * wasn't close enough.
+ */
+const matchDonor = async (client, donor, locationIds) => {
+  if (donor.email) {
+    const result = await client.query(
+      `SELECT ${USER_COLUMNS} FROM "user" WHERE LOWER("user"."username") = LOWER($2) AND ${VISIBLE_USER};`,
+      [locationIds, donor.email]
+    );
+    if (result.rows[0]) {
+      return { user: result.rows[0], match: 'email', candidates: [] };
+    }
+  }
+  // The last ten digits, so +1 (612) 555-0100 matches 612-555-0100
+  const phoneDigits = donor.phone.replace(/\D/g, '').slice(-10);
+  if (phoneDigits.length >= 7) {
+    const result = await client.query(
+      `SELECT ${USER_COLUMNS} FROM "user"
+       WHERE RIGHT(REGEXP_REPLACE("user"."phone_number", '\\D', '', 'g'), 10) = $2 AND ${VISIBLE_USER}
+       ORDER BY "user"."id";`,
+      [locationIds, phoneDigits]
+    );
+    if (result.rows.length === 1) {
+      return { user: result.rows[0], match: 'phone', candidates: [] };
+    }
+  }
+  if (!donor.name) {
+    return { user: null, match: null, candidates: [] };
+  }
+  const result = await client.query(
+    `SELECT ${USER_COLUMNS}, GREATEST(
+         similarity("user"."first_name", $2),
+         similarity("user"."last_name", $2),
+         similarity(CONCAT("user"."first_name", ' ', "user"."last_name"), $2)
+       ) AS "score"
+     FROM "user"
+     WHERE (similarity("user"."first_name", $2) > 0.2
+       OR similarity("user"."last_name", $2) > 0.2
+       OR similarity(CONCAT("user"."first_name", ' ', "user"."last_name"), $2) > 0.2)
+       AND ${VISIBLE_USER}
+     ORDER BY "score" DESC
+     LIMIT 5;`,
+    [locationIds, donor.name]
+  );
+  const [best, next] = result.rows;
+  // Only take a name on its own when it's close and clearly closer than the next one
+  if (best && best.score >= NAME_MATCH_SCORE && !(next && next.score === best.score)) {
+    return { user: best, match: 'name', candidates: [] };
+  }
+  return { user: null, match: null, candidates: result.rows };
+};
+
+// A donation already recorded for the donor with the same amount, currency, date and check number
+const findRecordedDuplicate = async (client, userId, donation) => {
+  const result = await client.query(
+    `SELECT "id" FROM "donation"
+     WHERE "user_id" = $1 AND "amount_cents" = $2 AND "currency" = $3
+       AND "received_on" = COALESCE($4::date, CURRENT_DATE)
+       AND ($5::text IS NULL OR "check_number" IS NULL OR "check_number" = $5)
+     ORDER BY "id"
+     LIMIT 1;`,
+    [userId, donation.amountCents, donation.currency, donation.receivedOn, donation.checkNumber]
+  );
+  return result.rows[0]?.id ?? null;
+};
+
+/**
+ * Reads a CSV file and works out what importing it would do, without saving anything.
+ *
+ * @param {object} client - pg client or pool.
+ * @param {object} options - { csv, options, locationIds }: the file's text, the options from
+ * parseImportOptions, and the location ids of the staff member, whose donors can be matched.
+ * @returns {Promise<object>} - { headers, mapping, rows, counts, message }. Each row is { row, donor,
+ * user, match, candidates, donation, duplicate_of, errors, status }. donation has the columns to insert,
+ * with received_on null for today. status is ready, invalid, unmatched, duplicate or skipped, and only
+ * ready rows are imported. message says why no rows were read.
+ */
+const buildImportPreview = async (client, { csv, options, locationIds }) => {
+  const [headers = [], ...lines] = parseCsv(csv);
+  const mapping = options.mapping ?? guessMapping(headers);
+  const preview = { headers, mapping, rows: [], counts: {}, message: null };
+
+  if (lines.length === 0) {
+    preview.message = 'The file has no rows below its header';
+  } else if (lines.length > MAX_IMPORT_ROWS) {
+    preview.message = `Files can have at most ${MAX_IMPORT_ROWS} rows. Split it and import each part.`;
+  } else if (Object.values(mapping).some((index) => index >= headers.length)) {
+    preview.message = "The mapping names a column the file doesn't have";
+  } else if (mapping.amount === undefined) {
+    preview.message = 'Choose the column with the amount';
+  } else if (!DONOR_FIELDS.some((key) => mapping[key] !== undefined)) {
+    preview.message = "Choose a column with the donor's email, phone or name";
+  }
+  if (preview.message) {
+    return preview;
+  }
+
+  // Donors already looked up, by what was looked up, so a donor on many rows is matched once
+  const matches = new Map();
+  const seen = new Map();
+  for (const [index, cells] of lines.entries()) {
+    const rowNumber = index + 2;
+    const override = options.overrides[rowNumber] || {};
+    const { donor, donation, errors } = readRow(cells, mapping, options);
+    const row = {
+      row: rowNumber,
+      donor,
+      user: null,
+      match: null,
+      candidates: [],
+      donation: donation && {
+        amount_cents: donation.amountCents,
+        currency: donation.currency,
+        method: donation.method,
+        check_number: donation.checkNumber,
+        campaign: donation.campaign,
+        location_id: donation.locationId,
+        memo: donation.memo,
+        received_on: donation.receivedOn,
+      },
+      duplicate_of: null,
+    };
+
+    const key = JSON.stringify(donor);
+    if (!matches.has(key)) {
+      matches.set(key, await matchDonor(client, donor, locationIds));
+    }
+    Object.assign(row, matches.get(key));
+    // Staff chose the donor, from the candidates or instead of the match
+    if (override.user_id) {
+      const result = await client.query(
+        `SELECT ${USER_COLUMNS} FROM "user" WHERE "user"."id" = $2 AND ${VISIBLE_USER};`,
+        [locationIds, override.user_id]
+      );
+      row.user = result.rows[0] ?? null;
+      row.match = row.user ? 'chosen' : null;
+      if (!row.user) {
+        errors.push("The chosen donor wasn't found");
+      }
+    }
+
+    if (row.user && donation) {
+      const key = [row.user.id, donation.amountCents, donation.currency, donation.receivedOn, donation.checkNumber];
+      const recorded = await findRecordedDuplicate(client, row.user.id, donation);
+      if (recorded) {
+        row.duplicate_of = { donation_id: recorded };
+      } else if (seen.has(key.join('|'))) {
+        row.duplicate_of = { row: seen.get(key.join('|')) };
+      } else {
+        seen.set(key.join('|'), rowNumber);
+      }
+    }
+
+    row.errors = errors;
+    if (override.skip) {
+      row.status = 'skipped';
+    } else if (errors.length > 0) {
+      row.status = 'invalid';
+    } else if (!row.user) {
+      row.status = 'unmatched';
+    } else if (row.duplicate_of && !override.import_duplicate) {
+      row.status = 'duplicate';
+    } else {
+      row.status = 'ready';
+    }
+    preview.rows.push(row);
+  }
+
+  for (const row of preview.rows) {
+    preview.counts[row.status] = (preview.counts[row.status] || 0) + 1;
+  }
+  return preview;
+};
+
+module.exports = { IMPORT_FIELDS, guessMapping, parseImportOptions, buildImportPreview };
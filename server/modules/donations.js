@@ -0,0 +1,104 @@
+/*
+  The donation ledger. Amounts are kept as whole cents with their currency,
+  so they add up exactly.
+
+  Every donation has a payment method (check, cash, card or in_kind) and the
+  location it was received at. Checks can have a check number, and any gift
+  can be designated for a campaign or fund. In-kind gifts may be recorded
+  without a value. A gift can pay toward one of the donor's pledges (see
+  pledges.js).
+*/
+
+const DONATION_METHODS = ['check', 'cash', 'card', 'in_kind'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// The largest value an INT column holds
+const MAX_AMOUNT_CENTS = 2147483647;
+
+// Trims optional text, turning blanks into null
+const optionalText = (value) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  return text || null;
+};
+
+/**
+ * Checks a donation sent by the client.
+ *
+ * @param {object} body - { amount_cents, currency, method, check_number, campaign, location_id, memo, received_on,
+ * pledge_id }. amount_cents is a whole number of cents. currency defaults to USD and received_on to today.
+ * pledge_id is optional; whether the pledge fits the donation is for the route to check.
+ * @returns {object} - { donation } with the cleaned up values, or { error }.
+ */
+const parseDonation = (body) => {
+  const amountText = String(body.amount_cents ?? '').trim();
+  if (!/^-?\d+$/.test(amountText)) {
+    return { error: 'amount_cents must be a whole number of cents' };
+  }
+  const amountCents = Number(amountText);
+  if (amountCents < 0) {
+    return { error: "Amounts can't be negative" };
+  }
+  if (amountCents > MAX_AMOUNT_CENTS) {
+    return { error: 'That amount is too large' };
+  }
+  if (!DONATION_METHODS.includes(body.method)) {
+    return { error: `method must be one of ${DONATION_METHODS.join(', ')}` };
+  }
+  if (amountCents === 0 && body.method !== 'in_kind') {
+    return { error: 'Only in-kind gifts can be recorded without an amount' };
+  }
+  const currency = (optionalText(body.currency) || 'USD').toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return { error: 'currency must be a three letter code like USD' };
+  }
+  if (!/^\d+$/.test(String(body.location_id ?? ''))) {
+    return { error: 'location_id is required' };
+  }
+  const receivedOn = optionalText(body.received_on);
+  if (receivedOn && !DATE_PATTERN.test(receivedOn)) {
+    return { error: 'received_on must be a date like 2024-06-30' };
+  }
+  const checkNumber = body.method === 'check' ? optionalText(body.check_number) : null;
+  if (checkNumber?.length > 30) {
+    return { error: 'Check numbers are at most 30 characters' };
+  }
+  const campaign = optionalText(body.campaign);
+  if (campaign?.length > 100) {
+    return { error: 'Campaign names are at most 100 characters' };
+  }
+  const pledgeId = body.pledge_id ?? '';
+  if (pledgeId !== '' && !/^\d+$/.test(String(pledgeId))) {
+    return { error: 'pledge_id must be a pledge id' };
+  }
+  return {
+    donation: {
+      amountCents,
+      currency,
+      method: body.method,
+      checkNumber,
+      campaign,
+      locationId: Number(body.location_id),
+      memo: optionalText(body.memo),
+      receivedOn,
+      pledgeId: pledgeId === '' ? null : Number(pledgeId),
+    },
+  };
+};
+
+/**
+ * Formats an amount for people to read, e.g. 123456 USD is "$1,234.56".
+ *
+ * @param {number} amountCents - The amount in cents.
+ * @param {string} [currency] - Three letter currency code, default USD.
+ * @returns {string}
+ */
+const formatAmount = (amountCents, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amountCents / 100);
+  } catch (err) {
+    // Unknown currency codes still read
+    return `${(amountCents / 100).toFixed(2)} ${currency}`;
+  }
+};
+
+module.exports = { DONATION_METHODS, parseDonation, formatAmount };
@@ -0,0 +1,82 @@
+const pool = require('./pool');
+const { getTransport } = require('./mail-transport');
+
+/*
+  Sends the emails waiting in email_queue through the transport set up in
+  mail-transport.js. Emails that fail stay pending and are tried again on
+  the next run, up to MAX_ATTEMPTS times, then they're marked failed.
+
+  The server runs this every EMAIL_WORKER_INTERVAL_SECONDS (default 30).
+  Set EMAIL_WORKER=off to run it somewhere else instead.
+*/
+
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 20;
+
+/**
+ * Sends one batch of pending emails.
+ *
+ * @param {object} [transport] - Defaults to the transport from .env.
+ * @returns {Promise<object>} - { sent, failed } counts for the batch.
+ */
+const sendPendingEmails = async (transport = getTransport()) => {
+  const counts = { sent: 0, failed: 0 };
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // SKIP LOCKED lets several servers share the queue without sending an email twice
+    const pending = await client.query(
+      `SELECT * FROM "email_queue" WHERE "status" = 'pending'
+       ORDER BY "created_at", "id" LIMIT $1 FOR UPDATE SKIP LOCKED;`,
+      [BATCH_SIZE]
+    );
+    for (const email of pending.rows) {
+      try {
+        await transport.send({ to: email.to_address, subject: email.subject, text: email.body });
+        await client.query(
+          `UPDATE "email_queue" SET "status" = 'sent', "sent_at" = NOW(), "attempts" = "attempts" + 1 WHERE "id" = $1;`,
+          [email.id]
+        );
+        counts.sent += 1;
+      } catch (err) {
+        console.error(`Error sending email ${email.id}:`, err.message);
+        await client.query(
+          `UPDATE "email_queue"
+           SET "attempts" = "attempts" + 1, "last_error" = $2,
+               "status" = CASE WHEN "attempts" + 1 >= $3 THEN 'failed' ELSE 'pending' END
+           WHERE "id" = $1;`,
+          [email.id, err.message, MAX_ATTEMPTS]
+        );
+        counts.failed += 1;
+      }
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return counts;
+};
+
+// Runs sendPendingEmails on a timer. Returns the interval so it can be stopped.
+const startEmailWorker = (intervalSeconds = Number(process.env.EMAIL_WORKER_INTERVAL_SECONDS) || 30) => {
+  let running = false;
+  return setInterval(async () => {
+    // skip a tick rather than overlap a slow batch
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await sendPendingEmails();
+    } catch (err) {
+      console.error('Error running the email worker:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalSeconds * 1000);
+};
+
+module.exports = { MAX_ATTEMPTS, sendPendingEmails, startEmailWorker };
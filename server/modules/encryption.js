@@ -2,11 +2,20 @@ const bcrypt = require('bcryptjs');
 
 const SALT_WORK_FACTOR = 10; // This determines how secure the salt should be.
 
-const encryptPassword = (password) => {
+// Hashing is slow on purpose, so these are async to keep the server
+// answering other requests while a password is being hashed or checked.
+
+/**
+ * Salts and hashes a password to store in the database.
+ *
+ * @param {string} password - The plaintext password.
+ * @returns {Promise<string>} - The hash, with its salt.
+ */
+const encryptPassword = async (password) => {
   // This generates a random salt:
-  const salt = bcrypt.genSaltSync(SALT_WORK_FACTOR);
+  const salt = await bcrypt.genSalt(SALT_WORK_FACTOR);
   // This takes in the random salt and plaintext password and hashes them together:
-  return bcrypt.hashSync(password, salt);
+  return bcrypt.hash(password, salt);
 };
 // This format is called a JSDoc comment. It allows devs to see this comment when they hover over the function in a different file. See pull request comment. 
 /**
@@ -17,7 +26,7 @@ const encryptPassword = (password) => {
  * 
  * @param {string} candidatePassword - The password entered by the user.
  * @param {string} storedPassword - The hashed password stored in the database.
- * @returns {boolean} - Returns true if the passwords match, otherwise false.
+ * @returns {Promise<boolean>} - Resolves to true if the passwords match, otherwise false.
  */
 const comparePassword = (candidatePassword, storedPassword) => {
   /*
@@ -27,7 +36,7 @@ const comparePassword = (candidatePassword, storedPassword) => {
   If that result is the same as the stored password, then we have a match!
   If this interests you, check out this video https://www.youtube.com/watch?v=8ZtInClXe1Q
   */
-  return bcrypt.compareSync(candidatePassword, storedPassword);
+  return bcrypt.compare(candidatePassword, storedPassword);
 };
 
 
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+
+/*
+  Uploaded files for `file` answers are stored on local disk.
+
+    UPLOAD_DIR            where files are kept (default: ./uploads)
+    UPLOAD_MAX_MB         largest file accepted, in megabytes (default: 10)
+    UPLOAD_ALLOWED_TYPES  comma separated MIME types (default: PDF, Word documents and common images)
+
+  Files are saved under a random name. The original name, type and size are
+  recorded in the answer_file table.
+*/
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB) || 10;
+const UPLOAD_ALLOWED_TYPES = (
+  process.env.UPLOAD_ALLOWED_TYPES ||
+  'application/pdf,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document,image/jpeg,image/png,image/heic'
+)
+  .split(',')
+  .map((type) => type.trim())
+  .filter(Boolean);
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(UPLOAD_DIR, { recursive: true }, (err) => cb(err, UPLOAD_DIR));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+  },
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: Math.round(UPLOAD_MAX_MB * 1024 * 1024), files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (UPLOAD_ALLOWED_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error('Unsupported file type'), { code: 'UNSUPPORTED_TYPE' }));
+    }
+  },
+});
+
+// Accepts a single file in the `file` field, turning upload problems into 413/415/400 responses
+const uploadSingleFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (!err) {
+      next();
+    } else if (err.code === 'LIMIT_FILE_SIZE') {
+      res.status(413).send({ message: `Files can be at most ${UPLOAD_MAX_MB} MB` });
+    } else if (err.code === 'UNSUPPORTED_TYPE') {
+      res.status(415).send({ message: 'Unsupported file type', allowed: UPLOAD_ALLOWED_TYPES });
+    } else if (err instanceof multer.MulterError) {
+      res.status(400).send({ message: err.message });
+    } else {
+      console.error('Error storing upload', err);
+      res.sendStatus(500);
+    }
+  });
+};
+
+// Full path of a stored file. Stored names are generated by us, but never leave the upload directory.
+const storedFilePath = (storedName) => path.join(UPLOAD_DIR, path.basename(storedName));
+
+// Removes a stored file, ignoring files that are already gone
+const removeStoredFile = async (storedName) => {
+  try {
+    await fs.promises.unlink(storedFilePath(storedName));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+};
+
+module.exports = { UPLOAD_DIR, UPLOAD_MAX_MB, UPLOAD_ALLOWED_TYPES, uploadSingleFile, storedFilePath, removeStoredFile };
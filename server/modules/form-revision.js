@@ -0,0 +1,170 @@
+const pool = require('./pool');
+
+/*
+  Forms have one editable draft and any number of published revisions.
+
+  The draft is what lives in the sections, question and multiple_choice_answers
+  tables, and is what the form editor changes. Publishing copies the draft into
+  a new form_revision row as a JSON snapshot. Published revisions are never
+  changed, so a submission pinned to a revision can always be shown with the
+  exact questions and options the applicant saw.
+*/
+
+// Builds a single form with all the sections, questions and options.
+// This is also the shape that gets stored in form_revision.snapshot.
+const FORM_TREE_QUERY = `
+select
+	'Form' as "type",
+	forms.id as "id",
+	forms."name" as "name",
+	forms."default_pipeline_id" as "pipeline_id",
+	forms."location_id" as "location_id",
+	(select
+		json_agg(
+			json_build_object(
+				'type', 'Section',
+				'id', sections.id,
+				'order', sections."order",
+                'name', sections."name",
+				'description', sections.description,
+				'visibility_rule', sections.visibility_rule,
+				'questions', (select
+					json_agg(
+						json_build_object(
+							'type', 'Question',
+							'id', question.id,
+							'question', question.question,
+							'description', question.description,
+							'order', question."order",
+							'answer_type', question.answer_type,
+							'required', question.required,
+							'visibility_rule', question.visibility_rule,
+							'multiple_choice_answers', (select
+								json_agg(
+									json_build_object(
+										'type', 'MCAnswer',
+										'id', multiple_choice_answers.id,
+										'answer', multiple_choice_answers.answer
+									) order by multiple_choice_answers.id
+								)
+								from multiple_choice_answers
+								where multiple_choice_answers.question_id = question.id
+								and multiple_choice_answers.archived = false
+							)
+						)
+					) from question
+					where question.section_id = sections.id
+                    and question.archived = false
+				)
+			)
+		) from sections
+		where sections.form_id = forms.id
+	) as "sections"
+from forms
+where forms.id = $1
+group by forms.id;
+`;
+
+/**
+ * Gets the current draft of a form from the live tables.
+ *
+ * @param {number} formId - The form to load.
+ * @param {object} [db] - A pooled client when running inside a transaction.
+ * @returns {Promise<object|undefined>} - The form tree, or undefined if the form doesn't exist.
+ */
+const fetchDraftForm = async (formId, db = pool) => {
+  const { rows } = await db.query(FORM_TREE_QUERY, [formId]);
+  if (!rows[0]) {
+    return undefined;
+  }
+  return { ...rows[0], revision_id: null, revision: null, is_draft: true };
+};
+
+// Turns a form_revision row into the same shape as a draft form tree
+const revisionToForm = (row) => ({
+  ...row.snapshot,
+  revision_id: row.id,
+  revision: row.revision,
+  published_at: row.published_at,
+  is_draft: false,
+});
+
+/**
+ * Gets a published revision of a form. Without a `revisionId` the latest
+ * published revision is returned.
+ *
+ * @param {number} formId - The form the revision belongs to.
+ * @param {number} [revisionId] - A specific form_revision id.
+ * @returns {Promise<object|undefined>} - The form tree, or undefined if there is no such revision.
+ */
+const fetchPublishedForm = async (formId, revisionId) => {
+  const queryText = revisionId
+    ? `select * from form_revision where form_id = $1 and id = $2;`
+    : `select * from form_revision where form_id = $1 order by revision desc limit 1;`;
+  const { rows } = await pool.query(queryText, revisionId ? [formId, revisionId] : [formId]);
+  return rows[0] ? revisionToForm(rows[0]) : undefined;
+};
+
+/**
+ * Gets the form a submission should be shown with: the revision it was
+ * pinned to, or the latest version for submissions started before the form
+ * was ever published.
+ *
+ * @param {object} submission - A submission row with `form_id` and `form_revision_id`.
+ * @returns {Promise<object|undefined>} - The form tree.
+ */
+const fetchFormForSubmission = async (submission) => {
+  if (submission.form_revision_id) {
+    return fetchPublishedForm(submission.form_id, submission.form_revision_id);
+  }
+  return (await fetchPublishedForm(submission.form_id)) || fetchDraftForm(submission.form_id);
+};
+
+/**
+ * Gets the id of the newest published revision, which new submissions are pinned to.
+ *
+ * @param {number} formId - The form to look up.
+ * @returns {Promise<number|null>} - The form_revision id, or null if the form was never published.
+ */
+const latestRevisionId = async (formId) => {
+  const { rows } = await pool.query(
+    `select id from form_revision where form_id = $1 order by revision desc limit 1;`,
+    [formId]
+  );
+  return rows[0]?.id ?? null;
+};
+
+/**
+ * Snapshots the draft of a form into a new published revision.
+ *
+ * @param {object} client - A pooled client with an open transaction.
+ * @param {number} formId - The form to publish.
+ * @param {number} userId - The staff member publishing.
+ * @returns {Promise<object|undefined>} - The new form_revision row, or undefined if the form doesn't exist.
+ */
+const publishForm = async (client, formId, userId) => {
+  // Lock the form so two publishes can't grab the same revision number
+  const formResult = await client.query(`select id from forms where id = $1 for update;`, [formId]);
+  if (!formResult.rows[0]) {
+    return undefined;
+  }
+  const { rows } = await client.query(FORM_TREE_QUERY, [formId]);
+  const insertResult = await client.query(
+    `
+      insert into form_revision (form_id, revision, snapshot, published_by)
+      values ($1, (select coalesce(max(revision), 0) + 1 from form_revision where form_id = $1), $2, $3)
+      returning id, form_id, revision, published_by, published_at;
+    `,
+    [formId, rows[0], userId]
+  );
+  return insertResult.rows[0];
+};
+
+module.exports = {
+  FORM_TREE_QUERY,
+  fetchDraftForm,
+  fetchPublishedForm,
+  fetchFormForSubmission,
+  latestRevisionId,
+  publishForm,
+};
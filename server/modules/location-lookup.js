@@ -0,0 +1,106 @@
+const pool = require('./pool');
+
+/*
+  Helpers that find which location owns a row. These are meant to be handed
+  to `requireInternal` so a route can check the user is internal staff at
+  that location, e.g.
+
+    requireInternal((req) => pipelineLocation(req.params.id))
+
+  Each helper resolves to null when the row doesn't exist.
+*/
+
+const firstLocation = (result) => result.rows[0]?.location_id ?? null;
+
+const pipelineLocation = (pipelineId) => {
+  return pool
+    .query(`SELECT "location_id" FROM "pipeline" WHERE "id" = $1;`, [pipelineId])
+    .then(firstLocation);
+};
+
+const pipelineStatusLocation = (pipelineStatusId) => {
+  const queryText = `
+    SELECT "pipeline"."location_id" FROM "pipeline_status"
+    JOIN "pipeline" ON "pipeline"."id" = "pipeline_status"."pipeline_id"
+    WHERE "pipeline_status"."id" = $1;
+  `;
+  return pool.query(queryText, [pipelineStatusId]).then(firstLocation);
+};
+
+const formLocation = (formId) => {
+  return pool.query(`SELECT "location_id" FROM "forms" WHERE "id" = $1;`, [formId]).then(firstLocation);
+};
+
+const sectionLocation = (sectionId) => {
+  const queryText = `
+    SELECT "forms"."location_id" FROM "sections"
+    JOIN "forms" ON "forms"."id" = "sections"."form_id"
+    WHERE "sections"."id" = $1;
+  `;
+  return pool.query(queryText, [sectionId]).then(firstLocation);
+};
+
+const questionLocation = (questionId) => {
+  const queryText = `
+    SELECT "forms"."location_id" FROM "question"
+    JOIN "sections" ON "sections"."id" = "question"."section_id"
+    JOIN "forms" ON "forms"."id" = "sections"."form_id"
+    WHERE "question"."id" = $1;
+  `;
+  return pool.query(queryText, [questionId]).then(firstLocation);
+};
+
+const taskLocation = (taskId) => {
+  const queryText = `
+    SELECT "pipeline"."location_id" FROM "follow_up_task"
+    JOIN "pipeline" ON "pipeline"."id" = "follow_up_task"."pipeline_id"
+    WHERE "follow_up_task"."id" = $1;
+  `;
+  return pool.query(queryText, [taskId]).then(firstLocation);
+};
+
+// A user belongs to every location they have a user_location row for, plus
+// every location whose pipelines they are on. Resolves to an array.
+const userLocations = (userId) => {
+  const queryText = `
+    SELECT "location_id" FROM "user_location" WHERE "user_id" = $1
+    UNION
+    SELECT "pipeline"."location_id" FROM "user_status"
+    JOIN "pipeline_status" ON "pipeline_status"."id" = "user_status"."pipeline_status_id"
+    JOIN "pipeline" ON "pipeline"."id" = "pipeline_status"."pipeline_id"
+    WHERE "user_status"."user_id" = $1;
+  `;
+  return pool.query(queryText, [userId]).then((result) => result.rows.map((row) => row.location_id));
+};
+
+// Donations belong to the location that received them. Older donations
+// without one belong to the locations of the donor.
+const donationLocations = (donationId) => {
+  return pool
+    .query(`SELECT "user_id", "location_id" FROM "donation" WHERE "id" = $1;`, [donationId])
+    .then((result) => {
+      const donation = result.rows[0];
+      if (!donation) {
+        return null;
+      }
+      return donation.location_id ?? userLocations(donation.user_id);
+    });
+};
+
+const pledgeLocation = (pledgeId) => {
+  return pool
+    .query(`SELECT "location_id" FROM "pledge" WHERE "id" = $1;`, [pledgeId])
+    .then(firstLocation);
+};
+
+module.exports = {
+  pipelineLocation,
+  pipelineStatusLocation,
+  formLocation,
+  sectionLocation,
+  questionLocation,
+  taskLocation,
+  userLocations,
+  donationLocations,
+  pledgeLocation,
+};
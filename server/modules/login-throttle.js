@@ -0,0 +1,143 @@
+const pool = require('./pool');
+
+/*
+  Slows down password guessing. Every login attempt is saved in login_attempt.
+
+  Accounts: after ACCOUNT_FREE_FAILURES failed logins in a row, the account is
+  locked for 1 minute, and each further failure doubles the lock, up to
+  ACCOUNT_MAX_LOCK_MINUTES. A successful login, or staff unlocking the account,
+  starts the count again. Locked accounts get a 423, even with the right password.
+
+  IP addresses: IP_MAX_FAILURES failed logins from one address within
+  IP_WINDOW_MINUTES, for any accounts, get a 429 until the oldest ones age out.
+
+  Usernames that don't exist are tracked too, so responses don't reveal which
+  accounts exist.
+*/
+
+const ACCOUNT_FREE_FAILURES = 5;
+const ACCOUNT_MAX_LOCK_MINUTES = 60;
+const IP_MAX_FAILURES = 20;
+const IP_WINDOW_MINUTES = 15;
+
+const normalizeUsername = (username) =>
+  String(username ?? '')
+    .trim()
+    .toLowerCase();
+
+/**
+ * How long an account stays locked after a number of failures in a row.
+ *
+ * @param {number} failures - Failed logins since the last success or unlock.
+ * @returns {number} - Minutes, 0 when the account isn't locked.
+ */
+const lockMinutes = (failures) => {
+  if (failures < ACCOUNT_FREE_FAILURES) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - ACCOUNT_FREE_FAILURES), ACCOUNT_MAX_LOCK_MINUTES);
+};
+
+// Failed logins for the account that count towards a lock, and when the last one was
+const accountFailures = async (username) => {
+  const queryText = `
+    SELECT COUNT(*)::int AS "failures", MAX("attempted_at") AS "last_failure"
+    FROM "login_attempt"
+    WHERE "username" = $1 AND "succeeded" = false AND "cleared" = false
+      AND "attempted_at" > COALESCE(
+        (SELECT MAX("attempted_at") FROM "login_attempt" WHERE "username" = $1 AND "succeeded" = true),
+        '-infinity'
+      );
+  `;
+  const result = await pool.query(queryText, [username]);
+  return result.rows[0];
+};
+
+// When the account's lock ends, or null when it isn't locked
+const accountLockedUntil = async (username) => {
+  const { failures, last_failure: lastFailure } = await accountFailures(normalizeUsername(username));
+  const minutes = lockMinutes(failures);
+  if (!minutes) {
+    return null;
+  }
+  const lockedUntil = new Date(new Date(lastFailure).getTime() + minutes * 60 * 1000);
+  return lockedUntil > new Date() ? lockedUntil : null;
+};
+
+// When the IP address can try again, or null when it isn't blocked
+const ipBlockedUntil = async (ip) => {
+  const queryText = `
+    SELECT "attempted_at" FROM "login_attempt"
+    WHERE "ip" = $1 AND "succeeded" = false AND "attempted_at" > NOW() - make_interval(mins => $2)
+    ORDER BY "attempted_at" DESC
+    OFFSET $3 LIMIT 1;
+  `;
+  // The IP_MAX_FAILURES-th most recent failure in the window; once it ages out, the address can try again
+  const result = await pool.query(queryText, [ip, IP_WINDOW_MINUTES, IP_MAX_FAILURES - 1]);
+  if (!result.rows[0]) {
+    return null;
+  }
+  return new Date(new Date(result.rows[0].attempted_at).getTime() + IP_WINDOW_MINUTES * 60 * 1000);
+};
+
+// The response for a locked account, or null when it isn't locked
+const accountLock = async (username) => {
+  const lockedUntil = await accountLockedUntil(username);
+  if (!lockedUntil) {
+    return null;
+  }
+  return {
+    allowed: false,
+    status: 423,
+    message: 'This account is locked after too many failed logins. Try again later or reset your password.',
+    retryAt: lockedUntil,
+  };
+};
+
+/**
+ * Checks whether a login attempt may go ahead.
+ *
+ * @param {string} username - The username being logged in to.
+ * @param {string} ip - The address the attempt came from.
+ * @returns {Promise<object>} - { allowed: true }, or { allowed: false, status, message, retryAt }
+ * with status 429 for a blocked address and 423 for a locked account (see accountLock).
+ */
+const checkLoginAllowed = async (username, ip) => {
+  const ipRetryAt = await ipBlockedUntil(ip);
+  if (ipRetryAt) {
+    return {
+      allowed: false,
+      status: 429,
+      message: 'Too many failed logins from your network. Please wait and try again.',
+      retryAt: ipRetryAt,
+    };
+  }
+  return (await accountLock(username)) || { allowed: true };
+};
+
+const recordLoginAttempt = async (username, ip, succeeded) => {
+  await pool.query(`INSERT INTO "login_attempt" ("username", "ip", "succeeded") VALUES ($1, $2, $3);`, [
+    normalizeUsername(username),
+    ip,
+    succeeded,
+  ]);
+};
+
+// Lets the account log in again straight away. The attempts are kept for the record.
+const unlockAccount = async (username) => {
+  await pool.query(
+    `UPDATE "login_attempt" SET "cleared" = true WHERE "username" = $1 AND "succeeded" = false AND "cleared" = false;`,
+    [normalizeUsername(username)]
+  );
+};
+
+module.exports = {
+  ACCOUNT_FREE_FAILURES,
+  IP_MAX_FAILURES,
+  lockMinutes,
+  accountLockedUntil,
+  accountLock,
+  checkLoginAllowed,
+  recordLoginAttempt,
+  unlockAccount,
+};
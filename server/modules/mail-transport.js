@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/*
+  Where outgoing email goes, picked with MAIL_TRANSPORT in .env:
+
+    console  log who each email is to and its subject (the default). Bodies are never
+             logged: account emails carry single-use reset and verification links
+    file     write each email as a JSON file in MAIL_DIR, handy for tests
+    smtp     send through SMTP_HOST:SMTP_PORT. With the defaults this is
+             a local catcher like MailHog (docker run -p 1025:1025 -p 8025:8025 mailhog/mailhog)
+
+  Every transport has the same shape: `send({ to, subject, text })` resolves
+  once the email is accepted, and rejects when it can't be sent.
+*/
+
+const MAIL_FROM = process.env.MAIL_FROM || 'RFKC <no-reply@rfkc.local>';
+
+const consoleTransport = () => ({
+  name: 'console',
+  send: async (email) => {
+    console.log(`Email to ${email.to}: ${email.subject}`);
+  },
+});
+
+const fileTransport = (directory = process.env.MAIL_DIR || 'mail-outbox') => {
+  const outbox = path.resolve(directory);
+  return {
+    name: 'file',
+    send: async (email) => {
+      await fs.promises.mkdir(outbox, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.promises.writeFile(path.join(outbox, fileName), JSON.stringify({ from: MAIL_FROM, ...email }, null, 2));
+    },
+  };
+};
+
+const smtpTransport = () => {
+  const auth = process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth,
+  });
+  return {
+    name: 'smtp',
+    send: async (email) => {
+      await transporter.sendMail({ from: MAIL_FROM, ...email });
+    },
+  };
+};
+
+const TRANSPORTS = { console: consoleTransport, file: fileTransport, smtp: smtpTransport };
+
+let transport;
+
+// The transport chosen in .env, created the first time it's needed
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}", use one of ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Swaps the transport, e.g. for a fake that records what was sent
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+module.exports = { getTransport, setTransport, consoleTransport, fileTransport, smtpTransport };
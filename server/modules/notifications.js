@@ -0,0 +1,178 @@
+/*
+  Templated emails sent when something happens:
+
+    submission_received        to the applicant when they submit a form
+    submission_received_staff  to internal staff at the form's location
+    stage_changed              to the applicant when they move to another pipeline stage
+    donation_recorded          to the donor when a donation is recorded
+
+  Each location can change the subject and body of each one, or turn it off, in
+  the email_template table. Locations without their own template use DEFAULT_TEMPLATES.
+  Subjects and bodies can use the {{placeholders}} listed for each event.
+
+  Emails are only queued here, in the caller's transaction, so nothing is sent
+  for changes that roll back. email-worker.js sends them.
+*/
+
+const { formatAmount } = require('./donations');
+
+const DEFAULT_TEMPLATES = {
+  submission_received: {
+    label: 'Submission received (to the applicant)',
+    placeholders: ['first_name', 'last_name', 'form', 'location'],
+    subject: 'We received your {{form}}',
+    body:
+      'Hi {{first_name}},\n\nThanks for submitting your {{form}} to {{location}}. ' +
+      "We'll be in touch about next steps.\n\nRoyal Family Kids Camp",
+  },
+  submission_received_staff: {
+    label: 'New submission (to staff)',
+    placeholders: ['first_name', 'last_name', 'form', 'location'],
+    subject: 'New {{form}} from {{first_name}} {{last_name}}',
+    body: '{{first_name}} {{last_name}} just submitted a {{form}} at {{location}}.',
+  },
+  stage_changed: {
+    label: 'Stage changed (to the applicant)',
+    placeholders: ['first_name', 'last_name', 'pipeline', 'from_status', 'status', 'location'],
+    subject: 'Your {{pipeline}} status is now {{status}}',
+    body: 'Hi {{first_name}},\n\nYou have moved from {{from_status}} to {{status}}.\n\nRoyal Family Kids Camp',
+  },
+  donation_recorded: {
+    label: 'Donation recorded (to the donor)',
+    placeholders: ['first_name', 'last_name', 'amount', 'campaign', 'location'],
+    subject: 'Thank you for your donation',
+    body: 'Hi {{first_name}},\n\nWe received your donation of {{amount}}. Thank you for your support!\n\n{{location}}',
+  },
+};
+
+const renderTemplate = (text, values) =>
+  String(text ?? '').replace(/{{\s*(\w+)\s*}}/g, (match, key) => (values[key] ?? '').toString());
+
+const queueEmail = async (client, { to, subject, body }) => {
+  await client.query(`INSERT INTO "email_queue" ("to_address", "subject", "body") VALUES ($1, $2, $3);`, [
+    to,
+    subject,
+    body,
+  ]);
+};
+
+// The location's own template for an event, or the default one
+const findTemplate = async (client, event, locationId) => {
+  const result = await client.query(
+    `SELECT "subject", "body", "enabled" FROM "email_template" WHERE "location_id" = $1 AND "event" = $2;`,
+    [locationId ?? null, event]
+  );
+  return result.rows[0] || { ...DEFAULT_TEMPLATES[event], enabled: true };
+};
+
+/**
+ * Queues the email for an event to each address in `to`.
+ *
+ * @param {object} client - pg client, inside the caller's transaction.
+ * @param {object} notification - { event, locationId, to, values }. `to` is an address or a list of them,
+ * `values` fills in the template's placeholders.
+ * @returns {Promise<number>} - How many emails were queued. 0 when the location turned the email off.
+ */
+const notify = async (client, { event, locationId, to, values }) => {
+  const template = await findTemplate(client, event, locationId);
+  const addresses = [].concat(to).filter(Boolean);
+  if (!template.enabled) {
+    return 0;
+  }
+  for (const address of addresses) {
+    await queueEmail(client, {
+      to: address,
+      subject: renderTemplate(template.subject, values),
+      body: renderTemplate(template.body, values),
+    });
+  }
+  return addresses.length;
+};
+
+// A submission was submitted: confirm to the applicant and tell the location's staff
+const notifySubmissionReceived = async (client, submissionId) => {
+  const queryText = `
+    SELECT
+      "user"."username", "user"."first_name", "user"."last_name",
+      "forms"."name" AS "form", "location"."id" AS "location_id", "location"."name" AS "location",
+      ARRAY(
+        SELECT "staff"."username" FROM "user_location"
+        JOIN "user" AS "staff" ON "staff"."id" = "user_location"."user_id"
+        WHERE "user_location"."location_id" = "location"."id" AND "user_location"."internal" = true
+      ) AS "staff"
+    FROM "submission"
+    JOIN "user" ON "user"."id" = "submission"."user_id"
+    JOIN "forms" ON "forms"."id" = "submission"."form_id"
+    LEFT JOIN "location" ON "location"."id" = "forms"."location_id"
+    WHERE "submission"."id" = $1;
+  `;
+  const result = await client.query(queryText, [submissionId]);
+  const values = result.rows[0];
+  if (!values) {
+    return;
+  }
+  const locationId = values.location_id;
+  await notify(client, { event: 'submission_received', locationId, to: values.username, values });
+  await notify(client, { event: 'submission_received_staff', locationId, to: values.staff, values });
+};
+
+// A user moved from one status to another (a row from user_status_history)
+const notifyStageChanged = async (client, move) => {
+  if (!move.from_status_id || !move.to_status_id) {
+    return;
+  }
+  const queryText = `
+    SELECT
+      "user"."username", "user"."first_name", "user"."last_name",
+      "pipeline"."name" AS "pipeline", "location"."id" AS "location_id", "location"."name" AS "location"
+    FROM "user"
+    CROSS JOIN "pipeline"
+    LEFT JOIN "location" ON "location"."id" = "pipeline"."location_id"
+    WHERE "user"."id" = $1 AND "pipeline"."id" = $2;
+  `;
+  const result = await client.query(queryText, [move.user_id, move.pipeline_id]);
+  const values = result.rows[0];
+  if (!values) {
+    return;
+  }
+  await notify(client, {
+    event: 'stage_changed',
+    locationId: values.location_id,
+    to: values.username,
+    values: { ...values, from_status: move.from_status_name, status: move.to_status_name },
+  });
+};
+
+// A donation was recorded. `locationId` picks whose template is used.
+const notifyDonationRecorded = async (client, { donationId, locationId }) => {
+  const queryText = `
+    SELECT
+      "user"."username", "user"."first_name", "user"."last_name", "donation"."amount_cents", "donation"."currency",
+      "donation"."campaign",
+      (SELECT "name" FROM "location" WHERE "id" = $2) AS "location"
+    FROM "donation"
+    JOIN "user" ON "user"."id" = "donation"."user_id"
+    WHERE "donation"."id" = $1;
+  `;
+  const result = await client.query(queryText, [donationId, locationId ?? null]);
+  const values = result.rows[0];
+  if (!values) {
+    return;
+  }
+  await notify(client, {
+    event: 'donation_recorded',
+    locationId,
+    to: values.username,
+    values: { ...values, amount: formatAmount(values.amount_cents, values.currency) },
+  });
+};
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  queueEmail,
+  notify,
+  notifySubmissionReceived,
+  notifyStageChanged,
+  notifyDonationRecorded,
+};
@@ -0,0 +1,194 @@
+/*
+  Pledges: gifts a donor has promised, paid in one or more installments. A
+  pledge has a total amount, the date its first installment is due, how often
+  installments come due (once, monthly, quarterly or yearly) and how many
+  there are. The schedule is worked out from those, so it changes with them.
+
+  Donations are linked to a pledge as payments arrive. Payments count toward
+  the earliest unpaid installments, and an installment whose due date has
+  passed without being paid makes the pledge overdue.
+*/
+
+const PLEDGE_FREQUENCIES = ['once', 'monthly', 'quarterly', 'yearly'];
+const FREQUENCY_MONTHS = { once: 0, monthly: 1, quarterly: 3, yearly: 12 };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// The largest value an INT column holds
+const MAX_AMOUNT_CENTS = 2147483647;
+const MAX_INSTALLMENTS = 120;
+
+// Trims optional text, turning blanks into null
+const optionalText = (value) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  return text || null;
+};
+
+/**
+ * Checks a pledge sent by the client.
+ *
+ * @param {object} body - { amount_cents, currency, frequency, installment_count, first_due_on, campaign,
+ * location_id, memo }. installment_count is ignored (and 1) for pledges paid once.
+ * @returns {object} - { pledge } with the cleaned up values, or { error }.
+ */
+const parsePledge = (body) => {
+  const amountText = String(body.amount_cents ?? '').trim();
+  if (!/^\d+$/.test(amountText) || Number(amountText) === 0) {
+    return { error: 'amount_cents must be a whole number of cents above zero' };
+  }
+  const amountCents = Number(amountText);
+  if (amountCents > MAX_AMOUNT_CENTS) {
+    return { error: 'That amount is too large' };
+  }
+  const currency = (optionalText(body.currency) || 'USD').toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return { error: 'currency must be a three letter code like USD' };
+  }
+  if (!PLEDGE_FREQUENCIES.includes(body.frequency)) {
+    return { error: `frequency must be one of ${PLEDGE_FREQUENCIES.join(', ')}` };
+  }
+  const installmentCount = body.frequency === 'once' ? 1 : Number(body.installment_count);
+  if (!Number.isInteger(installmentCount) || installmentCount < 1 || installmentCount > MAX_INSTALLMENTS) {
+    return { error: `installment_count must be between 1 and ${MAX_INSTALLMENTS}` };
+  }
+  if (installmentCount > amountCents) {
+    return { error: 'Every installment needs at least one cent' };
+  }
+  const firstDueOn = optionalText(body.first_due_on);
+  if (!firstDueOn || !DATE_PATTERN.test(firstDueOn)) {
+    return { error: 'first_due_on must be a date like 2024-06-30' };
+  }
+  if (!/^\d+$/.test(String(body.location_id ?? ''))) {
+    return { error: 'location_id is required' };
+  }
+  const campaign = optionalText(body.campaign);
+  if (campaign?.length > 100) {
+    return { error: 'Campaign names are at most 100 characters' };
+  }
+  return {
+    pledge: {
+      amountCents,
+      currency,
+      frequency: body.frequency,
+      installmentCount,
+      firstDueOn,
+      campaign,
+      locationId: Number(body.location_id),
+      memo: optionalText(body.memo),
+    },
+  };
+};
+
+// 2024-01-31 plus one month is 2024-02-29: days past the end of the month are moved back to its last day
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+};
+
+/**
+ * The installments of a pledge. The amount is split evenly, and the cents
+ * that don't divide go on the first installments.
+ *
+ * @param {object} pledge - A pledge row: { amount_cents, frequency, installment_count, first_due_on }.
+ * @returns {Array<object>} - [{ due_on, amount_cents }], in order.
+ */
+const installmentSchedule = (pledge) => {
+  const count = pledge.installment_count;
+  const base = Math.floor(pledge.amount_cents / count);
+  const remainder = pledge.amount_cents % count;
+  return Array.from({ length: count }, (item, index) => ({
+    due_on: addMonths(pledge.first_due_on, index * FREQUENCY_MONTHS[pledge.frequency]),
+    amount_cents: base + (index < remainder ? 1 : 0),
+  }));
+};
+
+/**
+ * Where a pledge stands, given what has been paid toward it.
+ *
+ * @param {object} pledge - A pledge row with paid_cents, the sum of its linked donations, and cancelled_at.
+ * @param {string} today - Today's date, like 2024-06-30. Installments due today aren't overdue yet.
+ * @returns {object} - { status, balance_cents, overdue_cents, overdue_since, next_due_on, schedule }.
+ * status is open, overdue, fulfilled or cancelled. Each schedule item also has paid_cents.
+ */
+const pledgeStanding = (pledge, today) => {
+  let unapplied = pledge.paid_cents;
+  let overdueCents = 0;
+  let overdueSince = null;
+  let nextDueOn = null;
+  const schedule = installmentSchedule(pledge).map((installment) => {
+    const paidCents = Math.min(unapplied, installment.amount_cents);
+    unapplied -= paidCents;
+    const owing = installment.amount_cents - paidCents;
+    if (owing > 0 && installment.due_on < today) {
+      overdueCents += owing;
+      overdueSince = overdueSince || installment.due_on;
+    }
+    if (owing > 0 && !nextDueOn) {
+      nextDueOn = installment.due_on;
+    }
+    return { ...installment, paid_cents: paidCents };
+  });
+  const balanceCents = Math.max(0, pledge.amount_cents - pledge.paid_cents);
+
+  let status = 'open';
+  if (pledge.cancelled_at) {
+    status = 'cancelled';
+  } else if (balanceCents === 0) {
+    status = 'fulfilled';
+  } else if (overdueCents > 0) {
+    status = 'overdue';
+  }
+  const cancelled = status === 'cancelled';
+  return {
+    status,
+    balance_cents: cancelled ? 0 : balanceCents,
+    overdue_cents: cancelled ? 0 : overdueCents,
+    overdue_since: cancelled ? null : overdueSince,
+    next_due_on: cancelled ? null : nextDueOn,
+    schedule,
+  };
+};
+
+// YYYY-MM-DD in the server's time zone
+const localToday = () => new Date().toLocaleDateString('en-CA');
+
+/**
+ * Pledges with what has been paid toward them and where they stand, newest first.
+ *
+ * @param {object} client - pg client or pool.
+ * @param {object} options - { userId, locationIds }. Leave userId out for every donor's pledges;
+ * locationIds null for every location.
+ * @returns {Promise<Array<object>>} - Pledge rows with donor_name, location_name, paid_cents,
+ * last_paid_on and the fields of pledgeStanding.
+ */
+const fetchPledges = async (client, { userId = null, locationIds = null }) => {
+  const result = await client.query(
+    `SELECT "pledge"."id", "pledge"."user_id", "pledge"."location_id", "pledge"."amount_cents",
+       "pledge"."currency", "pledge"."frequency", "pledge"."installment_count",
+       to_char("pledge"."first_due_on", 'YYYY-MM-DD') AS "first_due_on",
+       "pledge"."campaign", "pledge"."memo", "pledge"."cancelled_at", "pledge"."created_at",
+       "location"."name" AS "location_name",
+       COALESCE(NULLIF(CONCAT_WS(' ', "user"."first_name", "user"."last_name"), ''), "user"."username")
+         AS "donor_name",
+       "user"."username" AS "donor_email", "user"."phone_number" AS "donor_phone",
+       COALESCE("payments"."paid_cents", 0)::int AS "paid_cents",
+       to_char("payments"."last_paid_on", 'YYYY-MM-DD') AS "last_paid_on"
+     FROM "pledge"
+     JOIN "user" ON "user"."id" = "pledge"."user_id"
+     JOIN "location" ON "location"."id" = "pledge"."location_id"
+     LEFT JOIN (
+       SELECT "pledge_id", SUM("amount_cents") AS "paid_cents", MAX("received_on") AS "last_paid_on"
+       FROM "donation" WHERE "pledge_id" IS NOT NULL GROUP BY "pledge_id"
+     ) AS "payments" ON "payments"."pledge_id" = "pledge"."id"
+     WHERE ($1::int IS NULL OR "pledge"."user_id" = $1)
+       AND ($2::int[] IS NULL OR "pledge"."location_id" = ANY($2))
+     ORDER BY "pledge"."first_due_on" DESC, "pledge"."id" DESC;`,
+    [userId, locationIds]
+  );
+  const today = localToday();
+  return result.rows.map((pledge) => ({ ...pledge, ...pledgeStanding(pledge, today) }));
+};
+
+module.exports = { PLEDGE_FREQUENCIES, parsePledge, installmentSchedule, pledgeStanding, fetchPledges };
@@ -0,0 +1,201 @@
+const { formatAmount } = require('./donations');
+
+/*
+  Year-end giving statements for donors: every gift a donor made at a location
+  in a calendar year, with the acknowledgment a nonprofit owes its donors for
+  their taxes. They're printable HTML, so staff can print them or save them as
+  PDF from the browser.
+
+  Issuing a statement saves what it said in donation_receipt, so it can be
+  printed again exactly as issued even if donations change afterwards.
+
+  The organization's legal name and EIN come from RECEIPT_ORGANIZATION and
+  RECEIPT_EIN in .env.
+*/
+
+const METHOD_LABELS = { check: 'Check', cash: 'Cash', card: 'Card', in_kind: 'In-kind' };
+
+const organization = () => ({
+  name: process.env.RECEIPT_ORGANIZATION || 'Royal Family Kids Camp',
+  ein: process.env.RECEIPT_EIN || '',
+});
+
+// The gifts of each donor at a location in a year, oldest first. Pass userIds to only include those donors.
+const fetchGiftsByDonor = async (client, { year, locationId, userIds = null }) => {
+  const result = await client.query(
+    `SELECT "donation"."id", "donation"."user_id", "donation"."amount_cents", "donation"."currency",
+       "donation"."method", "donation"."check_number", "donation"."campaign", "donation"."memo",
+       to_char("donation"."received_on", 'YYYY-MM-DD') AS "received_on",
+       "user"."first_name", "user"."last_name", "user"."username"
+     FROM "donation"
+     JOIN "user" ON "user"."id" = "donation"."user_id"
+     WHERE "donation"."location_id" = $1
+       AND "donation"."received_on" >= make_date($2, 1, 1) AND "donation"."received_on" < make_date($2 + 1, 1, 1)
+       AND ($3::int[] IS NULL OR "donation"."user_id" = ANY($3))
+     ORDER BY "user"."last_name", "user"."first_name", "donation"."user_id",
+       "donation"."received_on", "donation"."id";`,
+    [locationId, year, userIds]
+  );
+  const donors = new Map();
+  for (const row of result.rows) {
+    if (!donors.has(row.user_id)) {
+      donors.set(row.user_id, {
+        user_id: row.user_id,
+        name: [row.first_name, row.last_name].filter(Boolean).join(' ') || row.username,
+        email: row.username,
+        gifts: [],
+      });
+    }
+    donors.get(row.user_id).gifts.push({
+      donation_id: row.id,
+      received_on: row.received_on,
+      amount_cents: row.amount_cents,
+      currency: row.currency,
+      method: row.method,
+      check_number: row.check_number,
+      campaign: row.campaign,
+      memo: row.memo,
+    });
+  }
+  return [...donors.values()];
+};
+
+// Totals of the gifts with a value, by currency, e.g. { USD: 25000 }. In-kind gifts aren't valued.
+const totalsByCurrency = (gifts) => {
+  const totals = {};
+  for (const gift of gifts) {
+    if (gift.method !== 'in_kind') {
+      totals[gift.currency] = (totals[gift.currency] || 0) + gift.amount_cents;
+    }
+  }
+  return totals;
+};
+
+/**
+ * Builds the statement saved with a receipt and printed on it.
+ *
+ * @param {object} donor - One donor from fetchGiftsByDonor.
+ * @param {object} options - { year, location }: location is { id, name }.
+ * @returns {object} - { year, location, organization, donor, gifts, totals }.
+ */
+const buildStatement = (donor, { year, location }) => ({
+  year,
+  location,
+  organization: organization(),
+  donor: { user_id: donor.user_id, name: donor.name, email: donor.email },
+  gifts: donor.gifts,
+  totals: totalsByCurrency(donor.gifts),
+});
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+
+const DATE_FORMAT = { year: 'numeric', month: 'long', day: 'numeric' };
+// Dates like 2024-06-30, which are already local
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', DATE_FORMAT);
+
+const giftRow = (gift) => {
+  const method =
+    gift.method === 'check' && gift.check_number
+      ? `Check #${gift.check_number}`
+      : METHOD_LABELS[gift.method] || 'Not recorded';
+  // Donors value their own in-kind gifts, so the statement only describes them
+  const amount =
+    gift.method === 'in_kind'
+      ? `In-kind: ${gift.memo || 'goods or services'}`
+      : formatAmount(gift.amount_cents, gift.currency);
+  return `
+        <tr>
+          <td>${escapeHtml(formatDate(gift.received_on))}</td>
+          <td>${escapeHtml(method)}</td>
+          <td>${escapeHtml(gift.campaign || 'General fund')}</td>
+          <td class="amount">${escapeHtml(amount)}</td>
+        </tr>`;
+};
+
+const statementHtml = (receipt) => {
+  const { statement } = receipt;
+  const { organization: org, donor, location, year } = statement;
+  const totals = Object.entries(statement.totals)
+    .map(([currency, cents]) => formatAmount(cents, currency))
+    .join(', ');
+  const acknowledgment = [
+    `${org.name} is a tax-exempt organization under section 501(c)(3) of the Internal Revenue Code` +
+      (org.ein ? `, EIN ${org.ein}.` : '.'),
+    'No goods or services were provided in exchange for these contributions.',
+    statement.gifts.some((gift) => gift.method === 'in_kind')
+      ? 'In-kind gifts are described above; their value is for you to determine.'
+      : '',
+    'Please keep this statement for your tax records.',
+  ]
+    .filter(Boolean)
+    .join(' ');
+  const issuedOn = new Date(receipt.issued_at).toLocaleDateString('en-US', DATE_FORMAT);
+  return `
+    <section class="statement">
+      <header>
+        <h1>${escapeHtml(org.name)}</h1>
+        <div>${escapeHtml(location.name)}</div>
+      </header>
+      <h2>${escapeHtml(year)} Giving Statement</h2>
+      <p class="meta">
+        Receipt #${escapeHtml(receipt.id)} · Issued ${escapeHtml(issuedOn)}
+      </p>
+      <p>
+        <strong>${escapeHtml(donor.name)}</strong><br />
+        ${escapeHtml(donor.email)}
+      </p>
+      <p>Thank you for your generous support of ${escapeHtml(org.name)} in ${escapeHtml(year)}. Your gifts were:</p>
+      <table>
+        <thead>
+          <tr><th>Date</th><th>Method</th><th>Designation</th><th class="amount">Amount</th></tr>
+        </thead>
+        <tbody>${statement.gifts.map(giftRow).join('')}
+        </tbody>
+        <tfoot>
+          <tr><td colspan="3">Total</td><td class="amount">${escapeHtml(totals || '—')}</td></tr>
+        </tfoot>
+      </table>
+      <p class="acknowledgment">${escapeHtml(acknowledgment)}</p>
+    </section>`;
+};
+
+/**
+ * Renders receipts as one printable HTML page, one statement to a printed page.
+ *
+ * @param {Array<object>} receipts - donation_receipt rows: { id, issued_at, statement }.
+ * @returns {string} - An HTML document.
+ */
+const renderReceiptsHtml = (receipts) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Giving Statements</title>
+    <style>
+      body { font-family: Georgia, serif; color: #222; margin: 0; }
+      .toolbar { padding: 12px; background: #f3f0f7; text-align: center; }
+      .toolbar button { background: #4b0082; color: #fff; border: 0; padding: 8px 20px; font-size: 1rem; }
+      .statement { max-width: 7in; margin: 0 auto; padding: 0.75in 0.5in; page-break-after: always; }
+      header { border-bottom: 3px solid #4b0082; margin-bottom: 1.5em; }
+      header h1 { color: #4b0082; margin: 0; }
+      h2 { margin-bottom: 0; }
+      .meta { color: #666; margin-top: 0.25em; }
+      table { width: 100%; border-collapse: collapse; margin: 1em 0; }
+      th, td { text-align: left; padding: 6px 4px; border-bottom: 1px solid #ddd; }
+      tfoot td { font-weight: bold; border-top: 2px solid #222; }
+      .amount { text-align: right; }
+      .acknowledgment { font-size: 0.9em; }
+      @media print { .toolbar { display: none; } .statement { padding: 0; } }
+    </style>
+  </head>
+  <body>
+    <div class="toolbar"><button onclick="window.print()">Print</button></div>
+    ${receipts.map(statementHtml).join('\n')}
+  </body>
+</html>
+`;
+
+module.exports = { fetchGiftsByDonor, totalsByCurrency, buildStatement, renderReceiptsHtml };
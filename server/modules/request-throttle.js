@@ -0,0 +1,78 @@
+/*
+  Limits how often an address or an account can ask for something that sends
+  an email, like a password reset link, so the endpoints can't be used to
+  flood someone's inbox.
+
+  Requests are counted in memory, per server process, over a sliding window.
+  Every key of a request is checked (e.g. the IP address and the username),
+  and the request is only counted when none of them is over its limit.
+*/
+
+const MAX_KEYS = 10000;
+
+/**
+ * Creates a throttle allowing `limit` requests per key every `windowMinutes`.
+ *
+ * @param {object} options - { limit, windowMinutes }.
+ * @returns {object} - { take }: `take(keys)` records a request for every key and resolves to
+ * null, or to the Date the blocked key can try again without recording anything.
+ */
+const createThrottle = ({ limit, windowMinutes }) => {
+  const windowMs = windowMinutes * 60 * 1000;
+  // key -> times of its requests in the window, oldest first
+  const requests = new Map();
+
+  const recent = (key, now) => {
+    const times = (requests.get(key) || []).filter((time) => time > now - windowMs);
+    if (times.length > 0) {
+      requests.set(key, times);
+    } else {
+      requests.delete(key);
+    }
+    return times;
+  };
+
+  const take = (keys, now = Date.now()) => {
+    // Forget keys that went quiet, so the map can't grow without end
+    if (requests.size > MAX_KEYS) {
+      [...requests.keys()].forEach((key) => recent(key, now));
+    }
+    const usedKeys = keys.filter(Boolean).map(String);
+    for (const key of usedKeys) {
+      const times = recent(key, now);
+      if (times.length >= limit) {
+        return new Date(times[times.length - limit] + windowMs);
+      }
+    }
+    for (const key of usedKeys) {
+      requests.set(key, [...recent(key, now), now]);
+    }
+    return null;
+  };
+
+  return { take };
+};
+
+// Ask for at most 3 links per account, and 10 per address, every 15 minutes
+const EMAIL_LINK_LIMIT = { limit: 3, windowMinutes: 15 };
+const EMAIL_LINK_IP_LIMIT = { limit: 10, windowMinutes: 15 };
+
+const accountThrottle = createThrottle(EMAIL_LINK_LIMIT);
+const ipThrottle = createThrottle(EMAIL_LINK_IP_LIMIT);
+
+/**
+ * Checks and counts a request for an emailed link.
+ *
+ * @param {object} request - { ip, account }: the address it came from, and the username or user id it's for.
+ * @param {number} [now] - The time of the request, in ms.
+ * @returns {Date|null} - When it can be asked for again, or null when it may go ahead.
+ */
+const takeEmailLinkRequest = ({ ip, account }, now = Date.now()) => {
+  const ipRetryAt = ipThrottle.take([ip], now);
+  if (ipRetryAt) {
+    return ipRetryAt;
+  }
+  return accountThrottle.take([account && String(account).trim().toLowerCase()], now);
+};
+
+module.exports = { createThrottle, takeEmailLinkRequest };
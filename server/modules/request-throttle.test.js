@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { createThrottle, takeEmailLinkRequest } from './request-throttle';
+
+const MINUTE = 60 * 1000;
+
+describe('createThrottle', () => {
+  it('allows the limit, then blocks until the oldest request leaves the window', () => {
+    const throttle = createThrottle({ limit: 2, windowMinutes: 10 });
+    expect(throttle.take(['a'], 0)).toBeNull();
+    expect(throttle.take(['a'], MINUTE)).toBeNull();
+    expect(throttle.take(['a'], 2 * MINUTE)).toEqual(new Date(10 * MINUTE));
+    expect(throttle.take(['a'], 10 * MINUTE + 1)).toBeNull();
+  });
+
+  it('counts each key on its own', () => {
+    const throttle = createThrottle({ limit: 1, windowMinutes: 10 });
+    expect(throttle.take(['a'], 0)).toBeNull();
+    expect(throttle.take(['b'], 0)).toBeNull();
+    expect(throttle.take(['a', 'c'], 0)).not.toBeNull();
+    // Blocked requests aren't counted, so c is still free
+    expect(throttle.take(['c'], 0)).toBeNull();
+  });
+
+  it('ignores missing keys', () => {
+    const throttle = createThrottle({ limit: 1, windowMinutes: 10 });
+    expect(throttle.take([null, undefined, ''], 0)).toBeNull();
+    expect(throttle.take([null], 0)).toBeNull();
+  });
+});
+
+describe('takeEmailLinkRequest', () => {
+  it('limits links per account, whatever the case of the email', () => {
+    const ask = (account, ip) => takeEmailLinkRequest({ ip, account }, 0);
+    expect(ask('jane@example.com', '10.0.0.1')).toBeNull();
+    expect(ask('Jane@Example.com', '10.0.0.2')).toBeNull();
+    expect(ask(' jane@example.com', '10.0.0.3')).toBeNull();
+    expect(ask('jane@example.com', '10.0.0.4')).not.toBeNull();
+  });
+
+  it('limits links per address, across accounts', () => {
+    for (let i = 0; i < 10; i += 1) {
+      expect(takeEmailLinkRequest({ ip: '10.0.1.1', account: `user${i}@example.com` }, 0)).toBeNull();
+    }
+    expect(takeEmailLinkRequest({ ip: '10.0.1.1', account: 'other@example.com' }, 0)).not.toBeNull();
+  });
+});
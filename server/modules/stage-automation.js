@@ -0,0 +1,238 @@
+/*
+  Automations for pipeline statuses. Each pipeline_status_action row says what to do
+  when something happens to an applicant in that status:
+
+    triggers
+      enter           the applicant is moved into the status
+      exit            the applicant is moved out of the status (or off the pipeline)
+      form_submitted  the applicant finishes a form while in the status.
+                      config.form_id limits it to one form
+
+    actions
+      advance         move the applicant to the next status. Stage requirements still apply;
+                      when they aren't met the applicant stays where they are
+      send_email      queue an email in email_queue. config: { to, subject, body } where `to` is
+                      "applicant", "owner" or an email address
+      assign_owner    make config.owner_id the staff owner of the applicant on this pipeline
+      create_task     add a follow_up_task. config: { title, due_in_days, assign_to } where
+                      `assign_to` is "owner" or a user id
+
+  Email subjects and bodies, and task titles, can use {{first_name}}, {{last_name}},
+  {{status}} and {{pipeline}}.
+
+  Choosing which rules run (matchingRules) and checking rules sent by the client (parseRule)
+  don't touch the database. The handlers take a pg client and run inside the caller's
+  transaction. Emails are queued with notifications.js.
+*/
+
+const { renderTemplate, queueEmail } = require('./notifications');
+
+const TRIGGERS = ['enter', 'exit', 'form_submitted'];
+
+const ACTIONS = {
+  advance: 'Move to the next stage',
+  send_email: 'Send an email',
+  assign_owner: 'Assign a staff owner',
+  create_task: 'Create a follow-up task',
+};
+
+// Automations can move applicants, which can run more automations. Stop chains that loop.
+const MAX_DEPTH = 5;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// The rules that should run for an event like { trigger, statusId, formId }
+const matchingRules = (rules, event) =>
+  rules.filter(
+    (rule) =>
+      rule.trigger === event.trigger &&
+      String(rule.pipeline_status_id) === String(event.statusId) &&
+      (rule.trigger !== 'form_submitted' ||
+        !rule.config?.form_id ||
+        String(rule.config.form_id) === String(event.formId))
+  );
+
+// Checks a rule sent by the client, returning { trigger, action, config } or { error }
+const parseRule = (body) => {
+  const { trigger, action } = body;
+  const config = body.config || {};
+  if (!TRIGGERS.includes(trigger)) {
+    return { error: `trigger must be one of ${TRIGGERS.join(', ')}` };
+  }
+  if (!ACTIONS[action]) {
+    return { error: `action must be one of ${Object.keys(ACTIONS).join(', ')}` };
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    return { error: 'config must be an object' };
+  }
+  if (action === 'advance' && trigger !== 'form_submitted') {
+    return { error: 'advance only runs when a form is submitted' };
+  }
+  if (config.form_id !== undefined && !Number.isInteger(config.form_id)) {
+    return { error: 'config.form_id must be a form id' };
+  }
+  if (action === 'send_email') {
+    if (!['applicant', 'owner'].includes(config.to) && !EMAIL_PATTERN.test(config.to || '')) {
+      return { error: 'config.to must be "applicant", "owner" or an email address' };
+    }
+    if (!config.subject?.trim() || !config.body?.trim()) {
+      return { error: 'Emails need a subject and a body' };
+    }
+  }
+  if (action === 'assign_owner' && !Number.isInteger(config.owner_id)) {
+    return { error: 'config.owner_id must be a user id' };
+  }
+  if (action === 'create_task') {
+    if (!config.title?.trim()) {
+      return { error: 'Tasks need a title' };
+    }
+    if (config.due_in_days !== undefined && !(Number.isInteger(config.due_in_days) && config.due_in_days >= 0)) {
+      return { error: 'config.due_in_days must be a whole number of days' };
+    }
+    if (config.assign_to !== undefined && config.assign_to !== 'owner' && !Number.isInteger(config.assign_to)) {
+      return { error: 'config.assign_to must be "owner" or a user id' };
+    }
+  }
+  return { trigger, action, config };
+};
+
+// Who and where the event is about, for templates and handlers
+const loadContext = async (client, { userId, statusId }) => {
+  const queryText = `
+    SELECT
+      "user"."id" AS "user_id", "user"."first_name", "user"."last_name", "user"."username",
+      "pipeline_status"."id" AS "status_id", "pipeline_status"."name" AS "status", "pipeline_status"."order",
+      "pipeline"."id" AS "pipeline_id", "pipeline"."name" AS "pipeline",
+      "owner"."id" AS "owner_id", "owner"."username" AS "owner_username"
+    FROM "user"
+    CROSS JOIN "pipeline_status"
+    JOIN "pipeline" ON "pipeline"."id" = "pipeline_status"."pipeline_id"
+    LEFT JOIN "user_status" ON "user_status"."user_id" = "user"."id"
+      AND "user_status"."pipeline_status_id" IN (
+        SELECT "id" FROM "pipeline_status" WHERE "pipeline_id" = "pipeline"."id"
+      )
+    LEFT JOIN "user" AS "owner" ON "owner"."id" = "user_status"."owner_id"
+    WHERE "user"."id" = $1 AND "pipeline_status"."id" = $2;
+  `;
+  const result = await client.query(queryText, [userId, statusId]);
+  return result.rows[0];
+};
+
+const HANDLERS = {
+  advance: async (client, rule, context, event) => {
+    const nextResult = await client.query(
+      `SELECT "id" FROM "pipeline_status" WHERE "pipeline_id" = $1 AND "order" > $2 ORDER BY "order" LIMIT 1;`,
+      [context.pipeline_id, context.order]
+    );
+    if (!nextResult.rows[0]) {
+      return;
+    }
+    // required here rather than at the top because stage-move requires this module
+    const { moveUser } = require('./stage-move');
+    try {
+      await moveUser(client, {
+        userId: context.user_id,
+        toStatusId: nextResult.rows[0].id,
+        actorId: null,
+        note: 'Moved automatically after a form was submitted',
+        automationDepth: event.depth + 1,
+      });
+    } catch (err) {
+      if (err.code !== 'REQUIREMENTS_NOT_MET') {
+        throw err;
+      }
+      console.log(`Automation ${rule.id} did not advance user ${context.user_id}: stage requirements not met`);
+    }
+  },
+
+  send_email: async (client, rule, context) => {
+    const to =
+      rule.config.to === 'applicant'
+        ? context.username
+        : rule.config.to === 'owner'
+          ? context.owner_username
+          : rule.config.to;
+    if (!to) {
+      return;
+    }
+    await queueEmail(client, {
+      to,
+      subject: renderTemplate(rule.config.subject, context),
+      body: renderTemplate(rule.config.body, context),
+    });
+  },
+
+  assign_owner: async (client, rule, context) => {
+    const queryText = `
+      UPDATE "user_status" SET "owner_id" = $1
+      WHERE "user_id" = $2
+        AND "pipeline_status_id" IN (SELECT "id" FROM "pipeline_status" WHERE "pipeline_id" = $3);
+    `;
+    await client.query(queryText, [rule.config.owner_id, context.user_id, context.pipeline_id]);
+  },
+
+  create_task: async (client, rule, context) => {
+    const assignedTo = rule.config.assign_to === 'owner' ? context.owner_id : rule.config.assign_to;
+    const queryText = `
+      INSERT INTO "follow_up_task"
+        ("user_id", "pipeline_id", "pipeline_status_id", "assigned_to", "title", "due_at", "action_id")
+      VALUES (
+        $1, $2, $3, $4, $5,
+        CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END,
+        $7
+      );
+    `;
+    await client.query(queryText, [
+      context.user_id,
+      context.pipeline_id,
+      context.status_id,
+      assignedTo ?? null,
+      renderTemplate(rule.config.title, context),
+      rule.config.due_in_days ?? null,
+      rule.id,
+    ]);
+  },
+};
+
+/**
+ * Runs the automations of a status for an event.
+ *
+ * @param {object} client - pg client, inside the caller's transaction.
+ * @param {object} event - { trigger, userId, statusId, formId?, depth? }
+ */
+const runStageActions = async (client, event) => {
+  const depth = event.depth ?? 0;
+  if (depth >= MAX_DEPTH) {
+    console.log(`Stopped automations for user ${event.userId}: too many automatic moves in a row`);
+    return;
+  }
+  const rulesResult = await client.query(
+    `SELECT * FROM "pipeline_status_action" WHERE "pipeline_status_id" = $1 AND "trigger" = $2 ORDER BY "id";`,
+    [event.statusId, event.trigger]
+  );
+  const rules = matchingRules(rulesResult.rows, event);
+  if (rules.length === 0) {
+    return;
+  }
+  const context = await loadContext(client, event);
+  for (const rule of rules) {
+    await HANDLERS[rule.action]?.(client, rule, context, { ...event, depth });
+  }
+};
+
+// Runs the form_submitted automations of every status the user is in
+const runSubmissionActions = async (client, { userId, formId }) => {
+  const result = await client.query(`SELECT "pipeline_status_id" FROM "user_status" WHERE "user_id" = $1;`, [userId]);
+  for (const row of result.rows) {
+    await runStageActions(client, { trigger: 'form_submitted', userId, statusId: row.pipeline_status_id, formId });
+  }
+};
+
+module.exports = {
+  TRIGGERS,
+  ACTIONS,
+  matchingRules,
+  parseRule,
+  runStageActions,
+  runSubmissionActions,
+};
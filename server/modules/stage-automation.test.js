@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import { matchingRules, parseRule } from './stage-automation';
+
+describe('parseRule', () => {
+  it('accepts each kind of rule', () => {
+    const rules = [
+      { trigger: 'form_submitted', action: 'advance', config: { form_id: 3 } },
+      { trigger: 'enter', action: 'send_email', config: { to: 'applicant', subject: 'Hi', body: 'Welcome' } },
+      { trigger: 'exit', action: 'send_email', config: { to: 'staff@example.com', subject: 'Left', body: 'Gone' } },
+      { trigger: 'enter', action: 'assign_owner', config: { owner_id: 7 } },
+      { trigger: 'enter', action: 'create_task', config: { title: 'Call them', due_in_days: 0, assign_to: 'owner' } },
+    ];
+    for (const rule of rules) {
+      expect(parseRule(rule)).toEqual(rule);
+    }
+  });
+
+  it('defaults config to an empty object', () => {
+    expect(parseRule({ trigger: 'form_submitted', action: 'advance' })).toEqual({
+      trigger: 'form_submitted',
+      action: 'advance',
+      config: {},
+    });
+  });
+
+  it('rejects unknown triggers and actions', () => {
+    expect(parseRule({ trigger: 'leave', action: 'advance' }).error).toMatch(/^trigger must be one of/);
+    expect(parseRule({ trigger: 'enter', action: 'delete_user' }).error).toMatch(/^action must be one of/);
+  });
+
+  it('rejects a config that is not an object', () => {
+    expect(parseRule({ trigger: 'enter', action: 'assign_owner', config: [7] }).error).toBe('config must be an object');
+  });
+
+  it('only advances when a form is submitted', () => {
+    expect(parseRule({ trigger: 'enter', action: 'advance' }).error).toBe('advance only runs when a form is submitted');
+  });
+
+  it('checks the form id', () => {
+    expect(parseRule({ trigger: 'form_submitted', action: 'advance', config: { form_id: '3' } }).error).toBe(
+      'config.form_id must be a form id'
+    );
+  });
+
+  it('checks emails', () => {
+    const email = (config) => parseRule({ trigger: 'enter', action: 'send_email', config }).error;
+    expect(email({ to: 'nobody', subject: 'Hi', body: 'Welcome' })).toMatch(/^config.to must be/);
+    expect(email({ to: 'owner', subject: ' ', body: 'Welcome' })).toBe('Emails need a subject and a body');
+    expect(email({ to: 'owner', subject: 'Hi' })).toBe('Emails need a subject and a body');
+  });
+
+  it('checks owners and tasks', () => {
+    expect(parseRule({ trigger: 'enter', action: 'assign_owner', config: { owner_id: 'me' } }).error).toBe(
+      'config.owner_id must be a user id'
+    );
+    const task = (config) => parseRule({ trigger: 'enter', action: 'create_task', config }).error;
+    expect(task({ title: '' })).toBe('Tasks need a title');
+    expect(task({ title: 'Call', due_in_days: -1 })).toBe('config.due_in_days must be a whole number of days');
+    expect(task({ title: 'Call', due_in_days: 1.5 })).toBe('config.due_in_days must be a whole number of days');
+    expect(task({ title: 'Call', assign_to: 'applicant' })).toBe('config.assign_to must be "owner" or a user id');
+  });
+});
+
+describe('matchingRules', () => {
+  const rules = [
+    { id: 1, trigger: 'enter', pipeline_status_id: 10, config: {} },
+    { id: 2, trigger: 'exit', pipeline_status_id: 10, config: {} },
+    { id: 3, trigger: 'enter', pipeline_status_id: 11, config: {} },
+    { id: 4, trigger: 'form_submitted', pipeline_status_id: 10, config: {} },
+    { id: 5, trigger: 'form_submitted', pipeline_status_id: 10, config: { form_id: 2 } },
+    { id: 6, trigger: 'form_submitted', pipeline_status_id: 10, config: null },
+  ];
+  const matchingIds = (event) => matchingRules(rules, event).map((rule) => rule.id);
+
+  it('matches the trigger and the status', () => {
+    expect(matchingIds({ trigger: 'enter', statusId: 10 })).toEqual([1]);
+    expect(matchingIds({ trigger: 'exit', statusId: 10 })).toEqual([2]);
+    expect(matchingIds({ trigger: 'enter', statusId: 11 })).toEqual([3]);
+  });
+
+  it('compares status ids whether they are numbers or text', () => {
+    expect(matchingIds({ trigger: 'enter', statusId: '10' })).toEqual([1]);
+  });
+
+  it('runs form_submitted rules for any form, or the one in config.form_id', () => {
+    expect(matchingIds({ trigger: 'form_submitted', statusId: 10, formId: 2 })).toEqual([4, 5, 6]);
+    expect(matchingIds({ trigger: 'form_submitted', statusId: 10, formId: '2' })).toEqual([4, 5, 6]);
+    expect(matchingIds({ trigger: 'form_submitted', statusId: 10, formId: 3 })).toEqual([4, 6]);
+  });
+
+  it('matches nothing for other statuses or triggers', () => {
+    expect(matchingIds({ trigger: 'exit', statusId: 11 })).toEqual([]);
+    expect(matchingIds({ trigger: 'form_submitted', statusId: 12, formId: 2 })).toEqual([]);
+    expect(matchingIds({ trigger: 'moved', statusId: 10 })).toEqual([]);
+    expect(matchingRules([], { trigger: 'enter', statusId: 10 })).toEqual([]);
+  });
+});
@@ -0,0 +1,167 @@
+/*
+  Moving users between the statuses (stages) of a pipeline.
+
+  A user is in at most one status per pipeline. Every change is written to
+  user_status_history along with who made it, so we can tell when someone
+  entered each stage and how long they have been waiting in it.
+
+  These take a pg client and should be run inside the caller's transaction.
+  Each resolves to the history row it wrote, or null when nothing changed.
+
+  moveUser enforces the entry requirements of the new status (see stage-requirements.js).
+  When some aren't met it throws an error with code REQUIREMENTS_NOT_MET and the
+  unmet requirements in `unmet`, unless `override` is set.
+
+  After a move, the exit automations of the old status and the enter automations
+  of the new one run (see stage-automation.js). moveUser also emails the user
+  that their stage changed (see notifications.js).
+*/
+
+const { unmetRequirements } = require('./stage-requirements');
+const { runStageActions } = require('./stage-automation');
+const { notifyStageChanged } = require('./notifications');
+
+// The pipeline a status belongs to and, if the user is already in that pipeline, their current status
+const findStatuses = async (client, userId, statusId) => {
+  const queryText = `
+    SELECT
+      "to_status"."pipeline_id",
+      "to_status"."name" AS "to_status_name",
+      "current_status"."id" AS "from_status_id",
+      "current_status"."name" AS "from_status_name"
+    FROM "pipeline_status" AS "to_status"
+    LEFT JOIN "user_status" ON "user_status"."user_id" = $1
+      AND "user_status"."pipeline_status_id" IN (
+        SELECT "id" FROM "pipeline_status" WHERE "pipeline_id" = "to_status"."pipeline_id"
+      )
+    LEFT JOIN "pipeline_status" AS "current_status" ON "current_status"."id" = "user_status"."pipeline_status_id"
+    WHERE "to_status"."id" = $2
+    FOR UPDATE OF "to_status";
+  `;
+  const result = await client.query(queryText, [userId, statusId]);
+  return result.rows[0] || null;
+};
+
+const recordMove = async (client, move) => {
+  const queryText = `
+    INSERT INTO "user_status_history"
+      ("user_id", "pipeline_id", "from_status_id", "from_status_name",
+       "to_status_id", "to_status_name", "actor_id", "note", "override")
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *;
+  `;
+  const result = await client.query(queryText, [
+    move.userId,
+    move.pipelineId,
+    move.fromStatusId ?? null,
+    move.fromStatusName ?? null,
+    move.toStatusId ?? null,
+    move.toStatusName ?? null,
+    move.actorId ?? null,
+    move.note?.trim() || null,
+    Boolean(move.override),
+  ]);
+  return result.rows[0];
+};
+
+const placeUser = async (client, userId, statusId, ownerId = null) => {
+  await client.query(
+    `INSERT INTO "user_status" ("user_id", "pipeline_status_id", "entered_at", "owner_id") VALUES ($1, $2, NOW(), $3);`,
+    [userId, statusId, ownerId]
+  );
+};
+
+// Runs the exit automations of the status the user left and the enter automations of the one they moved to
+const runMoveActions = async (client, move, depth = 0) => {
+  if (move.from_status_id) {
+    await runStageActions(client, { trigger: 'exit', userId: move.user_id, statusId: move.from_status_id, depth });
+  }
+  if (move.to_status_id) {
+    await runStageActions(client, { trigger: 'enter', userId: move.user_id, statusId: move.to_status_id, depth });
+  }
+};
+
+// Moves a user to `toStatusId`, taking them out of any other status in the same pipeline.
+// Resolves to undefined when the status doesn't exist.
+const moveUser = async (client, { userId, toStatusId, actorId, note, override = false, automationDepth = 0 }) => {
+  const statuses = await findStatuses(client, userId, toStatusId);
+  if (!statuses) {
+    return undefined;
+  }
+  if (String(statuses.from_status_id) === String(toStatusId)) {
+    return null;
+  }
+  const unmet = await unmetRequirements(client, { userId, toStatusId, note });
+  if (unmet.length > 0 && !override) {
+    throw Object.assign(new Error('Stage requirements not met'), { code: 'REQUIREMENTS_NOT_MET', unmet });
+  }
+  const deleteQuery = `
+    DELETE FROM "user_status"
+    WHERE "user_id" = $1
+      AND "pipeline_status_id" IN (SELECT "id" FROM "pipeline_status" WHERE "pipeline_id" = $2)
+    RETURNING "owner_id";
+  `;
+  const deleted = await client.query(deleteQuery, [userId, statuses.pipeline_id]);
+  await placeUser(client, userId, toStatusId, deleted.rows.find((row) => row.owner_id)?.owner_id);
+  const move = await recordMove(client, {
+    userId,
+    pipelineId: statuses.pipeline_id,
+    fromStatusId: statuses.from_status_id,
+    fromStatusName: statuses.from_status_name,
+    toStatusId,
+    toStatusName: statuses.to_status_name,
+    actorId,
+    note,
+    override: unmet.length > 0,
+  });
+  await notifyStageChanged(client, move);
+  await runMoveActions(client, move, automationDepth);
+  return move;
+};
+
+// Puts a user in `statusId` unless they are already somewhere in that pipeline
+const enterPipeline = async (client, { userId, statusId, actorId, note }) => {
+  const statuses = await findStatuses(client, userId, statusId);
+  if (!statuses || statuses.from_status_id) {
+    return null;
+  }
+  await placeUser(client, userId, statusId);
+  const move = await recordMove(client, {
+    userId,
+    pipelineId: statuses.pipeline_id,
+    toStatusId: statusId,
+    toStatusName: statuses.to_status_name,
+    actorId,
+    note,
+  });
+  await runMoveActions(client, move);
+  return move;
+};
+
+// Takes a user out of `statusId`, and so out of its pipeline
+const removeUser = async (client, { userId, statusId, actorId, note }) => {
+  const queryText = `
+    DELETE FROM "user_status"
+    USING "pipeline_status"
+    WHERE "user_status"."user_id" = $1
+      AND "user_status"."pipeline_status_id" = $2
+      AND "pipeline_status"."id" = "user_status"."pipeline_status_id"
+    RETURNING "pipeline_status"."pipeline_id", "pipeline_status"."name";
+  `;
+  const result = await client.query(queryText, [userId, statusId]);
+  if (!result.rows[0]) {
+    return null;
+  }
+  const move = await recordMove(client, {
+    userId,
+    pipelineId: result.rows[0].pipeline_id,
+    fromStatusId: statusId,
+    fromStatusName: result.rows[0].name,
+    actorId,
+    note,
+  });
+  await runMoveActions(client, move);
+  return move;
+};
+
+module.exports = { moveUser, enterPipeline, removeUser };
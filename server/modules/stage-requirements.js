@@ -0,0 +1,114 @@
+/*
+  Entry requirements for pipeline statuses. Before a user is moved into a status,
+  every requirement on it must be met unless staff explicitly override them.
+
+    previous_stage     the user is coming from the stage right before (or further along),
+                       so nobody skips straight to the end
+    file_uploaded      the user has uploaded a file on one of their submissions.
+                       config.question_id limits it to one question, e.g. a background check upload
+    note_present       the move has a note, or a note was recorded earlier on this pipeline,
+                       e.g. interview notes
+    donation_recorded  the user has at least one donation
+
+  The client lists the same types in src/components/StageRequirements/requirementTypes.js.
+  Keep the two in sync.
+*/
+
+const REQUIREMENT_TYPES = {
+  previous_stage: 'Comes from the stage before',
+  file_uploaded: 'Document uploaded',
+  note_present: 'Note recorded',
+  donation_recorded: 'Donation recorded',
+};
+
+// Each check resolves to true when the requirement is met
+const CHECKS = {
+  previous_stage: async (client, { userId, status }) => {
+    const queryText = `
+      SELECT
+        NOT EXISTS (
+          SELECT 1 FROM "pipeline_status" WHERE "pipeline_id" = $1 AND "order" < $2
+        )
+        OR EXISTS (
+          SELECT 1 FROM "user_status"
+          JOIN "pipeline_status" ON "pipeline_status"."id" = "user_status"."pipeline_status_id"
+          WHERE "user_status"."user_id" = $3
+            AND "pipeline_status"."pipeline_id" = $1
+            AND "pipeline_status"."order" >= (
+              SELECT MAX("order") FROM "pipeline_status" WHERE "pipeline_id" = $1 AND "order" < $2
+            )
+        ) AS "met";
+    `;
+    const result = await client.query(queryText, [status.pipeline_id, status.order, userId]);
+    return result.rows[0].met;
+  },
+
+  file_uploaded: async (client, { userId, requirement }) => {
+    const queryText = `
+      SELECT EXISTS (
+        SELECT 1 FROM "answer_file"
+        JOIN "answer" ON "answer"."id" = "answer_file"."answer_id"
+        JOIN "submission" ON "submission"."id" = "answer"."submission_id"
+        WHERE "submission"."user_id" = $1
+          AND ($2::int IS NULL OR "answer"."question_id" = $2)
+      ) AS "met";
+    `;
+    const result = await client.query(queryText, [userId, requirement.config?.question_id ?? null]);
+    return result.rows[0].met;
+  },
+
+  note_present: async (client, { userId, status, note }) => {
+    if (note?.trim()) {
+      return true;
+    }
+    const queryText = `
+      SELECT EXISTS (
+        SELECT 1 FROM "user_status_history"
+        WHERE "user_id" = $1 AND "pipeline_id" = $2 AND "note" IS NOT NULL
+      ) AS "met";
+    `;
+    const result = await client.query(queryText, [userId, status.pipeline_id]);
+    return result.rows[0].met;
+  },
+
+  donation_recorded: async (client, { userId }) => {
+    const result = await client.query(`SELECT EXISTS (SELECT 1 FROM "donation" WHERE "user_id" = $1) AS "met";`, [
+      userId,
+    ]);
+    return result.rows[0].met;
+  },
+};
+
+const describeRequirement = (requirement) => requirement.description || REQUIREMENT_TYPES[requirement.type];
+
+/**
+ * Finds the requirements of a status that a user doesn't meet yet.
+ *
+ * @param {object} client - pg client or pool.
+ * @param {object} move - { userId, toStatusId, note }. `note` is the note sent with the move.
+ * @returns {Promise<object[]>} - Unmet requirements as [{ id, type, description }], empty when the move is allowed.
+ */
+const unmetRequirements = async (client, { userId, toStatusId, note }) => {
+  const statusResult = await client.query(
+    `SELECT "id", "pipeline_id", "order" FROM "pipeline_status" WHERE "id" = $1;`,
+    [toStatusId]
+  );
+  const status = statusResult.rows[0];
+  if (!status) {
+    return [];
+  }
+  const requirementsResult = await client.query(
+    `SELECT * FROM "pipeline_status_requirement" WHERE "pipeline_status_id" = $1 ORDER BY "id";`,
+    [toStatusId]
+  );
+  const unmet = [];
+  for (const requirement of requirementsResult.rows) {
+    const check = CHECKS[requirement.type];
+    if (check && !(await check(client, { userId, status, requirement, note }))) {
+      unmet.push({ id: requirement.id, type: requirement.type, description: describeRequirement(requirement) });
+    }
+  }
+  return unmet;
+};
+
+module.exports = { REQUIREMENT_TYPES, describeRequirement, unmetRequirements };
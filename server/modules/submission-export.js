@@ -0,0 +1,260 @@
+const ExcelJS = require('exceljs');
+const { fetchDraftForm, fetchPublishedForm } = require('./form-revision');
+
+/*
+  Exports the finished submissions of a form as a spreadsheet, one row per
+  applicant, so staff can read every answer without opening each submission.
+
+  An applicant who finished the form more than once is exported with their
+  latest submission. Each question gets a column, in section order then
+  question order of the latest version of the form. Questions that were only
+  on older published revisions come after those, so their answers aren't
+  lost. Every answer is exported as text the same way, whatever the question type:
+    * multiple choice - the chosen options as the applicant saw them, in the
+                        question's order, joined with "; "
+    * file            - the names of the uploaded files, joined with "; "
+    * everything else - the answer as stored (see answer-types.js)
+
+  Filters:
+    from, to            YYYY-MM-DD, both included, on when the submission was finished
+    location_id         applicants who belong to that location
+    pipeline_status_id  applicants currently in that stage of the form's pipeline
+*/
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ID_PATTERN = /^\d+$/;
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const ANSWER_SEPARATOR = '; ';
+
+// Answers to these are numbers, so they can be added up in Excel
+const NUMERIC_ANSWER_TYPES = ['number', 'rating'];
+
+const APPLICANT_COLUMNS = [
+  { key: 'submission_id', label: 'Submission' },
+  { key: 'first_name', label: 'First name' },
+  { key: 'last_name', label: 'Last name' },
+  { key: 'username', label: 'Email' },
+  { key: 'phone_number', label: 'Phone' },
+  { key: 'stage', label: 'Stage' },
+  { key: 'started_at', label: 'Started' },
+  { key: 'finished_at', label: 'Submitted' },
+  { key: 'revision', label: 'Form version' },
+];
+
+/**
+ * Checks the export's query string.
+ *
+ * @param {object} query - req.query, with format, from, to, location_id and pipeline_status_id.
+ * @returns {{ filters?: object, error?: string }} - The format and filters (null when left out), or an error message.
+ */
+const parseExportFilters = (query) => {
+  const format = query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of ${EXPORT_FORMATS.join(', ')}` };
+  }
+  if ((query.from && !DATE_PATTERN.test(query.from)) || (query.to && !DATE_PATTERN.test(query.to))) {
+    return { error: 'from and to must be dates like 2024-06-30' };
+  }
+  if (query.from && query.to && query.from > query.to) {
+    return { error: 'from must be on or before to' };
+  }
+  for (const key of ['location_id', 'pipeline_status_id']) {
+    if (query[key] && !ID_PATTERN.test(query[key])) {
+      return { error: `${key} must be an id` };
+    }
+  }
+  return {
+    filters: {
+      format,
+      from: query.from || null,
+      to: query.to || null,
+      locationId: query.location_id ? Number(query.location_id) : null,
+      pipelineStatusId: query.pipeline_status_id ? Number(query.pipeline_status_id) : null,
+    },
+  };
+};
+
+/**
+ * Gets the stages of a form's pipeline, which the export can be filtered by.
+ *
+ * @param {object} db - The pool or a pooled client.
+ * @param {number} formId - The form.
+ * @returns {Promise<object[]>} - [{ id, name, order }], in pipeline order.
+ */
+const fetchFormStages = async (db, formId) => {
+  const { rows } = await db.query(
+    `SELECT "pipeline_status"."id", "pipeline_status"."name", "pipeline_status"."order"
+     FROM "forms"
+     JOIN "pipeline_status" ON "pipeline_status"."pipeline_id" = "forms"."default_pipeline_id"
+     WHERE "forms"."id" = $1
+     ORDER BY "pipeline_status"."order", "pipeline_status"."id";`,
+    [formId]
+  );
+  return rows;
+};
+
+// The latest finished submission of each applicant that passes the filters, with their
+// current stage in the form's pipeline
+const fetchSubmissions = async (db, formId, filters) => {
+  const { rows } = await db.query(
+    `SELECT DISTINCT ON ("submission"."user_id")
+       "submission"."id" AS "submission_id", "submission"."user_id", "submission"."form_revision_id",
+       "submission"."started_at", "submission"."finished_at", "form_revision"."revision",
+       "user"."first_name", "user"."last_name", "user"."username", "user"."phone_number",
+       "stage"."id" AS "pipeline_status_id", "stage"."name" AS "stage"
+     FROM "submission"
+     JOIN "forms" ON "forms"."id" = "submission"."form_id"
+     JOIN "user" ON "user"."id" = "submission"."user_id"
+     LEFT JOIN "form_revision" ON "form_revision"."id" = "submission"."form_revision_id"
+     LEFT JOIN LATERAL (
+       SELECT "pipeline_status"."id", "pipeline_status"."name"
+       FROM "user_status"
+       JOIN "pipeline_status" ON "pipeline_status"."id" = "user_status"."pipeline_status_id"
+       WHERE "user_status"."user_id" = "submission"."user_id"
+         AND "pipeline_status"."pipeline_id" = "forms"."default_pipeline_id"
+       LIMIT 1
+     ) AS "stage" ON true
+     WHERE "submission"."form_id" = $1
+       AND "submission"."finished_at" IS NOT NULL
+       AND ($2::date IS NULL OR "submission"."finished_at" >= $2::date)
+       AND ($3::date IS NULL OR "submission"."finished_at" < $3::date + 1)
+       AND ($4::int IS NULL OR EXISTS (
+         SELECT 1 FROM "user_location"
+         WHERE "user_location"."user_id" = "submission"."user_id" AND "user_location"."location_id" = $4
+       ))
+     ORDER BY "submission"."user_id", "submission"."finished_at" DESC, "submission"."id" DESC;`,
+    [formId, filters.from, filters.to, filters.locationId]
+  );
+  return rows
+    .filter((row) => !filters.pipelineStatusId || row.pipeline_status_id === filters.pipelineStatusId)
+    .sort((a, b) => a.finished_at - b.finished_at || a.submission_id - b.submission_id);
+};
+
+// Every answer of the submissions as text, keyed by submission id then question id
+const fetchAnswerText = async (db, submissionIds) => {
+  const { rows } = await db.query(
+    `SELECT "answer"."submission_id", "answer"."question_id",
+       COALESCE(
+         (SELECT string_agg("answer_selection"."answer_text", $2
+            ORDER BY "answer_selection"."multiple_choice_answer_id")
+          FROM "answer_selection" WHERE "answer_selection"."answer_id" = "answer"."id"),
+         (SELECT string_agg("answer_file"."original_name", $2 ORDER BY "answer_file"."id")
+          FROM "answer_file" WHERE "answer_file"."answer_id" = "answer"."id"),
+         "answer"."answer"
+       ) AS "text"
+     FROM "answer"
+     WHERE "answer"."submission_id" = ANY($1);`,
+    [submissionIds, ANSWER_SEPARATOR]
+  );
+  const answers = new Map();
+  for (const row of rows) {
+    if (!answers.has(row.submission_id)) {
+      answers.set(row.submission_id, new Map());
+    }
+    answers.get(row.submission_id).set(row.question_id, row.text);
+  }
+  return answers;
+};
+
+const byOrder = (a, b) => a.order - b.order || a.id - b.id;
+
+// The questions of a form tree in section order, then question order
+const orderedQuestions = (form) =>
+  [...(form?.sections || [])].sort(byOrder).flatMap((section) => [...(section.questions || [])].sort(byOrder));
+
+/**
+ * Works out the question columns: those of the latest version of the form first, then any
+ * that were only on the older revisions the submissions were pinned to.
+ *
+ * @param {number} formId - The form.
+ * @param {object[]} submissions - Rows with `form_revision_id`.
+ * @returns {Promise<object[]>} - [{ key, label, answer_type, question_id }], in column order.
+ */
+const questionColumns = async (formId, submissions) => {
+  const latest = (await fetchPublishedForm(formId)) || (await fetchDraftForm(formId));
+  const revisionIds = [...new Set(submissions.map((row) => row.form_revision_id).filter(Boolean))].sort(
+    (a, b) => b - a
+  );
+  const older = await Promise.all(revisionIds.map((revisionId) => fetchPublishedForm(formId, revisionId)));
+
+  const columns = new Map();
+  for (const form of [latest, ...older]) {
+    for (const question of orderedQuestions(form)) {
+      if (!columns.has(question.id)) {
+        columns.set(question.id, {
+          key: `question_${question.id}`,
+          label: question.question,
+          answer_type: question.answer_type,
+          question_id: question.id,
+        });
+      }
+    }
+  }
+  return [...columns.values()];
+};
+
+/**
+ * Flattens the form's finished submissions into spreadsheet rows.
+ *
+ * @param {object} db - The pool or a pooled client.
+ * @param {number} formId - The form to export.
+ * @param {object} filters - From parseExportFilters.
+ * @returns {Promise<{ columns: object[], rows: object[] }>} - Columns like toCsv takes, and one row per applicant.
+ */
+const buildSubmissionExport = async (db, formId, filters) => {
+  const submissions = await fetchSubmissions(db, formId, filters);
+  const questions = await questionColumns(formId, submissions);
+  const answers = await fetchAnswerText(
+    db,
+    submissions.map((row) => row.submission_id)
+  );
+
+  const rows = submissions.map((submission) => {
+    const row = { ...submission };
+    const answered = answers.get(submission.submission_id) || new Map();
+    for (const column of questions) {
+      row[column.key] = answered.get(column.question_id) ?? null;
+    }
+    return row;
+  });
+  return { columns: [...APPLICANT_COLUMNS, ...questions], rows };
+};
+
+// Turns an answer into a number for Excel when it is one
+const excelValue = (column, value) => {
+  if (NUMERIC_ANSWER_TYPES.includes(column.answer_type) && value !== null && value !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+  }
+  return value;
+};
+
+/**
+ * Builds an Excel workbook with a header row, in the same shape as toCsv.
+ *
+ * @param {string} sheetName - The worksheet's name, e.g. the form's name.
+ * @param {Array<object>} columns - [{ key, label }], in order.
+ * @param {Array<object>} rows - The rows.
+ * @returns {Promise<Buffer>} - The .xlsx file.
+ */
+const toXlsx = async (sheetName, columns, rows) => {
+  const workbook = new ExcelJS.Workbook();
+  // Sheet names can't have []:*?/\ in them and are at most 31 characters
+  const sheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Submissions', {
+    views: [{ state: 'frozen', ySplit: 1 }],
+  });
+  sheet.columns = columns.map((column) => ({
+    header: column.label,
+    key: column.key,
+    width: Math.min(Math.max(String(column.label).length + 2, 12), 50),
+  }));
+  sheet.getRow(1).font = { bold: true };
+  for (const row of rows) {
+    sheet.addRow(Object.fromEntries(columns.map((column) => [column.key, excelValue(column, row[column.key])])));
+  }
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = { parseExportFilters, fetchFormStages, buildSubmissionExport, toXlsx };
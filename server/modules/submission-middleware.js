@@ -0,0 +1,83 @@
+const pool = require('./pool');
+const { internalLocationIds } = require('./authentication-middleware');
+
+/*
+  Access rules for a single submission, looked up from `req.params.submissionId`:
+    * Applicants can read and write their own submissions.
+    * Internal staff can read submissions for forms at their locations.
+    * Once submitted, a submission is under review and can't be changed (409).
+  A submission that doesn't exist gets a 404, one the user isn't allowed
+  to touch gets a 403.
+*/
+
+// Attaches the submission (plus the location of its form) to `req.submission`
+const loadSubmission = async (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    res.sendStatus(403);
+    return;
+  }
+  if (!/^\d+$/.test(req.params.submissionId)) {
+    res.sendStatus(404);
+    return;
+  }
+  try {
+    const queryText = `
+      select submission.*, forms.location_id
+      from submission
+      join forms on forms.id = submission.form_id
+      where submission.id = $1;
+    `;
+    const { rows } = await pool.query(queryText, [req.params.submissionId]);
+    if (!rows[0]) {
+      res.sendStatus(404);
+      return;
+    }
+    req.submission = rows[0];
+    next();
+  } catch (err) {
+    console.error('Error loading submission', err);
+    res.sendStatus(500);
+  }
+};
+
+const isOwner = (req) => req.submission.user_id === req.user.id;
+
+const isInternalForSubmission = (req) => internalLocationIds(req.user).includes(req.submission.location_id);
+
+// Only the applicant who started the submission can change it
+const requireSubmissionOwner = [
+  loadSubmission,
+  (req, res, next) => {
+    if (isOwner(req)) {
+      next();
+    } else {
+      res.sendStatus(403);
+    }
+  },
+];
+
+// Only the applicant can change it, and only until it is submitted
+const requireOpenSubmission = [
+  ...requireSubmissionOwner,
+  (req, res, next) => {
+    if (req.submission.finished_at) {
+      res.status(409).send({ message: 'This submission has already been submitted' });
+    } else {
+      next();
+    }
+  },
+];
+
+// The applicant or internal staff at the form's location can read it
+const requireSubmissionReader = [
+  loadSubmission,
+  (req, res, next) => {
+    if (isOwner(req) || isInternalForSubmission(req)) {
+      next();
+    } else {
+      res.sendStatus(403);
+    }
+  },
+];
+
+module.exports = { loadSubmission, requireSubmissionOwner, requireOpenSubmission, requireSubmissionReader };
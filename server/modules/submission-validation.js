@@ -0,0 +1,60 @@
+const { answerValuesByQuestion, visibleItems } = require('./visibility');
+const { answerValue, isBlankValue, normalizeAnswer } = require('./answer-types');
+
+/*
+  Checks a submission's answers against the form it was started on.
+  Every problem is reported per question so the form can show it inline:
+
+    [{ question_id: 12, section_id: 3, message: 'This question is required' }]
+
+  Answers are checked with the rules for their answer type in answer-types.js.
+  Only visible questions are checked. Questions hidden by visibility rules
+  are never required and their answers are discarded on submit.
+*/
+
+/**
+ * Validates answers for a form.
+ *
+ * @param {object} form - The form tree from form-revision.js.
+ * @param {object[]} answers - All answers for the submission, like `{ question_id, answer, selections }`.
+ * @param {object} [options]
+ * @param {number[]} [options.questionIds] - Only check these questions, e.g. the ones just saved.
+ *   Defaults to every question in the form.
+ * @returns {object[]} - A list of `{ question_id, section_id, message }`, empty when everything is valid.
+ */
+const validateAnswers = (form, answers, { questionIds } = {}) => {
+  const questions = {};
+  for (const section of form.sections || []) {
+    for (const question of section.questions || []) {
+      questions[question.id] = { ...question, section_id: section.id };
+    }
+  }
+  const visible = visibleItems(form, answerValuesByQuestion(form, answers));
+  const answersById = answers.reduce((byId, answer) => ({ ...byId, [answer.question_id]: answer }), {});
+  const checkedIds = (questionIds || Object.keys(questions)).map(Number);
+
+  const errors = [];
+  for (const questionId of checkedIds) {
+    const question = questions[questionId];
+    if (!question) {
+      errors.push({ question_id: questionId, section_id: null, message: 'This question is not part of the form' });
+      continue;
+    }
+    if (!visible.questionIds.has(question.id)) {
+      continue;
+    }
+    const value = answerValue(question, answersById[question.id]);
+    let message = null;
+    if (isBlankValue(value)) {
+      message = question.required ? 'This question is required' : null;
+    } else {
+      message = normalizeAnswer(question, value).error || null;
+    }
+    if (message) {
+      errors.push({ question_id: question.id, section_id: question.section_id, message });
+    }
+  }
+  return errors;
+};
+
+module.exports = { validateAnswers };
@@ -0,0 +1,116 @@
+/*
+  Account changes made by staff from the admin console. Each takes a pg client
+  so the caller can run it in a transaction with its audit log entry.
+
+  Deactivated accounts can't log in and are logged out straight away. Nothing
+  is deleted, so their submissions, history and donations still read.
+*/
+
+// Sessions are stored by connect-pg-simple; ends every one for the user
+const endSessions = async (client, userId) => {
+  await client.query(`DELETE FROM "session" WHERE "sess"->'passport'->>'user' = $1;`, [String(userId)]);
+};
+
+const deactivateUser = async (client, userId) => {
+  await client.query(`UPDATE "user" SET "deactivated_at" = NOW() WHERE "id" = $1 AND "deactivated_at" IS NULL;`, [
+    userId,
+  ]);
+  await client.query(`DELETE FROM "user_token" WHERE "user_id" = $1 AND "used_at" IS NULL;`, [userId]);
+  await endSessions(client, userId);
+};
+
+// Merged accounts stay merged, so only accounts deactivated on their own can come back
+const reactivateUser = async (client, userId) => {
+  const result = await client.query(
+    `UPDATE "user" SET "deactivated_at" = NULL WHERE "id" = $1 AND "merged_into_id" IS NULL RETURNING "id";`,
+    [userId]
+  );
+  return result.rowCount > 0;
+};
+
+// Columns that point at a user and simply move to the account that's kept.
+// form_revision.published_by is the one column of a published revision that can change.
+const REASSIGNED_COLUMNS = [
+  ['user_status_history', 'user_id'],
+  ['user_status_history', 'actor_id'],
+  ['follow_up_task', 'user_id'],
+  ['follow_up_task', 'assigned_to'],
+  ['user_status', 'owner_id'],
+  ['submission', 'user_id'],
+  ['answer', 'user_id'],
+  ['answer_file', 'uploaded_by'],
+  ['form_revision', 'published_by'],
+  ['donation', 'user_id'],
+  ['pledge', 'user_id'],
+  ['pledge', 'created_by'],
+  ['donation_receipt', 'user_id'],
+  ['donation_receipt', 'issued_by'],
+];
+
+/**
+ * Merges a duplicate account into the one that's kept. The duplicate's locations,
+ * pipelines, history, tasks, submissions, donations and pledges move to the kept account,
+ * which also takes the duplicate's name and phone number where it has none. The
+ * duplicate is then deactivated and marked as merged.
+ *
+ * Where both accounts are on the same pipeline, the kept account's status wins.
+ * Staff access (internal) never moves over: the kept account joins the duplicate's
+ * locations as a regular user, and keeps only the staff access it already had.
+ *
+ * @param {object} client - pg client, in a transaction.
+ * @param {object} options - { sourceId, targetId }: the duplicate and the account to keep.
+ * @returns {Promise<object>} - How many rows moved, by "table.column", and how many
+ * pipeline statuses of the duplicate were dropped.
+ */
+const mergeUsers = async (client, { sourceId, targetId }) => {
+  const moved = {};
+
+  const locations = await client.query(
+    `INSERT INTO "user_location" ("user_id", "location_id", "internal")
+     SELECT $2, "location_id", false FROM "user_location" WHERE "user_id" = $1
+     ON CONFLICT ("user_id", "location_id") DO NOTHING;`,
+    [sourceId, targetId]
+  );
+  moved['user_location.user_id'] = locations.rowCount;
+  await client.query(`DELETE FROM "user_location" WHERE "user_id" = $1;`, [sourceId]);
+
+  // A user is in at most one status per pipeline, so only pipelines the kept account isn't on move over
+  const statuses = await client.query(
+    `UPDATE "user_status" SET "user_id" = $2
+     WHERE "user_id" = $1 AND "pipeline_status_id" IN (
+       SELECT "id" FROM "pipeline_status" WHERE "pipeline_id" NOT IN (
+         SELECT "pipeline_status"."pipeline_id" FROM "user_status"
+         JOIN "pipeline_status" ON "pipeline_status"."id" = "user_status"."pipeline_status_id"
+         WHERE "user_status"."user_id" = $2
+       )
+     );`,
+    [sourceId, targetId]
+  );
+  moved['user_status.user_id'] = statuses.rowCount;
+  const dropped = await client.query(`DELETE FROM "user_status" WHERE "user_id" = $1;`, [sourceId]);
+
+  for (const [table, column] of REASSIGNED_COLUMNS) {
+    const result = await client.query(`UPDATE "${table}" SET "${column}" = $2 WHERE "${column}" = $1;`, [
+      sourceId,
+      targetId,
+    ]);
+    moved[`${table}.${column}`] = result.rowCount;
+  }
+
+  await client.query(
+    `UPDATE "user" SET
+       "first_name" = COALESCE("user"."first_name", "duplicate"."first_name"),
+       "last_name" = COALESCE("user"."last_name", "duplicate"."last_name"),
+       "phone_number" = COALESCE("user"."phone_number", "duplicate"."phone_number"),
+       "updated_at" = (now() at time zone 'utc')
+     FROM "user" AS "duplicate"
+     WHERE "user"."id" = $2 AND "duplicate"."id" = $1;`,
+    [sourceId, targetId]
+  );
+  await client.query(`UPDATE "user" SET "merged_into_id" = $2 WHERE "id" = $1;`, [sourceId, targetId]);
+  await deactivateUser(client, sourceId);
+
+  return { moved, dropped_statuses: dropped.rowCount };
+};
+
+module.exports = { endSessions, deactivateUser, reactivateUser, mergeUsers };
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+/*
+  Single-use tokens emailed to users, for resetting a password or verifying
+  their email address. Only a SHA-256 hash of each token is stored, so the
+  user_token table can't be used to take over accounts.
+*/
+
+const TOKEN_LIFETIMES = {
+  password_reset: 60, // minutes
+  email_verification: 60 * 48,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Creates a token for a user, replacing any unused one they have for the same purpose.
+ *
+ * @param {object} client - pg client or pool.
+ * @param {object} options - { userId, purpose }. purpose is password_reset or email_verification.
+ * @returns {Promise<string>} - The token to put in the emailed link.
+ */
+const createToken = async (client, { userId, purpose }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await client.query(`DELETE FROM "user_token" WHERE "user_id" = $1 AND "purpose" = $2 AND "used_at" IS NULL;`, [
+    userId,
+    purpose,
+  ]);
+  await client.query(
+    `INSERT INTO "user_token" ("user_id", "purpose", "token_hash", "expires_at")
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4));`,
+    [userId, purpose, hashToken(token), TOKEN_LIFETIMES[purpose]]
+  );
+  return token;
+};
+
+/**
+ * Uses up a token. A token only works once, and not after it expires.
+ *
+ * @param {object} client - pg client or pool.
+ * @param {object} options - { token, purpose }
+ * @returns {Promise<number|null>} - The id of the token's user, or null when the token isn't valid.
+ */
+const consumeToken = async (client, { token, purpose }) => {
+  const result = await client.query(
+    `UPDATE "user_token" SET "used_at" = NOW()
+     WHERE "token_hash" = $1 AND "purpose" = $2 AND "used_at" IS NULL AND "expires_at" > NOW()
+     RETURNING "user_id";`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0]?.user_id ?? null;
+};
+
+module.exports = { TOKEN_LIFETIMES, hashToken, createToken, consumeToken };
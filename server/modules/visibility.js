@@ -0,0 +1,137 @@
+/*
+  Visibility rules let a question or section depend on an earlier answer.
+  A rule is stored as JSON on question.visibility_rule / sections.visibility_rule:
+
+    { "action": "show", "question_id": 14, "operator": "equals", "value": "Yes" }
+    { "action": "hide", "question_id": 18, "operator": "includes", "value": "No" }
+
+  "show" rules show the item only when the condition matches, "hide" rules
+  hide (skip) it when the condition matches. No rule means always shown.
+
+  The form renderer has a copy of this logic in
+  src/components/FormPage/visibility.js. Keep the two in sync.
+*/
+
+const RULE_ACTIONS = ['show', 'hide'];
+const RULE_OPERATORS = ['equals', 'not_equals', 'includes', 'not_includes', 'answered', 'not_answered'];
+
+/**
+ * Checks a rule sent by the form editor. Empty rules are allowed and mean "always show".
+ *
+ * @param {object|null} rule - The rule to check.
+ * @returns {boolean} - True if the rule can be saved.
+ */
+const isValidVisibilityRule = (rule) => {
+  if (rule === null || rule === undefined) {
+    return true;
+  }
+  return (
+    typeof rule === 'object' &&
+    RULE_ACTIONS.includes(rule.action) &&
+    RULE_OPERATORS.includes(rule.operator) &&
+    Number.isInteger(Number(rule.question_id))
+  );
+};
+
+const clean = (value) => String(value ?? '').trim().toLowerCase();
+
+// Does the condition of a rule match the answer values of its question?
+const conditionMatches = (rule, values) => {
+  const answered = values.map(clean).filter((value) => value !== '');
+  const target = clean(rule.value);
+  switch (rule.operator) {
+    case 'equals':
+      return answered.length === 1 && answered[0] === target;
+    case 'not_equals':
+      return !(answered.length === 1 && answered[0] === target);
+    case 'includes':
+      return answered.includes(target);
+    case 'not_includes':
+      return !answered.includes(target);
+    case 'answered':
+      return answered.length > 0;
+    case 'not_answered':
+      return answered.length === 0;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Turns a list of saved answers into the values each rule is checked against.
+ * Multiple choice answers become the text of each selected option.
+ *
+ * @param {object} form - The form tree from form-revision.js.
+ * @param {object[]} answers - Answers like `{ question_id, answer, selections }`.
+ * @returns {object} - A map of question id to an array of answer values.
+ */
+const answerValuesByQuestion = (form, answers) => {
+  const answerTypes = {};
+  const optionText = {};
+  for (const section of form.sections || []) {
+    for (const question of section.questions || []) {
+      answerTypes[question.id] = question.answer_type;
+      for (const option of question.multiple_choice_answers || []) {
+        if (option) {
+          optionText[option.id] = option.answer;
+        }
+      }
+    }
+  }
+  return answers.reduce((values, answer) => {
+    const selections = answer.selections || [];
+    return {
+      ...values,
+      [answer.question_id]:
+        answerTypes[answer.question_id] === 'multiple_choice'
+          ? selections.map((selection) => optionText[selection.id] ?? selection.answer)
+          : answerTypes[answer.question_id] === 'file'
+            ? (answer.files || []).map((file) => file.name)
+            : [answer.answer || ''],
+    };
+  }, {});
+};
+
+/**
+ * Works out which sections and questions are visible for a set of answers.
+ * Items are checked in form order, and answers to hidden questions count as
+ * unanswered, so hiding one question also hides anything that depends on it.
+ *
+ * @param {object} form - The form tree from form-revision.js.
+ * @param {object} valuesByQuestion - From `answerValuesByQuestion`.
+ * @returns {{ sectionIds: Set<number>, questionIds: Set<number> }} - The visible section and question ids.
+ */
+const visibleItems = (form, valuesByQuestion) => {
+  const sectionIds = new Set();
+  const questionIds = new Set();
+  const hiddenQuestionIds = new Set();
+
+  const isVisible = (item) => {
+    const rule = item.visibility_rule;
+    if (!rule || !rule.question_id) {
+      return true;
+    }
+    const values = hiddenQuestionIds.has(Number(rule.question_id)) ? [] : valuesByQuestion[rule.question_id] || [];
+    const matches = conditionMatches(rule, values);
+    return rule.action === 'hide' ? !matches : matches;
+  };
+
+  const sections = [...(form.sections || [])].sort((a, b) => a.order - b.order);
+  for (const section of sections) {
+    const sectionVisible = isVisible(section);
+    if (sectionVisible) {
+      sectionIds.add(section.id);
+    }
+    const questions = [...(section.questions || [])].sort((a, b) => a.order - b.order);
+    for (const question of questions) {
+      if (sectionVisible && isVisible(question)) {
+        questionIds.add(question.id);
+      } else {
+        hiddenQuestionIds.add(question.id);
+      }
+    }
+  }
+  return { sectionIds, questionIds };
+};
+
+module.exports = { RULE_OPERATORS, isValidVisibilityRule, answerValuesByQuestion, visibleItems };
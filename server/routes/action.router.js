@@ -4,10 +4,90 @@
 
 const express = require('express');
 const pool = require('../modules/pool');
-const { rejectUnauthenticated } = require('../modules/authentication-middleware');
+const {
+    requireInternal,
+    requireSelfOrInternal,
+    requireInternalForUser,
+    internalLocationIds,
+} = require('../modules/authentication-middleware');
+const { donationLocations } = require('../modules/location-lookup');
+const { auditRoute } = require('../modules/audit-log');
+const { parseDonation } = require('../modules/donations');
+const { notifyDonationRecorded } = require('../modules/notifications');
 
 const router = express.Router();
 
+// Recording a donation takes staff at one of the donor's locations, changing one staff where it was received
+const requireDonorStaff = requireInternalForUser((req) => req.body.user_id);
+const requireDonationStaff = requireInternal((req) => donationLocations(req.params.donationId || req.body.id));
+
+// New donations are at the location in the request, existing ones are looked up by id
+const auditDonation = (action) => auditRoute(action, 'donation', {
+    id: (req) => req.params.donationId || req.body.id,
+    location: (req) => {
+        const donationId = req.params.donationId || req.body.id;
+        return donationId ? donationLocations(donationId) : req.body.location_id;
+    },
+});
+
+// Checks the donation in the request body, sending a 400 or 403 and returning null when it won't do.
+// Staff can only record donations at locations where they are internal.
+const checkDonation = (req, res) => {
+    const { donation, error } = parseDonation(req.body);
+    if (error) {
+        res.status(400).send({ message: error });
+        return null;
+    }
+    if (!internalLocationIds(req.user).includes(donation.locationId)) {
+        res.status(403).send({ message: 'You are not internal staff at that location' });
+        return null;
+    }
+    return donation;
+};
+
+// The values of a parsed donation, in the order the insert and update queries take them
+const donationValues = (donation) => [
+    donation.amountCents,
+    donation.currency,
+    donation.method,
+    donation.checkNumber,
+    donation.campaign,
+    donation.locationId,
+    donation.memo,
+    donation.receivedOn,
+    donation.pledgeId,
+];
+
+// A donation can only pay toward a pledge of the same donor, at the same location and in the same
+// currency. Cancelled pledges keep the payments they had but don't take new ones. Sends a 400 and
+// returns false when the pledge won't do. donationId is null for new donations.
+const checkPledgeLink = async (req, res, donation, donationId = null) => {
+    if (!donation.pledgeId) {
+        return true;
+    }
+    const queryText = `
+    select location_id, currency, cancelled_at,
+        user_id = coalesce((select user_id from donation where id = $2), $3::int) as same_donor,
+        exists (select 1 from donation where id = $2 and pledge_id = pledge.id) as already_linked
+    from pledge
+    where id = $1;
+    `
+    const result = await pool.query(queryText, [donation.pledgeId, donationId, req.body.user_id]);
+    const pledge = result.rows[0];
+    if (!pledge || !pledge.same_donor || pledge.location_id !== donation.locationId ||
+        pledge.currency !== donation.currency) {
+        res.status(400).send({
+            message: 'Donations can only pay toward the donor\'s pledges at the same location and in the same currency',
+        });
+        return false;
+    }
+    if (pledge.cancelled_at && !pledge.already_linked) {
+        res.status(400).send({ message: 'That pledge was cancelled' });
+        return false;
+    }
+    return true;
+};
+
 /**
  * @swagger
  * /api/actions/{userId}:
@@ -49,6 +129,11 @@ const router = express.Router();
  *                  name:
  *                    type: string
  *                    description: The name associated with the submission or donation.
+ *                  amount_cents:
+ *                    type: integer
+ *                    description: >
+ *                      Donations only, like the ledger fields currency, method, check_number, campaign,
+ *                      location_id, location_name, memo, received_on and pledge_id.
  *      '404':
  *        description: User not found or no submissions/donations available.
  *        content:
@@ -70,7 +155,9 @@ const router = express.Router();
  *                  type: string
  *                  description: Error message indicating an internal server error.
  */
-router.get('/:userId',rejectUnauthenticated, (req, res) => {
+router.get('/:userId', requireSelfOrInternal((req) => req.params.userId), (req, res) => {
+    // Staff only see submissions for forms at their internal locations ($2 is null for yourself)
+    const isSelf = String(req.user.id) === String(req.params.userId);
     const queryText = `
     select 
 	(select json_agg(json_build_object(
@@ -87,21 +174,34 @@ router.get('/:userId',rejectUnauthenticated, (req, res) => {
 	from submission
 	where submission.user_id = $1
 	and submission.finished_at is not null
+	and ($2::int[] is null or submission.form_id in (select forms.id from forms where forms.location_id = ANY($2)))
 	) as user_submissions,
 	(select json_agg(json_build_object(
 		'type', 'donation', 
 		'id', donation.id, 
 		'started_at', donation.created_at, 
 		'finished_at', donation.updated_at, 
-		'name', 'Donation'
+		'name', 'Donation',
+		'user_id', donation.user_id,
+		'amount_cents', donation.amount_cents,
+		'currency', donation.currency,
+		'method', donation.method,
+		'check_number', donation.check_number,
+		'campaign', donation.campaign,
+		'location_id', donation.location_id,
+		'location_name', (select "location"."name" from "location" where "location"."id" = donation.location_id),
+		'memo', donation.memo,
+		'received_on', donation.received_on,
+		'pledge_id', donation.pledge_id
 		)
 
 		)
 	from donation
 	where donation.user_id = $1
+	and ($2::int[] is null or donation.location_id is null or donation.location_id = ANY($2))
 	) as user_donations;
     `;
-    pool.query(queryText, [req.params.userId]).then(response => {
+    pool.query(queryText, [req.params.userId, isSelf ? null : internalLocationIds(req.user)]).then(response => {
         let newResponse = []
         if(response.rows[0].user_submissions){
             newResponse = [
@@ -147,16 +247,43 @@ router.get('/:userId',rejectUnauthenticated, (req, res) => {
  *                 user_id:
  *                   type: integer
  *                   description: The ID of the user making the donation.
- *                 amount:
- *                   type: number
- *                   format: float
- *                   description: The amount of the donation.
+ *                 amount_cents:
+ *                   type: integer
+ *                   description: The amount of the donation in cents. Only in_kind gifts can be 0.
+ *                 currency:
+ *                   type: string
+ *                   description: Three letter code, default USD.
+ *                 method:
+ *                   type: string
+ *                   enum: [check, cash, card, in_kind]
+ *                 check_number:
+ *                   type: string
+ *                   description: Kept for checks only.
+ *                 campaign:
+ *                   type: string
+ *                   description: The campaign or fund the gift is designated for.
+ *                 location_id:
+ *                   type: integer
+ *                   description: The location that received the gift. You must be internal staff there.
+ *                 memo:
+ *                   type: string
+ *                 received_on:
+ *                   type: string
+ *                   format: date
+ *                   description: Default today.
+ *                 pledge_id:
+ *                   type: integer
+ *                   description: >
+ *                     The pledge this gift pays toward, if any. It must be the donor's, at the same location
+ *                     and in the same currency.
  *               required:
  *                 - user_id
- *                 - amount
+ *                 - amount_cents
+ *                 - method
+ *                 - location_id
  *       responses:
- *         '200':
- *           description: Donation successfully created.
+ *         '201':
+ *           description: Donation successfully created. The body is { id }. The donor is emailed a thank you.
  *         '400':
  *           description: Bad request. Invalid input.
  *           content:
@@ -178,17 +305,36 @@ router.get('/:userId',rejectUnauthenticated, (req, res) => {
  *                     type: string
  *                     description: Error message indicating an internal server error.
  */
-router.post('/donation', rejectUnauthenticated, (req, res) => {
+router.post('/donation', requireDonorStaff, auditDonation('donation.create'), async (req, res) => {
+    const donation = checkDonation(req, res);
+    if (!donation) {
+        return;
+    }
     const queryText = `
-    insert into donation (user_id, amount)
-    values ($1, $2);
+    insert into donation
+        (user_id, amount_cents, currency, method, check_number, campaign, location_id, memo, received_on, pledge_id)
+    values ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9::date, CURRENT_DATE), $10)
+    returning id;
     `
-    pool.query(queryText, [req.body.user_id, req.body.amount]).then(response => {
-        res.sendStatus(200);
-    }).catch(err => {
+    const client = await pool.connect();
+    try {
+        if (!(await checkPledgeLink(req, res, donation))) {
+            return;
+        }
+        await client.query('BEGIN');
+        const result = await client.query(queryText, [req.body.user_id, ...donationValues(donation)]);
+        const donationId = result.rows[0].id;
+        await notifyDonationRecorded(client, { donationId, locationId: donation.locationId });
+        await client.query('COMMIT');
+        res.locals.auditTargetId = donationId;
+        res.status(201).send({ id: donationId });
+    } catch (err) {
+        await client.query('ROLLBACK');
         console.error('Error creating donation', err);
-        res.send(500);
-    })
+        res.sendStatus(500);
+    } finally {
+        client.release();
+    }
 })
 
 /**
@@ -203,8 +349,10 @@ router.post('/donation', rejectUnauthenticated, (req, res) => {
  *     put:
  *       tags:
  *         - donations
- *       summary: update the amount of an existing donation
- *       description: Updates the amount of the donation mand sets a new updated at time.
+ *       summary: update an existing donation
+ *       description: >
+ *         Replaces the donation's ledger fields and sets a new updated at time. Takes the same fields
+ *         as POST, apart from user_id. received_on is kept when left out.
  *       requestBody:
  *         required: true
  *         content:
@@ -212,16 +360,22 @@ router.post('/donation', rejectUnauthenticated, (req, res) => {
  *             schema:
  *               type: object
  *               properties:
- *                 amount:
- *                   type: number
- *                   format: float
- *                   description: The amount of the donation.
  *                 id:
  *                   type: integer
  *                   description: The ID of the donation.
+ *                 amount_cents:
+ *                   type: integer
+ *                   description: The amount of the donation in cents.
+ *                 method:
+ *                   type: string
+ *                   enum: [check, cash, card, in_kind]
+ *                 location_id:
+ *                   type: integer
  *               required:
- *                 - amount
  *                 - id
+ *                 - amount_cents
+ *                 - method
+ *                 - location_id
  *       responses:
  *         '200':
  *           description: Donation successfully updated.
@@ -246,18 +400,28 @@ router.post('/donation', rejectUnauthenticated, (req, res) => {
  *                     type: string
  *                     description: Error message indicating an internal server error.
  */
-router.put('/donation', rejectUnauthenticated, (req, res) => {
+router.put('/donation', requireDonationStaff, auditDonation('donation.update'), async (req, res) => {
+    const donation = checkDonation(req, res);
+    if (!donation) {
+        return;
+    }
     const queryText = `
     update donation 
-    set amount = $1, updated_at = (now() AT TIME ZONE 'utc'::text)
-    where id = $2;
+    set amount_cents = $1, currency = $2, method = $3, check_number = $4, campaign = $5, location_id = $6,
+        memo = $7, received_on = COALESCE($8::date, received_on), pledge_id = $9,
+        updated_at = (now() AT TIME ZONE 'utc'::text)
+    where id = $10;
     `
-    pool.query(queryText, [req.body.amount, req.body.id]).then(response => {
+    try {
+        if (!(await checkPledgeLink(req, res, donation, req.body.id))) {
+            return;
+        }
+        await pool.query(queryText, [...donationValues(donation), req.body.id]);
         res.sendStatus(200);
-    }).catch(err => {
+    } catch (err) {
         console.error('Error updating donation', err);
         res.send(500);
-    })
+    }
 })
 
 /**
@@ -305,7 +469,7 @@ router.put('/donation', rejectUnauthenticated, (req, res) => {
  *                     type: string
  *                     description: Error message indicating an internal server error.
  */
-router.delete('/donation/:donationId', rejectUnauthenticated, (req, res) => {
+router.delete('/donation/:donationId', requireDonationStaff, auditDonation('donation.delete'), (req, res) => {
     const queryText = `
     delete from donation 
     where id = $1;
@@ -318,6 +482,35 @@ router.delete('/donation/:donationId', rejectUnauthenticated, (req, res) => {
     })
 })
 
+/**
+ * @swagger
+ * /api/actions/donation/campaigns:
+ *   get:
+ *     summary: Campaigns and funds donations have been designated for
+ *     description: At the caller's internal locations, for the donation editor to suggest.
+ *     tags: [donations]
+ *     responses:
+ *       '200':
+ *         description: An array of campaign names, in alphabetical order.
+ *       '403':
+ *         description: Not internal staff
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/donation/campaigns', requireInternal(), (req, res) => {
+    const queryText = `
+    select distinct campaign from donation
+    where campaign is not null and location_id = ANY($1)
+    order by campaign;
+    `
+    pool.query(queryText, [internalLocationIds(req.user)]).then(response => {
+        res.send(response.rows.map((row) => row.campaign));
+    }).catch(err => {
+        console.error('Error getting campaigns', err);
+        res.sendStatus(500);
+    })
+})
+
 /**
  * @swagger
  * openapi: 3.0.0
@@ -363,7 +556,7 @@ router.delete('/donation/:donationId', rejectUnauthenticated, (req, res) => {
  *                     type: string
  *                     description: Error message indicating an internal server error.
  */
-router.get('/donation/:donationId', rejectUnauthenticated, (req, res) => {
+router.get('/donation/:donationId', requireInternal((req) => donationLocations(req.params.donationId)), (req, res) => {
     const queryText = `
     select * from donation 
     where id = $1;
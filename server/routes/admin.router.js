@@ -0,0 +1,724 @@
+const express = require('express');
+const pool = require('../modules/pool');
+const {
+  requireInternal,
+  requireInternalForUser,
+  internalLocationIds,
+} = require('../modules/authentication-middleware');
+const { recordAudit } = require('../modules/audit-log');
+const { createToken } = require('../modules/user-tokens');
+const { sendPasswordReset } = require('../modules/account-emails');
+const { deactivateUser, reactivateUser, mergeUsers } = require('../modules/user-accounts');
+const { toCsv } = require('../modules/csv');
+
+const router = express.Router();
+
+/*
+  The admin console, for internal staff to manage accounts. Staff see and manage
+  the users at their internal locations, plus users not tied to a location yet.
+  Every change is written to audit_log.
+
+  The audit log viewer shows staff the entries at their internal locations.
+  Entries with no location (account and template changes) are shown when staff
+  made them, or when the person who did or the account it was done to belongs
+  to one of those locations.
+*/
+
+const requireUserStaff = requireInternalForUser((req) => req.params.userId);
+const requireLocationStaff = requireInternal((req) => req.params.locationId);
+
+const findUser = async (userId) => {
+  const result = await pool.query(
+    `SELECT "id", "username", "first_name", "deactivated_at", "merged_into_id" FROM "user" WHERE "id" = $1;`,
+    [userId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List and search user accounts
+ *     description: >
+ *       Users at the caller's internal locations (through user_location or a pipeline), and users
+ *       not tied to any location yet. Only the caller's internal locations are listed for each user.
+ *       At most 100 users are returned.
+ *     tags: [Admin]
+ *     parameters:
+ *       - name: search
+ *         in: query
+ *         description: Part of a name or email
+ *         schema:
+ *           type: string
+ *       - name: location_id
+ *         in: query
+ *         description: Only users at this location
+ *         schema:
+ *           type: integer
+ *       - name: include_deactivated
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       '200':
+ *         description: >
+ *           [{ id, username, first_name, last_name, phone_number, created_at, email_verified_at,
+ *           deactivated_at, merged_into_id, locations: [{ id, name, internal }] }]
+ *       '403':
+ *         description: Not internal staff
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/users', requireInternal(), async (req, res) => {
+  // Escape LIKE wildcards so a search for "a_b" finds exactly that
+  const search = req.query.search
+    ? `%${String(req.query.search)
+        .trim()
+        .replace(/[\\%_]/g, '\\$&')}%`
+    : null;
+  const queryText = `
+    WITH "membership" AS (
+      SELECT "user_id", "location_id" FROM "user_location"
+      UNION
+      SELECT "user_status"."user_id", "pipeline"."location_id" FROM "user_status"
+      JOIN "pipeline_status" ON "pipeline_status"."id" = "user_status"."pipeline_status_id"
+      JOIN "pipeline" ON "pipeline"."id" = "pipeline_status"."pipeline_id"
+    )
+    SELECT
+      "user"."id", "user"."username", "user"."first_name", "user"."last_name", "user"."phone_number",
+      "user"."created_at", "user"."email_verified_at", "user"."deactivated_at", "user"."merged_into_id",
+      COALESCE(
+        json_agg(
+          json_build_object('id', "location"."id", 'name', "location"."name", 'internal', "user_location"."internal")
+          ORDER BY "location"."name"
+        ) FILTER (WHERE "location"."id" IS NOT NULL),
+        '[]'
+      ) AS "locations"
+    FROM "user"
+    LEFT JOIN "user_location"
+      ON "user_location"."user_id" = "user"."id" AND "user_location"."location_id" = ANY($1)
+    LEFT JOIN "location" ON "location"."id" = "user_location"."location_id"
+    WHERE (
+        EXISTS (SELECT 1 FROM "membership" WHERE "user_id" = "user"."id" AND "location_id" = ANY($1))
+        OR NOT EXISTS (SELECT 1 FROM "membership" WHERE "user_id" = "user"."id")
+      )
+      AND ($2::text IS NULL OR concat_ws(' ', "user"."first_name", "user"."last_name", "user"."username") ILIKE $2)
+      AND ($3::int IS NULL OR EXISTS (SELECT 1 FROM "membership" WHERE "user_id" = "user"."id" AND "location_id" = $3))
+      AND ($4 OR "user"."deactivated_at" IS NULL)
+    GROUP BY "user"."id"
+    ORDER BY "user"."last_name", "user"."first_name", "user"."username"
+    LIMIT 100;
+  `;
+  try {
+    const result = await pool.query(queryText, [
+      internalLocationIds(req.user),
+      search,
+      req.query.location_id || null,
+      req.query.include_deactivated === 'true',
+    ]);
+    res.send(result.rows);
+  } catch (err) {
+    console.error('Error listing users:', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/locations/{locationId}:
+ *   put:
+ *     summary: Grant or revoke a user's staff access (internal) at a location
+ *     description: Adds the user to the location if they aren't at it yet.
+ *     tags: [Admin]
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: locationId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               internal:
+ *                 type: boolean
+ *             required:
+ *               - internal
+ *     responses:
+ *       '200':
+ *         description: Saved
+ *       '400':
+ *         description: internal is missing, or staff tried to revoke their own access
+ *       '403':
+ *         description: Not internal staff at the location
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.put('/users/:userId/locations/:locationId', requireLocationStaff, async (req, res) => {
+  const { userId, locationId } = req.params;
+  const { internal } = req.body;
+  if (typeof internal !== 'boolean') {
+    res.status(400).send({ message: 'Say whether the user is internal staff at the location' });
+    return;
+  }
+  // Otherwise staff could lock themselves out of the location by accident
+  if (!internal && String(userId) === String(req.user.id)) {
+    res.status(400).send({ message: "You can't remove your own staff access" });
+    return;
+  }
+  const client = await pool.connect();
+  try {
+    if (!(await findUser(userId))) {
+      res.sendStatus(404);
+      return;
+    }
+    await client.query('BEGIN');
+    const before = await client.query(
+      `SELECT "internal" FROM "user_location" WHERE "user_id" = $1 AND "location_id" = $2;`,
+      [userId, locationId]
+    );
+    await client.query(
+      `INSERT INTO "user_location" ("user_id", "location_id", "internal") VALUES ($1, $2, $3)
+       ON CONFLICT ("user_id", "location_id") DO UPDATE SET "internal" = $3;`,
+      [userId, locationId, internal]
+    );
+    await recordAudit(client, {
+      actorId: req.user.id,
+      action: internal ? 'user.grant_internal' : 'user.revoke_internal',
+      targetType: 'user',
+      targetId: Number(userId),
+      locationId: Number(locationId),
+      details: { internal_before: before.rows[0] ? Boolean(before.rows[0].internal) : null, internal_after: internal },
+    });
+    await client.query('COMMIT');
+    res.sendStatus(200);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error changing staff access:', err);
+    res.sendStatus(500);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/deactivate:
+ *   post:
+ *     summary: Deactivate an account
+ *     description: The user is logged out and can't log in or reset their password until reactivated.
+ *     tags: [Admin]
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Deactivated
+ *       '400':
+ *         description: Staff tried to deactivate their own account
+ *       '403':
+ *         description: Not internal staff at the user's locations
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/users/:userId/deactivate', requireUserStaff, async (req, res) => {
+  const { userId } = req.params;
+  if (String(userId) === String(req.user.id)) {
+    res.status(400).send({ message: "You can't deactivate your own account" });
+    return;
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await deactivateUser(client, userId);
+    await recordAudit(client, {
+      actorId: req.user.id,
+      action: 'user.deactivate',
+      targetType: 'user',
+      targetId: Number(userId),
+    });
+    await client.query('COMMIT');
+    res.sendStatus(200);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error deactivating a user:', err);
+    res.sendStatus(500);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/reactivate:
+ *   post:
+ *     summary: Reactivate a deactivated account
+ *     tags: [Admin]
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Reactivated
+ *       '400':
+ *         description: The account was merged into another one, so it stays deactivated
+ *       '403':
+ *         description: Not internal staff at the user's locations
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/users/:userId/reactivate', requireUserStaff, async (req, res) => {
+  const { userId } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (!(await reactivateUser(client, userId))) {
+      await client.query('ROLLBACK');
+      res.status(400).send({ message: 'This account was merged into another one and stays deactivated' });
+      return;
+    }
+    await recordAudit(client, {
+      actorId: req.user.id,
+      action: 'user.reactivate',
+      targetType: 'user',
+      targetId: Number(userId),
+    });
+    await client.query('COMMIT');
+    res.sendStatus(200);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error reactivating a user:', err);
+    res.sendStatus(500);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/password-reset:
+ *   post:
+ *     summary: Email a user a link to reset their password
+ *     description: The same email as "Forgot your password?" on the login page.
+ *     tags: [Admin]
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Sent
+ *       '400':
+ *         description: The account is deactivated
+ *       '403':
+ *         description: Not internal staff at the user's locations
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/users/:userId/password-reset', requireUserStaff, async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    if (user.deactivated_at) {
+      res.status(400).send({ message: 'Reactivate the account before resetting its password' });
+      return;
+    }
+    const token = await createToken(pool, { userId: user.id, purpose: 'password_reset' });
+    await sendPasswordReset(user, token);
+    await recordAudit(pool, {
+      actorId: req.user.id,
+      action: 'user.password_reset_sent',
+      targetType: 'user',
+      targetId: user.id,
+    });
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Error sending a password reset for a user:', err);
+    res.sendStatus(500);
+  }
+});
+
+// Whether the user is internal staff at every location where any of the accounts is
+const isInternalWherever = async (user, userIds) => {
+  const result = await pool.query(
+    `SELECT DISTINCT "location_id" FROM "user_location" WHERE "user_id" = ANY($1) AND "internal" = true;`,
+    [userIds]
+  );
+  const locationIds = internalLocationIds(user);
+  return result.rows.every((row) => locationIds.includes(row.location_id));
+};
+
+/**
+ * @swagger
+ * /api/admin/users/merge:
+ *   post:
+ *     summary: Merge a duplicate account into another
+ *     description: >
+ *       Moves the duplicate's locations, pipelines, stage history, tasks, submissions and donations
+ *       to the account that's kept, then deactivates the duplicate. Where both accounts are on the
+ *       same pipeline, the kept account's status wins. Staff access doesn't move over. The caller must be
+ *       internal staff for both users, and at every location where either of them is staff, and can't merge
+ *       their own account.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               source_user_id:
+ *                 type: integer
+ *                 description: The duplicate, which is deactivated
+ *               target_user_id:
+ *                 type: integer
+ *                 description: The account to keep
+ *             required:
+ *               - source_user_id
+ *               - target_user_id
+ *     responses:
+ *       '200':
+ *         description: "{ moved, dropped_statuses }: rows moved by table and column, and pipeline statuses dropped"
+ *       '400':
+ *         description: The same account twice, the caller's own account, or one of them is deactivated
+ *       '403':
+ *         description: Not internal staff for both users, or at every location where they are staff
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.post(
+  '/users/merge',
+  requireInternalForUser((req) => req.body.source_user_id),
+  requireInternalForUser((req) => req.body.target_user_id),
+  async (req, res) => {
+    const sourceId = Number(req.body.source_user_id);
+    const targetId = Number(req.body.target_user_id);
+    if (sourceId === targetId) {
+      res.status(400).send({ message: 'Pick two different accounts' });
+      return;
+    }
+    if (sourceId === req.user.id || targetId === req.user.id) {
+      res.status(400).send({ message: "You can't merge your own account" });
+      return;
+    }
+    const client = await pool.connect();
+    try {
+      const [source, target] = await Promise.all([findUser(sourceId), findUser(targetId)]);
+      if (source.deactivated_at || target.deactivated_at) {
+        res.status(400).send({ message: 'Both accounts need to be active to merge them' });
+        return;
+      }
+      // Merging deactivates the duplicate, so staff can only merge staff accounts they could manage everywhere
+      if (!(await isInternalWherever(req.user, [sourceId, targetId]))) {
+        res.status(403).send({ message: 'One of the accounts is staff at a location where you are not' });
+        return;
+      }
+      await client.query('BEGIN');
+      const summary = await mergeUsers(client, { sourceId, targetId });
+      await recordAudit(client, {
+        actorId: req.user.id,
+        action: 'user.merge',
+        targetType: 'user',
+        targetId,
+        details: { source_user_id: sourceId, source_username: source.username, ...summary },
+      });
+      await client.query('COMMIT');
+      res.send(summary);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('Error merging users:', err);
+      res.sendStatus(500);
+    } finally {
+      client.release();
+    }
+  }
+);
+
+const AUDIT_PAGE_SIZE = 50;
+// The most entries one export holds; narrow the filters for more
+const AUDIT_EXPORT_LIMIT = 10000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ID_PATTERN = /^\d+$/;
+
+// Checks the audit log filters in the query string, returning { params } or { error, status }
+const parseAuditFilters = (req) => {
+  const { action, target_type, target_id, actor_id, location_id, from, to } = req.query;
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return { error: 'from and to must be dates like 2024-06-30', status: 400 };
+  }
+  if ([target_id, actor_id, location_id].some((id) => id && !ID_PATTERN.test(id))) {
+    return { error: 'target_id, actor_id and location_id must be ids', status: 400 };
+  }
+  const locationIds = internalLocationIds(req.user);
+  if (location_id && !locationIds.includes(Number(location_id))) {
+    return { error: 'You are not internal staff at that location', status: 403 };
+  }
+  // Same order as the placeholders in AUDIT_FROM
+  return {
+    params: [
+      locationIds,
+      action || null,
+      target_type || null,
+      target_id || null,
+      actor_id || null,
+      location_id || null,
+      from || null,
+      to || null,
+      req.user.id,
+    ],
+  };
+};
+
+const AUDIT_FROM = `
+  FROM "audit_log"
+  LEFT JOIN "user" AS "actor" ON "actor"."id" = "audit_log"."actor_id"
+  LEFT JOIN "location" ON "location"."id" = "audit_log"."location_id"
+  WHERE (
+      "audit_log"."location_id" = ANY($1)
+      OR ("audit_log"."location_id" IS NULL AND (
+        "audit_log"."actor_id" = $9
+        OR EXISTS (
+          SELECT 1 FROM (
+            SELECT "user_id", "location_id" FROM "user_location"
+            UNION ALL
+            SELECT "user_status"."user_id", "pipeline"."location_id" FROM "user_status"
+            JOIN "pipeline_status" ON "pipeline_status"."id" = "user_status"."pipeline_status_id"
+            JOIN "pipeline" ON "pipeline"."id" = "pipeline_status"."pipeline_id"
+          ) AS "membership"
+          WHERE "membership"."location_id" = ANY($1)
+            AND "membership"."user_id" IN (
+              "audit_log"."actor_id",
+              CASE WHEN "audit_log"."target_type" = 'user' THEN "audit_log"."target_id" END
+            )
+        )
+      ))
+    )
+    AND ($2::text IS NULL OR "audit_log"."action" = $2)
+    AND ($3::text IS NULL OR "audit_log"."target_type" = $3)
+    AND ($4::int IS NULL OR "audit_log"."target_id" = $4)
+    AND ($5::int IS NULL OR "audit_log"."actor_id" = $5)
+    AND ($6::int IS NULL OR "audit_log"."location_id" = $6)
+    AND ($7::date IS NULL OR "audit_log"."created_at" >= $7::date)
+    AND ($8::date IS NULL OR "audit_log"."created_at" < $8::date + 1)
+`;
+
+const AUDIT_COLUMNS = `
+  "audit_log"."id", "audit_log"."created_at", "audit_log"."actor_id",
+  NULLIF(concat_ws(' ', "actor"."first_name", "actor"."last_name"), '') AS "actor_name",
+  "actor"."username" AS "actor_username",
+  "audit_log"."action", "audit_log"."target_type", "audit_log"."target_id",
+  "audit_log"."location_id", "location"."name" AS "location_name"
+`;
+
+/**
+ * @swagger
+ * /api/admin/audit:
+ *   get:
+ *     summary: Search the audit log
+ *     description: >
+ *       Entries at the caller's internal locations, and entries with no location that the caller made
+ *       or that involve someone at those locations, newest first, 50 to a page.
+ *     tags: [Admin]
+ *     parameters:
+ *       - name: action
+ *         in: query
+ *         description: e.g. form.delete
+ *         schema:
+ *           type: string
+ *       - name: target_type
+ *         in: query
+ *         description: e.g. form
+ *         schema:
+ *           type: string
+ *       - name: target_id
+ *         in: query
+ *         schema:
+ *           type: integer
+ *       - name: actor_id
+ *         in: query
+ *         description: The user who made the change
+ *         schema:
+ *           type: integer
+ *       - name: location_id
+ *         in: query
+ *         schema:
+ *           type: integer
+ *       - name: from
+ *         in: query
+ *         description: YYYY-MM-DD, included
+ *         schema:
+ *           type: string
+ *       - name: to
+ *         in: query
+ *         description: YYYY-MM-DD, included
+ *         schema:
+ *           type: string
+ *       - name: page
+ *         in: query
+ *         description: Starts at 1
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: >
+ *           { entries: [{ id, created_at, actor_id, actor_name, actor_username, action, target_type,
+ *           target_id, location_id, location_name, details }], total, page_size }
+ *       '400':
+ *         description: Invalid filter
+ *       '403':
+ *         description: Not internal staff, or not at the location asked for
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/audit', requireInternal(), async (req, res) => {
+  const filters = parseAuditFilters(req);
+  if (filters.error) {
+    res.status(filters.status).send({ message: filters.error });
+    return;
+  }
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  try {
+    const [entries, count] = await Promise.all([
+      pool.query(
+        `SELECT ${AUDIT_COLUMNS}, "audit_log"."details" ${AUDIT_FROM}
+         ORDER BY "audit_log"."created_at" DESC, "audit_log"."id" DESC
+         LIMIT ${AUDIT_PAGE_SIZE} OFFSET $10;`,
+        [...filters.params, (page - 1) * AUDIT_PAGE_SIZE]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS "total" ${AUDIT_FROM};`, filters.params),
+    ]);
+    res.send({ entries: entries.rows, total: count.rows[0].total, page_size: AUDIT_PAGE_SIZE });
+  } catch (err) {
+    console.error('Error reading the audit log:', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/audit/actions:
+ *   get:
+ *     summary: The actions and target types of the audit log entries the caller can see, for the viewer's filters
+ *     tags: [Admin]
+ *     responses:
+ *       '200':
+ *         description: "{ actions: ['form.delete', ...], target_types: ['form', ...] }"
+ *       '403':
+ *         description: Not internal staff
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/audit/actions', requireInternal(), async (req, res) => {
+  // Only from the entries the caller can see, unfiltered
+  const { params } = parseAuditFilters({ user: req.user, query: {} });
+  try {
+    const [actions, targetTypes] = await Promise.all([
+      pool.query(`SELECT DISTINCT "audit_log"."action" ${AUDIT_FROM} ORDER BY "audit_log"."action";`, params),
+      pool.query(`SELECT DISTINCT "audit_log"."target_type" ${AUDIT_FROM} ORDER BY "audit_log"."target_type";`, params),
+    ]);
+    res.send({
+      actions: actions.rows.map((row) => row.action),
+      target_types: targetTypes.rows.map((row) => row.target_type),
+    });
+  } catch (err) {
+    console.error('Error reading audit log actions:', err);
+    res.sendStatus(500);
+  }
+});
+
+const AUDIT_EXPORT_COLUMNS = [
+  { key: 'created_at', label: 'When' },
+  { key: 'actor_name', label: 'Changed by' },
+  { key: 'actor_username', label: 'Changed by (email)' },
+  { key: 'action', label: 'Action' },
+  { key: 'target_type', label: 'Target type' },
+  { key: 'target_id', label: 'Target id' },
+  { key: 'location_name', label: 'Location' },
+  { key: 'route', label: 'Route' },
+  { key: 'before', label: 'Before' },
+  { key: 'after', label: 'After' },
+  { key: 'other_details', label: 'Other details' },
+];
+
+/**
+ * @swagger
+ * /api/admin/audit/export:
+ *   get:
+ *     summary: Download the audit log as a CSV file
+ *     description: >
+ *       Takes the same filters as GET /api/admin/audit, without page. Holds the newest 10,000
+ *       matching entries; the X-Truncated header is true when there were more.
+ *     tags: [Admin]
+ *     responses:
+ *       '200':
+ *         description: The CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       '400':
+ *         description: Invalid filter
+ *       '403':
+ *         description: Not internal staff, or not at the location asked for
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/audit/export', requireInternal(), async (req, res) => {
+  const filters = parseAuditFilters(req);
+  if (filters.error) {
+    res.status(filters.status).send({ message: filters.error });
+    return;
+  }
+  try {
+    const result = await pool.query(
+      `SELECT ${AUDIT_COLUMNS},
+         "audit_log"."details"->>'route' AS "route",
+         "audit_log"."details"->'before' AS "before",
+         "audit_log"."details"->'after' AS "after",
+         NULLIF("audit_log"."details" - 'before' - 'after' - 'route', '{}'::jsonb) AS "other_details"
+       ${AUDIT_FROM}
+       ORDER BY "audit_log"."created_at" DESC, "audit_log"."id" DESC
+       LIMIT ${AUDIT_EXPORT_LIMIT + 1};`,
+      filters.params
+    );
+    const truncated = result.rows.length > AUDIT_EXPORT_LIMIT;
+    const today = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-log-${today}.csv"`,
+      'X-Truncated': String(truncated),
+    });
+    res.send(toCsv(AUDIT_EXPORT_COLUMNS, result.rows.slice(0, AUDIT_EXPORT_LIMIT)));
+  } catch (err) {
+    console.error('Error exporting the audit log:', err);
+    res.sendStatus(500);
+  }
+});
+
+module.exports = router;
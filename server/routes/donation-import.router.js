@@ -0,0 +1,223 @@
+const express = require('express');
+const multer = require('multer');
+const pool = require('../modules/pool');
+const { requireInternal, internalLocationIds } = require('../modules/authentication-middleware');
+const { recordAudit } = require('../modules/audit-log');
+const { IMPORT_FIELDS, parseImportOptions, buildImportPreview } = require('../modules/donation-import');
+const { notifyDonationRecorded } = require('../modules/notifications');
+
+const router = express.Router();
+
+/*
+  Importing donations from a CSV file (see modules/donation-import.js). The
+  client sends the file with its options to /preview as often as it likes,
+  then to / to import. Importing works the preview out again, in the same
+  transaction as the inserts, so it imports exactly what it checked.
+*/
+
+const MAX_IMPORT_MB = 2;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_MB * 1024 * 1024, files: 1 },
+});
+
+// Accepts the CSV file in the `file` field, turning upload problems into 413/400 responses
+const uploadCsv = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (!err && !req.file) {
+      res.status(400).send({ message: 'Choose a CSV file to import' });
+    } else if (!err) {
+      next();
+    } else if (err.code === 'LIMIT_FILE_SIZE') {
+      res.status(413).send({ message: `Files can be at most ${MAX_IMPORT_MB} MB` });
+    } else if (err instanceof multer.MulterError) {
+      res.status(400).send({ message: err.message });
+    } else {
+      console.error('Error reading upload', err);
+      res.sendStatus(500);
+    }
+  });
+};
+
+// Reads the options sent with the file, sending a 400 or 403 and returning null when they won't do.
+// Staff can only import donations at locations where they are internal.
+const checkOptions = (req, res) => {
+  const { options, error } = parseImportOptions(req.body.options);
+  if (error) {
+    res.status(400).send({ message: error });
+    return null;
+  }
+  if (!internalLocationIds(req.user).includes(options.locationId)) {
+    res.status(403).send({ message: 'You are not internal staff at that location' });
+    return null;
+  }
+  return options;
+};
+
+const previewFor = (client, req, options) =>
+  buildImportPreview(client, {
+    csv: req.file.buffer.toString('utf8'),
+    options,
+    locationIds: internalLocationIds(req.user),
+  });
+
+/**
+ * @swagger
+ * /api/donation-import/fields:
+ *   get:
+ *     summary: The fields a CSV column can be mapped to
+ *     tags: [Donation Import]
+ *     responses:
+ *       '200':
+ *         description: "[{ key, label }]"
+ *       '403':
+ *         description: Not internal staff
+ */
+router.get('/fields', requireInternal(), (req, res) => {
+  res.send(IMPORT_FIELDS.map(({ key, label }) => ({ key, label })));
+});
+
+/**
+ * @swagger
+ * /api/donation-import/preview:
+ *   post:
+ *     summary: See what importing a CSV file of donations would do, without saving anything
+ *     tags: [Donation Import]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: The CSV file, with a header row. At most 2 MB and 2000 rows.
+ *               options:
+ *                 type: string
+ *                 description: >
+ *                   JSON: { location_id, mapping, method, currency, overrides, notify }. mapping is the
+ *                   column index of each field, and is guessed from the headers when left out. method and
+ *                   currency are used for rows that don't say. overrides are by row number (the header is
+ *                   row 1): { user_id, skip, import_duplicate }.
+ *     responses:
+ *       '200':
+ *         description: >
+ *           { headers, mapping, rows, counts, message }. Each row is { row, donor, user, match, candidates,
+ *           donation, duplicate_of, errors, status }, where status is ready, invalid, unmatched, duplicate
+ *           or skipped.
+ *       '400':
+ *         description: No file, or invalid options
+ *       '403':
+ *         description: Not internal staff at the location
+ *       '413':
+ *         description: File too large
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/preview', requireInternal(), uploadCsv, async (req, res) => {
+  const options = checkOptions(req, res);
+  if (!options) {
+    return;
+  }
+  try {
+    res.send(await previewFor(pool, req, options));
+  } catch (err) {
+    console.error('Error previewing donation import:', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/donation-import:
+ *   post:
+ *     summary: Import a CSV file of donations
+ *     description: >
+ *       Takes the same file and options as the preview, and imports its ready rows in one transaction.
+ *       Nothing is imported while a row is invalid or unmatched: fix it, choose its donor or skip it.
+ *       Donors are emailed a thank you only when notify is true.
+ *     tags: [Donation Import]
+ *     responses:
+ *       '201':
+ *         description: "{ imported, skipped, duplicates, donation_ids }"
+ *       '400':
+ *         description: No file, invalid options, or nothing to import
+ *       '403':
+ *         description: Not internal staff at the location
+ *       '413':
+ *         description: File too large
+ *       '422':
+ *         description: Some rows are invalid or unmatched. The body is { message, preview }.
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/', requireInternal(), uploadCsv, async (req, res) => {
+  const options = checkOptions(req, res);
+  if (!options) {
+    return;
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const preview = await previewFor(client, req, options);
+    const { ready = 0, invalid = 0, unmatched = 0, skipped = 0, duplicate = 0 } = preview.counts;
+    if (preview.message || ready === 0) {
+      await client.query('ROLLBACK');
+      res.status(400).send({ message: preview.message || 'There are no rows ready to import' });
+      return;
+    }
+    if (invalid + unmatched > 0) {
+      await client.query('ROLLBACK');
+      res.status(422).send({ message: 'Fix, match or skip every row before importing', preview });
+      return;
+    }
+
+    const donationIds = [];
+    for (const row of preview.rows.filter((item) => item.status === 'ready')) {
+      const { donation } = row;
+      const result = await client.query(
+        `INSERT INTO "donation" ("user_id", "amount_cents", "currency", "method", "check_number", "campaign",
+           "location_id", "memo", "received_on")
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9::date, CURRENT_DATE))
+         RETURNING "id";`,
+        [
+          row.user.id,
+          donation.amount_cents,
+          donation.currency,
+          donation.method,
+          donation.check_number,
+          donation.campaign,
+          donation.location_id,
+          donation.memo,
+          donation.received_on,
+        ]
+      );
+      const donationId = result.rows[0].id;
+      await recordAudit(client, {
+        actorId: req.user.id,
+        action: 'donation.import',
+        targetType: 'donation',
+        targetId: donationId,
+        locationId: options.locationId,
+        details: { file: req.file.originalname, row: row.row, match: row.match },
+      });
+      if (options.notify) {
+        await notifyDonationRecorded(client, { donationId, locationId: options.locationId });
+      }
+      donationIds.push(donationId);
+    }
+    await client.query('COMMIT');
+    res.status(201).send({ imported: donationIds.length, skipped, duplicates: duplicate, donation_ids: donationIds });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error importing donations:', err);
+    res.sendStatus(500);
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const pool = require('../modules/pool');
+const { requireOpenSubmission, requireSubmissionReader } = require('../modules/submission-middleware');
+const { fetchFormForSubmission } = require('../modules/form-revision');
+const { uploadSingleFile, storedFilePath, removeStoredFile } = require('../modules/file-storage');
+const { auditRoute } = require('../modules/audit-log');
+
+// Mounted at /api/submission/:submissionId/files
+const router = express.Router({ mergeParams: true });
+
+// Columns sent back to the client for an uploaded file
+const FILE_COLUMNS = `
+  answer_file.id,
+  answer_file.answer_id,
+  answer_file.original_name as "name",
+  answer_file.mime_type,
+  answer_file.size_bytes,
+  answer_file.uploaded_at
+`;
+
+/**
+ * @swagger
+ * /api/submission/{submissionId}/files:
+ *   post:
+ *     summary: Upload a file for a file question on a submission
+ *     tags: [submissions]
+ *     parameters:
+ *       - name: submissionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               question_id:
+ *                 type: integer
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       '201':
+ *         description: The stored file's details
+ *       '400':
+ *         description: Missing file, or the question doesn't take files
+ *       '403':
+ *         description: Not the applicant who owns the submission
+ *       '409':
+ *         description: The submission has already been submitted
+ *       '404':
+ *         description: Submission not found
+ *       '413':
+ *         description: File is too large
+ *       '415':
+ *         description: File type isn't allowed
+ *       '500':
+ *         description: Internal server error
+ */
+const submissionLocation = (req) => req.submission.location_id;
+const auditNewFile = auditRoute('answer_file.create', 'answer_file', { location: submissionLocation });
+const auditFileDelete = auditRoute('answer_file.delete', 'answer_file', {
+  id: (req) => req.params.fileId,
+  location: submissionLocation,
+});
+
+router.post('/', requireOpenSubmission, uploadSingleFile, auditNewFile, async (req, res) => {
+  if (!req.file) {
+    res.status(400).send({ message: 'file is required' });
+    return;
+  }
+  const client = await pool.connect();
+  try {
+    const form = await fetchFormForSubmission(req.submission);
+    const question = (form.sections || [])
+      .flatMap((section) => section.questions || [])
+      .find((q) => String(q.id) === String(req.body.question_id));
+    if (question?.answer_type !== 'file') {
+      await removeStoredFile(req.file.filename);
+      res.status(400).send({ message: 'This question does not take file uploads' });
+      return;
+    }
+
+    await client.query('BEGIN');
+    // Files hang off the question's answer row, which is created on the first upload
+    let answerResult = await client.query(
+      `SELECT id FROM "answer" WHERE submission_id = $1 AND question_id = $2 ORDER BY id LIMIT 1;`,
+      [req.params.submissionId, question.id]
+    );
+    if (!answerResult.rows[0]) {
+      answerResult = await client.query(
+        `INSERT INTO "answer" ("question_id", "user_id", "submission_id") VALUES ($1, $2, $3) RETURNING id;`,
+        [question.id, req.user.id, req.params.submissionId]
+      );
+    }
+    const fileResult = await client.query(
+      `
+        INSERT INTO "answer_file" ("answer_id", "original_name", "stored_name", "mime_type", "size_bytes", "uploaded_by")
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING ${FILE_COLUMNS};
+      `,
+      [answerResult.rows[0].id, req.file.originalname, req.file.filename, req.file.mimetype, req.file.size, req.user.id]
+    );
+    await client.query('COMMIT');
+    res.locals.auditTargetId = fileResult.rows[0].id;
+    res.status(201).send({ ...fileResult.rows[0], question_id: question.id });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    await removeStoredFile(req.file.filename).catch(() => {});
+    console.error('Error saving uploaded file', err);
+    res.sendStatus(500);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/submission/{submissionId}/files/{fileId}:
+ *   get:
+ *     summary: Download a file uploaded to a submission
+ *     description: Available to the applicant and to internal staff at the form's location.
+ *     tags: [submissions]
+ *     parameters:
+ *       - name: submissionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: fileId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The file
+ *       '403':
+ *         description: Not allowed to read this submission
+ *       '404':
+ *         description: Submission or file not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/:fileId', requireSubmissionReader, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `
+        SELECT answer_file.* FROM "answer_file"
+        JOIN "answer" ON answer.id = answer_file.answer_id
+        WHERE answer_file.id = $1 AND answer.submission_id = $2;
+      `,
+      [req.params.fileId, req.params.submissionId]
+    );
+    if (!rows[0]) {
+      res.sendStatus(404);
+      return;
+    }
+    res.type(rows[0].mime_type);
+    res.download(storedFilePath(rows[0].stored_name), rows[0].original_name, (err) => {
+      if (err && !res.headersSent) {
+        console.error('Error sending file', err);
+        res.sendStatus(err.code === 'ENOENT' ? 404 : 500);
+      }
+    });
+  } catch (err) {
+    console.error('Error downloading file', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/submission/{submissionId}/files/{fileId}:
+ *   delete:
+ *     summary: Remove a file from a submission
+ *     tags: [submissions]
+ *     parameters:
+ *       - name: submissionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: fileId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '204':
+ *         description: File removed
+ *       '403':
+ *         description: Not the applicant who owns the submission
+ *       '409':
+ *         description: The submission has already been submitted
+ *       '404':
+ *         description: Submission or file not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.delete('/:fileId', requireOpenSubmission, auditFileDelete, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `
+        DELETE FROM "answer_file"
+        USING "answer"
+        WHERE answer.id = answer_file.answer_id AND answer_file.id = $1 AND answer.submission_id = $2
+        RETURNING answer_file.stored_name;
+      `,
+      [req.params.fileId, req.params.submissionId]
+    );
+    if (!rows[0]) {
+      res.sendStatus(404);
+      return;
+    }
+    await removeStoredFile(rows[0].stored_name);
+    res.sendStatus(204);
+  } catch (err) {
+    console.error('Error removing file', err);
+    res.sendStatus(500);
+  }
+});
+
+module.exports = router;
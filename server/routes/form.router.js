@@ -1,8 +1,20 @@
 const express = require('express');
 const pool = require('../modules/pool');
+const { rejectUnauthenticated, requireInternal, internalLocationIds } = require('../modules/authentication-middleware');
+const { formLocation } = require('../modules/location-lookup');
+const { fetchDraftForm, fetchPublishedForm, publishForm } = require('../modules/form-revision');
+const { auditRoute } = require('../modules/audit-log');
+const { toCsv } = require('../modules/csv');
+const { parseExportFilters, fetchFormStages, buildSubmissionExport, toXlsx } = require('../modules/submission-export');
 
 const router = express.Router();
 
+const requireFormStaff = requireInternal((req) => formLocation(req.params.formId));
+const auditForm = (action) => auditRoute(action, 'form', {
+    id: (req) => req.params.formId,
+    location: (req) => req.params.formId ? formLocation(req.params.formId) : req.body.location_id,
+});
+
 /**
  * Is there going there going to be one big form put?
  * go through and post/put/delete/archive everything that needs to be
@@ -21,8 +33,10 @@ const router = express.Router();
  * Post Submissions + answers in the submission
  */
 
-router.get('/', (req, res) => {
-    pool.query(`select * from forms;`).then(response => {
+// gets every form at the locations where the user is internal staff
+// (used by the admin pages)
+router.get('/', requireInternal(), (req, res) => {
+    pool.query(`select * from forms where location_id = ANY($1);`, [internalLocationIds(req.user)]).then(response => {
         res.send(response.rows).status(200);
     }).catch(err => {
         console.error('Error getting forms', err);
@@ -30,73 +44,140 @@ router.get('/', (req, res) => {
     })
 })
 
+// gets the forms anyone can apply with, from every location
+router.get('/open', rejectUnauthenticated, (req, res) => {
+    const queryText = `
+        select forms.id, forms."name", forms.location_id, location."name" as location_name
+        from forms
+        join location on location.id = forms.location_id
+        where forms.archived = false
+        order by forms.id;
+    `
+    pool.query(queryText).then(response => {
+        res.send(response.rows);
+    }).catch(err => {
+        console.error('Error getting open forms', err);
+        res.sendStatus(500);
+    })
+})
+
 // gets a single form with all the sections, quesetions, etc.
 // (useful on the frontend)
-router.get('/:formId/all', (req, res) => {
+//   ?revision=<id> gets a specific published revision
+//   ?draft=true gets the editable draft (internal staff only)
+// otherwise the latest published revision is sent, or the draft if the
+// form has never been published.
+router.get('/:formId/all', async (req, res) => {
+    try {
+        let form;
+        if (req.query.draft === 'true') {
+            const locationId = await formLocation(req.params.formId);
+            if (!req.isAuthenticated() || !internalLocationIds(req.user).includes(locationId)) {
+                res.sendStatus(403);
+                return;
+            }
+            form = await fetchDraftForm(req.params.formId);
+        } else if (req.query.revision) {
+            form = await fetchPublishedForm(req.params.formId, req.query.revision);
+        } else {
+            form = (await fetchPublishedForm(req.params.formId)) || (await fetchDraftForm(req.params.formId));
+        }
+
+        if (!form) {
+            res.sendStatus(404);
+            return;
+        }
+        res.send(form);
+    } catch (err) {
+        console.error('Error grabbing the form', err);
+        res.sendStatus(500);
+    }
+})
+
+// lists the published revisions of a form, newest first
+router.get('/:formId/revisions', requireInternal((req) => formLocation(req.params.formId)), (req, res) => {
     const queryText = `
-select 
-	'Form' as "type",
-	forms.id as "id",
-	forms."name" as "name",
-	forms."default_pipeline_id" as "pipeline_id",
-	forms."location_id" as "location_id",
-	(select
-		json_agg(
-			json_build_object(
-				'type', 'Section',
-				'id', sections.id,
-				'order', sections."order",
-                'name', sections."name",
-				'description', sections.description,
-				'questions', (select 
-					json_agg(
-						json_build_object(
-							'type', 'Question',
-							'id', question.id,
-							'question', question.question,
-							'description', question.description,
-							'order', question."order",
-							'answer_type', question.answer_type,
-							'required', question.required,
-							'multiple_choice_answers', (select 
-								json_agg(
-									json_build_object(
-										'type', 'MCAnswer',
-										'id', multiple_choice_answers.id,
-										'answer', multiple_choice_answers.answer
-									)
-								)
-								from multiple_choice_answers
-								where multiple_choice_answers.question_id = question.id
-							)
-						)
-					) from question
-					where question.section_id = sections.id
-                    and question.archived = false
-				)
-			)
-		) from sections
-		where sections.form_id = forms.id
-	) as "sections"
-from forms
-where forms.id = $1
-group by forms.id;
+        select form_revision.id, form_revision.revision, form_revision.published_at,
+            "user".first_name as published_by_first_name, "user".last_name as published_by_last_name
+        from form_revision
+        left join "user" on "user".id = form_revision.published_by
+        where form_revision.form_id = $1
+        order by form_revision.revision desc;
     `
-    pool.query(queryText,[req.params.formId]).then(response => {
-        res.send(response.rows[0]);
+    pool.query(queryText, [req.params.formId]).then(response => {
+        res.send(response.rows);
     }).catch(err => {
-        console.error('Error grabbing the form', err);
-        res.send(500);
+        console.error('Error getting form revisions', err);
+        res.sendStatus(500);
     })
 })
 
+// lists the stages of the form's pipeline, to filter the export by
+router.get('/:formId/stages', requireFormStaff, async (req, res) => {
+    try {
+        res.send(await fetchFormStages(pool, req.params.formId));
+    } catch (err) {
+        console.error('Error getting form stages', err);
+        res.sendStatus(500);
+    }
+})
+
+// downloads the finished submissions as a spreadsheet, one row per applicant (see modules/submission-export.js)
+//   ?format=csv (default) or xlsx
+//   ?from, ?to, ?location_id, ?pipeline_status_id narrow it down
+router.get('/:formId/export', requireFormStaff, async (req, res) => {
+    const { filters, error } = parseExportFilters(req.query);
+    if (error) {
+        res.status(400).send({ message: error });
+        return;
+    }
+    try {
+        const formResult = await pool.query(`select "name" from forms where id = $1;`, [req.params.formId]);
+        const formName = formResult.rows[0].name || `Form ${req.params.formId}`;
+        const { columns, rows } = await buildSubmissionExport(pool, req.params.formId, filters);
+        const today = new Date().toISOString().slice(0, 10);
+        const fileName = `${formName.replace(/[^\w-]+/g, '-').toLowerCase()}-submissions-${today}.${filters.format}`;
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        if (filters.format === 'xlsx') {
+            res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.send(await toXlsx(formName, columns, rows));
+        } else {
+            res.type('text/csv; charset=utf-8');
+            res.send(toCsv(columns, rows));
+        }
+    } catch (err) {
+        console.error('Error exporting submissions', err);
+        res.sendStatus(500);
+    }
+})
+
+// publishes the current draft as a new, immutable revision.
+// New submissions are pinned to the latest revision.
+router.post('/:formId/publish', requireFormStaff, auditForm('form.publish'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const revision = await publishForm(client, req.params.formId, req.user.id);
+        await client.query('COMMIT');
+        res.status(201).send(revision);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error publishing form', err);
+        res.sendStatus(500);
+    } finally {
+        client.release();
+    }
+})
+
 // creates a new form with pipeline id
-router.post('/', (req, res) => {
+router.post('/', requireInternal((req) => req.body.location_id), auditForm('form.create'), (req, res) => {
     const queryText = `
         insert into forms("name", default_pipeline_id, location_id)
-        values($1, $2, $3);
+        values($1, $2, $3)
+        returning id;
     `
     pool.query(queryText, [req.body.name, req.body.default_pipeline_id, req.body.location_id]).then(response => {
+        res.locals.auditTargetId = response.rows[0].id;
         res.send(200);
     }).catch(err => {
         console.error('Error posting form', err);
@@ -107,7 +188,7 @@ router.post('/', (req, res) => {
 // EDIT form by id (name, pipeline id)
 
 // DELETE form by id
-router.delete('/:formId', (req, res) => {
+router.delete('/:formId', requireFormStaff, auditForm('form.delete'), (req, res) => {
     const queryText = `
         DELETE FROM forms
         WHERE id = $1;
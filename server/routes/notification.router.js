@@ -0,0 +1,186 @@
+const express = require('express');
+const pool = require('../modules/pool');
+const { requireInternal } = require('../modules/authentication-middleware');
+const { DEFAULT_TEMPLATES } = require('../modules/notifications');
+const { auditRoute } = require('../modules/audit-log');
+
+const router = express.Router();
+
+/*
+  Email templates for each location. A location without its own template for
+  an event uses the default from server/modules/notifications.js.
+*/
+
+const requireLocationStaff = requireInternal((req) => req.params.locationId || req.query.location_id);
+
+// Every event with the template the location uses for it
+const templatesForLocation = async (locationId) => {
+  const result = await pool.query(
+    `SELECT "event", "subject", "body", "enabled", "updated_at" FROM "email_template" WHERE "location_id" = $1;`,
+    [locationId]
+  );
+  return Object.entries(DEFAULT_TEMPLATES).map(([event, defaults]) => {
+    const custom = result.rows.find((row) => row.event === event);
+    return {
+      event,
+      label: defaults.label,
+      placeholders: defaults.placeholders,
+      subject: custom ? custom.subject : defaults.subject,
+      body: custom ? custom.body : defaults.body,
+      enabled: custom ? custom.enabled : true,
+      custom: Boolean(custom),
+      updated_at: custom?.updated_at ?? null,
+    };
+  });
+};
+
+/**
+ * @swagger
+ * /api/notification/templates:
+ *   get:
+ *     summary: Get the email templates a location uses
+ *     tags: [Notifications]
+ *     parameters:
+ *       - name: location_id
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: >
+ *           One entry per event like { event, label, placeholders, subject, body, enabled, custom, updated_at }.
+ *           `custom` is false when the location uses the default template.
+ *       '403':
+ *         description: Not internal staff at the location
+ *       '404':
+ *         description: No location_id given
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/templates', requireLocationStaff, async (req, res) => {
+  try {
+    res.send(await templatesForLocation(req.query.location_id));
+  } catch (err) {
+    console.error('Error fetching email templates', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/notification/templates/{locationId}/{event}:
+ *   put:
+ *     summary: Change a location's email template for an event
+ *     tags: [Notifications]
+ *     parameters:
+ *       - name: locationId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: event
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [submission_received, submission_received_staff, stage_changed, donation_recorded]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *               enabled:
+ *                 type: boolean
+ *                 description: false stops this email being sent at the location
+ *             required:
+ *               - subject
+ *               - body
+ *     responses:
+ *       '200':
+ *         description: Every template the location uses, after the change
+ *       '400':
+ *         description: Unknown event, or a missing subject or body
+ *       '403':
+ *         description: Not internal staff at the location
+ *       '500':
+ *         description: Internal server error
+ */
+// Email templates are kept per location and event; the audit entry's target is the location
+const auditEmailTemplate = (action) =>
+  auditRoute(action, 'email_template', {
+    id: (req) => req.params.locationId,
+    location: (req) => req.params.locationId,
+  });
+const TEMPLATE_PATH = '/templates/:locationId/:event';
+
+router.put(TEMPLATE_PATH, requireLocationStaff, auditEmailTemplate('email_template.update'), async (req, res) => {
+  const { locationId, event } = req.params;
+  const subject = typeof req.body.subject === 'string' ? req.body.subject.trim() : '';
+  const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+  if (!DEFAULT_TEMPLATES[event]) {
+    res.status(400).send({ message: 'Unknown email event' });
+    return;
+  }
+  if (!subject || !body) {
+    res.status(400).send({ message: 'Emails need a subject and a body' });
+    return;
+  }
+  const queryText = `
+    INSERT INTO "email_template" ("location_id", "event", "subject", "body", "enabled")
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT ("location_id", "event")
+    DO UPDATE SET "subject" = $3, "body" = $4, "enabled" = $5, "updated_at" = NOW();
+  `;
+  try {
+    await pool.query(queryText, [locationId, event, subject, body, req.body.enabled !== false]);
+    res.send(await templatesForLocation(locationId));
+  } catch (err) {
+    console.error('Error saving email template', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/notification/templates/{locationId}/{event}:
+ *   delete:
+ *     summary: Go back to the default email template for an event
+ *     tags: [Notifications]
+ *     parameters:
+ *       - name: locationId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: event
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Every template the location uses, after the change
+ *       '403':
+ *         description: Not internal staff at the location
+ *       '500':
+ *         description: Internal server error
+ */
+router.delete(TEMPLATE_PATH, requireLocationStaff, auditEmailTemplate('email_template.reset'), async (req, res) => {
+  const { locationId, event } = req.params;
+  try {
+    await pool.query(`DELETE FROM "email_template" WHERE "location_id" = $1 AND "event" = $2;`, [locationId, event]);
+    res.send(await templatesForLocation(locationId));
+  } catch (err) {
+    console.error('Error resetting email template', err);
+    res.sendStatus(500);
+  }
+});
+
+module.exports = router;
@@ -1,32 +1,46 @@
 const express = require('express');
 const pool = require('../modules/pool');
-const { rejectUnauthenticated } = require('../modules/authentication-middleware');
+const { requireInternal, requireSelfOrInternal, internalLocationIds } = require('../modules/authentication-middleware');
+const { pipelineLocation, pipelineStatusLocation, taskLocation } = require('../modules/location-lookup');
+const { moveUser, removeUser } = require('../modules/stage-move');
+const { REQUIREMENT_TYPES, describeRequirement } = require('../modules/stage-requirements');
+const { parseRule } = require('../modules/stage-automation');
+const { auditRoute } = require('../modules/audit-log');
 
 const router = express.Router();
 
-// constant array for the volunteer pipeline type
-const PIPELINE_STATUS_VOLUNTEER = [
-  { order: 1, name: 'application submitted' },
-  { order: 2, name: 'application review' },
-  { order: 3, name: 'interview' },
-  { order: 4, name: 'background check' },
-  { order: 5, name: 'verified/accepted' },
-];
-
-// constant array for the donor pipeline type
-const PIPELINE_STATUS_DONOR = [
-  { order: 1, name: 'interested' },
-  { order: 2, name: 'discussed' },
-  { order: 3, name: 'check sent' },
-  { order: 4, name: 'check verified' },
-  { order: 5, name: 'donated' },
-];
+// Only internal staff at the location that owns the pipeline can change it
+const statusLocation = (req) =>
+  pipelineStatusLocation(req.params.pipelineStatusId || req.params.id || req.body.pipeline_status_id);
+const requirePipelineStaff = requireInternal((req) => pipelineLocation(req.params.id));
+const requireStatusStaff = requireInternal(statusLocation);
+
+// Audit log entries for changes to a pipeline, or to something on one of its statuses
+const auditPipeline = (action) =>
+  auditRoute(action, 'pipeline', { id: (req) => req.params.id, location: (req) => pipelineLocation(req.params.id) });
+const auditStatusChange = (action) =>
+  auditRoute(action, 'pipeline_status', { id: (req) => req.params.id, location: statusLocation });
+
+// Staff can move someone past unmet stage requirements by sending `override: true`, but must say why in `note`
+const overrideWithoutNote = (req, res) => {
+  if (req.body.override && !req.body.note?.trim()) {
+    res.status(400).send({ message: 'Explain why the stage requirements are being overridden in the note' });
+    return true;
+  }
+  return false;
+};
+
+const sendUnmetRequirements = (res, err) => {
+  res.status(409).send({ message: 'This applicant does not meet the requirements for that stage', unmet: err.unmet });
+};
 
 //
 // FUSSY SEARCH
 //
 
-router.get('/search', (req, res) => {
+// Only users tied to one of the caller's internal locations (or not tied to any
+// location yet, like a newly registered donor) show up in the search.
+router.get('/search', requireInternal(), (req, res) => {
   const searchTerm = req.query.term;
   console.log('searchTerm', searchTerm);
   const sqlQuery = `
@@ -42,14 +56,27 @@ router.get('/search', (req, res) => {
     ) AS similarity_score
 FROM "user"
 WHERE 
-    similarity("first_name", $1) > 0.2
+    (similarity("first_name", $1) > 0.2
     OR similarity("last_name", $1) > 0.2
-    OR similarity(CONCAT("first_name", ' ', "last_name"), $1) > 0.2
+    OR similarity(CONCAT("first_name", ' ', "last_name"), $1) > 0.2)
+    AND (
+        "id" IN (SELECT "user_id" FROM "user_location" WHERE "location_id" = ANY($2))
+        OR "id" IN (
+            SELECT "user_status"."user_id" FROM "user_status"
+            JOIN "pipeline_status" ON "pipeline_status"."id" = "user_status"."pipeline_status_id"
+            JOIN "pipeline" ON "pipeline"."id" = "pipeline_status"."pipeline_id"
+            WHERE "pipeline"."location_id" = ANY($2)
+        )
+        OR (
+            NOT EXISTS (SELECT 1 FROM "user_location" WHERE "user_location"."user_id" = "user"."id")
+            AND NOT EXISTS (SELECT 1 FROM "user_status" WHERE "user_status"."user_id" = "user"."id")
+        )
+    )
 ORDER BY similarity_score DESC;
   `;
 
   pool
-    .query(sqlQuery, [searchTerm])
+    .query(sqlQuery, [searchTerm, internalLocationIds(req.user)])
     .then((result) => {
       if (result.rows.length === 0) {
         return res.status(404).send('No matching users found');
@@ -65,6 +92,130 @@ ORDER BY similarity_score DESC;
 // END FUSSY SEARCH
 //
 
+//
+// FOLLOW-UP TASKS
+//
+
+/**
+ * @swagger
+ * /api/pipeline/tasks:
+ *   get:
+ *     summary: Get follow-up tasks
+ *     description: >
+ *       Tasks created by stage automations on pipelines at locations where the caller is internal staff.
+ *       Open tasks come first, soonest due first.
+ *     tags:
+ *       - Pipeline
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Only tasks about this applicant
+ *       - in: query
+ *         name: assigned_to_me
+ *         schema:
+ *           type: boolean
+ *         description: Only tasks assigned to the caller
+ *       - in: query
+ *         name: include_completed
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: >
+ *           List of tasks like { id, user_id, user_name, pipeline_id, pipeline_name, status,
+ *           assigned_to, assigned_to_name, title, due_at, completed_at, created_at }
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/tasks', requireInternal(), async (req, res) => {
+  const queryText = `
+    SELECT
+      "follow_up_task"."id",
+      "follow_up_task"."user_id",
+      CONCAT_WS(' ', "applicant"."first_name", "applicant"."last_name") AS "user_name",
+      "follow_up_task"."pipeline_id",
+      "pipeline"."name" AS "pipeline_name",
+      "pipeline_status"."name" AS "status",
+      "follow_up_task"."assigned_to",
+      NULLIF(CONCAT_WS(' ', "assignee"."first_name", "assignee"."last_name"), '') AS "assigned_to_name",
+      "follow_up_task"."title",
+      "follow_up_task"."due_at",
+      "follow_up_task"."completed_at",
+      "follow_up_task"."created_at"
+    FROM "follow_up_task"
+    JOIN "pipeline" ON "pipeline"."id" = "follow_up_task"."pipeline_id"
+    JOIN "user" AS "applicant" ON "applicant"."id" = "follow_up_task"."user_id"
+    LEFT JOIN "pipeline_status" ON "pipeline_status"."id" = "follow_up_task"."pipeline_status_id"
+    LEFT JOIN "user" AS "assignee" ON "assignee"."id" = "follow_up_task"."assigned_to"
+    WHERE "pipeline"."location_id" = ANY($1)
+      AND ($2::int IS NULL OR "follow_up_task"."user_id" = $2)
+      AND ($3::int IS NULL OR "follow_up_task"."assigned_to" = $3)
+      AND ($4 OR "follow_up_task"."completed_at" IS NULL)
+    ORDER BY "follow_up_task"."completed_at" IS NOT NULL, "follow_up_task"."due_at" NULLS LAST, "follow_up_task"."id";
+  `;
+  try {
+    const result = await pool.query(queryText, [
+      internalLocationIds(req.user),
+      req.query.user_id || null,
+      req.query.assigned_to_me === 'true' ? req.user.id : null,
+      req.query.include_completed === 'true',
+    ]);
+    res.send(result.rows);
+  } catch (error) {
+    console.error('Error fetching follow-up tasks:', error);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/pipeline/tasks/{taskId}:
+ *   put:
+ *     summary: Mark a follow-up task done, or open it again
+ *     tags:
+ *       - Pipeline
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               completed:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated task
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Internal server error
+ */
+const auditTask = auditRoute('follow_up_task.update', 'follow_up_task', {
+  id: (req) => req.params.taskId,
+  location: (req) => taskLocation(req.params.taskId),
+});
+router.put('/tasks/:taskId', requireInternal((req) => taskLocation(req.params.taskId)), auditTask, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE "follow_up_task" SET "completed_at" = CASE WHEN $2 THEN NOW() ELSE NULL END WHERE "id" = $1 RETURNING *;`,
+      [req.params.taskId, Boolean(req.body.completed)]
+    );
+    res.send(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating follow-up task:', error);
+    res.sendStatus(500);
+  }
+});
+
 //
 //PIPELINE
 //
@@ -73,7 +224,7 @@ ORDER BY similarity_score DESC;
  * /api/pipeline:
  *   get:
  *     summary: Get a list of all pipelines
- *     description: Fetches a list of all pipeline names.
+ *     description: Fetches the pipelines at locations where the user is internal staff.
  *     responses:
  *       '200':
  *         description: Successfully fetched the list of pipelines.
@@ -106,20 +257,21 @@ ORDER BY similarity_score DESC;
  *                 description: Name of the pipeline
  *               type:
  *                 type: string
- *                 enum: [volunteer, donor]
- *                 description: Type of pipeline
+ *                 description: Key of the pipeline template to start from, e.g. volunteer or donor
+ *               template_id:
+ *                 type: integer
+ *                 description: ID of the pipeline template to start from (instead of type)
  *               location_id:
  *                 type: integer
  *                 description: ID of the location this pipeline belongs to
  *             required:
  *               - name
- *               - type
  *               - location_id
  *     responses:
  *       201:
  *         description: Pipeline created successfully
  *       400:
- *         description: Invalid pipeline type or missing required fields
+ *         description: Unknown pipeline template or missing required fields
  *       500:
  *         description: Server error while creating pipeline
  *
@@ -193,15 +345,16 @@ ORDER BY similarity_score DESC;
  *       500:
  *         description: Server error while updating user's status
  */
-router.get('/', (req, res) => {
+router.get('/', requireInternal(), (req, res) => {
   const sqlQuery = `
      SELECT 
      "id", "name"
      FROM
      "pipeline"
+     WHERE "location_id" = ANY($1)
   `;
   pool
-    .query(sqlQuery)
+    .query(sqlQuery, [internalLocationIds(req.user)])
     .then((result) => {
       res.json(result.rows);
     })
@@ -211,11 +364,8 @@ router.get('/', (req, res) => {
     });
 });
 
-///   will add location column later on so that internal users at a specific location can only edit pipelines for their location
-router.get('/:pipelineId', (req, res) => {
-  const pipelineId = req.params.pipelineId; //for example, the Volunteer_fargo pipeline Id
-  const sqlQuery = `
-
+// A pipeline with its ordered statuses and the applicants in each, shaped like the example below
+const PIPELINE_QUERY = `
 SELECT 
     json_build_object(
         'pipeline_id', "pipeline"."id",
@@ -228,6 +378,29 @@ SELECT
                         'pipeline_status_id', "pipeline_status"."id",
                         'status', "pipeline_status"."name",
                         'order', "pipeline_status"."order",
+                        'requirements', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', "pipeline_status_requirement"."id",
+                                    'type', "pipeline_status_requirement"."type",
+                                    'description', "pipeline_status_requirement"."description"
+                                ) ORDER BY "pipeline_status_requirement"."id"
+                            )
+                            FROM "pipeline_status_requirement"
+                            WHERE "pipeline_status_requirement"."pipeline_status_id" = "pipeline_status"."id"
+                        ),
+                        'actions', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', "pipeline_status_action"."id",
+                                    'trigger', "pipeline_status_action"."trigger",
+                                    'action', "pipeline_status_action"."action",
+                                    'config', "pipeline_status_action"."config"
+                                ) ORDER BY "pipeline_status_action"."id"
+                            )
+                            FROM "pipeline_status_action"
+                            WHERE "pipeline_status_action"."pipeline_status_id" = "pipeline_status"."id"
+                        ),
                         'applicants', (
                             SELECT json_agg(
                                 json_build_object(
@@ -238,11 +411,15 @@ SELECT
                                     'pipeline_status_id', "pipeline_status"."id",
                                     'status', "pipeline_status"."name",
                                     'order', "pipeline_status"."order",
-                                    'phoneNumber', "user"."phone_number"
+                                    'phoneNumber', "user"."phone_number",
+                                    'entered_at', "user_status"."entered_at",
+                                    'owner_id', "user_status"."owner_id",
+                                    'owner_name', NULLIF(CONCAT_WS(' ', "owner"."first_name", "owner"."last_name"), '')
                                 )
                             )
                             FROM "user"
                             JOIN "user_status" ON "user_status"."user_id" = "user"."id"
+                            LEFT JOIN "user" AS "owner" ON "owner"."id" = "user_status"."owner_id"
                             WHERE "user_status"."pipeline_status_id" = "pipeline_status"."id"
                         )
                     ) AS status_ordered
@@ -259,6 +436,16 @@ WHERE
 
 `;
 
+// Runs PIPELINE_QUERY with the pool, or with a client inside a transaction
+const fetchPipelineById = async (db, pipelineId) => {
+  const result = await db.query(PIPELINE_QUERY, [pipelineId]);
+  return result.rows[0]?.pipeline;
+};
+
+// internal users at a specific location can only view pipelines for their location
+router.get('/:pipelineId', requireInternal((req) => pipelineLocation(req.params.pipelineId)), (req, res) => {
+  const pipelineId = req.params.pipelineId; //for example, the Volunteer_fargo pipeline Id
+
   //   const sqlQuery = `
   // SELECT
   //     json_build_object(
@@ -301,17 +488,53 @@ WHERE
 
   // `;
 
-  pool
-    .query(sqlQuery, [pipelineId])
-    .then((result) => {
-      console.log('query result', result.rows[0].pipeline);
-      res.send(result.rows[0].pipeline);
+  fetchPipelineById(pool, pipelineId)
+    .then((pipeline) => {
+      res.send(pipeline);
     })
     .catch((error) => {
       console.error('Error fetching Kanban data:', error);
       res.sendStatus(500);
     });
 });
+
+/**
+ * @swagger
+ * /api/pipeline/{id}/staff:
+ *   get:
+ *     summary: Get the internal staff at the pipeline's location
+ *     description: The people who can own applicants or be assigned follow-up tasks on this pipeline.
+ *     tags:
+ *       - Pipeline
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of staff like { id, first_name, last_name, username }
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/staff', requirePipelineStaff, async (req, res) => {
+  const queryText = `
+    SELECT "user"."id", "user"."first_name", "user"."last_name", "user"."username"
+    FROM "user"
+    JOIN "user_location" ON "user_location"."user_id" = "user"."id"
+    JOIN "pipeline" ON "pipeline"."location_id" = "user_location"."location_id"
+    WHERE "pipeline"."id" = $1 AND "user_location"."internal" = true
+    ORDER BY "user"."last_name", "user"."first_name";
+  `;
+  try {
+    const result = await pool.query(queryText, [req.params.id]);
+    res.send(result.rows);
+  } catch (error) {
+    console.error('Error fetching pipeline staff:', error);
+    res.sendStatus(500);
+  }
+});
 /* THIS IS THE STRUTURE for the pipeline by Id
 { //this object is the entire pipeline, ie, for a site such as Sioux Falls
     pipeline_name: "Volunteer_fargo", // in our DB has an id of 1
@@ -386,21 +609,22 @@ WHERE
  *                   type: string
  *                   description: The name of the pipeline.
  *                   example: "DonorPipeline"
+ *                 template_id:
+ *                   type: integer
+ *                   description: The pipeline template to copy the stages from.
+ *                 type:
+ *                   type: string
+ *                   description: The template's key, used when template_id is left out.
+ *                   example: "donor"
  *               required:
  *                 - name
  *       responses:
  *         '201':
- *           description: Pipeline created successfully.
- *           content:
- *             application/json:
- *               schema:
- *                 type: object
- *                 properties:
- *                   message:
- *                     type: string
- *                     example: "Pipeline created successfully."
+ *           description: >
+ *             Pipeline created with the template's statuses. The body is the new pipeline,
+ *             shaped like GET /api/pipeline/{pipelineId}.
  *         '400':
- *           description: Bad request - invalid input.
+ *           description: Unknown pipeline template.
  *           content:
  *             application/json:
  *               schema:
@@ -408,67 +632,69 @@ WHERE
  *                 properties:
  *                   message:
  *                     type: string
- *                     example: "Invalid name provided."
+ *                     example: "Unknown pipeline template"
+ *         '500':
+ *           description: Server error. Nothing is saved.
  *
  */
 // for future: add a reference column to location table
-router.post('/', rejectUnauthenticated, (req, res) => {
-  const pipelineType = req.body.type;
+// The new pipeline starts with the stages of a pipeline template, chosen by `template_id`,
+// or by its key in `type` (e.g. 'volunteer') when there is no template_id.
+const auditNewPipeline = auditRoute('pipeline.create', 'pipeline', { location: (req) => req.body.location_id });
+router.post('/', requireInternal((req) => req.body.location_id), auditNewPipeline, async (req, res) => {
   const pipelineName = req.body.name;
   const locationId = req.body.location_id;
-  // FIRST QUERY creates the pipeline
-  // protect the insert from bad data, or not in allowed list of pipeline types
-  if (!pipelineType || !['volunteer', 'donor'].includes(pipelineType)) {
-    res.send(400);
-    return;
-  } else {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // template_id wins when both are sent, so the two can't pick different templates
+    const templateId = req.body.template_id ?? '';
+    const templateResult =
+      templateId !== ''
+        ? await client.query(`SELECT "id", "key" FROM "pipeline_template" WHERE "id" = $1;`, [
+            Number(templateId) || null,
+          ])
+        : await client.query(`SELECT "id", "key" FROM "pipeline_template" WHERE "key" = $1;`, [
+            req.body.type || null,
+          ]);
+    const template = templateResult.rows[0];
+    // protect the insert from bad data, or a pipeline type that has no template
+    if (!template) {
+      await client.query('ROLLBACK');
+      res.status(400).send({ message: 'Unknown pipeline template' });
+      return;
+    }
+
+    // FIRST QUERY creates the pipeline
     const newLogQuery = `
     INSERT INTO "pipeline" 
-    ("name", "type", "location_id")
-    VALUES ($1, $2, $3) RETURNING id;
+    ("name", "type", "template_id", "location_id")
+    VALUES ($1, $2, $3, $4) RETURNING id;
   `;
-    // will need to use the NEW pipeline id to insert new records into the pipeline_status
-    // const volunteer = [{order: 1, name: 'application submitted}, {...the other status go here}];
-    pool
-      .query(newLogQuery, [pipelineName, pipelineType, locationId])
-      .then((results) => {
-        console.log('Pipeline name POSTed');
-        const newPipelineId = results.rows[0].id;
-
-        // SECOND QUERY to create inserts to pipeline_status w/ the newPipelineId
-        // need to check the pipelineType, to ensure the correct constant array is used
-        // example, if (pipelineType === 'volunteer') {...need a loop to go through the PIPELINE_STATUS...}
-        // need queryString and another pool
-        const newPipeLineStatusQuery = `
-          INSERT INTO "pipeline_status" 
-          ("pipeline_id", "order", "name")
-          VALUES ($1, $2, $3);
-          `;
-        // which workflow do we use, check the pipeline type
-        if (pipelineType === 'volunteer') {
-          // loop my volunteer constant array (top of file)
-          PIPELINE_STATUS_VOLUNTEER.forEach((status) => {
-            pool.query(newPipeLineStatusQuery, [newPipelineId, status.order, status.name]).catch((error) => {
-              console.log('Error inserting pipeline status for volunteer', error);
-            });
-          });
-        } else if (pipelineType === 'donor') {
-          PIPELINE_STATUS_DONOR.forEach((status) => {
-            pool.query(newPipeLineStatusQuery, [newPipelineId, status.order, status.name]).catch((error) => {
-              console.log('Error inserting pipeline status for donor', error);
-            });
-          });
-        } else {
-          res.send(400);
-          return;
-        }
+    const results = await client.query(newLogQuery, [pipelineName, template.key, template.id, locationId]);
+    const newPipelineId = results.rows[0].id;
 
-        res.send({ data: newPipelineId });
-      })
-      .catch((error) => {
-        console.log('error in POST on pipeline', error);
-        res.sendStatus(400);
-      });
+    // SECOND QUERY copies the template's stages into pipeline_status for the new pipeline
+    const newPipeLineStatusQuery = `
+      INSERT INTO "pipeline_status" 
+      ("pipeline_id", "order", "name")
+      SELECT $1, "order", "name" FROM "pipeline_template_status"
+      WHERE "template_id" = $2;
+      `;
+    await client.query(newPipeLineStatusQuery, [newPipelineId, template.id]);
+
+    // send back the whole pipeline, shaped like GET /api/pipeline/:pipelineId
+    const pipeline = await fetchPipelineById(client, newPipelineId);
+    await client.query('COMMIT');
+    console.log(`Pipeline ${newPipelineId} created with ${pipeline.statuses?.length ?? 0} statuses`);
+    res.locals.auditTargetId = newPipelineId;
+    res.status(201).send(pipeline);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.log('error in POST on pipeline', error);
+    res.sendStatus(500);
+  } finally {
+    client.release();
   }
 });
 
@@ -493,21 +719,43 @@ router.post('/', rejectUnauthenticated, (req, res) => {
  *         description: Successfully deleted the pipeline, no content returned.
  *       '404':
  *         description: Pipeline with the given ID not found.
+ *       '409':
+ *         description: "Forms still use the pipeline. The body lists them as { message, forms: [{ id, name }] }."
+ *       '500':
+ *         description: Server error. Nothing is deleted.
  */
 
-router.delete('/:id', rejectUnauthenticated, (req, res) => {
-  let pipelineId = req.params.id;
-  let sqlQuery = 'DELETE FROM "pipeline" WHERE id=$1;';
-  pool
-    .query(sqlQuery, [pipelineId])
-    .then((result) => {
-      console.log(`Pipeline with ID ${pipelineId} deleted successfully`);
-      res.sendStatus(204);
-    })
-    .catch((error) => {
-      console.log(`Error deleting pipeline ${sqlQuery}`, error);
-      res.sendStatus(500);
-    });
+// Forms send new applicants into a pipeline, so a pipeline still used by a form can't be deleted.
+// Its statuses and the applicants in them go with it.
+router.delete('/:id', requirePipelineStaff, auditPipeline('pipeline.delete'), async (req, res) => {
+  const pipelineId = req.params.id;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const formsResult = await client.query(
+      `SELECT "id", "name" FROM "forms" WHERE "default_pipeline_id" = $1 ORDER BY "name";`,
+      [pipelineId]
+    );
+    if (formsResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      res.status(409).send({
+        message: 'This pipeline is used by forms. Point them at another pipeline before deleting it.',
+        forms: formsResult.rows,
+      });
+      return;
+    }
+    // pipeline_status and user_status rows cascade
+    const result = await client.query('DELETE FROM "pipeline" WHERE "id" = $1 RETURNING "id";', [pipelineId]);
+    await client.query('COMMIT');
+    console.log(`Pipeline with ID ${pipelineId} deleted successfully`);
+    res.sendStatus(result.rows[0] ? 204 : 404);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.log(`Error deleting pipeline ${pipelineId}`, error);
+    res.sendStatus(500);
+  } finally {
+    client.release();
+  }
 });
 
 //
@@ -551,16 +799,22 @@ router.delete('/:id', rejectUnauthenticated, (req, res) => {
  *       '401':
  *         description: Unauthorized
  */
-router.post('/pipeline_status', rejectUnauthenticated, (req, res) => {
+const requireNewStatusStaff = requireInternal((req) => pipelineLocation(req.body.pipeline_id));
+const auditNewStatus = auditRoute('pipeline_status.create', 'pipeline_status', {
+  location: (req) => pipelineLocation(req.body.pipeline_id),
+});
+router.post('/pipeline_status', requireNewStatusStaff, auditNewStatus, (req, res) => {
   const newLogQuery = `
   INSERT INTO "pipeline_status" 
     ("pipeline_id", "order", "name")
-    VALUES ($1, $2, $3);
+    VALUES ($1, $2, $3)
+    RETURNING "id";
   `;
   pool
     .query(newLogQuery, [req.body.pipeline_id, req.body.order, req.body.name])
     .then((results) => {
       console.log('Pipeline status POSTed');
+      res.locals.auditTargetId = results.rows[0].id;
       res.sendStatus(201);
     })
     .catch((error) => {
@@ -590,7 +844,7 @@ router.post('/pipeline_status', rejectUnauthenticated, (req, res) => {
  *       500:
  *         description: Internal server error. Something went wrong while processing the delete request.
  */
-router.delete('/pipeline_status/:id', rejectUnauthenticated, (req, res) => {
+router.delete('/pipeline_status/:id', requireStatusStaff, auditStatusChange('pipeline_status.delete'), (req, res) => {
   let pipelineStatusId = req.params.id;
   let sqlQuery = 'DELETE FROM "pipeline_status" WHERE id=$1;';
   pool
@@ -608,8 +862,10 @@ router.delete('/pipeline_status/:id', rejectUnauthenticated, (req, res) => {
  * @swagger
  * api/pipeline_status/{id}:
  *   put:
- *     summary: Update a pipeline status name and order
- *     description: Updates both the name and order of the pipeline status identified by the given ID.
+ *     summary: Rename or reorder a pipeline status
+ *     description: >
+ *       Updates the name and/or position of the pipeline status. `order` is the status's new position
+ *       (1 is first); the pipeline's other statuses are renumbered around it in the same transaction.
  *     tags:
  *       - Pipeline
  *     parameters:
@@ -634,25 +890,391 @@ router.delete('/pipeline_status/:id', rejectUnauthenticated, (req, res) => {
  *               description: The new order of the pipeline status.
  *     responses:
  *       200:
- *         description: Successfully updated the pipeline status.
+ *         description: The pipeline's statuses in their new order, as [{ id, pipeline_id, order, name }].
+ *       404:
+ *         description: Pipeline status not found.
  *       500:
- *         description: Internal server error. Something went wrong while processing the update request.
+ *         description: Internal server error. Nothing is changed.
  */
-router.put('/pipeline_status/:id', rejectUnauthenticated, (req, res) => {
-  let pipelineStatusId = req.params.id;
-  let pipelineStatusOrder = req.body.order;
-  let pipelineStatusName = req.body.name;
-  let sqlQuery = `UPDATE "pipeline_status" SET "order"=$1, "name"=$2 WHERE "id"= $3;`;
-  pool
-    .query(sqlQuery, [pipelineStatusId, pipelineStatusOrder, pipelineStatusName])
-    .then((result) => {
-      console.log(`Pipeline with ID ${pipelineStatusId} name updated successfully`);
-      res.sendStatus(200);
-    })
-    .catch((error) => {
-      console.log(`Error updating pipeline name for ID ${pipelineStatusId}:`, error);
-      res.sendStatus(500);
-    });
+const auditStatusUpdate = auditStatusChange('pipeline_status.update');
+router.put('/pipeline_status/:id', requireStatusStaff, auditStatusUpdate, async (req, res) => {
+  const pipelineStatusId = Number(req.params.id);
+  const pipelineStatusName = req.body.name;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // lock the pipeline's statuses so two reorders can't interleave
+    const siblingsResult = await client.query(
+      `SELECT "id" FROM "pipeline_status"
+       WHERE "pipeline_id" = (SELECT "pipeline_id" FROM "pipeline_status" WHERE "id" = $1)
+       ORDER BY "order", "id"
+       FOR UPDATE;`,
+      [pipelineStatusId]
+    );
+    const statusIds = siblingsResult.rows.map((row) => row.id);
+    if (!statusIds.includes(pipelineStatusId)) {
+      await client.query('ROLLBACK');
+      res.sendStatus(404);
+      return;
+    }
+
+    if (pipelineStatusName !== undefined) {
+      await client.query(`UPDATE "pipeline_status" SET "name" = $1 WHERE "id" = $2;`, [
+        pipelineStatusName,
+        pipelineStatusId,
+      ]);
+    }
+
+    // move the status to its new position (1 is first) and renumber the rest of the lanes to match
+    if (req.body.order !== undefined) {
+      const position = Math.min(Math.max(Math.round(Number(req.body.order)) || 1, 1), statusIds.length);
+      const reordered = statusIds.filter((id) => id !== pipelineStatusId);
+      reordered.splice(position - 1, 0, pipelineStatusId);
+      await client.query(
+        `UPDATE "pipeline_status" SET "order" = "new_order"."order"
+         FROM UNNEST($1::int[]) WITH ORDINALITY AS "new_order"("id", "order")
+         WHERE "pipeline_status"."id" = "new_order"."id";`,
+        [reordered]
+      );
+    }
+
+    const updated = await client.query(
+      `SELECT "id", "pipeline_id", "order", "name" FROM "pipeline_status"
+       WHERE "pipeline_id" = (SELECT "pipeline_id" FROM "pipeline_status" WHERE "id" = $1)
+       ORDER BY "order";`,
+      [pipelineStatusId]
+    );
+    await client.query('COMMIT');
+    console.log(`Pipeline status with ID ${pipelineStatusId} updated successfully`);
+    res.send(updated.rows);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.log(`Error updating pipeline status ${pipelineStatusId}:`, error);
+    res.sendStatus(500);
+  } finally {
+    client.release();
+  }
+});
+
+//
+// STAGE REQUIREMENTS
+//
+
+const REQUIREMENT_COLUMNS = `"id", "pipeline_status_id", "type", "config", "description"`;
+
+const withDescription = (requirement) => ({ ...requirement, description: describeRequirement(requirement) });
+
+/**
+ * @swagger
+ * /api/pipeline/pipeline_status/{pipelineStatusId}/requirements:
+ *   get:
+ *     summary: Get the entry requirements of a pipeline status
+ *     tags:
+ *       - Pipeline
+ *     parameters:
+ *       - in: path
+ *         name: pipelineStatusId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of requirements like { id, pipeline_status_id, type, config, description }
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/pipeline_status/:pipelineStatusId/requirements', requireStatusStaff, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${REQUIREMENT_COLUMNS} FROM "pipeline_status_requirement" WHERE "pipeline_status_id" = $1 ORDER BY "id";`,
+      [req.params.pipelineStatusId]
+    );
+    res.send(result.rows.map(withDescription));
+  } catch (error) {
+    console.error('Error fetching stage requirements:', error);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/pipeline/pipeline_status/{pipelineStatusId}/requirements:
+ *   post:
+ *     summary: Add an entry requirement to a pipeline status
+ *     tags:
+ *       - Pipeline
+ *     parameters:
+ *       - in: path
+ *         name: pipelineStatusId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [previous_stage, file_uploaded, note_present, donation_recorded]
+ *               config:
+ *                 type: object
+ *                 description: 'Options for the type, e.g. { "question_id": 12 } for file_uploaded'
+ *               description:
+ *                 type: string
+ *                 example: Background check document uploaded
+ *             required:
+ *               - type
+ *     responses:
+ *       201:
+ *         description: The new requirement
+ *       400:
+ *         description: Unknown requirement type or invalid config
+ *       500:
+ *         description: Internal server error
+ */
+const auditRequirement = (action) =>
+  auditRoute(action, 'pipeline_status_requirement', {
+    id: (req) => req.params.requirementId,
+    location: statusLocation,
+  });
+const auditNewRequirement = auditRequirement('pipeline_status_requirement.create');
+const REQUIREMENTS_PATH = '/pipeline_status/:pipelineStatusId/requirements';
+router.post(REQUIREMENTS_PATH, requireStatusStaff, auditNewRequirement, async (req, res) => {
+  const { type, description } = req.body;
+  const config = req.body.config || {};
+  if (!REQUIREMENT_TYPES[type]) {
+    res.status(400).send({ message: 'Unknown requirement type' });
+    return;
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    res.status(400).send({ message: 'config must be an object' });
+    return;
+  }
+  if (config.question_id !== undefined && !Number.isInteger(config.question_id)) {
+    res.status(400).send({ message: 'config.question_id must be a question id' });
+    return;
+  }
+  try {
+    const result = await pool.query(
+      `INSERT INTO "pipeline_status_requirement" ("pipeline_status_id", "type", "config", "description")
+       VALUES ($1, $2, $3, $4) RETURNING ${REQUIREMENT_COLUMNS};`,
+      [req.params.pipelineStatusId, type, config, description?.trim() || null]
+    );
+    res.locals.auditTargetId = result.rows[0].id;
+    res.status(201).send(withDescription(result.rows[0]));
+  } catch (error) {
+    console.error('Error adding stage requirement:', error);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/pipeline/pipeline_status/{pipelineStatusId}/requirements/{requirementId}:
+ *   delete:
+ *     summary: Remove an entry requirement from a pipeline status
+ *     tags:
+ *       - Pipeline
+ *     parameters:
+ *       - in: path
+ *         name: pipelineStatusId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: requirementId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Requirement removed
+ *       404:
+ *         description: Requirement not found on that status
+ *       500:
+ *         description: Internal server error
+ */
+const REQUIREMENT_PATH = '/pipeline_status/:pipelineStatusId/requirements/:requirementId';
+const auditRequirementDelete = auditRequirement('pipeline_status_requirement.delete');
+router.delete(REQUIREMENT_PATH, requireStatusStaff, auditRequirementDelete, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM "pipeline_status_requirement" WHERE "id" = $1 AND "pipeline_status_id" = $2 RETURNING "id";`,
+      [req.params.requirementId, req.params.pipelineStatusId]
+    );
+    res.sendStatus(result.rows[0] ? 204 : 404);
+  } catch (error) {
+    console.error('Error removing stage requirement:', error);
+    res.sendStatus(500);
+  }
+});
+
+//
+// STAGE AUTOMATIONS
+//
+
+const ACTION_COLUMNS = `"id", "pipeline_status_id", "trigger", "action", "config", "created_at"`;
+
+// Owners and task assignees picked in a rule must be internal staff at the pipeline's location
+const staffIdsInRule = (rule) =>
+  [rule.config.owner_id, rule.config.assign_to].filter((userId) => Number.isInteger(userId));
+
+const isStaffAtStatusLocation = async (userIds, pipelineStatusId) => {
+  const queryText = `
+    SELECT COUNT(DISTINCT "user_location"."user_id")::int AS "count"
+    FROM "user_location"
+    JOIN "pipeline" ON "pipeline"."location_id" = "user_location"."location_id"
+    JOIN "pipeline_status" ON "pipeline_status"."pipeline_id" = "pipeline"."id"
+    WHERE "pipeline_status"."id" = $1 AND "user_location"."internal" = true AND "user_location"."user_id" = ANY($2);
+  `;
+  const result = await pool.query(queryText, [pipelineStatusId, userIds]);
+  return result.rows[0].count === new Set(userIds).size;
+};
+
+/**
+ * @swagger
+ * /api/pipeline/pipeline_status/{pipelineStatusId}/actions:
+ *   get:
+ *     summary: Get the automations of a pipeline status
+ *     tags:
+ *       - Pipeline
+ *     parameters:
+ *       - in: path
+ *         name: pipelineStatusId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of automations like { id, pipeline_status_id, trigger, action, config, created_at }
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/pipeline_status/:pipelineStatusId/actions', requireStatusStaff, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${ACTION_COLUMNS} FROM "pipeline_status_action" WHERE "pipeline_status_id" = $1 ORDER BY "id";`,
+      [req.params.pipelineStatusId]
+    );
+    res.send(result.rows);
+  } catch (error) {
+    console.error('Error fetching stage automations:', error);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/pipeline/pipeline_status/{pipelineStatusId}/actions:
+ *   post:
+ *     summary: Add an automation to a pipeline status
+ *     description: >
+ *       The automation runs when an applicant enters or leaves the status, or submits a form
+ *       while in it. See server/modules/stage-automation.js for the config each action takes.
+ *     tags:
+ *       - Pipeline
+ *     parameters:
+ *       - in: path
+ *         name: pipelineStatusId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               trigger:
+ *                 type: string
+ *                 enum: [enter, exit, form_submitted]
+ *               action:
+ *                 type: string
+ *                 enum: [advance, send_email, assign_owner, create_task]
+ *               config:
+ *                 type: object
+ *                 example: { "title": "Call {{first_name}} to schedule an interview", "due_in_days": 3 }
+ *             required:
+ *               - trigger
+ *               - action
+ *     responses:
+ *       201:
+ *         description: The new automation
+ *       400:
+ *         description: Unknown trigger or action, invalid config, or a staff member who isn't internal at this location
+ *       500:
+ *         description: Internal server error
+ */
+const auditAction = (action) =>
+  auditRoute(action, 'pipeline_status_action', { id: (req) => req.params.actionId, location: statusLocation });
+const auditNewAction = auditAction('pipeline_status_action.create');
+router.post('/pipeline_status/:pipelineStatusId/actions', requireStatusStaff, auditNewAction, async (req, res) => {
+  const rule = parseRule(req.body);
+  if (rule.error) {
+    res.status(400).send({ message: rule.error });
+    return;
+  }
+  try {
+    const staffIds = staffIdsInRule(rule);
+    if (staffIds.length > 0 && !(await isStaffAtStatusLocation(staffIds, req.params.pipelineStatusId))) {
+      res.status(400).send({ message: 'Owners and assignees must be internal staff at this location' });
+      return;
+    }
+    const result = await pool.query(
+      `INSERT INTO "pipeline_status_action" ("pipeline_status_id", "trigger", "action", "config")
+       VALUES ($1, $2, $3, $4) RETURNING ${ACTION_COLUMNS};`,
+      [req.params.pipelineStatusId, rule.trigger, rule.action, rule.config]
+    );
+    res.locals.auditTargetId = result.rows[0].id;
+    res.status(201).send(result.rows[0]);
+  } catch (error) {
+    console.error('Error adding stage automation:', error);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/pipeline/pipeline_status/{pipelineStatusId}/actions/{actionId}:
+ *   delete:
+ *     summary: Remove an automation from a pipeline status
+ *     tags:
+ *       - Pipeline
+ *     parameters:
+ *       - in: path
+ *         name: pipelineStatusId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: actionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Automation removed
+ *       404:
+ *         description: Automation not found on that status
+ *       500:
+ *         description: Internal server error
+ */
+const ACTION_PATH = '/pipeline_status/:pipelineStatusId/actions/:actionId';
+router.delete(ACTION_PATH, requireStatusStaff, auditAction('pipeline_status_action.delete'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM "pipeline_status_action" WHERE "id" = $1 AND "pipeline_status_id" = $2 RETURNING "id";`,
+      [req.params.actionId, req.params.pipelineStatusId]
+    );
+    res.sendStatus(result.rows[0] ? 204 : 404);
+  } catch (error) {
+    console.error('Error removing stage automation:', error);
+    res.sendStatus(500);
+  }
 });
 
 //
@@ -681,34 +1303,60 @@ router.put('/pipeline_status/:id', rejectUnauthenticated, (req, res) => {
  *                 type: integer
  *                 description: The ID of the pipeline status.
  *                 example: 123
+ *               note:
+ *                 type: string
+ *                 description: Optional note saved in the user's stage history.
+ *               override:
+ *                 type: boolean
+ *                 description: Move the user even if the stage's requirements aren't met. Needs a note saying why.
  *             required:
  *               - user_id
  *               - p_s_id
  *     responses:
  *       '201':
  *         description: User status successfully created
+ *       '400':
+ *         description: override was sent without a note
+ *       '409':
+ *         description: >
+ *           The user doesn't meet the stage's requirements. The body is
+ *           { message, unmet: [{ id, type, description }] }.
  *       '500':
  *         description: Internal server error
  */
-router.post('/user_status', rejectUnauthenticated, (req, res) => {
-  const newLogQuery = `
-  INSERT INTO "user_status" 
-    ("user_id", "pipeline_status_id")
-    VALUES ($1, $2)
-    ON CONFLICT ON CONSTRAINT unique_user_pipeline_status DO NOTHING;
-  `;
-  pool
-    .query(newLogQuery, [req.body.user_id, req.body.pipeline_status_id])
-    .then((results) => {
-      console.log(
-        `User status created: User ID ${req.body.user_id} moved to Pipeline Status ID ${req.body.pipeline_status_id}`
-      );
-      res.sendStatus(201);
-    })
-    .catch((error) => {
-      console.error(' Error creating user status for User ID', error);
-      res.sendStatus(500);
+// The target is the applicant
+const auditUserStatus = (action) =>
+  auditRoute(action, 'user_status', { id: (req) => req.params.userId || req.body.user_id, location: statusLocation });
+router.post('/user_status', requireStatusStaff, auditUserStatus('user_status.create'), async (req, res) => {
+  if (overrideWithoutNote(req, res)) {
+    return;
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const move = await moveUser(client, {
+      userId: req.body.user_id,
+      toStatusId: req.body.pipeline_status_id,
+      actorId: req.user.id,
+      note: req.body.note,
+      override: Boolean(req.body.override),
     });
+    await client.query('COMMIT');
+    console.log(
+      `User status created: User ID ${req.body.user_id} moved to Pipeline Status ID ${req.body.pipeline_status_id}`
+    );
+    res.status(201).send(move);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'REQUIREMENTS_NOT_MET') {
+      sendUnmetRequirements(res, error);
+      return;
+    }
+    console.error(' Error creating user status for User ID', error);
+    res.sendStatus(500);
+  } finally {
+    client.release();
+  }
 });
 /**
  * @swagger
@@ -737,40 +1385,57 @@ router.post('/user_status', rejectUnauthenticated, (req, res) => {
  *                 type: integer
  *                 description: The ID of the new pipeline status the user is being moved to.
  *                 example: 2
+ *               note:
+ *                 type: string
+ *                 description: Optional note saved in the user's stage history, e.g. why they were moved.
+ *               override:
+ *                 type: boolean
+ *                 description: Move the user even if the stage's requirements aren't met. Needs a note saying why.
  *             required:
  *               - pipeline_status_id
  *     responses:
  *       '200':
- *         description: Successfully updated the user's pipeline status.
+ *         description: >
+ *           Successfully updated the user's pipeline status. The body is the user_status_history row
+ *           that was written, or empty when the user was already in that status.
+ *       '400':
+ *         description: override was sent without a note
+ *       '409':
+ *         description: >
+ *           The user doesn't meet the stage's requirements. The body is
+ *           { message, unmet: [{ id, type, description }] }.
  *       '500':
  *         description: Internal Server Error (failure to update user status).
  */
-router.put('/user_status', rejectUnauthenticated, async (req, res) => {
-  //we need to know
-  //1. the pipeline id
-  //2. the user to advance to next swim lane, ie jenny 'interview' -> 'background check'
-  //3. know the next swimlane
-  console.log('req body', req.body); // {user_id: 1, pipeline_status_id: 4}
-
+router.put('/user_status', requireStatusStaff, auditUserStatus('user_status.move'), async (req, res) => {
+  if (overrideWithoutNote(req, res)) {
+    return;
+  }
+  // moves the user out of whichever status they are in on this pipeline, ie jenny 'interview' -> 'background check',
+  // and records the move in user_status_history
+  const client = await pool.connect();
   try {
-    const deleteQuery = `
-    delete from "user_status"
-      where user_id = $1
-      and pipeline_status_id in (select id from pipeline_status
-      where pipeline_status.pipeline_id = (select pipeline_id from pipeline_status where id = $2));
-    `;
-    await pool.query(deleteQuery, [req.body.user_id, req.body.pipeline_status_id]);
-
-    const updateUserStatusQuery = `
-    INSERT INTO "user_status" ("pipeline_status_id", "user_id")
-    VALUES ($1, $2)`;
-
-    await pool.query(updateUserStatusQuery, [req.body.pipeline_status_id, req.body.user_id]);
+    await client.query('BEGIN');
+    const move = await moveUser(client, {
+      userId: req.body.user_id,
+      toStatusId: req.body.pipeline_status_id,
+      actorId: req.user.id,
+      note: req.body.note,
+      override: Boolean(req.body.override),
+    });
+    await client.query('COMMIT');
     console.log(`User ${req.body.user_id} moved to pipeline status ${req.body.pipeline_status_id}`);
-    res.sendStatus(200);
+    res.send(move);
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'REQUIREMENTS_NOT_MET') {
+      sendUnmetRequirements(res, error);
+      return;
+    }
     console.log('Error updating user status:', error);
     res.sendStatus(500);
+  } finally {
+    client.release();
   }
 });
 /**
@@ -795,27 +1460,107 @@ router.put('/user_status', rejectUnauthenticated, async (req, res) => {
  *       '500':
  *         description: Internal Server Error (failure to delete user status).
  */
-router.delete('/user_status/:userId/:pipelineStatusId', rejectUnauthenticated, (req, res) => {
-  console.log('delete params', req.params);
+const USER_STATUS_PATH = '/user_status/:userId/:pipelineStatusId';
+router.delete(USER_STATUS_PATH, requireStatusStaff, auditUserStatus('user_status.remove'), async (req, res) => {
   const { userId, pipelineStatusId } = req.params;
-  console.log('userId', userId);
-  console.log('pipelineStatusId', pipelineStatusId);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await removeUser(client, {
+      userId,
+      statusId: pipelineStatusId,
+      actorId: req.user.id,
+      note: req.query.note,
+    });
+    await client.query('COMMIT');
+    console.log(`User status for User ID ${userId} has been deleted`);
+    res.sendStatus(204);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting user status:', error);
+    res.sendStatus(500);
+  } finally {
+    client.release();
+  }
+});
 
-  const deleteUserStatusQuery = `
-    DELETE FROM "user_status"
-    WHERE "user_id" = $1
-    and "pipeline_status_id" = $2;
+/**
+ * @swagger
+ * /api/pipeline/user_status/{userId}/history:
+ *   get:
+ *     summary: Get a user's pipeline stage history
+ *     description: >
+ *       The statuses the user is in now, with when they entered each one, and every move
+ *       between statuses, newest first. Staff only see pipelines at their internal locations;
+ *       users looking at themselves see everything.
+ *     tags:
+ *       - Pipeline
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: >
+ *           { current: [{ pipeline_id, pipeline_name, pipeline_status_id, status, entered_at }],
+ *           history: [{ id, pipeline_id, pipeline_name, from_status_id, from_status_name, to_status_id,
+ *           to_status_name, actor_id, actor_name, note, override, moved_at }] }
+ *       '403':
+ *         description: The user isn't yourself or tied to a location where you are internal staff.
+ *       '500':
+ *         description: Internal Server Error
+ */
+router.get('/user_status/:userId/history', requireSelfOrInternal((req) => req.params.userId), async (req, res) => {
+  // $2 is null when users are looking at themselves
+  const isSelf = String(req.user.id) === String(req.params.userId);
+  const locationIds = isSelf ? null : internalLocationIds(req.user);
+  const currentQuery = `
+    SELECT
+      "pipeline"."id" AS "pipeline_id",
+      "pipeline"."name" AS "pipeline_name",
+      "pipeline_status"."id" AS "pipeline_status_id",
+      "pipeline_status"."name" AS "status",
+      "user_status"."entered_at",
+      NULLIF(CONCAT_WS(' ', "owner"."first_name", "owner"."last_name"), '') AS "owner_name"
+    FROM "user_status"
+    JOIN "pipeline_status" ON "pipeline_status"."id" = "user_status"."pipeline_status_id"
+    JOIN "pipeline" ON "pipeline"."id" = "pipeline_status"."pipeline_id"
+    LEFT JOIN "user" AS "owner" ON "owner"."id" = "user_status"."owner_id"
+    WHERE "user_status"."user_id" = $1
+      AND ($2::int[] IS NULL OR "pipeline"."location_id" = ANY($2))
+    ORDER BY "pipeline"."name";
   `;
-  pool
-    .query(deleteUserStatusQuery, [userId, pipelineStatusId])
-    .then(() => {
-      console.log(`User status for User ID ${userId} has been deleted`);
-      res.sendStatus(204);
-    })
-    .catch((error) => {
-      console.error('Error deleting user status:', error);
-      res.sendStatus(500);
-    });
+  const historyQuery = `
+    SELECT
+      "user_status_history"."id",
+      "user_status_history"."pipeline_id",
+      "pipeline"."name" AS "pipeline_name",
+      "user_status_history"."from_status_id",
+      "user_status_history"."from_status_name",
+      "user_status_history"."to_status_id",
+      "user_status_history"."to_status_name",
+      "user_status_history"."actor_id",
+      NULLIF(CONCAT_WS(' ', "actor"."first_name", "actor"."last_name"), '') AS "actor_name",
+      "user_status_history"."note",
+      "user_status_history"."override",
+      "user_status_history"."moved_at"
+    FROM "user_status_history"
+    JOIN "pipeline" ON "pipeline"."id" = "user_status_history"."pipeline_id"
+    LEFT JOIN "user" AS "actor" ON "actor"."id" = "user_status_history"."actor_id"
+    WHERE "user_status_history"."user_id" = $1
+      AND ($2::int[] IS NULL OR "pipeline"."location_id" = ANY($2))
+    ORDER BY "user_status_history"."moved_at" DESC, "user_status_history"."id" DESC;
+  `;
+  try {
+    const current = await pool.query(currentQuery, [req.params.userId, locationIds]);
+    const history = await pool.query(historyQuery, [req.params.userId, locationIds]);
+    res.send({ current: current.rows, history: history.rows });
+  } catch (error) {
+    console.error('Error fetching stage history:', error);
+    res.sendStatus(500);
+  }
 });
 /*
  * Will need a get by pipeline id
@@ -864,7 +1609,7 @@ router.delete('/user_status/:userId/:pipelineStatusId', rejectUnauthenticated, (
 
 ///pipeline
 
-router.put('/:id', rejectUnauthenticated, (req, res) => {
+router.put('/:id', requirePipelineStaff, auditPipeline('pipeline.update'), (req, res) => {
   let pipelineId = req.params.id;
   let newPipelineName = req.body.name;
   let sqlQuery = `UPDATE "pipeline" SET "name"=$1 WHERE "id"= $2;`;
@@ -0,0 +1,390 @@
+const express = require('express');
+const pool = require('../modules/pool');
+const {
+  requireInternal,
+  requireSelfOrInternal,
+  requireInternalForUser,
+  internalLocationIds,
+} = require('../modules/authentication-middleware');
+const { pledgeLocation } = require('../modules/location-lookup');
+const { auditRoute } = require('../modules/audit-log');
+const { parsePledge, fetchPledges } = require('../modules/pledges');
+
+const router = express.Router();
+
+/*
+  Pledges donors have made, and the donations paying toward them (see
+  modules/pledges.js). Staff record and change pledges at their internal
+  locations; donors can see their own.
+*/
+
+// Recording a pledge takes staff at one of the donor's locations, changing one staff where it was made
+const donorStaffCheck = requireInternalForUser((req) => req.body.user_id);
+const requireDonorStaff = (req, res, next) => {
+  if (req.isAuthenticated() && !/^\d+$/.test(String(req.body.user_id ?? ''))) {
+    res.status(400).send({ message: 'user_id is required' });
+    return;
+  }
+  donorStaffCheck(req, res, next);
+};
+const requirePledgeStaff = requireInternal((req) => pledgeLocation(req.params.pledgeId));
+
+const auditPledge = (action) =>
+  auditRoute(action, 'pledge', {
+    id: (req) => req.params.pledgeId,
+    location: (req) => (req.params.pledgeId ? pledgeLocation(req.params.pledgeId) : req.body.location_id),
+  });
+const auditPledgeCancel = auditPledge('pledge.cancel');
+const auditPledgeReopen = auditPledge('pledge.reopen');
+
+// Checks the pledge in the request body, sending a 400 or 403 and returning null when it won't do.
+// Staff can only record pledges at locations where they are internal.
+const checkPledge = (req, res) => {
+  const { pledge, error } = parsePledge(req.body);
+  if (error) {
+    res.status(400).send({ message: error });
+    return null;
+  }
+  if (!internalLocationIds(req.user).includes(pledge.locationId)) {
+    res.status(403).send({ message: 'You are not internal staff at that location' });
+    return null;
+  }
+  return pledge;
+};
+
+// The values of a parsed pledge, in the order the insert and update queries take them
+const pledgeValues = (pledge) => [
+  pledge.amountCents,
+  pledge.currency,
+  pledge.frequency,
+  pledge.installmentCount,
+  pledge.firstDueOn,
+  pledge.campaign,
+  pledge.locationId,
+  pledge.memo,
+];
+
+/**
+ * @swagger
+ * /api/pledge/overdue:
+ *   get:
+ *     summary: Overdue pledges at the caller's internal locations
+ *     description: >
+ *       Pledges with an installment past its due date that hasn't been paid, the longest overdue first.
+ *     tags: [Pledges]
+ *     parameters:
+ *       - name: location_id
+ *         in: query
+ *         description: Only pledges at this location
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: >
+ *           [{ id, user_id, donor_name, donor_email, donor_phone, location_name, amount_cents, currency,
+ *           paid_cents, balance_cents, overdue_cents, overdue_since, next_due_on, last_paid_on, ... }]
+ *       '403':
+ *         description: Not internal staff, or not at that location
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/overdue', requireInternal(), async (req, res) => {
+  let locationIds = internalLocationIds(req.user);
+  if (req.query.location_id) {
+    if (!locationIds.includes(Number(req.query.location_id))) {
+      res.sendStatus(403);
+      return;
+    }
+    locationIds = [Number(req.query.location_id)];
+  }
+  try {
+    const pledges = await fetchPledges(pool, { locationIds });
+    res.send(
+      pledges
+        .filter((pledge) => pledge.status === 'overdue')
+        .sort((a, b) => a.overdue_since.localeCompare(b.overdue_since))
+    );
+  } catch (err) {
+    console.error('Error getting overdue pledges:', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/pledge/user/{userId}:
+ *   get:
+ *     summary: A donor's pledges, with their installments and what has been paid
+ *     description: Donors see all their pledges; staff see the ones at their internal locations.
+ *     tags: [Pledges]
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: >
+ *           [{ id, location_id, location_name, amount_cents, currency, frequency, installment_count,
+ *           first_due_on, campaign, memo, cancelled_at, paid_cents, last_paid_on, status, balance_cents,
+ *           overdue_cents, overdue_since, next_due_on, schedule: [{ due_on, amount_cents, paid_cents }] }]
+ *       '403':
+ *         description: Not the donor or internal staff at one of their locations
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.get(
+  '/user/:userId',
+  requireSelfOrInternal((req) => req.params.userId),
+  async (req, res) => {
+    const isSelf = String(req.user.id) === String(req.params.userId);
+    try {
+      const pledges = await fetchPledges(pool, {
+        userId: req.params.userId,
+        locationIds: isSelf ? null : internalLocationIds(req.user),
+      });
+      res.send(pledges);
+    } catch (err) {
+      console.error('Error getting pledges:', err);
+      res.sendStatus(500);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pledge:
+ *   post:
+ *     summary: Record a pledge
+ *     tags: [Pledges]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *               amount_cents:
+ *                 type: integer
+ *                 description: The total promised, in cents
+ *               currency:
+ *                 type: string
+ *                 description: Three letter code, default USD
+ *               frequency:
+ *                 type: string
+ *                 enum: [once, monthly, quarterly, yearly]
+ *               installment_count:
+ *                 type: integer
+ *                 description: How many installments, from 1 to 120. Always 1 for once.
+ *               first_due_on:
+ *                 type: string
+ *                 format: date
+ *               campaign:
+ *                 type: string
+ *               location_id:
+ *                 type: integer
+ *                 description: The location the pledge was made to. You must be internal staff there.
+ *               memo:
+ *                 type: string
+ *             required:
+ *               - user_id
+ *               - amount_cents
+ *               - frequency
+ *               - first_due_on
+ *               - location_id
+ *     responses:
+ *       '201':
+ *         description: Pledge recorded. The body is { id }.
+ *       '400':
+ *         description: Invalid pledge
+ *       '403':
+ *         description: Not internal staff for the donor or at the location
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/', requireDonorStaff, auditPledge('pledge.create'), async (req, res) => {
+  const pledge = checkPledge(req, res);
+  if (!pledge) {
+    return;
+  }
+  try {
+    const result = await pool.query(
+      `INSERT INTO "pledge" ("user_id", "amount_cents", "currency", "frequency", "installment_count",
+         "first_due_on", "campaign", "location_id", "memo", "created_by")
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING "id";`,
+      [req.body.user_id, ...pledgeValues(pledge), req.user.id]
+    );
+    res.locals.auditTargetId = result.rows[0].id;
+    res.status(201).send({ id: result.rows[0].id });
+  } catch (err) {
+    console.error('Error creating pledge:', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/pledge/{pledgeId}:
+ *   put:
+ *     summary: Change a pledge
+ *     description: >
+ *       Takes the same fields as POST, apart from user_id. The schedule follows the new values. The
+ *       currency and location can't change once donations have paid toward the pledge.
+ *     tags: [Pledges]
+ *     parameters:
+ *       - name: pledgeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Pledge changed
+ *       '400':
+ *         description: Invalid pledge
+ *       '403':
+ *         description: Not internal staff where the pledge was made, or at the new location
+ *       '404':
+ *         description: Pledge not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.put('/:pledgeId', requirePledgeStaff, auditPledge('pledge.update'), async (req, res) => {
+  const pledge = checkPledge(req, res);
+  if (!pledge) {
+    return;
+  }
+  try {
+    const payments = await pool.query(
+      `SELECT 1 FROM "donation" WHERE "pledge_id" = $1 AND ("currency" <> $2 OR "location_id" <> $3) LIMIT 1;`,
+      [req.params.pledgeId, pledge.currency, pledge.locationId]
+    );
+    if (payments.rows.length > 0) {
+      res.status(400).send({ message: 'Payments toward this pledge were made at its location, in its currency' });
+      return;
+    }
+    await pool.query(
+      `UPDATE "pledge" SET "amount_cents" = $1, "currency" = $2, "frequency" = $3, "installment_count" = $4,
+         "first_due_on" = $5, "campaign" = $6, "location_id" = $7, "memo" = $8,
+         "updated_at" = (now() AT TIME ZONE 'utc')
+       WHERE "id" = $9;`,
+      [...pledgeValues(pledge), req.params.pledgeId]
+    );
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Error updating pledge:', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/pledge/{pledgeId}/cancel:
+ *   post:
+ *     summary: Cancel a pledge the donor won't be paying
+ *     description: >
+ *       Cancelled pledges keep the donations already paid toward them, but take no new ones and are
+ *       never overdue.
+ *     tags: [Pledges]
+ *     parameters:
+ *       - name: pledgeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Pledge cancelled
+ *       '403':
+ *         description: Not internal staff where the pledge was made
+ *       '404':
+ *         description: Pledge not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/:pledgeId/cancel', requirePledgeStaff, auditPledgeCancel, async (req, res) => {
+  try {
+    await pool.query(`UPDATE "pledge" SET "cancelled_at" = COALESCE("cancelled_at", NOW()) WHERE "id" = $1;`, [
+      req.params.pledgeId,
+    ]);
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Error cancelling pledge:', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/pledge/{pledgeId}/reopen:
+ *   post:
+ *     summary: Undo cancelling a pledge
+ *     tags: [Pledges]
+ *     parameters:
+ *       - name: pledgeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Pledge reopened
+ *       '403':
+ *         description: Not internal staff where the pledge was made
+ *       '404':
+ *         description: Pledge not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.post('/:pledgeId/reopen', requirePledgeStaff, auditPledgeReopen, async (req, res) => {
+  try {
+    await pool.query(`UPDATE "pledge" SET "cancelled_at" = NULL WHERE "id" = $1;`, [req.params.pledgeId]);
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Error reopening pledge:', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/pledge/{pledgeId}:
+ *   delete:
+ *     summary: Delete a pledge recorded by mistake
+ *     description: Donations paid toward it are kept, and no longer linked to a pledge.
+ *     tags: [Pledges]
+ *     parameters:
+ *       - name: pledgeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Pledge deleted
+ *       '403':
+ *         description: Not internal staff where the pledge was made
+ *       '404':
+ *         description: Pledge not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.delete('/:pledgeId', requirePledgeStaff, auditPledge('pledge.delete'), async (req, res) => {
+  try {
+    await pool.query(`DELETE FROM "pledge" WHERE "id" = $1;`, [req.params.pledgeId]);
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Error deleting pledge:', err);
+    res.sendStatus(500);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const pool = require('../modules/pool');
-const { rejectUnauthenticated } = require('../modules/authentication-middleware');
+const { rejectUnauthenticated, requireInternal } = require('../modules/authentication-middleware');
+const { sectionLocation, questionLocation } = require('../modules/location-lookup');
+const { isValidVisibilityRule } = require('../modules/visibility');
+const { ANSWER_TYPES } = require('../modules/answer-types');
+const { auditRoute } = require('../modules/audit-log');
 const router = express.Router();
 
 /**
@@ -50,7 +54,7 @@ router.get('/:sectionId', rejectUnauthenticated, async (req, res) => {
     const result = await pool.query(`
       SELECT q.*, json_agg(mca.*) as multiple_choice_options
       FROM question q
-      LEFT JOIN multiple_choice_answers mca ON q.id = mca.question_id
+      LEFT JOIN multiple_choice_answers mca ON q.id = mca.question_id AND mca.archived = false
       WHERE q.section_id = $1 AND q.archived = false
       GROUP BY q.id
       ORDER BY q.order;
@@ -81,12 +85,16 @@ router.get('/:sectionId', rejectUnauthenticated, async (req, res) => {
  *                 type: string
  *               answer_type:
  *                 type: string
+ *                 enum: [text, long_text, email, phone, date, number, yes_no, rating, dropdown, multiple_choice]
  *               order:
  *                 type: integer
  *               section_id:
  *                 type: integer
  *               required:
  *                 type: boolean
+ *               visibility_rule:
+ *                 type: object
+ *                 description: Optional rule like { action, question_id, operator, value }
  *               multiple_choice_options:
  *                 type: array
  *                 items:
@@ -94,20 +102,34 @@ router.get('/:sectionId', rejectUnauthenticated, async (req, res) => {
  *     responses:
  *       '201':
  *         description: Question created successfully
+ *       '400':
+ *         description: Invalid visibility rule or answer type
  *       '500':
  *         description: Internal server error
  */
-router.post('/', rejectUnauthenticated, async (req, res) => {
+const requireSectionStaff = requireInternal((req) => sectionLocation(req.body.section_id));
+const auditNewQuestion = auditRoute('question.create', 'question', {
+  location: (req) => sectionLocation(req.body.section_id),
+});
+router.post('/', requireSectionStaff, auditNewQuestion, async (req, res) => {
+  if (!isValidVisibilityRule(req.body.visibility_rule)) {
+    res.status(400).send({ message: 'Invalid visibility rule' });
+    return;
+  }
+  if (!ANSWER_TYPES.includes(req.body.answer_type)) {
+    res.status(400).send({ message: 'Invalid answer type' });
+    return;
+  }
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
     
     const questionResult = await client.query(`
-      INSERT INTO question (question, description, answer_type, "order", section_id, required)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO question (question, description, answer_type, "order", section_id, required, visibility_rule)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING id;
     `, [req.body.question, req.body.description, req.body.answer_type, 
-        req.body.order, req.body.section_id, req.body.required]);
+        req.body.order, req.body.section_id, req.body.required, req.body.visibility_rule || null]);
     
     if (req.body.multiple_choice_options?.length > 0) {
       const questionId = questionResult.rows[0].id;
@@ -120,6 +142,7 @@ router.post('/', rejectUnauthenticated, async (req, res) => {
     }
 
     await client.query('COMMIT');
+    res.locals.auditTargetId = questionResult.rows[0].id;
     res.sendStatus(201);
   } catch (err) {
     await client.query('ROLLBACK');
@@ -156,21 +179,46 @@ router.post('/', rejectUnauthenticated, async (req, res) => {
  *                 type: string
  *               answer_type:
  *                 type: string
+ *                 enum: [text, long_text, email, phone, date, number, yes_no, rating, dropdown, multiple_choice]
  *               order:
  *                 type: integer
  *               required:
  *                 type: boolean
+ *               visibility_rule:
+ *                 type: object
+ *                 description: Optional rule like { action, question_id, operator, value }
  *               multiple_choice_options:
  *                 type: array
+ *                 description: Existing options as { id, answer } are updated in place, strings are added
  *                 items:
- *                   type: string
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         answer:
+ *                           type: string
  *     responses:
  *       '200':
  *         description: Question updated successfully
+ *       '400':
+ *         description: Invalid visibility rule or answer type
  *       '500':
  *         description: Internal server error
  */
-router.put('/:id', rejectUnauthenticated, async (req, res) => {
+const requireQuestionStaff = requireInternal((req) => questionLocation(req.params.id));
+const auditQuestion = (action) =>
+  auditRoute(action, 'question', { id: (req) => req.params.id, location: (req) => questionLocation(req.params.id) });
+router.put('/:id', requireQuestionStaff, auditQuestion('question.update'), async (req, res) => {
+  if (!isValidVisibilityRule(req.body.visibility_rule)) {
+    res.status(400).send({ message: 'Invalid visibility rule' });
+    return;
+  }
+  if (!ANSWER_TYPES.includes(req.body.answer_type)) {
+    res.status(400).send({ message: 'Invalid answer type' });
+    return;
+  }
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
@@ -178,21 +226,39 @@ router.put('/:id', rejectUnauthenticated, async (req, res) => {
     await client.query(`
       UPDATE "question" 
       SET question = $1, description = $2, answer_type = $3, 
-          "order" = $4, required = $5, updated_at = NOW()
-      WHERE id = $6;
+          "order" = $4, required = $5, visibility_rule = $6, updated_at = NOW()
+      WHERE id = $7;
     `, [req.body.question, req.body.description, req.body.answer_type,
-        req.body.order, req.body.required, req.params.id]);
+        req.body.order, req.body.required, req.body.visibility_rule || null, req.params.id]);
     
     if (req.body.multiple_choice_options) {
-      await client.query('DELETE FROM multiple_choice_answers WHERE question_id = $1', 
-        [req.params.id]);
-      
+      // Options keep their ids so saved selections and published revisions still point at them.
+      // Existing options are updated in place, new ones inserted and missing ones archived.
+      const keptIds = [];
       for (const option of req.body.multiple_choice_options) {
-        await client.query(`
-          INSERT INTO multiple_choice_answers (question_id, answer)
-          VALUES ($1, $2);
-        `, [req.params.id, option]);
+        const { id, answer } = typeof option === 'string' ? { answer: option } : option;
+        const result = id
+          ? await client.query(`
+              UPDATE multiple_choice_answers SET answer = $1, archived = false
+              WHERE id = $2 AND question_id = $3
+              RETURNING id;
+            `, [answer, id, req.params.id])
+          : { rows: [] };
+        if (result.rows[0]) {
+          keptIds.push(result.rows[0].id);
+        } else {
+          const insertResult = await client.query(`
+            INSERT INTO multiple_choice_answers (question_id, answer)
+            VALUES ($1, $2)
+            RETURNING id;
+          `, [req.params.id, answer]);
+          keptIds.push(insertResult.rows[0].id);
+        }
       }
+      await client.query(`
+        UPDATE multiple_choice_answers SET archived = true
+        WHERE question_id = $1 AND NOT (id = ANY($2::int[]));
+      `, [req.params.id, keptIds]);
     }
 
     await client.query('COMMIT');
@@ -225,7 +291,7 @@ router.put('/:id', rejectUnauthenticated, async (req, res) => {
  *       '500':
  *         description: Internal server error
  */
-router.put('/:id/archive', rejectUnauthenticated, async (req, res) => {
+router.put('/:id/archive', requireQuestionStaff, auditQuestion('question.archive'), async (req, res) => {
   try {
     await pool.query(`
       UPDATE question 
@@ -0,0 +1,253 @@
+const express = require('express');
+const pool = require('../modules/pool');
+const { requireInternal } = require('../modules/authentication-middleware');
+const { recordAudit } = require('../modules/audit-log');
+const { fetchGiftsByDonor, totalsByCurrency, buildStatement, renderReceiptsHtml } = require('../modules/receipts');
+
+const router = express.Router();
+
+/*
+  Year-end giving statements for donors, by location and calendar year. Staff
+  see who gave and whether they've had a statement yet, then issue statements
+  for some or all of them. Issued statements are saved in donation_receipt
+  and can be printed again.
+*/
+
+const YEAR_PATTERN = /^\d{4}$/;
+const ID_PATTERN = /^\d+$/;
+
+// Resolves to the location id when it exists, so unknown locations get a 404
+const existingLocation = async (locationId) => {
+  if (!ID_PATTERN.test(String(locationId ?? ''))) {
+    return null;
+  }
+  const result = await pool.query(`SELECT "id" FROM "location" WHERE "id" = $1;`, [locationId]);
+  return result.rows[0]?.id ?? null;
+};
+
+const receiptLocation = async (receiptId) => {
+  if (!ID_PATTERN.test(String(receiptId))) {
+    return null;
+  }
+  const result = await pool.query(`SELECT "location_id" FROM "donation_receipt" WHERE "id" = $1;`, [receiptId]);
+  return result.rows[0]?.location_id ?? null;
+};
+
+const checkYear = (year, res) => {
+  if (!YEAR_PATTERN.test(String(year ?? ''))) {
+    res.status(400).send({ message: 'year must be a year like 2024' });
+    return null;
+  }
+  return Number(year);
+};
+
+/**
+ * @swagger
+ * /api/receipt:
+ *   get:
+ *     summary: Donors who gave at a location in a year, and their latest statement
+ *     tags: [Receipts]
+ *     parameters:
+ *       - name: year
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: location_id
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: >
+ *           [{ user_id, name, email, gift_count, totals: { USD: cents }, last_receipt: { id, issued_at } or null }]
+ *       '400':
+ *         description: Invalid year
+ *       '403':
+ *         description: Not internal staff at the location
+ *       '404':
+ *         description: Location not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.get(
+  '/',
+  requireInternal((req) => existingLocation(req.query.location_id)),
+  async (req, res) => {
+    const year = checkYear(req.query.year, res);
+    if (!year) {
+      return;
+    }
+    try {
+      const donors = await fetchGiftsByDonor(pool, { year, locationId: req.query.location_id });
+      const receipts = await pool.query(
+        `SELECT DISTINCT ON ("user_id") "user_id", "id", "issued_at" FROM "donation_receipt"
+       WHERE "location_id" = $1 AND "year" = $2
+       ORDER BY "user_id", "issued_at" DESC;`,
+        [req.query.location_id, year]
+      );
+      res.send(
+        donors.map((donor) => {
+          const lastReceipt = receipts.rows.find((receipt) => receipt.user_id === donor.user_id);
+          return {
+            user_id: donor.user_id,
+            name: donor.name,
+            email: donor.email,
+            gift_count: donor.gifts.length,
+            totals: totalsByCurrency(donor.gifts),
+            last_receipt: lastReceipt ? { id: lastReceipt.id, issued_at: lastReceipt.issued_at } : null,
+          };
+        })
+      );
+    } catch (err) {
+      console.error('Error listing donors for receipts:', err);
+      res.sendStatus(500);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/receipt/issue:
+ *   post:
+ *     summary: Issue year-end giving statements
+ *     description: >
+ *       Saves a statement for each donor who gave at the location in the year, or only the donors in
+ *       user_ids, and returns them as one printable HTML page.
+ *     tags: [Receipts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               year:
+ *                 type: integer
+ *               location_id:
+ *                 type: integer
+ *               user_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Leave out to issue statements for every donor
+ *             required:
+ *               - year
+ *               - location_id
+ *     responses:
+ *       '200':
+ *         description: The statements
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       '400':
+ *         description: Invalid year or user_ids
+ *       '403':
+ *         description: Not internal staff at the location
+ *       '404':
+ *         description: Location not found, or no donations to issue statements for
+ *       '500':
+ *         description: Internal server error
+ */
+router.post(
+  '/issue',
+  requireInternal((req) => existingLocation(req.body.location_id)),
+  async (req, res) => {
+    const year = checkYear(req.body.year, res);
+    if (!year) {
+      return;
+    }
+    const { user_ids: userIds } = req.body;
+    if (userIds !== undefined && (!Array.isArray(userIds) || !userIds.every((id) => ID_PATTERN.test(String(id))))) {
+      res.status(400).send({ message: 'user_ids must be a list of user ids' });
+      return;
+    }
+    const locationId = Number(req.body.location_id);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const locationResult = await client.query(`SELECT "id", "name" FROM "location" WHERE "id" = $1;`, [locationId]);
+      const donors = await fetchGiftsByDonor(client, { year, locationId, userIds: userIds?.map(Number) ?? null });
+      if (donors.length === 0) {
+        await client.query('ROLLBACK');
+        res.status(404).send({ message: `No donations at this location in ${year}` });
+        return;
+      }
+      const receipts = [];
+      for (const donor of donors) {
+        const statement = buildStatement(donor, { year, location: locationResult.rows[0] });
+        const result = await client.query(
+          `INSERT INTO "donation_receipt" ("user_id", "location_id", "year", "statement", "issued_by")
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING "id", "issued_at", "statement";`,
+          [donor.user_id, locationId, year, JSON.stringify(statement), req.user.id]
+        );
+        const receipt = result.rows[0];
+        await recordAudit(client, {
+          actorId: req.user.id,
+          action: 'donation_receipt.issue',
+          targetType: 'donation_receipt',
+          targetId: receipt.id,
+          locationId,
+          details: { user_id: donor.user_id, year, totals: statement.totals },
+        });
+        receipts.push(receipt);
+      }
+      await client.query('COMMIT');
+      res.type('html').send(renderReceiptsHtml(receipts));
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('Error issuing receipts:', err);
+      res.sendStatus(500);
+    } finally {
+      client.release();
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/receipt/{receiptId}:
+ *   get:
+ *     summary: Print an issued statement again, as it was issued
+ *     tags: [Receipts]
+ *     parameters:
+ *       - name: receiptId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The statement
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       '403':
+ *         description: Not internal staff at the receipt's location
+ *       '404':
+ *         description: Receipt not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.get(
+  '/:receiptId',
+  requireInternal((req) => receiptLocation(req.params.receiptId)),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT "id", "issued_at", "statement" FROM "donation_receipt" WHERE "id" = $1;`,
+        [req.params.receiptId]
+      );
+      res.type('html').send(renderReceiptsHtml(result.rows));
+    } catch (err) {
+      console.error('Error printing a receipt:', err);
+      res.sendStatus(500);
+    }
+  }
+);
+
+module.exports = router;
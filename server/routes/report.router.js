@@ -0,0 +1,317 @@
+const express = require('express');
+const pool = require('../modules/pool');
+const { requireInternal, internalLocationIds } = require('../modules/authentication-middleware');
+
+const router = express.Router();
+
+/*
+  Reports on how applicants move through the pipelines of one type (volunteer, donor...)
+  at each location. Pipelines of the same type share their stages through the
+  pipeline template, so stages are matched across locations by their order.
+
+  Every report takes the same query parameters:
+    type         pipeline template key, default 'volunteer'
+    location_id  only this location (default: every location where you are internal staff)
+    from, to     YYYY-MM-DD, both included. Leave out for no limit.
+
+  The last stage of a pipeline (e.g. "Verified/Accepted") counts as completing it.
+*/
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Checks the query string, returning { type, locationIds, from, to } or { error }
+const parseFilters = (req) => {
+  const { from, to } = req.query;
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return { error: 'from and to must be dates like 2024-06-30' };
+  }
+  let locationIds = internalLocationIds(req.user);
+  if (req.query.location_id) {
+    if (!locationIds.includes(Number(req.query.location_id))) {
+      return { error: 'You are not internal staff at that location', status: 403 };
+    }
+    locationIds = [Number(req.query.location_id)];
+  }
+  return { type: req.query.type || 'volunteer', locationIds, from: from || null, to: to || null };
+};
+
+// Same order as the query parameters below: $1 type, $2 locations, $3 from, $4 to
+const queryParams = (filters) => [filters.type, filters.locationIds, filters.from, filters.to];
+
+// Pipelines of the chosen type at the chosen locations, and their stages
+const STAGES_SQL = `
+  "pipelines" AS (
+    SELECT "id", "location_id" FROM "pipeline"
+    WHERE "type" = $1 AND "location_id" = ANY($2)
+  ),
+  "stages" AS (
+    SELECT "pipeline_status"."id", "pipeline_status"."pipeline_id", "pipeline_status"."order",
+      "pipeline_status"."name", "pipelines"."location_id"
+    FROM "pipeline_status"
+    JOIN "pipelines" ON "pipelines"."id" = "pipeline_status"."pipeline_id"
+  )
+`;
+
+// SQL condition for a timestamp column falling inside the from/to dates
+const inRange = (column) =>
+  `($3::date IS NULL OR ${column} >= $3::date) AND ($4::date IS NULL OR ${column} < $4::date + 1)`;
+
+const sendFiltersError = (res, filters) => {
+  res.status(filters.status || 400).send({ message: filters.error });
+};
+
+/**
+ * @swagger
+ * /api/report/funnel:
+ *   get:
+ *     summary: Applicants reaching each pipeline stage, per location
+ *     description: >
+ *       `reached` counts applicants who got to the stage or any later one during the date range.
+ *       `conversion` is the share of applicants who reached the previous stage that also reached this one.
+ *       `current` is how many are in the stage right now.
+ *     tags: [Reports]
+ *     parameters:
+ *       - { name: type, in: query, schema: { type: string, example: volunteer } }
+ *       - { name: location_id, in: query, schema: { type: integer } }
+ *       - { name: from, in: query, schema: { type: string, format: date } }
+ *       - { name: to, in: query, schema: { type: string, format: date } }
+ *     responses:
+ *       '200':
+ *         description: >
+ *           [{ location_id, location_name, stages: [{ order, name, current, reached, conversion }] }]
+ *       '400':
+ *         description: Invalid dates
+ *       '403':
+ *         description: Not internal staff at the location
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/funnel', requireInternal(), async (req, res) => {
+  const filters = parseFilters(req);
+  if (filters.error) {
+    sendFiltersError(res, filters);
+    return;
+  }
+  // An applicant reached a stage when their history (or, for rows older than the history,
+  // their current status) puts them in it or a later one during the date range.
+  const queryText = `
+    WITH ${STAGES_SQL},
+    "entries" AS (
+      SELECT "user_status_history"."user_id", "stages"."location_id", "stages"."order"
+      FROM "user_status_history"
+      JOIN "stages" ON "stages"."id" = "user_status_history"."to_status_id"
+      WHERE ${inRange('"user_status_history"."moved_at"')}
+      UNION ALL
+      SELECT "user_status"."user_id", "stages"."location_id", "stages"."order"
+      FROM "user_status"
+      JOIN "stages" ON "stages"."id" = "user_status"."pipeline_status_id"
+      WHERE ${inRange('"user_status"."entered_at"')}
+    ),
+    "furthest" AS (
+      SELECT "user_id", "location_id", MAX("order") AS "order" FROM "entries" GROUP BY "user_id", "location_id"
+    ),
+    "stage_names" AS (
+      SELECT "location_id", "order", (ARRAY_AGG("name" ORDER BY "pipeline_id"))[1] AS "name"
+      FROM "stages" GROUP BY "location_id", "order"
+    )
+    SELECT
+      "location"."id" AS "location_id",
+      "location"."name" AS "location_name",
+      "stage_names"."order",
+      "stage_names"."name",
+      (SELECT COUNT(*) FROM "user_status"
+        JOIN "stages" ON "stages"."id" = "user_status"."pipeline_status_id"
+        WHERE "stages"."location_id" = "stage_names"."location_id" AND "stages"."order" = "stage_names"."order"
+      )::int AS "current",
+      (SELECT COUNT(*) FROM "furthest"
+        WHERE "furthest"."location_id" = "stage_names"."location_id" AND "furthest"."order" >= "stage_names"."order"
+      )::int AS "reached"
+    FROM "stage_names"
+    JOIN "location" ON "location"."id" = "stage_names"."location_id"
+    ORDER BY "location"."name", "stage_names"."order";
+  `;
+  try {
+    const result = await pool.query(queryText, queryParams(filters));
+    const locations = [];
+    for (const row of result.rows) {
+      let location = locations.find((l) => l.location_id === row.location_id);
+      if (!location) {
+        location = { location_id: row.location_id, location_name: row.location_name, stages: [] };
+        locations.push(location);
+      }
+      const previous = location.stages[location.stages.length - 1];
+      const conversion = previous ? (previous.reached ? row.reached / previous.reached : null) : null;
+      location.stages.push({
+        order: row.order,
+        name: row.name,
+        current: row.current,
+        reached: row.reached,
+        conversion,
+      });
+    }
+    res.send(locations);
+  } catch (err) {
+    console.error('Error building funnel report', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/report/aging:
+ *   get:
+ *     summary: How long applicants have been waiting in their current stage, per location
+ *     description: >
+ *       Counts the applicants in each stage right now by days since they entered it.
+ *       With from/to, only applicants who entered their stage in that range are counted.
+ *     tags: [Reports]
+ *     parameters:
+ *       - { name: type, in: query, schema: { type: string, example: volunteer } }
+ *       - { name: location_id, in: query, schema: { type: integer } }
+ *       - { name: from, in: query, schema: { type: string, format: date } }
+ *       - { name: to, in: query, schema: { type: string, format: date } }
+ *     responses:
+ *       '200':
+ *         description: >
+ *           [{ location_id, location_name, stages: [{ order, name, days_0_7, days_8_30, days_31_90,
+ *           days_over_90, median_days_waiting }] }]
+ *       '400':
+ *         description: Invalid dates
+ *       '403':
+ *         description: Not internal staff at the location
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/aging', requireInternal(), async (req, res) => {
+  const filters = parseFilters(req);
+  if (filters.error) {
+    sendFiltersError(res, filters);
+    return;
+  }
+  const queryText = `
+    WITH ${STAGES_SQL},
+    "waiting" AS (
+      SELECT "user_status"."pipeline_status_id",
+        EXTRACT(EPOCH FROM NOW() - "user_status"."entered_at") / 86400 AS "days"
+      FROM "user_status"
+      WHERE ${inRange('"user_status"."entered_at"')}
+    )
+    SELECT
+      "location"."id" AS "location_id",
+      "location"."name" AS "location_name",
+      "stages"."order",
+      (ARRAY_AGG("stages"."name" ORDER BY "stages"."pipeline_id"))[1] AS "name",
+      COUNT("waiting"."days") FILTER (WHERE "waiting"."days" < 8)::int AS "days_0_7",
+      COUNT("waiting"."days") FILTER (WHERE "waiting"."days" >= 8 AND "waiting"."days" < 31)::int AS "days_8_30",
+      COUNT("waiting"."days") FILTER (WHERE "waiting"."days" >= 31 AND "waiting"."days" < 91)::int AS "days_31_90",
+      COUNT("waiting"."days") FILTER (WHERE "waiting"."days" >= 91)::int AS "days_over_90",
+      ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY "waiting"."days"))::numeric, 1)::float AS "median_days_waiting"
+    FROM "stages"
+    JOIN "location" ON "location"."id" = "stages"."location_id"
+    LEFT JOIN "waiting" ON "waiting"."pipeline_status_id" = "stages"."id"
+    GROUP BY "location"."id", "location"."name", "stages"."order"
+    ORDER BY "location"."name", "stages"."order";
+  `;
+  try {
+    const result = await pool.query(queryText, queryParams(filters));
+    const locations = [];
+    for (const { location_id, location_name, ...stage } of result.rows) {
+      let location = locations.find((l) => l.location_id === location_id);
+      if (!location) {
+        location = { location_id, location_name, stages: [] };
+        locations.push(location);
+      }
+      location.stages.push(stage);
+    }
+    res.send(locations);
+  } catch (err) {
+    console.error('Error building aging report', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/report/throughput:
+ *   get:
+ *     summary: Applicants starting and completing pipelines, per location
+ *     description: >
+ *       `started` counts applicants who entered a pipeline during the date range. `completed` counts
+ *       applicants who reached its last stage during the date range, and `median_days_to_complete`
+ *       is the median time those applicants took from entering the pipeline.
+ *     tags: [Reports]
+ *     parameters:
+ *       - { name: type, in: query, schema: { type: string, example: volunteer } }
+ *       - { name: location_id, in: query, schema: { type: integer } }
+ *       - { name: from, in: query, schema: { type: string, format: date } }
+ *       - { name: to, in: query, schema: { type: string, format: date } }
+ *     responses:
+ *       '200':
+ *         description: >
+ *           [{ location_id, location_name, final_stage, started, completed, median_days_to_complete }]
+ *       '400':
+ *         description: Invalid dates
+ *       '403':
+ *         description: Not internal staff at the location
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/throughput', requireInternal(), async (req, res) => {
+  const filters = parseFilters(req);
+  if (filters.error) {
+    sendFiltersError(res, filters);
+    return;
+  }
+  const queryText = `
+    WITH ${STAGES_SQL},
+    "final_stages" AS (
+      SELECT DISTINCT ON ("pipeline_id") "id", "pipeline_id", "location_id", "name"
+      FROM "stages" ORDER BY "pipeline_id", "order" DESC
+    ),
+    "starts" AS (
+      SELECT "user_status_history"."user_id", "user_status_history"."pipeline_id", "pipelines"."location_id",
+        MIN("user_status_history"."moved_at") AS "started_at"
+      FROM "user_status_history"
+      JOIN "pipelines" ON "pipelines"."id" = "user_status_history"."pipeline_id"
+      WHERE "user_status_history"."to_status_id" IS NOT NULL
+      GROUP BY "user_status_history"."user_id", "user_status_history"."pipeline_id", "pipelines"."location_id"
+    ),
+    "completions" AS (
+      SELECT "user_status_history"."user_id", "final_stages"."pipeline_id", "final_stages"."location_id",
+        MIN("user_status_history"."moved_at") AS "completed_at"
+      FROM "user_status_history"
+      JOIN "final_stages" ON "final_stages"."id" = "user_status_history"."to_status_id"
+      GROUP BY "user_status_history"."user_id", "final_stages"."pipeline_id", "final_stages"."location_id"
+    )
+    SELECT
+      "location"."id" AS "location_id",
+      "location"."name" AS "location_name",
+      (SELECT "name" FROM "final_stages" WHERE "location_id" = "location"."id" ORDER BY "pipeline_id" LIMIT 1)
+        AS "final_stage",
+      (SELECT COUNT(*) FROM "starts"
+        WHERE "starts"."location_id" = "location"."id" AND ${inRange('"starts"."started_at"')})::int AS "started",
+      (SELECT COUNT(*) FROM "completions"
+        WHERE "completions"."location_id" = "location"."id" AND ${inRange('"completions"."completed_at"')})::int
+        AS "completed",
+      (SELECT ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (
+          ORDER BY EXTRACT(EPOCH FROM "completions"."completed_at" - "starts"."started_at") / 86400
+        ))::numeric, 1)::float
+        FROM "completions"
+        JOIN "starts" ON "starts"."user_id" = "completions"."user_id"
+          AND "starts"."pipeline_id" = "completions"."pipeline_id"
+        WHERE "completions"."location_id" = "location"."id" AND ${inRange('"completions"."completed_at"')}
+      ) AS "median_days_to_complete"
+    FROM "location"
+    WHERE "location"."id" = ANY($2)
+    ORDER BY "location"."name";
+  `;
+  try {
+    const result = await pool.query(queryText, queryParams(filters));
+    res.send(result.rows);
+  } catch (err) {
+    console.error('Error building throughput report', err);
+    res.sendStatus(500);
+  }
+});
+
+module.exports = router;
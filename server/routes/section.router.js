@@ -1,6 +1,9 @@
 const express = require('express');
 const pool = require('../modules/pool');
-const { rejectUnauthenticated } = require('../modules/authentication-middleware');
+const { rejectUnauthenticated, requireInternal } = require('../modules/authentication-middleware');
+const { formLocation, sectionLocation } = require('../modules/location-lookup');
+const { isValidVisibilityRule } = require('../modules/visibility');
+const { auditRoute } = require('../modules/audit-log');
 const router = express.Router();
 
 /**
@@ -79,6 +82,9 @@ router.get('/:formId', rejectUnauthenticated, async (req, res) => {
  *                 type: integer
  *               order:
  *                 type: integer
+ *               visibility_rule:
+ *                 type: object
+ *                 description: Optional rule like { action, question_id, operator, value }
  *     responses:
  *       '201':
  *         description: Section created successfully
@@ -100,16 +106,22 @@ router.get('/:formId', rejectUnauthenticated, async (req, res) => {
  *       '500':
  *         description: Internal server error
  */
-router.post('/', rejectUnauthenticated, async (req, res) => {
-  const { name, description, form_id, order } = req.body;
+const requireFormStaff = requireInternal((req) => formLocation(req.body.form_id));
+const auditNewSection = auditRoute('section.create', 'section', { location: (req) => formLocation(req.body.form_id) });
+router.post('/', requireFormStaff, auditNewSection, async (req, res) => {
+  const { name, description, form_id, order, visibility_rule } = req.body;
+  if (!isValidVisibilityRule(visibility_rule)) {
+    return res.status(400).send({ message: 'Invalid visibility rule' });
+  }
   
   try {
     const query = `
-      INSERT INTO "sections" ("name", "description", "form_id", "order")
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO "sections" ("name", "description", "form_id", "order", "visibility_rule")
+      VALUES ($1, $2, $3, $4, $5)
       RETURNING *;
     `;
-    const result = await pool.query(query, [name, description, form_id, order]);
+    const result = await pool.query(query, [name, description, form_id, order, visibility_rule || null]);
+    res.locals.auditTargetId = result.rows[0].id;
     res.status(201).json(result.rows[0]);
   } catch (err) {
     console.error('Error in POST section:', err);
@@ -146,6 +158,9 @@ router.post('/', rejectUnauthenticated, async (req, res) => {
  *                 type: string
  *               order:
  *                 type: integer
+ *               visibility_rule:
+ *                 type: object
+ *                 description: Optional rule like { action, question_id, operator, value }
  *     responses:
  *       '200':
  *         description: Section updated successfully
@@ -169,19 +184,26 @@ router.post('/', rejectUnauthenticated, async (req, res) => {
  *       '500':
  *         description: Internal server error
  */
-router.put('/:id', rejectUnauthenticated, async (req, res) => {
-  const { name, description, order } = req.body;
+const requireSectionStaff = requireInternal((req) => sectionLocation(req.params.id));
+const auditSection = (action) =>
+  auditRoute(action, 'section', { id: (req) => req.params.id, location: (req) => sectionLocation(req.params.id) });
+router.put('/:id', requireSectionStaff, auditSection('section.update'), async (req, res) => {
+  const { name, description, order, visibility_rule } = req.body;
+  if (!isValidVisibilityRule(visibility_rule)) {
+    return res.status(400).send({ message: 'Invalid visibility rule' });
+  }
   
   try {
     const query = `
       UPDATE "sections"
       SET "name" = $1,
           "description" = $2,
-          "order" = $3
-      WHERE "id" = $4
+          "order" = $3,
+          "visibility_rule" = $4
+      WHERE "id" = $5
       RETURNING *;
     `;
-    const result = await pool.query(query, [name, description, order, req.params.id]);
+    const result = await pool.query(query, [name, description, order, visibility_rule || null, req.params.id]);
     
     if (result.rows.length === 0) {
       return res.sendStatus(404);
@@ -214,7 +236,7 @@ router.put('/:id', rejectUnauthenticated, async (req, res) => {
  *       '500':
  *         description: Internal server error
  */
-router.delete('/:id', rejectUnauthenticated, async (req, res) => {
+router.delete('/:id', requireSectionStaff, auditSection('section.delete'), async (req, res) => {
   try {
     const query = `
       DELETE FROM "sections"
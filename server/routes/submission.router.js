@@ -3,14 +3,79 @@ const pool = require('../modules/pool');
 
 const router = express.Router();
 const { rejectUnauthenticated } = require('../modules/authentication-middleware.js');
+const { requireOpenSubmission, requireSubmissionReader } = require('../modules/submission-middleware');
+const { latestRevisionId, fetchFormForSubmission } = require('../modules/form-revision');
+const { answerValuesByQuestion, visibleItems } = require('../modules/visibility');
+const { validateAnswers } = require('../modules/submission-validation');
+const { normalizeAnswer, selectedOptions } = require('../modules/answer-types');
+const { removeStoredFile } = require('../modules/file-storage');
+const { enterPipeline } = require('../modules/stage-move');
+const { runSubmissionActions } = require('../modules/stage-automation');
+const { notifySubmissionReceived } = require('../modules/notifications');
+const { formLocation } = require('../modules/location-lookup');
+const { auditRoute } = require('../modules/audit-log');
+
+// The chosen options of a multiple choice answer, as a json array of { id, answer }
+const SELECTIONS_SQL = `
+  COALESCE((select
+      json_agg(
+          json_build_object(
+              'id', answer_selection.multiple_choice_answer_id,
+              'answer', answer_selection.answer_text
+          ) order by answer_selection.id
+      )
+      from answer_selection
+      where answer_selection.answer_id = answer.id
+  ), '[]'::json)
+`;
+
+// The files uploaded for a file answer, as a json array of { id, name, mime_type, size_bytes }
+const FILES_SQL = `
+  COALESCE((select
+      json_agg(
+          json_build_object(
+              'id', answer_file.id,
+              'name', answer_file.original_name,
+              'mime_type', answer_file.mime_type,
+              'size_bytes', answer_file.size_bytes
+          ) order by answer_file.id
+      )
+      from answer_file
+      where answer_file.answer_id = answer.id
+  ), '[]'::json)
+`;
+
+// All saved answers for a submission, for visibility rules and validation
+const fetchSavedAnswers = async (submissionId) => {
+  const { rows } = await pool.query(
+    `select question_id, answer, ${SELECTIONS_SQL} as selections, ${FILES_SQL} as files
+    from answer where submission_id = $1;`,
+    [submissionId]
+  );
+  return rows;
+};
+
+// Stored file names for answers that are about to be deleted, so the files can be removed from disk too
+const fetchStoredFileNames = async (submissionId, keptQuestionIds = null) => {
+  const { rows } = await pool.query(
+    `
+      select answer_file.stored_name from answer_file
+      join answer on answer.id = answer_file.answer_id
+      where answer.submission_id = $1 and ($2::int[] is null or not (answer.question_id = ANY($2)));
+    `,
+    [submissionId, keptQuestionIds]
+  );
+  return rows.map((row) => row.stored_name);
+};
 
 // get submission by id
-router.get('/:submissionId', (req, res) => {
+router.get('/:submissionId', requireSubmissionReader, (req, res) => {
   const queryText = `
     select
         id,
         user_id,
         form_id,
+        form_revision_id,
         started_at,
         finished_at,
         COALESCE( (select
@@ -32,6 +97,8 @@ router.get('/:submissionId', (req, res) => {
                 ),
                 'question_id', answer.question_id,
                 'answer', answer.answer,
+                'selections', ${SELECTIONS_SQL},
+                'files', ${FILES_SQL},
                 'answer_id', answer.id
                 )
             )
@@ -52,48 +119,112 @@ router.get('/:submissionId', (req, res) => {
     });
 });
 
+const auditSubmission = (action) =>
+  auditRoute(action, 'submission', {
+    id: (req) => req.params.submissionId,
+    location: (req) => req.submission.location_id,
+  });
+
 // deletes submission by id. Answers get cascade deleted upon submission deletion.
-router.delete('/:submissionId', (req, res) => {
+router.delete('/:submissionId', requireOpenSubmission, auditSubmission('submission.delete'), async (req, res) => {
   const queryText = `
         delete from submission where id = $1;
     `;
-  pool
-    .query(queryText, [req.params.submissionId])
-    .then((reponse) => {
-      res.send(201);
-    })
-    .catch((err) => {
-      console.error('Error deleting submission', err);
-      res.send(500);
-    });
+  try {
+    const storedFiles = await fetchStoredFileNames(req.params.submissionId);
+    await pool.query(queryText, [req.params.submissionId]);
+    for (const storedName of storedFiles) {
+      await removeStoredFile(storedName);
+    }
+    res.send(201);
+  } catch (err) {
+    console.error('Error deleting submission', err);
+    res.send(500);
+  }
 });
 
-router.put('/:submissionId/update', async (req, res) => {
+router.put('/:submissionId/update', requireOpenSubmission, auditSubmission('submission.update'), async (req, res) => {
   // req.body: {answers: [{answer, question_id, answer_id}] is all we need
+  // Multiple choice answers send `selections: [{ id }]` with the chosen multiple_choice_answers ids instead of `answer`.
+  // File answers are uploaded through /api/submission/:submissionId/files and are skipped here.
+  // Send `validate: true` to check the answers first; nothing is saved if any are invalid.
   if (!req.body.answers || typeof req.body.answers?.length !== typeof 0) {
     res.status(400).send({ message: 'answers key is required' });
     return;
   }
+  const client = await pool.connect();
   try {
-    for (const answer of req.body.answers) {
+    const form = await fetchFormForSubmission(req.submission);
+    const questions = (form.sections || []).flatMap((section) => section.questions || []);
+    const questionFor = (answer) => questions.find((q) => String(q.id) === String(answer.question_id));
+    const answersToSave = req.body.answers.filter((answer) => questionFor(answer)?.answer_type !== 'file');
+    if (req.body.validate) {
+      const incoming = req.body.answers.map((answer) => answer.question_id);
+      const answers = [
+        ...(await fetchSavedAnswers(req.params.submissionId)).filter(
+          (answer) => !answersToSave.some((saving) => String(saving.question_id) === String(answer.question_id))
+        ),
+        ...answersToSave,
+      ];
+      const errors = validateAnswers(form, answers, { questionIds: incoming });
+      if (errors.length > 0) {
+        res.status(422).send({ message: 'Some answers need attention', errors });
+        return;
+      }
+    }
+    await client.query('BEGIN');
+    for (const answer of answersToSave) {
+      const question = questionFor(answer);
+      const isMultipleChoice = question?.answer_type === 'multiple_choice';
+      // Typed answers are stored normalized, e.g. emails lower cased and phone numbers as digits.
+      // Answers that don't pass their type's checks yet are saved as entered so progress
+      // isn't lost; submitting flags them.
+      const normalized =
+        question && !isMultipleChoice && String(answer.answer ?? '').trim() !== ''
+          ? normalizeAnswer(question, answer.answer)
+          : {};
+      const value = isMultipleChoice ? null : normalized.value ?? answer.answer;
+      let answerId;
       // See if answer has already been submitted for this submission
       if (answer.answer_id) {
-        // UPDATE existing answer id
-        await pool.query(`UPDATE "answer" SET answer=$1 WHERE id=$2`, [answer.answer, answer.answer_id]);
+        // UPDATE existing answer id, as long as it belongs to this submission
+        const result = await client.query(
+          `UPDATE "answer" SET answer=$1, updated_at=NOW() WHERE id=$2 AND submission_id=$3 RETURNING id`,
+          [value, answer.answer_id, req.params.submissionId]
+        );
+        answerId = result.rows[0]?.id;
       } else {
         // INSERT
-        await pool.query(
+        const result = await client.query(
           `
                 INSERT into "answer" ("question_id", "user_id", "submission_id", "answer")
-                VALUES ($1, $2, $3, $4);`,
-          [answer.question_id, req.user.id, req.params.submissionId, answer.answer]
+                VALUES ($1, $2, $3, $4)
+                RETURNING id;`,
+          [answer.question_id, req.user.id, req.params.submissionId, value]
         );
+        answerId = result.rows[0].id;
+      }
+      if (isMultipleChoice && answerId) {
+        // Replace the selections, keeping the option text the applicant saw
+        await client.query(`DELETE FROM "answer_selection" WHERE answer_id=$1`, [answerId]);
+        for (const option of selectedOptions(question, answer.selections)) {
+          await client.query(
+            `
+                INSERT into "answer_selection" ("answer_id", "multiple_choice_answer_id", "answer_text")
+                VALUES ($1, $2, $3);`,
+            [answerId, option.id, option.answer]
+          );
+        }
       }
     }
+    await client.query('COMMIT');
     res.status(201).send({ message: `Processed ${req.body.answers.length} answers` });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error(err);
     res.sendStatus(500);
+  } finally {
+    client.release();
   }
 });
 
@@ -139,20 +270,47 @@ router.put('/:submissionId/update', async (req, res) => {
 // })
 
 // Put for submission. Sets submission to finished.
-router.put('/:submissionId/submit', async (req, res) => {
+// Finishing it, dropping hidden answers and placing the applicant in the pipeline happen in one transaction.
+router.put('/:submissionId/submit', requireOpenSubmission, auditSubmission('submission.submit'), async (req, res) => {
+  const client = await pool.connect();
   try {
+    const form = await fetchFormForSubmission(req.submission);
+    const answers = await fetchSavedAnswers(req.params.submissionId);
+
+    // The submission can't be finished until every answer is valid
+    const errors = validateAnswers(form, answers);
+    if (errors.length > 0) {
+      res.status(422).send({ message: 'Some answers need attention', errors });
+      return;
+    }
+
+    // Answers to questions hidden by visibility rules (e.g. the applicant changed
+    // an earlier answer after filling them in) are dropped from the submission.
+    const { questionIds } = visibleItems(form, answerValuesByQuestion(form, answers));
+    const hiddenFiles = await fetchStoredFileNames(req.params.submissionId, [...questionIds]);
+
+    await client.query('BEGIN');
+    // Only one submit can finish it, so the automations and emails below run once
     const queryText = `
         update submission
         set finished_at = now()
-        where id = $1 RETURNING *;
+        where id = $1 and finished_at is null RETURNING *;
     `;
-    const submissionResult = await pool.query(queryText, [req.params.submissionId]);
+    const submissionResult = await client.query(queryText, [req.params.submissionId]);
+    if (!submissionResult.rows[0]) {
+      await client.query('ROLLBACK');
+      res.status(409).send({ message: 'This submission has already been submitted' });
+      return;
+    }
+    await client.query(`delete from answer where submission_id = $1 and not (question_id = ANY($2));`, [
+      req.params.submissionId,
+      [...questionIds],
+    ]);
 
-    // Get the pipeline_id, first pipeline_status_id, and location_id for this form
+    // Get the first pipeline_status_id of the form's pipeline
     const pipelineQuery = `
         SELECT pipeline.id as pipeline_id, 
-               pipeline_status.id as status_id,
-               forms.location_id
+               pipeline_status.id as status_id
         FROM forms
         JOIN pipeline ON forms.default_pipeline_id = pipeline.id
         JOIN pipeline_status ON pipeline.id = pipeline_status.pipeline_id
@@ -160,15 +318,20 @@ router.put('/:submissionId/submit', async (req, res) => {
         ORDER BY "pipeline_status"."order" ASC 
         LIMIT 1;
     `;
-    const pipelineResult = await pool.query(pipelineQuery, [submissionResult.rows[0].form_id]);
+    const pipelineResult = await client.query(pipelineQuery, [submissionResult.rows[0].form_id]);
 
-    // Insert the user's initial status into user_status
-    const statusQuery = `
-        INSERT INTO user_status (user_id, pipeline_status_id)
-        VALUES ($1, $2)
-        ON CONFLICT ON CONSTRAINT unique_user_pipeline_status DO NOTHING;
-    `;
-    await pool.query(statusQuery, [req.user.id, pipelineResult.rows[0].status_id]);
+    // Put the user in the pipeline's first status, unless they are already on that pipeline or it has
+    // no statuses, then run the form_submitted automations of every status they are in and queue the emails
+    if (pipelineResult.rows[0]) {
+      await enterPipeline(client, {
+        userId: req.user.id,
+        statusId: pipelineResult.rows[0].status_id,
+        actorId: req.user.id,
+        note: `Submitted ${form.name}`,
+      });
+    }
+    await runSubmissionActions(client, { userId: req.user.id, formId: submissionResult.rows[0].form_id });
+    await notifySubmissionReceived(client, req.params.submissionId);
 
     // Insert into user_location, ignoring if entry already exists
     const locationQuery = `
@@ -176,16 +339,27 @@ router.put('/:submissionId/submit', async (req, res) => {
         VALUES ($1, $2, false)
         ON CONFLICT ON CONSTRAINT unique_user_location DO NOTHING;
     `;
-    await pool.query(locationQuery, [req.user.id, pipelineResult.rows[0].location_id]);
+    await client.query(locationQuery, [req.user.id, req.submission.location_id]);
+    await client.query('COMMIT');
 
+    // The hidden answers are gone for good now, so their files can go too
+    for (const storedName of hiddenFiles) {
+      await removeStoredFile(storedName);
+    }
     res.sendStatus(200);
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Error submitting submission.', err);
     res.sendStatus(500);
+  } finally {
+    client.release();
   }
 });
-// Post for new submission
-router.post('/', rejectUnauthenticated, async (req, res) => {
+// Post for new submission. Continuing one that's already started isn't logged.
+const auditNewSubmission = auditRoute('submission.create', 'submission', {
+  location: (req) => formLocation(req.body.form_id),
+});
+router.post('/', rejectUnauthenticated, auditNewSubmission, async (req, res) => {
   if (!req.body.form_id) {
     res.sendStatus(400);
     return;
@@ -207,12 +381,14 @@ router.post('/', rejectUnauthenticated, async (req, res) => {
       return;
     }
 
-    // start a fresh submission on this form
+    // start a fresh submission on this form, pinned to the latest published revision
     const queryText2 = `
-            insert into submission ( user_id, form_id, started_at)
-            values ( $1, $2, now()) returning *;
+            insert into submission ( user_id, form_id, form_revision_id, started_at)
+            values ( $1, $2, $3, now()) returning *;
         `;
-    const result = await pool.query(queryText2, [req.user.id, req.body.form_id]);
+    const revisionId = await latestRevisionId(req.body.form_id);
+    const result = await pool.query(queryText2, [req.user.id, req.body.form_id, revisionId]);
+    res.locals.auditTargetId = result.rows[0].id;
     res.send(result.rows[0]);
   } catch (err) {
     console.error('Error posting new submission', err);
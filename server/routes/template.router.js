@@ -1,6 +1,316 @@
 const express = require('express');
 const pool = require('../modules/pool');
+const { requireInternal, requireInternalEverywhere } = require('../modules/authentication-middleware');
+const { auditRoute } = require('../modules/audit-log');
 
 const router = express.Router();
 
-module.exports = router;
\ No newline at end of file
+/*
+  Pipeline templates define a type of pipeline (volunteer, donor, board member...)
+  and the ordered stages a new pipeline of that type starts with.
+  Templates are shared by every location, so any internal staff can read them
+  but only staff at every location can change them. Changing a template doesn't
+  change pipelines that were already created from it.
+*/
+
+const TEMPLATE_QUERY = `
+  SELECT
+    "pipeline_template"."id",
+    "pipeline_template"."key",
+    "pipeline_template"."name",
+    COALESCE((
+      SELECT json_agg(
+        json_build_object(
+          'id', "pipeline_template_status"."id",
+          'order', "pipeline_template_status"."order",
+          'name', "pipeline_template_status"."name"
+        ) ORDER BY "pipeline_template_status"."order"
+      )
+      FROM "pipeline_template_status"
+      WHERE "pipeline_template_status"."template_id" = "pipeline_template"."id"
+    ), '[]'::json) AS "statuses"
+  FROM "pipeline_template"
+`;
+
+// e.g. 'Board Member' -> 'board_member'
+const keyFromName = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 20);
+
+// Checks a template sent by the client, returning { name, key, statuses } or { error }
+const parseTemplate = (body) => {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const key = typeof body.key === 'string' && body.key.trim() ? body.key.trim() : keyFromName(name);
+  const statuses = Array.isArray(body.statuses)
+    ? body.statuses.map((status) => (typeof status === 'string' ? status : status?.name)).map((s) => s?.trim())
+    : [];
+  if (!name) {
+    return { error: 'name is required' };
+  }
+  if (!/^[a-z0-9_]{1,20}$/.test(key)) {
+    return { error: 'key must be 1-20 lowercase letters, numbers or underscores' };
+  }
+  if (statuses.length === 0 || statuses.some((status) => !status)) {
+    return { error: 'statuses must be a list of stage names' };
+  }
+  return { name, key, statuses };
+};
+
+const insertStatuses = async (client, templateId, statuses) => {
+  for (const [index, name] of statuses.entries()) {
+    await client.query(`INSERT INTO "pipeline_template_status" ("template_id", "order", "name") VALUES ($1, $2, $3);`, [
+      templateId,
+      index + 1,
+      name,
+    ]);
+  }
+};
+
+/**
+ * @swagger
+ * /api/template:
+ *   get:
+ *     summary: Get all pipeline templates with their stages
+ *     tags: [Pipeline Templates]
+ *     responses:
+ *       '200':
+ *         description: "List of templates like { id, key, name, statuses: [{ id, order, name }] }"
+ *       '403':
+ *         description: Not internal staff
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/', requireInternal(), async (req, res) => {
+  try {
+    const result = await pool.query(`${TEMPLATE_QUERY} ORDER BY "pipeline_template"."name";`);
+    res.send(result.rows);
+  } catch (err) {
+    console.error('Error fetching pipeline templates', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/template/{id}:
+ *   get:
+ *     summary: Get a pipeline template with its stages
+ *     tags: [Pipeline Templates]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The template
+ *       '404':
+ *         description: Template not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.get('/:id', requireInternal(), async (req, res) => {
+  try {
+    const result = await pool.query(`${TEMPLATE_QUERY} WHERE "pipeline_template"."id" = $1;`, [req.params.id]);
+    if (!result.rows[0]) {
+      res.sendStatus(404);
+      return;
+    }
+    res.send(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching pipeline template', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/template:
+ *   post:
+ *     summary: Create a pipeline template
+ *     tags: [Pipeline Templates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Board Member
+ *               key:
+ *                 type: string
+ *                 description: Short identifier stored as the pipeline type. Made from the name when left out.
+ *                 example: board_member
+ *               statuses:
+ *                 type: array
+ *                 description: Stage names in order
+ *                 items:
+ *                   type: string
+ *             required:
+ *               - name
+ *               - statuses
+ *     responses:
+ *       '201':
+ *         description: The new template
+ *       '400':
+ *         description: Missing name or stages, or an invalid key
+ *       '403':
+ *         description: Not internal staff at every location
+ *       '409':
+ *         description: A template with that key already exists
+ *       '500':
+ *         description: Internal server error
+ */
+// Templates are shared by every location, so their audit entries have none
+const auditTemplate = (action) => auditRoute(action, 'pipeline_template', { id: (req) => req.params.id });
+const auditNewTemplate = auditRoute('pipeline_template.create', 'pipeline_template');
+
+router.post('/', requireInternalEverywhere, auditNewTemplate, async (req, res) => {
+  const template = parseTemplate(req.body);
+  if (template.error) {
+    res.status(400).send({ message: template.error });
+    return;
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(`INSERT INTO "pipeline_template" ("key", "name") VALUES ($1, $2) RETURNING id;`, [
+      template.key,
+      template.name,
+    ]);
+    await insertStatuses(client, result.rows[0].id, template.statuses);
+    const created = await client.query(`${TEMPLATE_QUERY} WHERE "pipeline_template"."id" = $1;`, [result.rows[0].id]);
+    await client.query('COMMIT');
+    res.locals.auditTargetId = result.rows[0].id;
+    res.status(201).send(created.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      res.status(409).send({ message: `A template with the key "${template.key}" already exists` });
+      return;
+    }
+    console.error('Error creating pipeline template', err);
+    res.sendStatus(500);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/template/{id}:
+ *   put:
+ *     summary: Rename a pipeline template and replace its stages
+ *     description: Pipelines already created from the template keep their own stages.
+ *     tags: [Pipeline Templates]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               key:
+ *                 type: string
+ *               statuses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       '200':
+ *         description: The updated template
+ *       '400':
+ *         description: Missing name or stages, or an invalid key
+ *       '404':
+ *         description: Template not found
+ *       '403':
+ *         description: Not internal staff at every location
+ *       '409':
+ *         description: A template with that key already exists
+ *       '500':
+ *         description: Internal server error
+ */
+router.put('/:id', requireInternalEverywhere, auditTemplate('pipeline_template.update'), async (req, res) => {
+  const template = parseTemplate(req.body);
+  if (template.error) {
+    res.status(400).send({ message: template.error });
+    return;
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE "pipeline_template" SET "key" = $1, "name" = $2, "updated_at" = NOW() WHERE "id" = $3 RETURNING id;`,
+      [template.key, template.name, req.params.id],
+    );
+    if (!result.rows[0]) {
+      await client.query('ROLLBACK');
+      res.sendStatus(404);
+      return;
+    }
+    await client.query(`DELETE FROM "pipeline_template_status" WHERE "template_id" = $1;`, [req.params.id]);
+    await insertStatuses(client, req.params.id, template.statuses);
+    const updated = await client.query(`${TEMPLATE_QUERY} WHERE "pipeline_template"."id" = $1;`, [req.params.id]);
+    await client.query('COMMIT');
+    res.send(updated.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      res.status(409).send({ message: `A template with the key "${template.key}" already exists` });
+      return;
+    }
+    console.error('Error updating pipeline template', err);
+    res.sendStatus(500);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/template/{id}:
+ *   delete:
+ *     summary: Delete a pipeline template
+ *     description: Pipelines created from the template are kept.
+ *     tags: [Pipeline Templates]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '204':
+ *         description: Template deleted
+ *       '403':
+ *         description: Not internal staff at every location
+ *       '404':
+ *         description: Template not found
+ *       '500':
+ *         description: Internal server error
+ */
+router.delete('/:id', requireInternalEverywhere, auditTemplate('pipeline_template.delete'), async (req, res) => {
+  try {
+    const result = await pool.query(`DELETE FROM "pipeline_template" WHERE "id" = $1 RETURNING id;`, [req.params.id]);
+    res.sendStatus(result.rows[0] ? 204 : 404);
+  } catch (err) {
+    console.error('Error deleting pipeline template', err);
+    res.sendStatus(500);
+  }
+});
+
+module.exports = router;
@@ -8,7 +8,24 @@ const express = require('express');
 const encryptLib = require('../modules/encryption');
 const pool = require('../modules/pool');
 const userStrategy = require('../strategies/user.strategy');
-const { rejectUnauthenticated } = require('../modules/authentication-middleware');
+const { createToken, consumeToken } = require('../modules/user-tokens');
+const { sendPasswordReset, sendEmailVerification } = require('../modules/account-emails');
+const { takeEmailLinkRequest } = require('../modules/request-throttle');
+const {
+  accountLock,
+  accountLockedUntil,
+  checkLoginAllowed,
+  recordLoginAttempt,
+  unlockAccount,
+} = require('../modules/login-throttle');
+const { recordAudit, auditRoute } = require('../modules/audit-log');
+const { endSessions } = require('../modules/user-accounts');
+const {
+  rejectUnauthenticated,
+  requireSelfOrInternal,
+  requireInternalForUser,
+  internalLocationIds,
+} = require('../modules/authentication-middleware');
 
 const router = express.Router();
 
@@ -95,27 +112,35 @@ router.get('/', (req, res) => {
  *                 pipeline_status_name:
  *                   type: string
  *                   description: Name of the user's pipeline status.
+ *                 pipeline_status_entered_at:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the user entered their pipeline status.
  *                 pipeline_name:
  *                   type: string
  *                   description: Name of the pipeline associated with the user's status.
- *       404:
- *         description: User not found or not in the chapter_user table.
+ *       403:
+ *         description: The user isn't yourself or tied to a location where you are internal staff.
  *       500:
  *         description: Server error while retrieving user information.
  */
-router.get('/:userId', rejectUnauthenticated, (req, res) => {
-  // TODO: Add a check to see if the user is in the chapter_user table for the logged in user. Return a 404 if the user is not found.
+router.get('/:userId', requireSelfOrInternal((req) => req.params.userId), (req, res) => {
+  // Staff only see the locations and pipelines where they are internal. $2 is null when
+  // users are looking at themselves, so they see everything.
+  const isSelf = String(req.user.id) === String(req.params.userId);
   const queryText = `
-     SELECT "user"."id", "user"."username", "user"."first_name", "user"."last_name", "user"."phone_number", "location"."name" AS "location_name" , "pipeline_status"."name" AS "pipeline_status_name", "pipeline"."name" AS "pipeline_name" FROM "user" 
+     SELECT "user"."id", "user"."username", "user"."first_name", "user"."last_name", "user"."phone_number", "location"."name" AS "location_name" , "pipeline_status"."name" AS "pipeline_status_name", "user_status"."entered_at" AS "pipeline_status_entered_at", "pipeline"."name" AS "pipeline_name" FROM "user" 
       LEFT JOIN "user_location" ON "user_location"."user_id" = "user"."id"
+        AND ($2::int[] IS NULL OR "user_location"."location_id" = ANY($2))
       LEFT JOIN "location" ON "location"."id" = "user_location"."location_id"
       JOIN "user_status" ON "user_status"."user_id" = "user"."id"
       JOIN "pipeline_status" ON "pipeline_status"."id"= "user_status"."pipeline_status_id"
       JOIN "pipeline" ON "pipeline"."id" = "pipeline_status"."pipeline_id"
-     WHERE "user"."id" = $1;
+     WHERE "user"."id" = $1
+      AND ($2::int[] IS NULL OR "pipeline"."location_id" = ANY($2));
   `;
   pool
-    .query(queryText, [req.params.userId])
+    .query(queryText, [req.params.userId, isSelf ? null : internalLocationIds(req.user)])
     .then((result) => {
       res.send(result.rows);
     })
@@ -170,9 +195,13 @@ router.get('/:userId', rejectUnauthenticated, (req, res) => {
  *       500:
  *         description: Server error during registration.
  */
-router.post('/register', (req, res, next) => {
+router.post('/register', auditRoute('user.register', 'user'), async (req, res, next) => {
+  if (typeof req.body.password !== 'string' || !req.body.password) {
+    res.sendStatus(400);
+    return;
+  }
   const username = req.body.username;
-  const hashedPassword = encryptLib.encryptPassword(req.body.password);
+  const hashedPassword = await encryptLib.encryptPassword(req.body.password);
   const first_name = req.body.first_name;
   const last_name = req.body.last_name;
   const phone_number = req.body.phone_number;
@@ -181,14 +210,18 @@ router.post('/register', (req, res, next) => {
     INSERT INTO "user"
       ("username", "password", "first_name", "last_name", "phone_number")
       VALUES
-      ($1, $2, $3, $4, $5);
+      ($1, $2, $3, $4, $5)
+      RETURNING "id", "username", "first_name";
   `;
   const sqlValues = [username, hashedPassword, first_name, last_name, phone_number];
 
   pool
     .query(sqlText, sqlValues)
-    .then(() => {
+    .then((result) => {
+      res.locals.auditTargetId = result.rows[0].id;
       res.sendStatus(201);
+      // The account works straight away; the email just confirms the address is theirs
+      sendVerificationEmail(result.rows[0]);
     })
     .catch((dbErr) => {
       console.log('An unexpected error occurred while registering the user. error:', dbErr);
@@ -231,10 +264,67 @@ router.post('/register', (req, res, next) => {
  *                   type: string
  *                   description: error when logging in
  *       400:
+ *         description: Missing username or password
+ *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: The password is right but staff deactivated the account. The body is { message }.
+ *       423:
+ *         description: >
+ *           The account is locked after too many failed logins. The body is { message, retry_at }
+ *           and the Retry-After header says how many seconds are left.
+ *       429:
+ *         description: Too many failed logins from this IP address. Same body and header as 423.
  */
-router.post('/login', userStrategy.authenticate('local'), (req, res) => {
-  res.sendStatus(200);
+router.post('/login', async (req, res, next) => {
+  const { username } = req.body;
+  const sendBlocked = ({ status, message, retryAt }) => {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000))));
+    res.status(status).send({ message, retry_at: retryAt });
+  };
+  try {
+    const check = await checkLoginAllowed(username, req.ip);
+    if (!check.allowed) {
+      sendBlocked(check);
+      return;
+    }
+  } catch (err) {
+    next(err);
+    return;
+  }
+  // See the local strategy in /server/strategies/user.strategy.js
+  userStrategy.authenticate('local', async (err, user, info) => {
+    if (err) {
+      next(err);
+      return;
+    }
+    if (info?.message === 'Missing credentials') {
+      res.sendStatus(400);
+      return;
+    }
+    try {
+      await recordLoginAttempt(username, req.ip, Boolean(user));
+      if (info?.deactivated) {
+        res.status(403).send({ message: 'This account has been deactivated. Please contact RFKC staff.' });
+        return;
+      }
+      if (!user) {
+        console.log('POST /api/user/login received an invalid login request.');
+        // Say so straight away if this failure locked the account
+        const lock = await accountLock(username);
+        if (lock) {
+          sendBlocked(lock);
+        } else {
+          res.sendStatus(401);
+        }
+        return;
+      }
+    } catch (recordErr) {
+      next(recordErr);
+      return;
+    }
+    req.login(user, (loginErr) => (loginErr ? next(loginErr) : res.sendStatus(200)));
+  })(req, res, next);
 });
 
 // Clear all server session information about this user:
@@ -264,6 +354,294 @@ router.post('/logout', (req, res, next) => {
   });
 });
 
+//
+// PASSWORD RESET AND EMAIL VERIFICATION
+//
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Emails a fresh verification link. Failures are logged, since the user can ask for another link.
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await createToken(pool, { userId: user.id, purpose: 'email_verification' });
+    await sendEmailVerification(user, token);
+  } catch (err) {
+    console.error(`Error sending the verification email to user ${user.id}:`, err);
+  }
+};
+
+// Emails a reset link if the username belongs to an active account. Runs after the response is
+// sent, so how long it takes doesn't give away whether the account exists.
+const sendPasswordResetLink = async (username) => {
+  try {
+    const result = await pool.query(
+      `SELECT "id", "username", "first_name" FROM "user" WHERE "username" = $1 AND "deactivated_at" IS NULL;`,
+      [username]
+    );
+    const user = result.rows[0];
+    if (user) {
+      const token = await createToken(pool, { userId: user.id, purpose: 'password_reset' });
+      await sendPasswordReset(user, token);
+    }
+  } catch (err) {
+    console.error('Error sending a password reset link:', err);
+  }
+};
+
+// Answers 429 with { message, retry_at } and a Retry-After header when too many links were asked for
+const sendTooManyLinks = (res, retryAt) => {
+  res.set('Retry-After', String(Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000))));
+  res.status(429).send({ message: 'Too many emails were asked for. Please wait and try again.', retry_at: retryAt });
+};
+
+/**
+ * @swagger
+ * /api/user/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: >
+ *       Always answers 200 straight away, whether or not the email belongs to an account, so the
+ *       endpoint can't be used to find out who has one. The link is sent afterwards and works once,
+ *       for an hour. At most 3 links can be asked for per email, and 10 per IP address, every 15 minutes.
+ *     tags: [Session]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: The account's email
+ *     responses:
+ *       200:
+ *         description: If the account exists, a reset link is on its way
+ *       429:
+ *         description: >
+ *           Too many links asked for. The body is { message, retry_at } and the Retry-After
+ *           header says how many seconds are left.
+ */
+router.post('/forgot-password', (req, res) => {
+  const retryAt = takeEmailLinkRequest({ ip: req.ip, account: req.body.username });
+  if (retryAt) {
+    sendTooManyLinks(res, retryAt);
+    return;
+  }
+  res.sendStatus(200);
+  sendPasswordResetLink(req.body.username);
+});
+
+/**
+ * @swagger
+ * /api/user/reset-password:
+ *   post:
+ *     summary: Choose a new password with a reset link's token
+ *     description: >
+ *       Uses up the token, confirms the user's email (the link reached their inbox), unlocks
+ *       the account if too many failed logins locked it, and logs the user out everywhere else.
+ *     tags: [Session]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: At least 8 characters
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: The token is invalid, used or expired, or the password is too short
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    res.status(400).send({ message: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` });
+    return;
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const userId = await consumeToken(client, { token, purpose: 'password_reset' });
+    if (!userId) {
+      await client.query('ROLLBACK');
+      res.status(400).send({ message: 'This reset link is invalid or has expired. Ask for a new one.' });
+      return;
+    }
+    await client.query(
+      `UPDATE "user" SET "password" = $1, "email_verified_at" = COALESCE("email_verified_at", NOW()) WHERE "id" = $2;`,
+      [await encryptLib.encryptPassword(password), userId]
+    );
+    await endSessions(client, userId);
+    await recordAudit(client, { actorId: userId, action: 'user.reset_password', targetType: 'user', targetId: userId });
+    await client.query('COMMIT');
+    // Proving they own the email is enough to lift a lockout
+    const userResult = await pool.query(`SELECT "username" FROM "user" WHERE "id" = $1;`, [userId]);
+    await unlockAccount(userResult.rows[0].username);
+    res.sendStatus(200);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error resetting a password:', err);
+    res.sendStatus(500);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/user/verify-email:
+ *   post:
+ *     summary: Confirm a user's email with the token from the verification link
+ *     tags: [Session]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email confirmed
+ *       400:
+ *         description: The token is invalid, used or expired
+ *       500:
+ *         description: Server error
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const userId = await consumeToken(pool, { token: req.body.token, purpose: 'email_verification' });
+    if (!userId) {
+      res.status(400).send({ message: 'This verification link is invalid or has expired.' });
+      return;
+    }
+    await pool.query(`UPDATE "user" SET "email_verified_at" = NOW() WHERE "id" = $1;`, [userId]);
+    await recordAudit(pool, { actorId: userId, action: 'user.verify_email', targetType: 'user', targetId: userId });
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Error verifying an email:', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/user/resend-verification:
+ *   post:
+ *     summary: Email the logged in user a new verification link
+ *     tags: [Session]
+ *     responses:
+ *       200:
+ *         description: Link sent
+ *       403:
+ *         description: Not logged in
+ *       409:
+ *         description: The email is already confirmed
+ *       429:
+ *         description: Too many links asked for, see /api/user/forgot-password
+ */
+router.post('/resend-verification', rejectUnauthenticated, async (req, res) => {
+  if (req.user.email_verified_at) {
+    res.status(409).send({ message: 'Your email is already confirmed' });
+    return;
+  }
+  const retryAt = takeEmailLinkRequest({ ip: req.ip, account: req.user.id });
+  if (retryAt) {
+    sendTooManyLinks(res, retryAt);
+    return;
+  }
+  await sendVerificationEmail(req.user);
+  res.sendStatus(200);
+});
+
+//
+// ACCOUNT LOCKOUT
+//
+
+const requireLockoutStaff = requireInternalForUser((req) => req.params.userId);
+
+const usernameOf = async (userId) => {
+  const result = await pool.query(`SELECT "username" FROM "user" WHERE "id" = $1;`, [userId]);
+  return result.rows[0].username;
+};
+
+/**
+ * @swagger
+ * /api/user/{userId}/lock:
+ *   get:
+ *     summary: Check whether too many failed logins have locked a user's account
+ *     tags: [User]
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "{ locked_until } where locked_until is null when the account isn't locked"
+ *       403:
+ *         description: Not internal staff at the user's locations
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId/lock', requireLockoutStaff, async (req, res) => {
+  try {
+    res.send({ locked_until: await accountLockedUntil(await usernameOf(req.params.userId)) });
+  } catch (err) {
+    console.error('Error checking an account lock:', err);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/user/{userId}/unlock:
+ *   post:
+ *     summary: Unlock an account locked by too many failed logins
+ *     description: The failed logins stay recorded but no longer count towards a lock.
+ *     tags: [User]
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Unlocked
+ *       403:
+ *         description: Not internal staff at the user's locations
+ *       404:
+ *         description: User not found
+ */
+router.post('/:userId/unlock', requireLockoutStaff, async (req, res) => {
+  try {
+    await unlockAccount(await usernameOf(req.params.userId));
+    await recordAudit(pool, {
+      actorId: req.user.id,
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: Number(req.params.userId),
+    });
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Error unlocking an account:', err);
+    res.sendStatus(500);
+  }
+});
+
 /**
  * @swagger
  * /api/user/updateUser:
@@ -334,20 +712,24 @@ router.post('/logout', (req, res, next) => {
  *                   type: string
  *                   example: "An error occurred while updating user information. Please try again later."
  */
-router.put('/updateUser', rejectUnauthenticated, (req, res, next) => {
+const auditProfileUpdate = auditRoute('user.update', 'user', { id: (req) => req.user.id });
+router.put('/updateUser', rejectUnauthenticated, auditProfileUpdate, (req, res, next) => {
   const username = req.body.username;
   const first_name = req.body.first_name;
   const last_name = req.body.last_name;
   const phone_number = req.body.phone_number;
 
+  // A new email has to be confirmed again
   const sqlText = `
     UPDATE "user"
     SET 
       "username" = $1,
       "first_name" = $2,
       "last_name" = $3,
-      "phone_number" = $4
-    WHERE "id" = $5;
+      "phone_number" = $4,
+      "email_verified_at" = CASE WHEN "username" = $1 THEN "email_verified_at" ELSE NULL END
+    WHERE "id" = $5
+    RETURNING "id", "username", "first_name", "email_verified_at";
   `;
   const sqlValues = [username, first_name, last_name, phone_number, req.user.id];
   pool
@@ -355,6 +737,9 @@ router.put('/updateUser', rejectUnauthenticated, (req, res, next) => {
     .then((result) => {
       console.log('User information has been updated for user ID:', req.user.id);
       res.sendStatus(200);
+      if (username !== req.user.username && !result.rows[0].email_verified_at) {
+        sendVerificationEmail(result.rows[0]);
+      }
     })
     .catch((error) => {
       console.log(`An error occured while updating user information`, error);
@@ -56,8 +56,23 @@ const pipelineRouter = require('./routes/pipeline.router');
 const formRouter = require('./routes/form.router');
 const actionRouter = require('./routes/action.router');
 const submissionRouter = require('./routes/submission.router');
+const fileRouter = require('./routes/file.router');
 const questionRouter = require('./routes/question.router');
 const sectionRouter = require('./routes/section.router');
+const templateRouter = require('./routes/template.router');
+const reportRouter = require('./routes/report.router');
+const notificationRouter = require('./routes/notification.router');
+const adminRouter = require('./routes/admin.router');
+const receiptRouter = require('./routes/receipt.router');
+const pledgeRouter = require('./routes/pledge.router');
+const donationImportRouter = require('./routes/donation-import.router');
+const { startEmailWorker } = require('./modules/email-worker');
+
+// Behind a proxy (like fly.io's), use the client's address from X-Forwarded-For
+// so login throttling doesn't treat every visitor as the proxy.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 
 // Apply middleware:
 app.use(express.json());
@@ -72,11 +87,24 @@ app.use('/api/user', userRouter);
 app.use('/api/actions', actionRouter);
 app.use('/api/form', formRouter);
 app.use('/api/pipeline', pipelineRouter);
+app.use('/api/submission/:submissionId/files', fileRouter);
 app.use('/api/submission', submissionRouter);
 app.use('/api/question', questionRouter);
 app.use('/api/section', sectionRouter);
+app.use('/api/template', templateRouter);
+app.use('/api/report', reportRouter);
+app.use('/api/notification', notificationRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/receipt', receiptRouter);
+app.use('/api/pledge', pledgeRouter);
+app.use('/api/donation-import', donationImportRouter);
 
 // Start the server:
 app.listen(PORT, () => {
   console.log(`Listening on port: ${PORT}`);
 });
+
+// Send queued emails in the background (see modules/email-worker.js)
+if (process.env.EMAIL_WORKER !== 'off') {
+  startEmailWorker();
+}
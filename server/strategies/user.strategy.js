@@ -33,7 +33,7 @@ passport.deserializeUser((id, done) => {
     FROM "user"
     LEFT JOIN user_location ON user_location.user_id = "user".id
     LEFT JOIN location ON location.id = user_location.location_id
-    WHERE "user".id = $1
+    WHERE "user".id = $1 AND "user".deactivated_at IS NULL
     GROUP BY "user".id;
   `;
   const sqlValues = [id];
@@ -72,10 +72,15 @@ passport.use(
     const sqlValues = [username];
 
     pool.query(sqlText, sqlValues)
-      .then((dbRes) => {
+      .then(async (dbRes) => {
         const user = dbRes && dbRes.rows && dbRes.rows[0];
-        
-        if (user && encryptLib.comparePassword(password, user.password)) {
+        const passwordMatches = user && (await encryptLib.comparePassword(password, user.password));
+
+        if (passwordMatches && user.deactivated_at) {
+          // The password is right, but staff deactivated the account. The /login
+          // route tells the user so instead of sending a plain 401.
+          done(null, null, { deactivated: true });
+        } else if (passwordMatches) {
           // The request body's password has been hashed and matches the stored
           // hashed password. AKA: Login was successful! Now, we use Passport's
           // done function to instantiate a new session for this user.
@@ -87,8 +92,7 @@ passport.use(
           // The request body's password has been hashed and DOES NOT match the
           // stored hashed password. AKA: Login was unsuccessful.
           // Calling `done` without an error or user will result in Passport
-          // sending back HTTP 401.
-          console.log('POST /api/user/login received an invalid login request.');
+          // sending back HTTP 401. The attempt is recorded in the /login route.
           done(null, null);
         }
       })
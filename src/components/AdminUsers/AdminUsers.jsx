@@ -0,0 +1,251 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Badge, Button, Card, Col, Form, Modal, Row, Table } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+
+const fullName = (account) => [account.first_name, account.last_name].filter(Boolean).join(' ') || '(no name)';
+
+// Picks the account a duplicate is merged into. Everything on the duplicate moves over.
+function MergeModal({ duplicate, accounts, onHide }) {
+  const userId = useStore((state) => state.user.id);
+  const mergeUsers = useStore((state) => state.mergeUsers);
+  const [keepId, setKeepId] = useState('');
+
+  // Your own account can't be merged either way
+  const candidates = accounts.filter(
+    (account) => account.id !== duplicate.id && account.id !== userId && !account.deactivated_at
+  );
+
+  const merge = async () => {
+    if (await mergeUsers(duplicate.id, Number(keepId))) {
+      onHide();
+    }
+  };
+
+  return (
+    <Modal show onHide={onHide}>
+      <Modal.Header closeButton>
+        <Modal.Title>Merge {fullName(duplicate)}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p>
+          {duplicate.username}&apos;s locations, pipelines, stage history, tasks, submissions and donations will move to
+          the account you keep, and {duplicate.username} will be deactivated. Staff access doesn&apos;t move over. This
+          can&apos;t be undone.
+        </p>
+        <Form.Group>
+          <Form.Label className='fw-bold'>Account to keep</Form.Label>
+          <Form.Select value={keepId} onChange={(e) => setKeepId(e.target.value)}>
+            <option value=''>Choose an account</option>
+            {candidates.map((account) => (
+              <option key={account.id} value={account.id}>
+                {fullName(account)} ({account.username})
+              </option>
+            ))}
+          </Form.Select>
+          <Form.Text muted>Search for the other account first if it isn&apos;t listed.</Form.Text>
+        </Form.Group>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant='secondary' onClick={onHide}>
+          Cancel
+        </Button>
+        <Button variant='danger' onClick={merge} disabled={!keepId}>
+          Merge Accounts
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
+
+// Lets internal staff manage the accounts at their locations
+export default function AdminUsers() {
+  const user = useStore((state) => state.user);
+  const adminUsers = useStore((state) => state.adminUsers);
+  const fetchAdminUsers = useStore((state) => state.fetchAdminUsers);
+  const setUserInternal = useStore((state) => state.setUserInternal);
+  const deactivateUser = useStore((state) => state.deactivateUser);
+  const reactivateUser = useStore((state) => state.reactivateUser);
+  const sendUserPasswordReset = useStore((state) => state.sendUserPasswordReset);
+
+  const internalLocations = user.locations?.filter((location) => location.internal) || [];
+  const [search, setSearch] = useState('');
+  const [locationId, setLocationId] = useState('');
+  const [includeDeactivated, setIncludeDeactivated] = useState(false);
+  const [mergeDuplicate, setMergeDuplicate] = useState(null);
+  // Ids of users sent a reset link while this page was open
+  const [resetSentIds, setResetSentIds] = useState([]);
+
+  const filters = { search, location_id: locationId, include_deactivated: includeDeactivated };
+
+  useEffect(() => {
+    if (internalLocations.length > 0) {
+      fetchAdminUsers(filters);
+    }
+  }, [locationId, includeDeactivated, user.id]);
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    fetchAdminUsers(filters);
+  };
+
+  const handleDeactivate = (account) => {
+    if (window.confirm(`Deactivate ${account.username}? They will be logged out and can't log in.`)) {
+      deactivateUser(account.id);
+    }
+  };
+
+  const handlePasswordReset = async (account) => {
+    if (await sendUserPasswordReset(account.id)) {
+      setResetSentIds([...resetSentIds, account.id]);
+    }
+  };
+
+  if (internalLocations.length === 0) {
+    return (
+      <Card body className='text-center text-muted'>
+        Only internal staff can manage users.
+      </Card>
+    );
+  }
+
+  return (
+    <>
+      <div className='text-center mb-4'>
+        <h1 style={{ color: '#4b0082' }}>Users</h1>
+      </div>
+
+      <Form onSubmit={handleSearch}>
+        <Row className='justify-content-center align-items-end mb-4 g-2'>
+          <Col md={4}>
+            <Form.Label className='fw-bold'>Search</Form.Label>
+            <Form.Control
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder='Name or email, then press Enter'
+            />
+          </Col>
+          <Col md={3}>
+            <Form.Label className='fw-bold'>Location</Form.Label>
+            <Form.Select value={locationId} onChange={(e) => setLocationId(e.target.value)}>
+              <option value=''>All my locations</option>
+              {internalLocations.map((location) => (
+                <option key={location.id} value={location.id}>
+                  {location.name}
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col md='auto'>
+            <Form.Check
+              type='switch'
+              id='include-deactivated'
+              label='Show deactivated'
+              checked={includeDeactivated}
+              onChange={(e) => setIncludeDeactivated(e.target.checked)}
+            />
+          </Col>
+        </Row>
+      </Form>
+
+      <div className='table-responsive'>
+        <Table hover bordered className='bg-white'>
+          <thead className='table-light'>
+            <tr>
+              <th>User</th>
+              <th>Staff Access</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {adminUsers.map((account) => {
+              const isSelf = account.id === user.id;
+              return (
+                <tr key={account.id}>
+                  <td>
+                    <Link to={`/profile/${account.id}`}>{fullName(account)}</Link>
+                    <div className='small text-muted'>{account.username}</div>
+                  </td>
+                  <td>
+                    {internalLocations.map((location) => {
+                      const internal = Boolean(account.locations.find((each) => each.id === location.id)?.internal);
+                      return (
+                        <Form.Check
+                          key={location.id}
+                          type='switch'
+                          id={`internal-${account.id}-${location.id}`}
+                          label={location.name}
+                          checked={internal}
+                          disabled={Boolean(account.deactivated_at) || (isSelf && internal)}
+                          onChange={(e) => setUserInternal(account.id, location.id, e.target.checked)}
+                        />
+                      );
+                    })}
+                  </td>
+                  <td>
+                    {account.merged_into_id ? (
+                      <Badge bg='secondary'>Merged</Badge>
+                    ) : account.deactivated_at ? (
+                      <span className='badge' style={{ backgroundColor: '#cc0000' }}>
+                        Deactivated
+                      </span>
+                    ) : (
+                      <Badge bg='success'>Active</Badge>
+                    )}
+                    {!account.email_verified_at && (
+                      <Badge bg='warning' text='dark' className='ms-1'>
+                        Email not confirmed
+                      </Badge>
+                    )}
+                  </td>
+                  <td className='text-nowrap'>
+                    {account.deactivated_at ? (
+                      !account.merged_into_id && (
+                        <Button size='sm' variant='outline-success' onClick={() => reactivateUser(account.id)}>
+                          Reactivate
+                        </Button>
+                      )
+                    ) : (
+                      <div className='d-flex gap-1'>
+                        <Button
+                          size='sm'
+                          variant='outline-primary'
+                          disabled={resetSentIds.includes(account.id)}
+                          onClick={() => handlePasswordReset(account)}
+                        >
+                          {resetSentIds.includes(account.id) ? 'Reset Link Sent' : 'Send Reset Link'}
+                        </Button>
+                        {!isSelf && (
+                          <>
+                            <Button size='sm' variant='outline-secondary' onClick={() => setMergeDuplicate(account)}>
+                              Merge
+                            </Button>
+                            <Button size='sm' variant='outline-danger' onClick={() => handleDeactivate(account)}>
+                              Deactivate
+                            </Button>
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+            {adminUsers.length === 0 && (
+              <tr>
+                <td colSpan='4' className='text-center text-muted py-4'>
+                  No users found
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </Table>
+      </div>
+
+      {mergeDuplicate && (
+        <MergeModal duplicate={mergeDuplicate} accounts={adminUsers} onHide={() => setMergeDuplicate(null)} />
+      )}
+    </>
+  );
+}
@@ -10,6 +10,10 @@ import Navigation from '../Nav/Nav';
 import HomePage from '../HomePage/HomePage';
 import LoginPage from '../LoginPage/LoginPage';
 import RegisterPage from '../RegisterPage/RegisterPage';
+import ForgotPasswordPage from '../ForgotPasswordPage/ForgotPasswordPage';
+import ResetPasswordPage from '../ResetPasswordPage/ResetPasswordPage';
+import VerifyEmailPage from '../VerifyEmailPage/VerifyEmailPage';
+import VerifyEmailBanner from '../VerifyEmailPage/VerifyEmailBanner';
 import Pipeline from '../Pipeline/Pipeline';
 import Profile from '../Profile/Profile';
 import FormPage from '../FormPage/FormPage';
@@ -18,6 +22,13 @@ import FormEditor from '../FormEditPage/FormEditPage';
 import FormAdmin from '../FormAdmin/FormAdmin';
 import QuestionManager from '../QuestionManager/QuestionManager';
 import SubmissionView from '../SubmissionView/SubmissionView';
+import Dashboard from '../Dashboard/Dashboard';
+import EmailTemplates from '../EmailTemplates/EmailTemplates';
+import AdminUsers from '../AdminUsers/AdminUsers';
+import AuditLog from '../AuditLog/AuditLog';
+import DonationReceipts from '../DonationReceipts/DonationReceipts';
+import OverduePledges from '../OverduePledges/OverduePledges';
+import DonationImport from '../DonationImport/DonationImport';
 import Footer from '../Footer/Footer';
 import favicon from '../../../public/favicon.png';
 
@@ -62,6 +73,7 @@ function App() {
 
       <Container>
         <main className='py-2'>
+          <VerifyEmailBanner />
           <Routes>
             <Route
               exact
@@ -85,10 +97,21 @@ function App() {
                 )
               }
             />
+            <Route
+              exact
+              path='/forgot-password'
+              element={user.id ? <Navigate to='/' replace /> : <ForgotPasswordPage />}
+            />
+            <Route exact path='/reset-password' element={<ResetPasswordPage />} />
+            <Route exact path='/verify-email' element={<VerifyEmailPage />} />
             <Route exact path='/profile/:userId' Component={Profile} />
 
             <Route exact path='/pipeline' Component={Pipeline} />
 
+            <Route exact path='/dashboard' element={user.id ? <Dashboard /> : <LoginPage />} />
+
+            <Route exact path='/email-templates' element={user.id ? <EmailTemplates /> : <LoginPage />} />
+
             <Route
               exact
               path='/registration'
@@ -167,6 +190,11 @@ function App() {
               }
             />
             <Route exact path='/admin/forms' element={user.id ? <FormAdmin /> : <LoginPage />} />
+            <Route exact path='/admin/users' element={user.id ? <AdminUsers /> : <LoginPage />} />
+            <Route exact path='/admin/audit' element={user.id ? <AuditLog /> : <LoginPage />} />
+            <Route exact path='/donations/receipts' element={user.id ? <DonationReceipts /> : <LoginPage />} />
+            <Route exact path='/donations/pledges' element={user.id ? <OverduePledges /> : <LoginPage />} />
+            <Route exact path='/donations/import' element={user.id ? <DonationImport /> : <LoginPage />} />
             <Route path='/admin/forms/:formId/section/:sectionId' element={<QuestionManager />} />
             <Route path='*' element={<h2>404 Page</h2>} />
           </Routes>
@@ -0,0 +1,276 @@
+import { Fragment, useEffect, useState } from 'react';
+import { Badge, Button, Card, Col, Form, Row, Table } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+import { auditParams } from '../../zustand/slices/admin.slice';
+
+const EMPTY_FILTERS = { action: '', target_type: '', target_id: '', actor_id: '', location_id: '', from: '', to: '' };
+
+const formatWhen = (timestamp) =>
+  new Date(timestamp).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+
+// The top-level fields that differ between the before and after snapshots
+const changedFields = (before, after) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+    (key) => key !== 'updated_at' && JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+
+// Entries from routes hold before and after snapshots; the rest hold whatever the change needed
+const hasSnapshots = (details) => 'before' in details || 'after' in details;
+
+const changeSummary = (details) => {
+  if (!hasSnapshots(details)) {
+    return Object.entries(details)
+      .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+      .join(', ');
+  }
+  const { before, after } = details;
+  if (before && after) {
+    const fields = changedFields(before, after);
+    return fields.length > 0 ? `Changed ${fields.join(', ')}` : 'No fields changed';
+  }
+  if (after) {
+    return 'Created';
+  }
+  if (before) {
+    return 'Removed';
+  }
+  return '';
+};
+
+const Snapshot = ({ label, value }) => (
+  <>
+    <div className='fw-bold small'>{label}</div>
+    <pre className='small bg-light p-2 mb-0' style={{ maxHeight: '300px' }}>
+      {JSON.stringify(value ?? null, null, 2)}
+    </pre>
+  </>
+);
+
+// Lets internal staff look through who changed what at their locations, and export it
+export default function AuditLog() {
+  const user = useStore((state) => state.user);
+  const auditLog = useStore((state) => state.auditLog);
+  const auditLogOptions = useStore((state) => state.auditLogOptions);
+  const fetchAuditLog = useStore((state) => state.fetchAuditLog);
+  const fetchAuditLogOptions = useStore((state) => state.fetchAuditLogOptions);
+
+  const internalLocations = user.locations?.filter((location) => location.internal) || [];
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // The actor filter is set by clicking a name, so keep the name to show
+  const [actorName, setActorName] = useState('');
+  const [page, setPage] = useState(1);
+  const [openEntryId, setOpenEntryId] = useState(null);
+
+  useEffect(() => {
+    if (internalLocations.length > 0) {
+      fetchAuditLogOptions();
+    }
+  }, [user.id]);
+
+  useEffect(() => {
+    if (internalLocations.length > 0) {
+      fetchAuditLog({ ...filters, page });
+    }
+  }, [filters, page, user.id]);
+
+  const setFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+  };
+
+  const filterByActor = (entry) => {
+    setActorName(entry.actor_name || entry.actor_username);
+    setFilter('actor_id', String(entry.actor_id));
+  };
+
+  const pageCount = Math.max(1, Math.ceil(auditLog.total / auditLog.page_size));
+  const exportHref = `/api/admin/audit/export?${new URLSearchParams(auditParams(filters))}`;
+
+  if (internalLocations.length === 0) {
+    return (
+      <Card body className='text-center text-muted'>
+        Only internal staff can see the audit log.
+      </Card>
+    );
+  }
+
+  return (
+    <>
+      <div className='text-center mb-4'>
+        <h1 style={{ color: '#4b0082' }}>Audit Log</h1>
+        <p className='text-muted'>Changes made at your locations, and to accounts and templates.</p>
+      </div>
+
+      <Row className='justify-content-center align-items-end mb-3 g-2'>
+        <Col md={2}>
+          <Form.Label className='fw-bold'>Action</Form.Label>
+          <Form.Select value={filters.action} onChange={(e) => setFilter('action', e.target.value)}>
+            <option value=''>All actions</option>
+            {auditLogOptions.actions.map((action) => (
+              <option key={action} value={action}>
+                {action}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col md={2}>
+          <Form.Label className='fw-bold'>Type</Form.Label>
+          <Form.Select value={filters.target_type} onChange={(e) => setFilter('target_type', e.target.value)}>
+            <option value=''>All types</option>
+            {auditLogOptions.target_types.map((targetType) => (
+              <option key={targetType} value={targetType}>
+                {targetType}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col md={1}>
+          <Form.Label className='fw-bold'>Id</Form.Label>
+          <Form.Control
+            type='number'
+            min='1'
+            value={filters.target_id}
+            onChange={(e) => setFilter('target_id', e.target.value)}
+          />
+        </Col>
+        <Col md={2}>
+          <Form.Label className='fw-bold'>Location</Form.Label>
+          <Form.Select value={filters.location_id} onChange={(e) => setFilter('location_id', e.target.value)}>
+            <option value=''>All my locations</option>
+            {internalLocations.map((location) => (
+              <option key={location.id} value={location.id}>
+                {location.name}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col md={2}>
+          <Form.Label className='fw-bold'>From</Form.Label>
+          <Form.Control type='date' value={filters.from} onChange={(e) => setFilter('from', e.target.value)} />
+        </Col>
+        <Col md={2}>
+          <Form.Label className='fw-bold'>To</Form.Label>
+          <Form.Control type='date' value={filters.to} onChange={(e) => setFilter('to', e.target.value)} />
+        </Col>
+      </Row>
+
+      <div className='d-flex justify-content-between align-items-center mb-2'>
+        <div>
+          {filters.actor_id && (
+            <Badge bg='secondary' className='me-2'>
+              Changed by {actorName}{' '}
+              <span role='button' aria-label='Clear' onClick={() => setFilter('actor_id', '')}>
+                ✕
+              </span>
+            </Badge>
+          )}
+          <span className='text-muted small'>
+            {auditLog.total} {auditLog.total === 1 ? 'entry' : 'entries'}
+          </span>
+        </div>
+        <div className='d-flex gap-2'>
+          <Button
+            variant='outline-secondary'
+            size='sm'
+            onClick={() => {
+              setFilters(EMPTY_FILTERS);
+              setPage(1);
+            }}
+          >
+            Clear Filters
+          </Button>
+          <Button href={exportHref} size='sm' style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}>
+            Export CSV
+          </Button>
+        </div>
+      </div>
+
+      <div className='table-responsive'>
+        <Table hover bordered size='sm' className='bg-white'>
+          <thead className='table-light'>
+            <tr>
+              <th>When</th>
+              <th>Changed By</th>
+              <th>Action</th>
+              <th>Target</th>
+              <th>Location</th>
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {auditLog.entries.map((entry) => (
+              <Fragment key={entry.id}>
+                <tr role='button' onClick={() => setOpenEntryId(openEntryId === entry.id ? null : entry.id)}>
+                  <td className='text-nowrap'>{formatWhen(entry.created_at)}</td>
+                  <td>
+                    {entry.actor_id ? (
+                      <Button
+                        variant='link'
+                        size='sm'
+                        className='p-0'
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          filterByActor(entry);
+                        }}
+                      >
+                        {entry.actor_name || entry.actor_username}
+                      </Button>
+                    ) : (
+                      <span className='text-muted'>Applicant or system</span>
+                    )}
+                  </td>
+                  <td>
+                    <code>{entry.action}</code>
+                  </td>
+                  <td className='text-nowrap'>
+                    {entry.target_type} {entry.target_id && `#${entry.target_id}`}
+                  </td>
+                  <td>{entry.location_name || <span className='text-muted'>—</span>}</td>
+                  <td className='small'>{changeSummary(entry.details)}</td>
+                </tr>
+                {openEntryId === entry.id && (
+                  <tr>
+                    <td colSpan='6'>
+                      {hasSnapshots(entry.details) ? (
+                        <Row>
+                          <Col md={6}>
+                            <Snapshot label='Before' value={entry.details.before} />
+                          </Col>
+                          <Col md={6}>
+                            <Snapshot label='After' value={entry.details.after} />
+                          </Col>
+                        </Row>
+                      ) : (
+                        <Snapshot label='Details' value={entry.details} />
+                      )}
+                      {entry.details.route && <div className='small text-muted mt-1'>{entry.details.route}</div>}
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+            {auditLog.entries.length === 0 && (
+              <tr>
+                <td colSpan='6' className='text-center text-muted py-4'>
+                  No changes found
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </Table>
+      </div>
+
+      <div className='d-flex justify-content-center align-items-center gap-3 mb-4'>
+        <Button variant='outline-secondary' size='sm' disabled={page <= 1} onClick={() => setPage(page - 1)}>
+          Newer
+        </Button>
+        <span className='small'>
+          Page {page} of {pageCount}
+        </span>
+        <Button variant='outline-secondary' size='sm' disabled={page >= pageCount} onClick={() => setPage(page + 1)}>
+          Older
+        </Button>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,205 @@
+import { useEffect, useState } from 'react';
+import { Alert, Button, Card, Col, Form, ProgressBar, Row, Spinner, Table } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+
+/*
+    Pipeline reports for leadership: how many applicants reach each stage at
+    each location, how long people have been waiting, and how quickly
+    applicants get through to the last stage.
+*/
+
+const percent = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+const days = (value) => (value === null || value === undefined ? '—' : `${value} days`);
+
+export default function Dashboard() {
+  const user = useStore((state) => state.user);
+  const pipelineTemplates = useStore((state) => state.pipelineTemplates);
+  const fetchPipelineTemplates = useStore((state) => state.fetchPipelineTemplates);
+  const funnelReport = useStore((state) => state.funnelReport);
+  const agingReport = useStore((state) => state.agingReport);
+  const throughputReport = useStore((state) => state.throughputReport);
+  const reportLoading = useStore((state) => state.reportLoading);
+  const reportError = useStore((state) => state.reportError);
+  const fetchReports = useStore((state) => state.fetchReports);
+
+  const [filters, setFilters] = useState({ type: 'volunteer', location_id: '', from: '', to: '' });
+  const internalLocations = user.locations?.filter((location) => location.internal) || [];
+
+  useEffect(() => {
+    fetchPipelineTemplates();
+    fetchReports(filters);
+  }, [fetchPipelineTemplates, fetchReports]);
+
+  const updateFilter = (key, value) => setFilters({ ...filters, [key]: value });
+
+  const applyFilters = (event) => {
+    event.preventDefault();
+    fetchReports(filters);
+  };
+
+  return (
+    <>
+      <div className='text-center mb-4'>
+        <h1 style={{ color: '#4b0082' }}>Pipeline Dashboard</h1>
+      </div>
+
+      <Form onSubmit={applyFilters} className='mb-4'>
+        <Row className='g-2 align-items-end'>
+          <Col md={3}>
+            <Form.Label className='fw-bold'>Pipeline Type</Form.Label>
+            <Form.Select value={filters.type} onChange={(e) => updateFilter('type', e.target.value)}>
+              {pipelineTemplates.map((template) => (
+                <option key={template.id} value={template.key}>
+                  {template.name}
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col md={3}>
+            <Form.Label className='fw-bold'>Location</Form.Label>
+            <Form.Select value={filters.location_id} onChange={(e) => updateFilter('location_id', e.target.value)}>
+              <option value=''>All my locations</option>
+              {internalLocations.map((location) => (
+                <option key={location.id} value={location.id}>
+                  {location.name}
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col md={2}>
+            <Form.Label className='fw-bold'>From</Form.Label>
+            <Form.Control type='date' value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+          </Col>
+          <Col md={2}>
+            <Form.Label className='fw-bold'>To</Form.Label>
+            <Form.Control type='date' value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+          </Col>
+          <Col md={2}>
+            <Button type='submit' className='w-100' style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}>
+              {reportLoading ? <Spinner animation='border' size='sm' /> : 'Apply'}
+            </Button>
+          </Col>
+        </Row>
+      </Form>
+
+      {reportError && <Alert variant='danger'>{reportError}</Alert>}
+
+      <Card className='shadow-sm mb-4'>
+        <Card.Body>
+          <Card.Title as='h2' className='mb-3'>
+            Throughput
+          </Card.Title>
+          <div className='table-responsive'>
+            <Table hover bordered className='mb-0'>
+              <thead className='table-light'>
+                <tr>
+                  <th>Location</th>
+                  <th>Started</th>
+                  <th>Reached Last Stage</th>
+                  <th>Median Time to Last Stage</th>
+                </tr>
+              </thead>
+              <tbody>
+                {throughputReport.map((location) => (
+                  <tr key={location.location_id}>
+                    <td>{location.location_name}</td>
+                    <td>{location.started}</td>
+                    <td>
+                      {location.completed}
+                      {location.final_stage && <span className='text-muted'> ({location.final_stage})</span>}
+                    </td>
+                    <td>{days(location.median_days_to_complete)}</td>
+                  </tr>
+                ))}
+                {throughputReport.length === 0 && (
+                  <tr>
+                    <td colSpan='4' className='text-center text-muted py-4'>
+                      No pipelines to report on
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </Table>
+          </div>
+        </Card.Body>
+      </Card>
+
+      <h2 className='mb-3'>Funnel</h2>
+      <Row className='mb-4'>
+        {funnelReport.map((location) => {
+          const started = location.stages[0]?.reached || 0;
+          return (
+            <Col lg={4} md={6} key={location.location_id} className='mb-3'>
+              <Card className='shadow-sm h-100' style={{ borderLeft: '4px solid #4b0082' }}>
+                <Card.Body>
+                  <Card.Title>{location.location_name}</Card.Title>
+                  {location.stages.map((stage) => (
+                    <div key={stage.order} className='mb-3'>
+                      <div className='d-flex justify-content-between small'>
+                        <strong>{stage.name}</strong>
+                        <span>
+                          {stage.reached} reached
+                          {stage.conversion !== null && ` · ${percent(stage.conversion)}`}
+                        </span>
+                      </div>
+                      <ProgressBar
+                        now={started ? (stage.reached / started) * 100 : 0}
+                        variant='info'
+                        style={{ height: '0.75rem' }}
+                      />
+                      <div className='text-muted small'>{stage.current} in this stage now</div>
+                    </div>
+                  ))}
+                </Card.Body>
+              </Card>
+            </Col>
+          );
+        })}
+        {funnelReport.length === 0 && (
+          <Col>
+            <Card body className='text-center text-muted'>
+              No pipelines to report on
+            </Card>
+          </Col>
+        )}
+      </Row>
+
+      <h2 className='mb-3'>Time Waiting in Current Stage</h2>
+      {agingReport.map((location) => (
+        <Card className='shadow-sm mb-4' key={location.location_id}>
+          <Card.Body>
+            <Card.Title>{location.location_name}</Card.Title>
+            <div className='table-responsive'>
+              <Table hover bordered size='sm' className='mb-0'>
+                <thead className='table-light'>
+                  <tr>
+                    <th>Stage</th>
+                    <th>0–7 days</th>
+                    <th>8–30 days</th>
+                    <th>31–90 days</th>
+                    <th>Over 90 days</th>
+                    <th>Median Wait</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {location.stages.map((stage) => (
+                    <tr key={stage.order}>
+                      <td>{stage.name}</td>
+                      <td>{stage.days_0_7}</td>
+                      <td>{stage.days_8_30}</td>
+                      <td>{stage.days_31_90}</td>
+                      <td style={stage.days_over_90 > 0 ? { color: '#cc0000', fontWeight: 'bold' } : undefined}>
+                        {stage.days_over_90}
+                      </td>
+                      <td>{days(stage.median_days_waiting)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          </Card.Body>
+        </Card>
+      ))}
+    </>
+  );
+}
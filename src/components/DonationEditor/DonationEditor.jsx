@@ -0,0 +1,247 @@
+import { useEffect, useState } from 'react';
+import { Alert, Button, Col, Form, Modal, Row } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+import { DONATION_METHODS, centsToDollars, dollarsToCents } from './donationFields';
+import { describeSchedule } from '../PledgeEditor/pledgeFields';
+
+// YYYY-MM-DD in local time
+const today = () => new Date().toLocaleDateString('en-CA');
+
+// The form's fields for a donation from the action history, or a new one at the first location
+const initialFields = (donation, locations) =>
+  donation
+    ? {
+        amount: centsToDollars(donation.amount_cents),
+        currency: donation.currency,
+        method: donation.method || '',
+        check_number: donation.check_number || '',
+        campaign: donation.campaign || '',
+        location_id: donation.location_id ? String(donation.location_id) : '',
+        memo: donation.memo || '',
+        received_on: donation.received_on?.slice(0, 10) || today(),
+        pledge_id: donation.pledge_id ? String(donation.pledge_id) : '',
+      }
+    : {
+        amount: '',
+        currency: 'USD',
+        method: 'check',
+        check_number: '',
+        campaign: '',
+        location_id: locations.length === 1 ? String(locations[0].id) : '',
+        memo: '',
+        received_on: today(),
+        pledge_id: '',
+      };
+
+// Records a new donation for a donor, or edits or deletes one. `donation` is null for a new one.
+export default function DonationEditor({ donation, userId, onHide }) {
+  const user = useStore((state) => state.user);
+  const donationCampaigns = useStore((state) => state.donationCampaigns);
+  const fetchDonationCampaigns = useStore((state) => state.fetchDonationCampaigns);
+  const createDonation = useStore((state) => state.createDonation);
+  const updateDonation = useStore((state) => state.updateDonation);
+  const deleteDonation = useStore((state) => state.deleteDonation);
+  const userPledges = useStore((state) => state.userPledges);
+
+  const internalLocations = user.locations?.filter((location) => location.internal) || [];
+  const [fields, setFields] = useState(() => initialFields(donation, internalLocations));
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchDonationCampaigns();
+  }, []);
+
+  const setField = (key, value) => setFields({ ...fields, [key]: value });
+
+  // The donor's pledges this gift could pay toward: same location and currency, and not cancelled
+  // unless it already pays toward it
+  const matchingPledges = userPledges.filter(
+    (pledge) =>
+      String(pledge.location_id) === fields.location_id &&
+      pledge.currency === fields.currency &&
+      (pledge.status !== 'cancelled' || pledge.id === donation?.pledge_id)
+  );
+  const pledgeId = matchingPledges.some((pledge) => String(pledge.id) === fields.pledge_id) ? fields.pledge_id : '';
+
+  const amountCents = dollarsToCents(fields.amount);
+  const amountInvalid = fields.amount !== '' && amountCents === null;
+
+  const save = async (event) => {
+    event.preventDefault();
+    if (amountCents === null) {
+      setError('Enter the amount in dollars and cents, like 25.00');
+      return;
+    }
+    const donationData = {
+      user_id: Number(userId),
+      amount_cents: amountCents,
+      currency: fields.currency,
+      method: fields.method,
+      check_number: fields.method === 'check' ? fields.check_number : '',
+      campaign: fields.campaign,
+      location_id: fields.location_id,
+      memo: fields.memo,
+      received_on: fields.received_on,
+      pledge_id: pledgeId || null,
+    };
+    try {
+      if (donation) {
+        await updateDonation({ ...donationData, id: donation.id });
+      } else {
+        await createDonation(donationData);
+      }
+      onHide();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save the donation.');
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm('Delete this donation? This cannot be undone.')) {
+      return;
+    }
+    try {
+      await deleteDonation(donation.id, userId);
+      onHide();
+    } catch (err) {
+      setError('Failed to delete the donation.');
+    }
+  };
+
+  return (
+    <Modal show onHide={onHide}>
+      <Form onSubmit={save}>
+        <Modal.Header closeButton>
+          <Modal.Title>{donation ? 'Edit Donation' : 'Record Donation'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant='danger'>{error}</Alert>}
+          <Row className='g-2 mb-3'>
+            <Col xs={8}>
+              <Form.Label className='fw-bold'>Amount</Form.Label>
+              <Form.Control
+                inputMode='decimal'
+                value={fields.amount}
+                onChange={(e) => setField('amount', e.target.value)}
+                isInvalid={amountInvalid}
+                placeholder='0.00'
+                required
+              />
+              <Form.Control.Feedback type='invalid'>
+                Amounts can&apos;t be negative and have at most two decimals.
+              </Form.Control.Feedback>
+            </Col>
+            <Col xs={4}>
+              <Form.Label className='fw-bold'>Currency</Form.Label>
+              <Form.Control
+                value={fields.currency}
+                onChange={(e) => setField('currency', e.target.value.toUpperCase())}
+                maxLength={3}
+                required
+              />
+            </Col>
+          </Row>
+          <Row className='g-2 mb-3'>
+            <Col xs={6}>
+              <Form.Label className='fw-bold'>Method</Form.Label>
+              <Form.Select value={fields.method} onChange={(e) => setField('method', e.target.value)} required>
+                <option value=''>Choose a method</option>
+                {DONATION_METHODS.map((method) => (
+                  <option key={method.value} value={method.value}>
+                    {method.label}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+            {fields.method === 'check' && (
+              <Col xs={6}>
+                <Form.Label className='fw-bold'>Check Number</Form.Label>
+                <Form.Control
+                  value={fields.check_number}
+                  onChange={(e) => setField('check_number', e.target.value)}
+                  maxLength={30}
+                />
+              </Col>
+            )}
+          </Row>
+          <Row className='g-2 mb-3'>
+            <Col xs={6}>
+              <Form.Label className='fw-bold'>Location</Form.Label>
+              <Form.Select
+                value={fields.location_id}
+                onChange={(e) => setField('location_id', e.target.value)}
+                required
+              >
+                <option value=''>Choose a location</option>
+                {internalLocations.map((location) => (
+                  <option key={location.id} value={location.id}>
+                    {location.name}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col xs={6}>
+              <Form.Label className='fw-bold'>Received</Form.Label>
+              <Form.Control
+                type='date'
+                value={fields.received_on}
+                onChange={(e) => setField('received_on', e.target.value)}
+                required
+              />
+            </Col>
+          </Row>
+          {matchingPledges.length > 0 && (
+            <Form.Group className='mb-3'>
+              <Form.Label className='fw-bold'>Pays Toward Pledge</Form.Label>
+              <Form.Select value={pledgeId} onChange={(e) => setField('pledge_id', e.target.value)}>
+                <option value=''>No pledge</option>
+                {matchingPledges.map((pledge) => (
+                  <option key={pledge.id} value={pledge.id}>
+                    {[describeSchedule(pledge), pledge.campaign].filter(Boolean).join(' · ')}
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          )}
+          <Form.Group className='mb-3'>
+            <Form.Label className='fw-bold'>Campaign or Fund</Form.Label>
+            <Form.Control
+              value={fields.campaign}
+              onChange={(e) => setField('campaign', e.target.value)}
+              list='donation-campaigns'
+              maxLength={100}
+              placeholder='General fund'
+            />
+            <datalist id='donation-campaigns'>
+              {donationCampaigns.map((campaign) => (
+                <option key={campaign} value={campaign} />
+              ))}
+            </datalist>
+          </Form.Group>
+          <Form.Group>
+            <Form.Label className='fw-bold'>Memo</Form.Label>
+            <Form.Control
+              as='textarea'
+              rows={2}
+              value={fields.memo}
+              onChange={(e) => setField('memo', e.target.value)}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          {donation && (
+            <Button variant='outline-danger' className='me-auto' onClick={remove}>
+              Delete
+            </Button>
+          )}
+          <Button variant='secondary' onClick={onHide}>
+            Cancel
+          </Button>
+          <Button type='submit' style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}>
+            Save
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+}
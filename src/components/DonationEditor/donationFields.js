@@ -0,0 +1,36 @@
+/*
+  The payment methods and amounts of the donation ledger. The server checks
+  them in server/modules/donations.js. Keep the two in sync.
+*/
+
+export const DONATION_METHODS = [
+  { value: 'check', label: 'Check' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Card' },
+  { value: 'in_kind', label: 'In-kind' },
+];
+
+export const methodLabel = (method) =>
+  DONATION_METHODS.find((item) => item.value === method)?.label || method || 'Not recorded';
+
+// e.g. 123456 USD is "$1,234.56"
+export const formatAmount = (amountCents, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amountCents / 100);
+  } catch (error) {
+    return `${(amountCents / 100).toFixed(2)} ${currency}`;
+  }
+};
+
+// "1,234.5" is 123450 cents. Returns null for negative amounts, text, and more than two decimals.
+export const dollarsToCents = (text) => {
+  const match = String(text)
+    .replace(/[$,\s]/g, '')
+    .match(/^(\d*)(?:\.(\d{0,2}))?$/);
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+  return Number(match[1] || 0) * 100 + Number((match[2] || '').padEnd(2, '0'));
+};
+
+export const centsToDollars = (amountCents) => (amountCents / 100).toFixed(2);
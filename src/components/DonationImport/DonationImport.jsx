@@ -0,0 +1,337 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Alert, Button, Card, Col, Form, Row, Table } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+import { DONATION_METHODS, formatAmount, methodLabel } from '../DonationEditor/donationFields';
+
+const STATUSES = {
+  ready: { label: 'Ready', color: '#4b0082' },
+  invalid: { label: 'Invalid', color: '#cc0000' },
+  unmatched: { label: 'No donor', color: '#cc0000' },
+  duplicate: { label: 'Duplicate', color: '#6c757d' },
+  skipped: { label: 'Skipped', color: '#6c757d' },
+};
+
+const MATCHES = { email: 'by email', phone: 'by phone', name: 'by name', chosen: 'chosen' };
+
+// e.g. "Jane Doe · jane@example.com"
+const describeDonor = (donor) => [donor.name, donor.email, donor.phone].filter(Boolean).join(' · ') || '—';
+
+const describeDuplicate = (duplicateOf) =>
+  duplicateOf.donation_id
+    ? `Already recorded as donation #${duplicateOf.donation_id}`
+    : `Same as row ${duplicateOf.row}`;
+
+// Lets internal staff import donations from a spreadsheet or card processor export, after checking a preview
+export default function DonationImport() {
+  const user = useStore((state) => state.user);
+  const donationImportFields = useStore((state) => state.donationImportFields);
+  const fetchDonationImportFields = useStore((state) => state.fetchDonationImportFields);
+  const previewDonationImport = useStore((state) => state.previewDonationImport);
+  const importDonations = useStore((state) => state.importDonations);
+
+  const internalLocations = user.locations?.filter((location) => location.internal) || [];
+  const [file, setFile] = useState(null);
+  const [locationId, setLocationId] = useState(internalLocations[0] ? String(internalLocations[0].id) : '');
+  const [method, setMethod] = useState('');
+  const [currency, setCurrency] = useState('USD');
+  // null until a column is changed, so the server guesses from the headers
+  const [mapping, setMapping] = useState(null);
+  // Per row number: { user_id, skip, import_duplicate }
+  const [overrides, setOverrides] = useState({});
+  const [notify, setNotify] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+  const [importing, setImporting] = useState(false);
+  // Only the latest preview is shown, however the requests come back
+  const latestPreview = useRef(0);
+  const fileInput = useRef(null);
+
+  const options = { location_id: locationId, mapping, method, currency, overrides, notify };
+
+  useEffect(() => {
+    fetchDonationImportFields();
+  }, []);
+
+  useEffect(() => {
+    if (!file || !locationId) {
+      setPreview(null);
+      return;
+    }
+    const request = ++latestPreview.current;
+    previewDonationImport(file, options)
+      .then((data) => {
+        if (request === latestPreview.current) {
+          setPreview(data);
+          setError('');
+        }
+      })
+      .catch((err) => {
+        if (request === latestPreview.current) {
+          setPreview(null);
+          setError(err.response?.data?.message || 'Failed to read the file.');
+        }
+      });
+  }, [file, locationId, method, currency, mapping, overrides]);
+
+  const chooseFile = (event) => {
+    setFile(event.target.files[0] || null);
+    setMapping(null);
+    setOverrides({});
+    setResult(null);
+  };
+
+  const setColumn = (key, value) => {
+    const next = { ...preview.mapping };
+    if (value === '') {
+      delete next[key];
+    } else {
+      next[key] = Number(value);
+    }
+    setMapping(next);
+  };
+
+  const setOverride = (rowNumber, changes) =>
+    setOverrides({ ...overrides, [rowNumber]: { ...overrides[rowNumber], ...changes } });
+
+  const counts = preview?.counts || {};
+  const blocked = (counts.invalid || 0) + (counts.unmatched || 0);
+
+  const runImport = async () => {
+    setImporting(true);
+    try {
+      setResult(await importDonations(file, options));
+      setFile(null);
+      setPreview(null);
+      fileInput.current.value = '';
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to import the donations.');
+      if (err.response?.data?.preview) {
+        setPreview(err.response.data.preview);
+      }
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (internalLocations.length === 0) {
+    return (
+      <Card body className='text-center text-muted'>
+        Only internal staff can import donations.
+      </Card>
+    );
+  }
+
+  return (
+    <>
+      <div className='text-center mb-4'>
+        <h1 style={{ color: '#4b0082' }}>Import Donations</h1>
+        <p className='text-muted'>
+          From a spreadsheet or card processor export, saved as CSV. Nothing is saved until you import.
+        </p>
+      </div>
+
+      {result && (
+        <Alert variant='success' onClose={() => setResult(null)} dismissible>
+          Imported {result.imported} {result.imported === 1 ? 'donation' : 'donations'}.
+          {result.duplicates > 0 && ` ${result.duplicates} duplicates were left out.`}
+          {result.skipped > 0 && ` ${result.skipped} rows were skipped.`}
+        </Alert>
+      )}
+      {error && <Alert variant='danger'>{error}</Alert>}
+
+      <Row className='justify-content-center align-items-end mb-3 g-2'>
+        <Col md={4}>
+          <Form.Label className='fw-bold'>CSV File</Form.Label>
+          <Form.Control type='file' accept='.csv,text/csv' ref={fileInput} onChange={chooseFile} />
+        </Col>
+        <Col md={2}>
+          <Form.Label className='fw-bold'>Location</Form.Label>
+          <Form.Select value={locationId} onChange={(e) => setLocationId(e.target.value)}>
+            {internalLocations.map((location) => (
+              <option key={location.id} value={location.id}>
+                {location.name}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col md={2}>
+          <Form.Label className='fw-bold'>Method if Blank</Form.Label>
+          <Form.Select value={method} onChange={(e) => setMethod(e.target.value)}>
+            <option value=''>Row must say</option>
+            {DONATION_METHODS.map((item) => (
+              <option key={item.value} value={item.value}>
+                {item.label}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col md={1}>
+          <Form.Label className='fw-bold'>Currency</Form.Label>
+          <Form.Control value={currency} maxLength={3} onChange={(e) => setCurrency(e.target.value.toUpperCase())} />
+        </Col>
+      </Row>
+
+      {preview && (
+        <>
+          <Card className='mb-3'>
+            <Card.Body>
+              <Card.Title as='h2' className='h5'>
+                Columns
+              </Card.Title>
+              <Row className='g-2'>
+                {donationImportFields.map((field) => (
+                  <Col md={3} key={field.key}>
+                    <Form.Label className='small fw-bold mb-0'>{field.label}</Form.Label>
+                    <Form.Select
+                      size='sm'
+                      value={preview.mapping[field.key] ?? ''}
+                      onChange={(e) => setColumn(field.key, e.target.value)}
+                    >
+                      <option value=''>Not in the file</option>
+                      {preview.headers.map((header, index) => (
+                        <option key={index} value={index}>
+                          {header || `Column ${index + 1}`}
+                        </option>
+                      ))}
+                    </Form.Select>
+                  </Col>
+                ))}
+              </Row>
+            </Card.Body>
+          </Card>
+
+          {preview.message && <Alert variant='warning'>{preview.message}</Alert>}
+
+          {preview.rows.length > 0 && (
+            <>
+              <div className='d-flex justify-content-between align-items-center mb-2'>
+                <div className='small'>
+                  {Object.entries(STATUSES)
+                    .filter(([status]) => counts[status])
+                    .map(([status, { label }]) => `${counts[status]} ${label.toLowerCase()}`)
+                    .join(' · ')}
+                </div>
+                <div className='d-flex align-items-center gap-3'>
+                  <Form.Check
+                    id='import-notify'
+                    label='Email donors a thank you'
+                    checked={notify}
+                    onChange={(e) => setNotify(e.target.checked)}
+                  />
+                  <Button
+                    disabled={importing || blocked > 0 || !counts.ready}
+                    onClick={runImport}
+                    style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}
+                  >
+                    Import {counts.ready || 0} {counts.ready === 1 ? 'Donation' : 'Donations'}
+                  </Button>
+                </div>
+              </div>
+              {blocked > 0 && (
+                <Alert variant='warning' className='py-2 small'>
+                  Fix the file, choose a donor or skip the {blocked} {blocked === 1 ? 'row' : 'rows'} marked in red
+                  before importing.
+                </Alert>
+              )}
+
+              <div className='table-responsive'>
+                <Table bordered size='sm' className='bg-white small'>
+                  <thead className='table-light'>
+                    <tr>
+                      <th>Row</th>
+                      <th>In the File</th>
+                      <th>Donor</th>
+                      <th>Donation</th>
+                      <th>Status</th>
+                      <th>Skip</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.rows.map((row) => (
+                      <tr key={row.row}>
+                        <td>{row.row}</td>
+                        <td>{describeDonor(row.donor)}</td>
+                        <td>
+                          {row.user && (
+                            <>
+                              <Link to={`/profile/${row.user.id}`} target='_blank'>
+                                {row.user.name}
+                              </Link>{' '}
+                              <span className='text-muted'>{MATCHES[row.match]}</span>
+                            </>
+                          )}
+                          {row.candidates.length > 0 && (
+                            <Form.Select
+                              size='sm'
+                              className='mt-1'
+                              value={overrides[row.row]?.user_id || ''}
+                              onChange={(e) => setOverride(row.row, { user_id: Number(e.target.value) || null })}
+                            >
+                              <option value=''>Choose the donor</option>
+                              {row.candidates.map((candidate) => (
+                                <option key={candidate.id} value={candidate.id}>
+                                  {candidate.name} · {candidate.email}
+                                </option>
+                              ))}
+                            </Form.Select>
+                          )}
+                          {!row.user && row.candidates.length === 0 && (
+                            <span className='text-muted'>No one close at your locations</span>
+                          )}
+                        </td>
+                        <td>
+                          {row.donation && (
+                            <>
+                              {formatAmount(row.donation.amount_cents, row.donation.currency)} ·{' '}
+                              {methodLabel(row.donation.method)}
+                              {row.donation.check_number && ` #${row.donation.check_number}`}
+                              <div className='text-muted'>
+                                {[row.donation.received_on || 'Today', row.donation.campaign]
+                                  .filter(Boolean)
+                                  .join(' · ')}
+                              </div>
+                            </>
+                          )}
+                          {row.errors.map((problem) => (
+                            <div key={problem} style={{ color: '#cc0000' }}>
+                              {problem}
+                            </div>
+                          ))}
+                        </td>
+                        <td>
+                          <span className='badge' style={{ backgroundColor: STATUSES[row.status].color }}>
+                            {STATUSES[row.status].label}
+                          </span>
+                          {row.duplicate_of && (
+                            <>
+                              <div className='text-muted'>{describeDuplicate(row.duplicate_of)}</div>
+                              <Form.Check
+                                id={`import-duplicate-${row.row}`}
+                                label='Import anyway'
+                                checked={Boolean(overrides[row.row]?.import_duplicate)}
+                                onChange={(e) => setOverride(row.row, { import_duplicate: e.target.checked })}
+                              />
+                            </>
+                          )}
+                        </td>
+                        <td>
+                          <Form.Check
+                            aria-label={`Skip row ${row.row}`}
+                            checked={Boolean(overrides[row.row]?.skip)}
+                            onChange={(e) => setOverride(row.row, { skip: e.target.checked })}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </>
+  );
+}
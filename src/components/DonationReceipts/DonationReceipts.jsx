@@ -0,0 +1,155 @@
+import { useEffect, useState } from 'react';
+import { Button, Card, Col, Form, Row, Table } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+import { formatAmount } from '../DonationEditor/donationFields';
+
+// Statements are usually issued in January for the year before
+const defaultYear = () => {
+  const today = new Date();
+  return String(today.getMonth() < 6 ? today.getFullYear() - 1 : today.getFullYear());
+};
+
+const formatTotals = (totals) =>
+  Object.entries(totals)
+    .map(([currency, cents]) => formatAmount(cents, currency))
+    .join(', ') || 'In-kind only';
+
+// Lets internal staff issue and reprint year-end giving statements for donors at their locations
+export default function DonationReceipts() {
+  const user = useStore((state) => state.user);
+  const receiptDonors = useStore((state) => state.receiptDonors);
+  const fetchReceiptDonors = useStore((state) => state.fetchReceiptDonors);
+  const issueReceipts = useStore((state) => state.issueReceipts);
+
+  const internalLocations = user.locations?.filter((location) => location.internal) || [];
+  const [year, setYear] = useState(defaultYear);
+  const [locationId, setLocationId] = useState(internalLocations[0] ? String(internalLocations[0].id) : '');
+  const [selected, setSelected] = useState([]);
+
+  const validYear = /^\d{4}$/.test(year);
+
+  useEffect(() => {
+    setSelected([]);
+    if (validYear && locationId) {
+      fetchReceiptDonors(year, locationId);
+    }
+  }, [year, locationId]);
+
+  const toggle = (userId) =>
+    setSelected(selected.includes(userId) ? selected.filter((id) => id !== userId) : [...selected, userId]);
+
+  const issue = async (userIds) => {
+    await issueReceipts(Number(year), Number(locationId), userIds);
+    setSelected([]);
+  };
+
+  if (internalLocations.length === 0) {
+    return (
+      <Card body className='text-center text-muted'>
+        Only internal staff can issue giving statements.
+      </Card>
+    );
+  }
+
+  return (
+    <>
+      <div className='text-center mb-4'>
+        <h1 style={{ color: '#4b0082' }}>Giving Statements</h1>
+        <p className='text-muted'>Year-end statements donors can keep for their taxes.</p>
+      </div>
+
+      <Row className='justify-content-center align-items-end mb-3 g-2'>
+        <Col md={2}>
+          <Form.Label className='fw-bold'>Year</Form.Label>
+          <Form.Control
+            type='number'
+            min='1900'
+            max='9999'
+            value={year}
+            onChange={(e) => setYear(e.target.value)}
+            isInvalid={!validYear}
+          />
+        </Col>
+        <Col md={3}>
+          <Form.Label className='fw-bold'>Location</Form.Label>
+          <Form.Select value={locationId} onChange={(e) => setLocationId(e.target.value)}>
+            {internalLocations.map((location) => (
+              <option key={location.id} value={location.id}>
+                {location.name}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col md='auto' className='d-flex gap-2'>
+          <Button variant='outline-secondary' disabled={selected.length === 0} onClick={() => issue(selected)}>
+            Issue Selected ({selected.length})
+          </Button>
+          <Button
+            disabled={receiptDonors.length === 0}
+            onClick={() => issue()}
+            style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}
+          >
+            Issue All
+          </Button>
+        </Col>
+      </Row>
+
+      <div className='table-responsive'>
+        <Table hover bordered size='sm' className='bg-white'>
+          <thead className='table-light'>
+            <tr>
+              <th>
+                <Form.Check
+                  aria-label='Select all'
+                  checked={receiptDonors.length > 0 && selected.length === receiptDonors.length}
+                  onChange={(e) => setSelected(e.target.checked ? receiptDonors.map((donor) => donor.user_id) : [])}
+                />
+              </th>
+              <th>Donor</th>
+              <th>Email</th>
+              <th>Gifts</th>
+              <th>Total</th>
+              <th>Last Statement</th>
+            </tr>
+          </thead>
+          <tbody>
+            {receiptDonors.map((donor) => (
+              <tr key={donor.user_id}>
+                <td>
+                  <Form.Check
+                    aria-label={`Select ${donor.name}`}
+                    checked={selected.includes(donor.user_id)}
+                    onChange={() => toggle(donor.user_id)}
+                  />
+                </td>
+                <td>{donor.name}</td>
+                <td>{donor.email}</td>
+                <td>{donor.gift_count}</td>
+                <td>{formatTotals(donor.totals)}</td>
+                <td>
+                  {donor.last_receipt ? (
+                    <>
+                      {new Date(donor.last_receipt.issued_at).toLocaleDateString()}{' '}
+                      <a href={`/api/receipt/${donor.last_receipt.id}`} target='_blank' rel='noreferrer'>
+                        Print again
+                      </a>
+                    </>
+                  ) : (
+                    <span className='text-muted'>Not issued</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {receiptDonors.length === 0 && (
+              <tr>
+                <td colSpan='6' className='text-center text-muted py-4'>
+                  No donations at this location in {year}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </Table>
+      </div>
+    </>
+  );
+}
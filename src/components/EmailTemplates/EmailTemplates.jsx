@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react';
+import { Badge, Button, Card, Col, Form, Row } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+
+// One notification email, with its subject and body editable and a switch to turn it off
+function EmailTemplateCard({ template, locationId }) {
+  const saveEmailTemplate = useStore((state) => state.saveEmailTemplate);
+  const resetEmailTemplate = useStore((state) => state.resetEmailTemplate);
+  const [draft, setDraft] = useState(template);
+
+  useEffect(() => {
+    setDraft(template);
+  }, [template]);
+
+  const changed =
+    draft.subject !== template.subject || draft.body !== template.body || draft.enabled !== template.enabled;
+
+  const save = (event) => {
+    event.preventDefault();
+    saveEmailTemplate(locationId, template.event, {
+      subject: draft.subject,
+      body: draft.body,
+      enabled: draft.enabled,
+    });
+  };
+
+  return (
+    <Card className='shadow-sm mb-4' style={{ borderLeft: `4px solid ${draft.enabled ? '#4b0082' : '#6c757d'}` }}>
+      <Card.Body>
+        <Form onSubmit={save}>
+          <div className='d-flex justify-content-between align-items-center mb-3'>
+            <Card.Title className='mb-0'>
+              {template.label}
+              {!template.custom && (
+                <Badge bg='secondary' className='ms-2'>
+                  default
+                </Badge>
+              )}
+            </Card.Title>
+            <Form.Check
+              type='switch'
+              id={`enabled-${template.event}`}
+              label='Send this email'
+              checked={draft.enabled}
+              onChange={(e) => setDraft({ ...draft, enabled: e.target.checked })}
+            />
+          </div>
+          <Form.Group className='mb-2'>
+            <Form.Label className='fw-bold'>Subject</Form.Label>
+            <Form.Control value={draft.subject} onChange={(e) => setDraft({ ...draft, subject: e.target.value })} />
+          </Form.Group>
+          <Form.Group className='mb-2'>
+            <Form.Label className='fw-bold'>Body</Form.Label>
+            <Form.Control
+              as='textarea'
+              rows={6}
+              value={draft.body}
+              onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+            />
+            <Form.Text muted>
+              You can use {template.placeholders.map((placeholder) => `{{${placeholder}}}`).join(', ')}.
+            </Form.Text>
+          </Form.Group>
+          <div className='d-flex gap-2'>
+            <Button type='submit' disabled={!changed} style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}>
+              Save
+            </Button>
+            {template.custom && (
+              <Button variant='outline-secondary' onClick={() => resetEmailTemplate(locationId, template.event)}>
+                Use Default
+              </Button>
+            )}
+          </div>
+        </Form>
+      </Card.Body>
+    </Card>
+  );
+}
+
+// Lets internal staff reword the notification emails sent for their locations
+export default function EmailTemplates() {
+  const user = useStore((state) => state.user);
+  const emailTemplates = useStore((state) => state.emailTemplates);
+  const fetchEmailTemplates = useStore((state) => state.fetchEmailTemplates);
+
+  const internalLocations = user.locations?.filter((location) => location.internal) || [];
+  const [locationId, setLocationId] = useState(internalLocations[0]?.id ?? '');
+
+  useEffect(() => {
+    if (locationId) {
+      fetchEmailTemplates(locationId);
+    }
+  }, [locationId, fetchEmailTemplates]);
+
+  return (
+    <>
+      <div className='text-center mb-4'>
+        <h1 style={{ color: '#4b0082' }}>Email Templates</h1>
+      </div>
+
+      <Row className='justify-content-center mb-4'>
+        <Col md={4}>
+          <Form.Label className='fw-bold'>Location</Form.Label>
+          <Form.Select value={locationId} onChange={(e) => setLocationId(e.target.value)}>
+            {internalLocations.map((location) => (
+              <option key={location.id} value={location.id}>
+                {location.name}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+      </Row>
+
+      {internalLocations.length === 0 ? (
+        <Card body className='text-center text-muted'>
+          Only internal staff can change email templates.
+        </Card>
+      ) : (
+        <Row className='justify-content-center'>
+          <Col lg={8}>
+            {emailTemplates.map((template) => (
+              <EmailTemplateCard key={template.event} template={template} locationId={locationId} />
+            ))}
+          </Col>
+        </Row>
+      )}
+    </>
+  );
+}
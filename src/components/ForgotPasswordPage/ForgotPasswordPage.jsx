@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import Container from 'react-bootstrap/Container';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Alert from 'react-bootstrap/Alert';
+import useStore from '../../zustand/store';
+
+function ForgotPasswordPage() {
+  const [username, setUsername] = useState('');
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState(null);
+  const requestPasswordReset = useStore((state) => state.requestPasswordReset);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const message = await requestPasswordReset(username);
+    setSent(!message);
+    setError(message);
+  };
+
+  return (
+    <Container>
+      <Row className='justify-content-center'>
+        <Col md={6} lg={4}>
+          <div className='bg-white p-4 rounded shadow-sm'>
+            <h2 className='text-center mb-4'>Forgot Password</h2>
+
+            {sent ? (
+              <Alert variant='success'>
+                If there is an account for {username}, we sent it a link to reset the password. The link works for an
+                hour.
+              </Alert>
+            ) : (
+              <Form onSubmit={handleSubmit}>
+                {error && (
+                  <Alert variant='danger' className='mb-4'>
+                    {error}
+                  </Alert>
+                )}
+                <Form.Group className='mb-4' controlId='username'>
+                  <Form.Label>Email</Form.Label>
+                  <Form.Control
+                    type='email'
+                    required
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    placeholder='Enter the email you log in with'
+                  />
+                </Form.Group>
+                <div className='d-grid'>
+                  <Button variant='primary' type='submit'>
+                    Email Me a Reset Link
+                  </Button>
+                </div>
+              </Form>
+            )}
+
+            <div className='text-center mt-3'>
+              <Link to='/login'>Back to login</Link>
+            </div>
+          </div>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default ForgotPasswordPage;
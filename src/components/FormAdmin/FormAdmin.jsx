@@ -2,6 +2,7 @@ import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import useStore from '../../zustand/store';
 import { Container, Row, Col, Stack, Button, Form } from 'react-bootstrap';
+import SubmissionExport from '../SubmissionExport/SubmissionExport';
 
 export default function FormAdmin() {
   const [newForm, setNewForm] = useState({
@@ -9,6 +10,8 @@ export default function FormAdmin() {
     pipeline_id: '',
     location_id: '',
   });
+  // The form whose submissions are being exported
+  const [exportingForm, setExportingForm] = useState(null);
 
   const navigate = useNavigate();
   const allForms = useStore((store) => store.allForms);
@@ -175,6 +178,14 @@ export default function FormAdmin() {
                           >
                             Delete
                           </Button>
+                          <Button
+                            variant='outline-secondary'
+                            onClick={() => setExportingForm(form)}
+                            className='px-4'
+                            style={{ borderColor: '#4b0082', color: '#4b0082' }}
+                          >
+                            Export Submissions
+                          </Button>
                         </div>
                         <h3>{form.name}</h3>
                         {form.pipeline_id && <p>Pipeline ID: {form.pipeline_id}</p>}
@@ -188,6 +199,7 @@ export default function FormAdmin() {
           </div>
         </Col>
       </Row>
+      {exportingForm && <SubmissionExport form={exportingForm} onHide={() => setExportingForm(null)} />}
     </Container>
   );
 }
@@ -1,18 +1,37 @@
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { useParams } from 'react-router-dom';
 import useStore from '../../zustand/store';
 import SectionManager from '../SectionManager/SectionManager';
-import { Container, Row, Col } from 'react-bootstrap';
+import { Container, Row, Col, Button, Alert } from 'react-bootstrap';
 
 function FormEditor() {
   const { formId } = useParams();
-  const fetchFormById = useStore((store) => store.fetchFormById);
+  const fetchDraftFormById = useStore((store) => store.fetchDraftFormById);
   const currentForm = useStore((store) => store.currentForm);
+  const formRevisions = useStore((store) => store.formRevisions);
+  const fetchFormRevisions = useStore((store) => store.fetchFormRevisions);
+  const publishForm = useStore((store) => store.publishForm);
+  const [publishError, setPublishError] = useState('');
 
   useEffect(() => {
-    fetchFormById(formId);
+    fetchDraftFormById(formId);
+    fetchFormRevisions(formId);
   }, [formId]);
 
+  const handlePublish = async () => {
+    if (!window.confirm('Publish this draft? New applicants will see these questions.')) {
+      return;
+    }
+    setPublishError('');
+    try {
+      await publishForm(formId);
+    } catch (error) {
+      setPublishError('The form could not be published. Try again!');
+    }
+  };
+
+  const latestRevision = formRevisions[0];
+
   if (!currentForm) {
     return (
       <Container className='text-center py-5'>
@@ -34,6 +53,28 @@ function FormEditor() {
             <h2 className='text-center mb-4 h4' style={{ color: '#4b0082' }}>
               {currentForm.name}
             </h2>
+            <div className='d-flex justify-content-between align-items-center mb-3'>
+              <span className='text-muted'>
+                {latestRevision
+                  ? `Editing draft. Revision ${latestRevision.revision} was published ${new Date(
+                      latestRevision.published_at
+                    ).toLocaleDateString('en-US')}.`
+                  : 'Editing draft. This form has not been published yet.'}
+              </span>
+              <Button
+                variant='primary'
+                onClick={handlePublish}
+                className='px-4'
+                style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}
+              >
+                Publish
+              </Button>
+            </div>
+            {publishError && (
+              <Alert variant='danger' className='mb-3'>
+                {publishError}
+              </Alert>
+            )}
             <hr className='mb-4' style={{ borderColor: '#4b0082', opacity: 0.25 }} />
             <SectionManager formId={formId} />
           </div>
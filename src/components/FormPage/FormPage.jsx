@@ -17,17 +17,24 @@ export default function FormPage() {
   const navigate = useNavigate();
 
   useEffect(() => {
-    fetchFormById(formId);
     createOrGetSubmissionByFormId(formId);
   }, [user, formId]);
 
+  // Draw the form revision this submission was started on
+  const isCurrentSubmission = String(currentSubmission?.form_id) === String(formId);
+  useEffect(() => {
+    if (isCurrentSubmission) {
+      fetchFormById(formId, currentSubmission.form_revision_id);
+    }
+  }, [isCurrentSubmission, currentSubmission?.form_revision_id]);
+
   useEffect(() => {
     if (sectionIndex === undefined || isNaN(sectionIndex)) {
       navigate(`/form/${formId}/0`);
     }
   }, [sectionIndex]);
 
-  if (!currentForm || !currentSubmission) {
+  if (!currentForm || !isCurrentSubmission || String(currentForm.id) !== String(formId)) {
     return (
       <Container className='text-center py-5'>
         <div className='spinner-border' role='status'>
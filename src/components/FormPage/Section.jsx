@@ -12,6 +12,18 @@ import Form from 'react-bootstrap/Form';
 import Button from 'react-bootstrap/Button';
 import Stack from 'react-bootstrap/Stack';
 import ProgressBar from 'react-bootstrap/ProgressBar';
+import Alert from 'react-bootstrap/Alert';
+import { answerValuesByQuestion, visibleItems } from './visibility';
+import { RATING_MAX } from './answerTypes';
+
+// HTML input types for answer types that are a single text box
+const INPUT_TYPES = {
+  text: 'text',
+  email: 'email',
+  phone: 'tel',
+  date: 'date',
+  number: 'number',
+};
 
 const Checkbox = ({ label, value, onChange }) => {
   return (
@@ -25,15 +37,35 @@ const Checkbox = ({ label, value, onChange }) => {
 export default function Section({ currentForm, currentSubmission }) {
   const saveSubmissionProgress = useStore((store) => store.saveSubmissionProgress);
   const finishSubmission = useStore((store) => store.finishSubmission);
+  const submissionErrors = useStore((store) => store.submissionErrors);
+  const uploadSubmissionFile = useStore((store) => store.uploadSubmissionFile);
+  const deleteSubmissionFile = useStore((store) => store.deleteSubmissionFile);
   const { submissionId, sectionIndex } = useParams();
   const navigate = useNavigate();
 
-  const currentSection = currentForm.sections.sort((a, b) => a.order - b.order)[Number(sectionIndex)];
-  const isLastSection = Number(sectionIndex) + 1 >= currentForm.sections.length;
+  const sortedSections = currentForm.sections.sort((a, b) => a.order - b.order);
+  const currentSection = sortedSections[Number(sectionIndex)];
 
-  // Generates a default state like {5: {question_id: 5, answer: '', answer_id: 10}}
+  // Generates a default state like {5: {question_id: 5, answer: '', selections: [], answer_id: 10}}
+  // Multiple choice questions use `selections` ({ id, answer } of each chosen option) instead of `answer`,
+  // and file questions use `files`, which are uploaded right away rather than on save.
   const [answers, setAnswers] = useState({});
 
+  // Visibility rules can depend on answers from any section, so check them against
+  // the saved answers plus the ones being edited on this page.
+  const allAnswers = [
+    ...currentSubmission.answers.filter((a) => !(a.question_id in answers)),
+    ...Object.values(answers),
+  ];
+  const { sectionIds, questionIds } = visibleItems(currentForm, answerValuesByQuestion(currentForm, allAnswers));
+  const visibleSectionIndexes = sortedSections
+    .map((section, index) => index)
+    .filter((index) => sectionIds.has(sortedSections[index].id));
+  const nextSectionIndex = visibleSectionIndexes.find((index) => index > Number(sectionIndex));
+  const prevSectionIndex = [...visibleSectionIndexes].reverse().find((index) => index < Number(sectionIndex));
+  const isLastSection = nextSectionIndex === undefined;
+  const stepNumber = visibleSectionIndexes.filter((index) => index <= Number(sectionIndex)).length;
+
   console.log(`Questions State:`, answers);
   const updateQuestions = (question_id, answer) => {
     setAnswers({
@@ -45,6 +77,41 @@ export default function Section({ currentForm, currentSubmission }) {
     });
   };
 
+  const updateFiles = (question_id, files) => {
+    setAnswers((current) => ({
+      ...current,
+      [question_id]: {
+        ...current[question_id],
+        files,
+      },
+    }));
+  };
+
+  const handleUpload = async (question, event) => {
+    const input = event.target;
+    const uploaded = await uploadSubmissionFile(currentSubmission.id, question.id, input.files[0]);
+    if (uploaded) {
+      updateFiles(question.id, [...(answers[question.id]?.files || []), uploaded]);
+    }
+    input.value = '';
+  };
+
+  const handleRemoveFile = async (question, fileId) => {
+    if (await deleteSubmissionFile(currentSubmission.id, fileId)) {
+      updateFiles(question.id, (answers[question.id]?.files || []).filter((file) => file.id !== fileId));
+    }
+  };
+
+  const updateSelections = (question_id, selections) => {
+    setAnswers({
+      ...answers,
+      [question_id]: {
+        ...answers[question_id],
+        selections,
+      },
+    });
+  };
+
   useEffect(() => {
     // Build a place for every questions's answers, accounting for answers
     // that have already been saved by the user.
@@ -56,6 +123,8 @@ export default function Section({ currentForm, currentSubmission }) {
           [question.id]: {
             question_id: question.id,
             answer: foundAnswer?.answer || '',
+            selections: foundAnswer?.selections || [],
+            files: foundAnswer?.files || [],
             // look for existing answer in the submission's answer array
             answer_id: foundAnswer?.answer_id, // backend will UPDATE instead of INSERT if `answer_id` is present
           },
@@ -64,32 +133,42 @@ export default function Section({ currentForm, currentSubmission }) {
     );
   }, [currentSection, currentSubmission]);
 
-  const submitForm = (event) => {
+  const errorFor = (questionId) => submissionErrors.find((error) => String(error.question_id) === String(questionId));
+  // Errors for questions on other sections, e.g. a required question the applicant skipped
+  const otherSectionErrors = submissionErrors.filter(
+    (error) => !currentSection.questions.some((question) => String(question.id) === String(error.question_id))
+  );
+
+  const submitForm = async (event) => {
     event.preventDefault();
+    const action = event.nativeEvent.submitter.name;
+    // Going back saves without checking, so a half finished section isn't lost
     // Object.values returns an array of all dict values (we don't need the keys)
-    saveSubmissionProgress(currentSubmission.id, Object.values(answers));
+    const saved = await saveSubmissionProgress(currentSubmission.id, Object.values(answers), action !== 'prev');
+    if (!saved && action !== 'prev') {
+      return;
+    }
 
-    if (event.nativeEvent.submitter.name === 'final') {
+    if (action === 'final') {
       // this was the final step
-      finishSubmission(currentSubmission.id);
-      // navigate user to somewhere else?
-      navigate('/finish');
-      // TO DO: If form has a pipeline id, add the user to a pipeline automatically once they submit the form.
-      // @jenny
-    } else if (event.nativeEvent.submitter.name === 'next') {
-      const nextSectionIndex = Number(sectionIndex) + 1;
-      navigate(`/form/${currentForm.id}/${nextSectionIndex}`);
-    } else if (event.nativeEvent.submitter.name === 'prev') {
-      const nextSectionIndex = Number(sectionIndex) - 1;
+      if (await finishSubmission(currentSubmission.id)) {
+        navigate('/finish');
+      }
+    } else if (action === 'next') {
+      // skips over any sections hidden by visibility rules
       navigate(`/form/${currentForm.id}/${nextSectionIndex}`);
+    } else if (action === 'prev') {
+      navigate(`/form/${currentForm.id}/${prevSectionIndex}`);
     }
   };
 
   const FormInput = (question) => {
-    if (question.answer_type === 'text') {
+    if (INPUT_TYPES[question.answer_type]) {
       return (
         <div className='p-3 bg-light rounded'>
           <Form.Control
+            type={INPUT_TYPES[question.answer_type]}
+            step={question.answer_type === 'number' ? 'any' : undefined}
             value={answers[question.id]?.answer || ''}
             onChange={(e) => updateQuestions(question.id, e.target.value)}
             required={question.required}
@@ -97,6 +176,41 @@ export default function Section({ currentForm, currentSubmission }) {
           />
         </div>
       );
+    } else if (question.answer_type === 'long_text') {
+      return (
+        <div className='p-3 bg-light rounded'>
+          <Form.Control
+            as='textarea'
+            rows={4}
+            value={answers[question.id]?.answer || ''}
+            onChange={(e) => updateQuestions(question.id, e.target.value)}
+            required={question.required}
+            style={{ border: 'none', backgroundColor: 'transparent', padding: '0' }}
+          />
+        </div>
+      );
+    } else if (question.answer_type === 'yes_no' || question.answer_type === 'rating') {
+      const choices =
+        question.answer_type === 'yes_no'
+          ? ['Yes', 'No']
+          : Array.from({ length: RATING_MAX }, (_, i) => String(i + 1));
+      return (
+        <div className='p-3 bg-light rounded'>
+          {choices.map((choice) => (
+            <Form.Check
+              key={choice}
+              inline
+              type='radio'
+              id={`question-${question.id}-${choice}`}
+              name={`question-${question.id}`}
+              label={choice}
+              checked={answers[question.id]?.answer === choice}
+              onChange={() => updateQuestions(question.id, choice)}
+              required={question.required}
+            />
+          ))}
+        </div>
+      );
     } else if (question.answer_type === 'dropdown') {
       return (
         <div className='p-3 bg-light rounded'>
@@ -119,26 +233,51 @@ export default function Section({ currentForm, currentSubmission }) {
         </div>
       );
     } else if (question.answer_type === 'multiple_choice') {
-      const thisAnswer = answers[question.id]?.answer || '';
+      const selections = answers[question.id]?.selections || [];
       return (
         <div className='p-3 bg-light rounded'>
-          {question.multiple_choice_answers.map((MCAnswer, i) => (
+          {question.multiple_choice_answers.map((MCAnswer) => (
             <Form.Check
-              key={i}
+              key={MCAnswer.id}
               type='checkbox'
+              id={`question-${question.id}-option-${MCAnswer.id}`}
               label={MCAnswer.answer}
-              checked={thisAnswer.split('|').some((ans) => ans.trim() === MCAnswer.answer.trim())}
+              checked={selections.some((selection) => selection.id === MCAnswer.id)}
               onChange={(e) => {
                 const currentSelection = [
-                  ...thisAnswer.split('|').filter((a) => a !== MCAnswer.answer && a !== ''),
-                  ...(e.target.checked ? [MCAnswer.answer] : []),
+                  ...selections.filter((selection) => selection.id !== MCAnswer.id),
+                  ...(e.target.checked ? [{ id: MCAnswer.id, answer: MCAnswer.answer }] : []),
                 ];
-                updateQuestions(question.id, currentSelection.join('|'));
+                updateSelections(question.id, currentSelection);
               }}
             />
           ))}
         </div>
       );
+    } else if (question.answer_type === 'file') {
+      const files = answers[question.id]?.files || [];
+      return (
+        <div className='p-3 bg-light rounded'>
+          {files.map((file) => (
+            <div key={file.id} className='d-flex align-items-center gap-2 mb-2'>
+              <a href={`/api/submission/${currentSubmission.id}/files/${file.id}`}>{file.name}</a>
+              <Button
+                variant='outline-danger'
+                size='sm'
+                type='button'
+                onClick={() => handleRemoveFile(question, file.id)}
+              >
+                Remove
+              </Button>
+            </div>
+          ))}
+          <Form.Control
+            type='file'
+            onChange={(e) => e.target.files.length > 0 && handleUpload(question, e)}
+            style={{ border: 'none', backgroundColor: 'transparent', padding: '0' }}
+          />
+        </div>
+      );
     } else {
       return <div>Unknown question type {question.answer_type}</div>;
     }
@@ -157,15 +296,39 @@ export default function Section({ currentForm, currentSubmission }) {
       </h2>
 
       <ProgressBar
-        now={((Number(sectionIndex) + 1) / currentForm.sections.length) * 100}
+        now={(stepNumber / visibleSectionIndexes.length) * 100}
         className='mb-4'
-        label={`Step ${Number(sectionIndex) + 1} of ${currentForm.sections.length}`}
+        label={`Step ${stepNumber} of ${visibleSectionIndexes.length}`}
         variant='success'
       />
 
+      {otherSectionErrors.length > 0 && (
+        <Alert variant='danger'>
+          Some answers in other steps need attention:
+          <ul className='mb-0'>
+            {otherSectionErrors.map((error) => {
+              const index = sortedSections.findIndex((section) => section.id === error.section_id);
+              return (
+                <li key={error.question_id}>
+                  {index >= 0 ? (
+                    <Alert.Link onClick={() => navigate(`/form/${currentForm.id}/${index}`)}>
+                      {sortedSections[index].name}
+                    </Alert.Link>
+                  ) : (
+                    'Unknown step'
+                  )}
+                  : {error.message}
+                </li>
+              );
+            })}
+          </ul>
+        </Alert>
+      )}
+
       <Form onSubmit={submitForm}>
         <Stack gap={4}>
           {currentSection.questions
+            .filter((question) => questionIds.has(question.id))
             .sort((a, b) => a.order - b.order)
             .map((question, i) => (
               <div key={i} className='question-container'>
@@ -175,13 +338,18 @@ export default function Section({ currentForm, currentSubmission }) {
                     <Form.Text className='text-muted d-block mb-2'>{question.description}</Form.Text>
                   )}
                   {FormInput(question)}
+                  {errorFor(question.id) && (
+                    <Form.Text className='d-block mt-1' style={{ color: '#cc0000' }}>
+                      {errorFor(question.id).message}
+                    </Form.Text>
+                  )}
                 </Form.Group>
               </div>
             ))}
         </Stack>
 
         <div className='d-flex gap-2 justify-content-between mt-4'>
-          {Number(sectionIndex) > 0 && (
+          {prevSectionIndex !== undefined && (
             <Button
               variant='outline-secondary'
               name='prev'
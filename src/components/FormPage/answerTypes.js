@@ -0,0 +1,26 @@
+/*
+  The answer types a question can use, in the order the form editor lists them.
+  The server checks and normalizes answers for each type in
+  server/modules/answer-types.js. Keep the two in sync.
+*/
+
+export const ANSWER_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'long_text', label: 'Long Text' },
+  { value: 'email', label: 'Email' },
+  { value: 'phone', label: 'Phone' },
+  { value: 'date', label: 'Date' },
+  { value: 'number', label: 'Number' },
+  { value: 'yes_no', label: 'Yes / No' },
+  { value: 'rating', label: 'Rating (1-5)' },
+  { value: 'dropdown', label: 'Dropdown' },
+  { value: 'multiple_choice', label: 'Multiple Choice' },
+  { value: 'file', label: 'File Upload' },
+];
+
+// Types that need a list of options
+export const CHOICE_ANSWER_TYPES = ['dropdown', 'multiple_choice'];
+
+export const RATING_MAX = 5;
+
+export const answerTypeLabel = (value) => ANSWER_TYPES.find((type) => type.value === value)?.label || value;
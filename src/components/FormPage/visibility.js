@@ -0,0 +1,103 @@
+/*
+  Evaluates question and section visibility rules while an applicant fills
+  out a form, e.g. { action: 'show', question_id: 14, operator: 'equals', value: 'Yes' }.
+
+  The server checks the same rules on submit in server/modules/visibility.js.
+  Keep the two in sync.
+*/
+
+export const RULE_OPERATORS = [
+  { value: 'equals', label: 'equals' },
+  { value: 'not_equals', label: 'does not equal' },
+  { value: 'includes', label: 'includes' },
+  { value: 'not_includes', label: 'does not include' },
+  { value: 'answered', label: 'is answered' },
+  { value: 'not_answered', label: 'is not answered' },
+];
+
+const clean = (value) => String(value ?? '').trim().toLowerCase();
+
+const conditionMatches = (rule, values) => {
+  const answered = values.map(clean).filter((value) => value !== '');
+  const target = clean(rule.value);
+  switch (rule.operator) {
+    case 'equals':
+      return answered.length === 1 && answered[0] === target;
+    case 'not_equals':
+      return !(answered.length === 1 && answered[0] === target);
+    case 'includes':
+      return answered.includes(target);
+    case 'not_includes':
+      return !answered.includes(target);
+    case 'answered':
+      return answered.length > 0;
+    case 'not_answered':
+      return answered.length === 0;
+    default:
+      return false;
+  }
+};
+
+// Builds { [question_id]: [values] } from answers like { question_id, answer, selections }.
+// Multiple choice answers become the text of each selected option.
+export const answerValuesByQuestion = (form, answers) => {
+  const answerTypes = {};
+  const optionText = {};
+  for (const section of form.sections || []) {
+    for (const question of section.questions || []) {
+      answerTypes[question.id] = question.answer_type;
+      for (const option of question.multiple_choice_answers || []) {
+        if (option) {
+          optionText[option.id] = option.answer;
+        }
+      }
+    }
+  }
+  return answers.reduce((values, answer) => {
+    const selections = answer.selections || [];
+    return {
+      ...values,
+      [answer.question_id]:
+        answerTypes[answer.question_id] === 'multiple_choice'
+          ? selections.map((selection) => optionText[selection.id] ?? selection.answer)
+          : answerTypes[answer.question_id] === 'file'
+            ? (answer.files || []).map((file) => file.name)
+            : [answer.answer || ''],
+    };
+  }, {});
+};
+
+// Returns the ids of the visible sections and questions. Answers to hidden
+// questions count as unanswered, so anything depending on them hides too.
+export const visibleItems = (form, valuesByQuestion) => {
+  const sectionIds = new Set();
+  const questionIds = new Set();
+  const hiddenQuestionIds = new Set();
+
+  const isVisible = (item) => {
+    const rule = item.visibility_rule;
+    if (!rule || !rule.question_id) {
+      return true;
+    }
+    const values = hiddenQuestionIds.has(Number(rule.question_id)) ? [] : valuesByQuestion[rule.question_id] || [];
+    const matches = conditionMatches(rule, values);
+    return rule.action === 'hide' ? !matches : matches;
+  };
+
+  const sections = [...(form.sections || [])].sort((a, b) => a.order - b.order);
+  for (const section of sections) {
+    const sectionVisible = isVisible(section);
+    if (sectionVisible) {
+      sectionIds.add(section.id);
+    }
+    const questions = [...(section.questions || [])].sort((a, b) => a.order - b.order);
+    for (const question of questions) {
+      if (sectionVisible && isVisible(question)) {
+        questionIds.add(question.id);
+      } else {
+        hiddenQuestionIds.add(question.id);
+      }
+    }
+  }
+  return { sectionIds, questionIds };
+};
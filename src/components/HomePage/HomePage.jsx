@@ -6,8 +6,8 @@ import './HomePage.css';
 
 function HomePage() {
   const user = useStore((state) => state.user);
-  const allForms = useStore((store) => store.allForms);
-  const fetchForms = useStore((store) => store.fetchForms);
+  const openForms = useStore((store) => store.openForms);
+  const fetchOpenForms = useStore((store) => store.fetchOpenForms);
   const navigate = useNavigate();
 
   // TODO: Create a button for each form type.
@@ -16,7 +16,7 @@ function HomePage() {
   // the initial form.
   // Grab the form ID and redirect the user to that page
   useEffect(() => {
-    fetchForms();
+    fetchOpenForms();
   }, []);
 
   const handleVolunteerClick = (isNew) => {
@@ -26,7 +26,7 @@ function HomePage() {
     }
 
     if (isNew) {
-      const volunteerForm = allForms[0];
+      const volunteerForm = openForms[0];
       if (volunteerForm) {
         navigate(`/form/${volunteerForm.id}/0`);
       }
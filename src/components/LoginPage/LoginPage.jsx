@@ -5,6 +5,7 @@ import Container from 'react-bootstrap/Container';
 import Row from 'react-bootstrap/Row';
 import Col from 'react-bootstrap/Col';
 import Alert from 'react-bootstrap/Alert';
+import { Link } from 'react-router-dom';
 import useStore from '../../zustand/store';
 
 function LoginPage() {
@@ -70,6 +71,10 @@ function LoginPage() {
                   Log In
                 </Button>
               </div>
+
+              <div className='text-center mt-3'>
+                <Link to='/forgot-password'>Forgot your password?</Link>
+              </div>
             </Form>
           </div>
         </Col>
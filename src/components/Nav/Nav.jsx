@@ -19,6 +19,31 @@ function Navigation() {
             <Nav.Link as={Link} to='/pipeline' active={location.pathname === '/pipeline'}>
               Pipeline
             </Nav.Link>
+            {user.locations?.some((userLocation) => userLocation.internal) && (
+              <>
+                <Nav.Link as={Link} to='/dashboard' active={location.pathname === '/dashboard'}>
+                  Dashboard
+                </Nav.Link>
+                <Nav.Link as={Link} to='/email-templates' active={location.pathname === '/email-templates'}>
+                  Email Templates
+                </Nav.Link>
+                <Nav.Link as={Link} to='/admin/users' active={location.pathname === '/admin/users'}>
+                  Users
+                </Nav.Link>
+                <Nav.Link as={Link} to='/admin/audit' active={location.pathname === '/admin/audit'}>
+                  Audit Log
+                </Nav.Link>
+                <Nav.Link as={Link} to='/donations/receipts' active={location.pathname === '/donations/receipts'}>
+                  Giving Statements
+                </Nav.Link>
+                <Nav.Link as={Link} to='/donations/pledges' active={location.pathname === '/donations/pledges'}>
+                  Overdue Pledges
+                </Nav.Link>
+                <Nav.Link as={Link} to='/donations/import' active={location.pathname === '/donations/import'}>
+                  Import Donations
+                </Nav.Link>
+              </>
+            )}
             <Nav.Link as={Link} to='/admin/forms' active={location.pathname === '/admin/forms'}>
               Manage Forms
             </Nav.Link>
@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Card, Col, Form, Row, Table } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+import { formatAmount } from '../DonationEditor/donationFields';
+import { describeSchedule, formatDueDate } from '../PledgeEditor/pledgeFields';
+
+// Whole days since a date like 2024-06-30
+const daysOverdue = (date) => Math.floor((Date.now() - new Date(`${date}T00:00:00`).getTime()) / (1000 * 60 * 60 * 24));
+
+// Lets internal staff see which donors are behind on their pledges, to follow up with them
+export default function OverduePledges() {
+  const user = useStore((state) => state.user);
+  const overduePledges = useStore((state) => state.overduePledges);
+  const fetchOverduePledges = useStore((state) => state.fetchOverduePledges);
+
+  const internalLocations = user.locations?.filter((location) => location.internal) || [];
+  const [locationId, setLocationId] = useState('');
+
+  useEffect(() => {
+    if (internalLocations.length > 0) {
+      fetchOverduePledges(locationId);
+    }
+  }, [locationId, user.id]);
+
+  if (internalLocations.length === 0) {
+    return (
+      <Card body className='text-center text-muted'>
+        Only internal staff can see overdue pledges.
+      </Card>
+    );
+  }
+
+  return (
+    <>
+      <div className='text-center mb-4'>
+        <h1 style={{ color: '#4b0082' }}>Overdue Pledges</h1>
+        <p className='text-muted'>Pledges with an installment past due, the longest overdue first.</p>
+      </div>
+
+      <Row className='justify-content-center mb-3'>
+        <Col md={3}>
+          <Form.Label className='fw-bold'>Location</Form.Label>
+          <Form.Select value={locationId} onChange={(e) => setLocationId(e.target.value)}>
+            <option value=''>All my locations</option>
+            {internalLocations.map((location) => (
+              <option key={location.id} value={location.id}>
+                {location.name}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+      </Row>
+
+      <div className='table-responsive'>
+        <Table hover bordered size='sm' className='bg-white'>
+          <thead className='table-light'>
+            <tr>
+              <th>Donor</th>
+              <th>Pledge</th>
+              <th>Overdue</th>
+              <th>Since</th>
+              <th>Balance</th>
+              <th>Last Payment</th>
+            </tr>
+          </thead>
+          <tbody>
+            {overduePledges.map((pledge) => (
+              <tr key={pledge.id}>
+                <td>
+                  <Link to={`/profile/${pledge.user_id}`}>{pledge.donor_name}</Link>
+                  <div className='small text-muted'>
+                    {[pledge.donor_email, pledge.donor_phone].filter(Boolean).join(' · ')}
+                  </div>
+                </td>
+                <td>
+                  {describeSchedule(pledge)}
+                  <div className='small text-muted'>
+                    {[pledge.campaign, pledge.location_name].filter(Boolean).join(' · ')}
+                  </div>
+                </td>
+                <td style={{ color: '#cc0000', fontWeight: 'bold' }}>
+                  {formatAmount(pledge.overdue_cents, pledge.currency)}
+                </td>
+                <td className='text-nowrap'>
+                  {formatDueDate(pledge.overdue_since)}
+                  <div className='small text-muted'>{daysOverdue(pledge.overdue_since)} days</div>
+                </td>
+                <td>{formatAmount(pledge.balance_cents, pledge.currency)}</td>
+                <td className='text-nowrap'>
+                  {pledge.last_paid_on ? formatDueDate(pledge.last_paid_on) : <span className='text-muted'>None</span>}
+                </td>
+              </tr>
+            ))}
+            {overduePledges.length === 0 && (
+              <tr>
+                <td colSpan='6' className='text-center text-muted py-4'>
+                  No overdue pledges
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </Table>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,68 @@
+import { useEffect, useState } from 'react';
+import { Button, Form, ListGroup, Modal } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+
+// Shown when the server refuses to move an applicant because the stage's requirements aren't met.
+// Staff can add a note and try again, or override the requirements with a note saying why.
+export default function MoveRejectedModal() {
+  const moveRejection = useStore((state) => state.moveRejection);
+  const clearMoveRejection = useStore((state) => state.clearMoveRejection);
+  const moveUserOnPipeline = useStore((state) => state.moveUserOnPipeline);
+  const statuses = useStore((state) => state.selectedPipeline.statuses);
+  const [note, setNote] = useState('');
+
+  useEffect(() => {
+    setNote(moveRejection?.note || '');
+  }, [moveRejection]);
+
+  if (!moveRejection) {
+    return null;
+  }
+
+  const stageName = statuses?.find(
+    (status) => String(status.pipeline_status_id) === String(moveRejection.pipeline_status_id),
+  )?.status;
+
+  const retry = (override) => {
+    const { message, unmet, ...move } = moveRejection;
+    moveUserOnPipeline({ ...move, note, override });
+  };
+
+  return (
+    <Modal show onHide={clearMoveRejection}>
+      <Modal.Header closeButton>
+        <Modal.Title style={{ color: '#cc0000' }}>Can&apos;t move to {stageName || 'that stage'} yet</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p>{moveRejection.message}:</p>
+        <ListGroup className='mb-3'>
+          {moveRejection.unmet?.map((requirement) => (
+            <ListGroup.Item key={requirement.id}>{requirement.description}</ListGroup.Item>
+          ))}
+        </ListGroup>
+        <Form.Group>
+          <Form.Label className='fw-bold'>Note</Form.Label>
+          <Form.Control
+            as='textarea'
+            rows={3}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder='e.g. interview notes, or why the requirements are being overridden'
+          />
+          <Form.Text muted>Overriding needs a note explaining why.</Form.Text>
+        </Form.Group>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant='secondary' onClick={clearMoveRejection}>
+          Cancel
+        </Button>
+        <Button variant='outline-primary' onClick={() => retry(false)}>
+          Try Again
+        </Button>
+        <Button variant='danger' onClick={() => retry(true)} disabled={!note.trim()}>
+          Override and Move
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
@@ -6,9 +6,13 @@ import { HTML5Backend } from 'react-dnd-html5-backend';
 import useStore from '../../zustand/store';
 import PipelineStatus from '../PipelineStatus/PipelineStatus';
 import PipelineForm from '../PipelineForm/PipelineForm';
+import PipelineTemplates from '../PipelineTemplates/PipelineTemplates';
+import StageRequirements from '../StageRequirements/StageRequirements';
+import StageActions from '../StageActions/StageActions';
 
 import './Pipeline.css'; // Assuming the styles are in this file
 import AddUserToPipeline from './AddUserToPipeline';
+import MoveRejectedModal from './MoveRejectedModal';
 
 export const DRAG_TYPE = 'user-status';
 
@@ -72,6 +76,7 @@ export default function Pipeline() {
             Load Pipeline
           </Button>
           <PipelineForm />
+          <PipelineTemplates />
         </div>
         {initialPipelineStatusId && (
           <AddUserToPipeline pipelineId={pipelineId} initialPipelineStatusId={initialPipelineStatusId} />
@@ -94,12 +99,15 @@ export default function Pipeline() {
             {selectedPipelineWithData?.statuses?.map((status) => (
               <div key={status.pipeline_status_id} className='pipeline-status'>
                 <h3 className='text-center pipeline-status-title'>{status.status}</h3>
+                <StageRequirements status={status} pipelineId={selectedPipelineWithData.pipeline_id} />
+                <StageActions status={status} pipelineId={selectedPipelineWithData.pipeline_id} />
                 <PipelineStatus status={status} pipelineId={pipelineId} />
               </div>
             ))}
           </div>
         </DndProvider>
       )}
+      <MoveRejectedModal />
     </>
   );
 }
@@ -1,26 +1,34 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { Button, Modal, Form } from 'react-bootstrap';
 import useStore from '../../zustand/store';
 
 export default function PipelineForm() {
   const addPipeline = useStore((state) => state.addPipeline);
   const user = useStore((state) => state.user);
+  const pipelineTemplates = useStore((state) => state.pipelineTemplates);
+  const fetchPipelineTemplates = useStore((state) => state.fetchPipelineTemplates);
   const [pipelineName, setPipelineName] = useState('');
-  const [pipelineType, setPipelineType] = useState('');
+  const [templateId, setTemplateId] = useState('');
   const [locationId, setLocationId] = useState('');
   const [showModal, setShowModal] = useState(false);
 
+  useEffect(() => {
+    if (showModal) {
+      fetchPipelineTemplates();
+    }
+  }, [showModal, fetchPipelineTemplates]);
+
   function addNewPipeline(event) {
     event.preventDefault();
     const newPipeline = {
       name: pipelineName,
-      type: pipelineType,
+      template_id: Number(templateId),
       location_id: Number(locationId),
     };
 
     addPipeline(newPipeline);
     setPipelineName('');
-    setPipelineType('');
+    setTemplateId('');
     setLocationId('');
     setShowModal(false);
   }
@@ -62,10 +70,13 @@ export default function PipelineForm() {
 
             <div className='d-flex gap-3'>
               <Form.Group className='mb-3 flex-grow-1'>
-                <Form.Select value={pipelineType} onChange={(e) => setPipelineType(e.target.value)} required>
+                <Form.Select value={templateId} onChange={(e) => setTemplateId(e.target.value)} required>
                   <option value=''>--Select Type--</option>
-                  <option value='volunteer'>Volunteer</option>
-                  <option value='donor'>Donor</option>
+                  {pipelineTemplates.map((template) => (
+                    <option key={template.id} value={template.id}>
+                      {template.name}
+                    </option>
+                  ))}
                 </Form.Select>
               </Form.Group>
 
@@ -0,0 +1,191 @@
+import { useEffect, useState } from 'react';
+import { Alert, Button, Form, ListGroup, Modal } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+
+/*
+    Lets staff manage pipeline templates: the types of pipeline (volunteer,
+    donor, board member...) and the ordered stages a new pipeline starts with.
+    Editing a template doesn't change pipelines already created from it.
+*/
+const emptyTemplate = { id: null, name: '', key: '', statuses: [''] };
+
+export default function PipelineTemplates() {
+  const pipelineTemplates = useStore((state) => state.pipelineTemplates);
+  const templateError = useStore((state) => state.templateError);
+  const fetchPipelineTemplates = useStore((state) => state.fetchPipelineTemplates);
+  const createPipelineTemplate = useStore((state) => state.createPipelineTemplate);
+  const updatePipelineTemplate = useStore((state) => state.updatePipelineTemplate);
+  const deletePipelineTemplate = useStore((state) => state.deletePipelineTemplate);
+  const clearTemplateError = useStore((state) => state.clearTemplateError);
+
+  const [showModal, setShowModal] = useState(false);
+  // the template being created or edited, null while just browsing the list
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    if (showModal) {
+      fetchPipelineTemplates();
+    }
+  }, [showModal, fetchPipelineTemplates]);
+
+  const startEditing = (template) => {
+    clearTemplateError();
+    setEditing(
+      template
+        ? { id: template.id, name: template.name, key: template.key, statuses: template.statuses.map((s) => s.name) }
+        : emptyTemplate,
+    );
+  };
+
+  const updateStatus = (index, name) => {
+    setEditing({ ...editing, statuses: editing.statuses.map((status, i) => (i === index ? name : status)) });
+  };
+
+  // Swaps a stage with the one above (-1) or below (+1)
+  const moveStatus = (index, direction) => {
+    const statuses = [...editing.statuses];
+    [statuses[index], statuses[index + direction]] = [statuses[index + direction], statuses[index]];
+    setEditing({ ...editing, statuses });
+  };
+
+  const removeStatus = (index) => {
+    setEditing({ ...editing, statuses: editing.statuses.filter((_, i) => i !== index) });
+  };
+
+  const saveTemplate = async (event) => {
+    event.preventDefault();
+    const template = {
+      name: editing.name,
+      key: editing.key || undefined,
+      statuses: editing.statuses.filter((status) => status.trim() !== ''),
+    };
+    const saved = editing.id
+      ? await updatePipelineTemplate(editing.id, template)
+      : await createPipelineTemplate(template);
+    if (saved) {
+      setEditing(null);
+    }
+  };
+
+  const removeTemplate = (template) => {
+    if (window.confirm(`Delete the ${template.name} template? Existing pipelines are kept.`)) {
+      deletePipelineTemplate(template.id);
+    }
+  };
+
+  const closeModal = () => {
+    setEditing(null);
+    setShowModal(false);
+  };
+
+  return (
+    <>
+      <Button
+        onClick={() => setShowModal(true)}
+        variant='outline-secondary'
+        style={{ borderColor: '#4b0082', color: '#4b0082' }}
+      >
+        Pipeline Templates
+      </Button>
+
+      <Modal show={showModal} onHide={closeModal} size='lg'>
+        <Modal.Header closeButton>
+          <Modal.Title style={{ color: '#4b0082' }}>
+            {editing ? (editing.id ? 'Edit Template' : 'New Template') : 'Pipeline Templates'}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {templateError && <Alert variant='danger'>{templateError}</Alert>}
+
+          {!editing ? (
+            <>
+              <ListGroup className='mb-3'>
+                {pipelineTemplates.map((template) => (
+                  <ListGroup.Item key={template.id} className='d-flex justify-content-between align-items-start'>
+                    <div>
+                      <div className='fw-bold'>{template.name}</div>
+                      <small className='text-muted'>{template.statuses.map((status) => status.name).join(' → ')}</small>
+                    </div>
+                    <div className='d-flex gap-2'>
+                      <Button size='sm' variant='outline-primary' onClick={() => startEditing(template)}>
+                        Edit
+                      </Button>
+                      <Button size='sm' variant='outline-danger' onClick={() => removeTemplate(template)}>
+                        Delete
+                      </Button>
+                    </div>
+                  </ListGroup.Item>
+                ))}
+              </ListGroup>
+              <Button onClick={() => startEditing(null)} style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}>
+                New Template
+              </Button>
+            </>
+          ) : (
+            <Form onSubmit={saveTemplate}>
+              <div className='d-flex gap-3'>
+                <Form.Group className='mb-3 flex-grow-1'>
+                  <Form.Label className='fw-bold'>Name</Form.Label>
+                  <Form.Control
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    placeholder='e.g. Board Member'
+                    required
+                  />
+                </Form.Group>
+                <Form.Group className='mb-3'>
+                  <Form.Label className='fw-bold'>Key</Form.Label>
+                  <Form.Control
+                    value={editing.key}
+                    onChange={(e) => setEditing({ ...editing, key: e.target.value })}
+                    placeholder='made from the name'
+                  />
+                </Form.Group>
+              </div>
+
+              <Form.Label className='fw-bold'>Stages</Form.Label>
+              {editing.statuses.map((status, index) => (
+                <div key={index} className='d-flex gap-2 mb-2'>
+                  <Form.Control
+                    value={status}
+                    onChange={(e) => updateStatus(index, e.target.value)}
+                    placeholder={`Stage ${index + 1}`}
+                  />
+                  <Button variant='outline-secondary' disabled={index === 0} onClick={() => moveStatus(index, -1)}>
+                    ↑
+                  </Button>
+                  <Button
+                    variant='outline-secondary'
+                    disabled={index === editing.statuses.length - 1}
+                    onClick={() => moveStatus(index, 1)}
+                  >
+                    ↓
+                  </Button>
+                  <Button variant='outline-danger' onClick={() => removeStatus(index)}>
+                    Remove
+                  </Button>
+                </div>
+              ))}
+              <Button
+                variant='outline-primary'
+                className='mb-3'
+                onClick={() => setEditing({ ...editing, statuses: [...editing.statuses, ''] })}
+              >
+                Add Stage
+              </Button>
+
+              <div className='d-flex gap-2'>
+                <Button type='submit' style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}>
+                  Save Template
+                </Button>
+                <Button variant='secondary' onClick={() => setEditing(null)}>
+                  Cancel
+                </Button>
+              </div>
+            </Form>
+          )}
+        </Modal.Body>
+      </Modal>
+    </>
+  );
+}
@@ -0,0 +1,248 @@
+import { useEffect, useState } from 'react';
+import { Alert, Button, Col, Form, Modal, Row } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+import { centsToDollars, dollarsToCents } from '../DonationEditor/donationFields';
+import { PLEDGE_FREQUENCIES } from './pledgeFields';
+
+// YYYY-MM-DD in local time
+const today = () => new Date().toLocaleDateString('en-CA');
+
+// The form's fields for one of the donor's pledges, or a new one at the first location
+const initialFields = (pledge, locations) =>
+  pledge
+    ? {
+        amount: centsToDollars(pledge.amount_cents),
+        currency: pledge.currency,
+        frequency: pledge.frequency,
+        installment_count: String(pledge.installment_count),
+        first_due_on: pledge.first_due_on,
+        campaign: pledge.campaign || '',
+        location_id: String(pledge.location_id),
+        memo: pledge.memo || '',
+      }
+    : {
+        amount: '',
+        currency: 'USD',
+        frequency: 'once',
+        installment_count: '1',
+        first_due_on: today(),
+        campaign: '',
+        location_id: locations.length === 1 ? String(locations[0].id) : '',
+        memo: '',
+      };
+
+// Records a new pledge for a donor, or changes, cancels or deletes one. `pledge` is null for a new one.
+export default function PledgeEditor({ pledge, userId, onHide }) {
+  const user = useStore((state) => state.user);
+  const donationCampaigns = useStore((state) => state.donationCampaigns);
+  const fetchDonationCampaigns = useStore((state) => state.fetchDonationCampaigns);
+  const createPledge = useStore((state) => state.createPledge);
+  const updatePledge = useStore((state) => state.updatePledge);
+  const setPledgeCancelled = useStore((state) => state.setPledgeCancelled);
+  const deletePledge = useStore((state) => state.deletePledge);
+
+  const internalLocations = user.locations?.filter((location) => location.internal) || [];
+  const [fields, setFields] = useState(() => initialFields(pledge, internalLocations));
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchDonationCampaigns();
+  }, []);
+
+  const setField = (key, value) => setFields({ ...fields, [key]: value });
+
+  const amountCents = dollarsToCents(fields.amount);
+  const amountInvalid = fields.amount !== '' && !amountCents;
+  const installmentCount = fields.frequency === 'once' ? 1 : Number(fields.installment_count);
+  const installmentCents = amountCents && installmentCount > 0 ? Math.floor(amountCents / installmentCount) : null;
+
+  const save = async (event) => {
+    event.preventDefault();
+    if (!amountCents) {
+      setError('Enter the amount pledged in dollars and cents, like 1200.00');
+      return;
+    }
+    const pledgeData = {
+      user_id: Number(userId),
+      amount_cents: amountCents,
+      currency: fields.currency,
+      frequency: fields.frequency,
+      installment_count: installmentCount,
+      first_due_on: fields.first_due_on,
+      campaign: fields.campaign,
+      location_id: fields.location_id,
+      memo: fields.memo,
+    };
+    try {
+      if (pledge) {
+        await updatePledge(pledge.id, pledgeData);
+      } else {
+        await createPledge(pledgeData);
+      }
+      onHide();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save the pledge.');
+    }
+  };
+
+  const toggleCancelled = async () => {
+    const cancelling = !pledge.cancelled_at;
+    if (cancelling && !window.confirm('Cancel this pledge? Payments already made are kept.')) {
+      return;
+    }
+    try {
+      await setPledgeCancelled(pledge.id, userId, cancelling);
+      onHide();
+    } catch (err) {
+      setError('Failed to change the pledge.');
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm('Delete this pledge? Donations paid toward it are kept.')) {
+      return;
+    }
+    try {
+      await deletePledge(pledge.id, userId);
+      onHide();
+    } catch (err) {
+      setError('Failed to delete the pledge.');
+    }
+  };
+
+  return (
+    <Modal show onHide={onHide}>
+      <Form onSubmit={save}>
+        <Modal.Header closeButton>
+          <Modal.Title>{pledge ? 'Edit Pledge' : 'Record Pledge'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant='danger'>{error}</Alert>}
+          <Row className='g-2 mb-3'>
+            <Col xs={8}>
+              <Form.Label className='fw-bold'>Amount Pledged</Form.Label>
+              <Form.Control
+                inputMode='decimal'
+                value={fields.amount}
+                onChange={(e) => setField('amount', e.target.value)}
+                isInvalid={amountInvalid}
+                placeholder='0.00'
+                required
+              />
+              <Form.Control.Feedback type='invalid'>
+                Pledges are more than zero and have at most two decimals.
+              </Form.Control.Feedback>
+            </Col>
+            <Col xs={4}>
+              <Form.Label className='fw-bold'>Currency</Form.Label>
+              <Form.Control
+                value={fields.currency}
+                onChange={(e) => setField('currency', e.target.value.toUpperCase())}
+                maxLength={3}
+                required
+              />
+            </Col>
+          </Row>
+          <Row className='g-2 mb-3'>
+            <Col xs={fields.frequency === 'once' ? 6 : 4}>
+              <Form.Label className='fw-bold'>Paid</Form.Label>
+              <Form.Select value={fields.frequency} onChange={(e) => setField('frequency', e.target.value)}>
+                {PLEDGE_FREQUENCIES.map((frequency) => (
+                  <option key={frequency.value} value={frequency.value}>
+                    {frequency.label}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+            {fields.frequency !== 'once' && (
+              <Col xs={3}>
+                <Form.Label className='fw-bold'>Installments</Form.Label>
+                <Form.Control
+                  type='number'
+                  min='1'
+                  max='120'
+                  value={fields.installment_count}
+                  onChange={(e) => setField('installment_count', e.target.value)}
+                  required
+                />
+              </Col>
+            )}
+            <Col xs={fields.frequency === 'once' ? 6 : 5}>
+              <Form.Label className='fw-bold'>{fields.frequency === 'once' ? 'Due' : 'First Due'}</Form.Label>
+              <Form.Control
+                type='date'
+                value={fields.first_due_on}
+                onChange={(e) => setField('first_due_on', e.target.value)}
+                required
+              />
+            </Col>
+          </Row>
+          {installmentCount > 1 && installmentCents > 0 && (
+            <p className='small text-muted'>
+              About {centsToDollars(installmentCents)} {fields.currency} an installment.
+            </p>
+          )}
+          <Row className='g-2 mb-3'>
+            <Col xs={6}>
+              <Form.Label className='fw-bold'>Location</Form.Label>
+              <Form.Select
+                value={fields.location_id}
+                onChange={(e) => setField('location_id', e.target.value)}
+                required
+              >
+                <option value=''>Choose a location</option>
+                {internalLocations.map((location) => (
+                  <option key={location.id} value={location.id}>
+                    {location.name}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col xs={6}>
+              <Form.Label className='fw-bold'>Campaign or Fund</Form.Label>
+              <Form.Control
+                value={fields.campaign}
+                onChange={(e) => setField('campaign', e.target.value)}
+                list='pledge-campaigns'
+                maxLength={100}
+                placeholder='General fund'
+              />
+              <datalist id='pledge-campaigns'>
+                {donationCampaigns.map((campaign) => (
+                  <option key={campaign} value={campaign} />
+                ))}
+              </datalist>
+            </Col>
+          </Row>
+          <Form.Group>
+            <Form.Label className='fw-bold'>Memo</Form.Label>
+            <Form.Control
+              as='textarea'
+              rows={2}
+              value={fields.memo}
+              onChange={(e) => setField('memo', e.target.value)}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          {pledge && (
+            <div className='me-auto d-flex gap-2'>
+              <Button variant='outline-danger' onClick={remove}>
+                Delete
+              </Button>
+              <Button variant='outline-secondary' onClick={toggleCancelled}>
+                {pledge.cancelled_at ? 'Reopen' : 'Cancel Pledge'}
+              </Button>
+            </div>
+          )}
+          <Button variant='secondary' onClick={onHide}>
+            Close
+          </Button>
+          <Button type='submit' style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}>
+            Save
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+}
@@ -0,0 +1,34 @@
+import { formatAmount } from '../DonationEditor/donationFields';
+
+/*
+  How often pledge installments come due. The server checks them in
+  server/modules/pledges.js. Keep the two in sync.
+*/
+
+export const PLEDGE_FREQUENCIES = [
+  { value: 'once', label: 'Once', unit: '' },
+  { value: 'monthly', label: 'Monthly', unit: 'monthly' },
+  { value: 'quarterly', label: 'Quarterly', unit: 'quarterly' },
+  { value: 'yearly', label: 'Yearly', unit: 'yearly' },
+];
+
+// Dates like 2024-06-30, which are already local
+export const formatDueDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+// e.g. "$1,200.00 in 12 monthly installments from Jan 1, 2025", or "$500.00 due Jun 30, 2025"
+export const describeSchedule = (pledge) => {
+  const amount = formatAmount(pledge.amount_cents, pledge.currency);
+  if (pledge.frequency === 'once' || pledge.installment_count === 1) {
+    return `${amount} due ${formatDueDate(pledge.first_due_on)}`;
+  }
+  const unit = PLEDGE_FREQUENCIES.find((frequency) => frequency.value === pledge.frequency)?.unit;
+  return `${amount} in ${pledge.installment_count} ${unit} installments from ${formatDueDate(pledge.first_due_on)}`;
+};
+
+export const PLEDGE_STATUSES = {
+  open: { label: 'Open', color: '#4b0082' },
+  overdue: { label: 'Overdue', color: '#cc0000' },
+  fulfilled: { label: 'Fulfilled', color: '#20c997' },
+  cancelled: { label: 'Cancelled', color: '#6c757d' },
+};
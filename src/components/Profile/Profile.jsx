@@ -1,4 +1,4 @@
-import { useEffect, useReducer } from 'react';
+import { useEffect, useReducer, useState } from 'react';
 import useStore from '../../zustand/store';
 import { useParams, Link } from 'react-router-dom';
 import Container from 'react-bootstrap/Container';
@@ -7,8 +7,15 @@ import Col from 'react-bootstrap/Col';
 import Card from 'react-bootstrap/Card';
 import Table from 'react-bootstrap/Table';
 import ListGroup from 'react-bootstrap/ListGroup';
+import Form from 'react-bootstrap/Form';
 import Badge from 'react-bootstrap/Badge';
+import Alert from 'react-bootstrap/Alert';
+import Button from 'react-bootstrap/Button';
 import { FaUserCircle } from 'react-icons/fa';
+import DonationEditor from '../DonationEditor/DonationEditor';
+import { formatAmount, methodLabel } from '../DonationEditor/donationFields';
+import PledgeEditor from '../PledgeEditor/PledgeEditor';
+import { PLEDGE_STATUSES, describeSchedule, formatDueDate } from '../PledgeEditor/pledgeFields';
 
 const formatPhoneNumber = (phoneNumber) => {
   if (!phoneNumber) return '';
@@ -22,22 +29,119 @@ const formatPhoneNumber = (phoneNumber) => {
   return phoneNumber;
 };
 
+// Whole days since a date, e.g. how long someone has been waiting in a pipeline stage
+const daysSince = (dateString) => {
+  const days = Math.floor((Date.now() - new Date(dateString).getTime()) / (1000 * 60 * 60 * 24));
+  return days === 1 ? '1 day' : `${days} days`;
+};
+
+const describeMove = (move) => {
+  if (!move.from_status_name) {
+    return `Entered ${move.to_status_name}`;
+  }
+  if (!move.to_status_name) {
+    return `Removed from ${move.from_status_name}`;
+  }
+  return `${move.from_status_name} → ${move.to_status_name}`;
+};
+
+// e.g. "$250.00 · Check #1042 · Building fund · Chicago"
+const describeDonation = (donation) =>
+  [
+    formatAmount(donation.amount_cents, donation.currency),
+    donation.method === 'check' && donation.check_number
+      ? `Check #${donation.check_number}`
+      : methodLabel(donation.method),
+    donation.campaign,
+    donation.location_name,
+    donation.pledge_id && 'Pledge payment',
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+// What's left to pay on pledges that aren't cancelled, e.g. "$1,500.00" or "$200.00, €50.00"
+const outstandingBalance = (pledges) => {
+  const totals = {};
+  for (const pledge of pledges) {
+    if (pledge.balance_cents > 0) {
+      totals[pledge.currency] = (totals[pledge.currency] || 0) + pledge.balance_cents;
+    }
+  }
+  return (
+    Object.entries(totals)
+      .map(([currency, cents]) => formatAmount(cents, currency))
+      .join(', ') || formatAmount(0)
+  );
+};
+
+// Donations are dated the day they were received, in local time
+const actionDate = (action) => (action.type === 'donation' ? `${action.received_on}T00:00:00` : action.finished_at);
+
 export default function Profile() {
   const { userId } = useParams();
 
-  const { userById, fetchUserById, userActions, fetchUserActions } = useStore((state) => ({
+  const {
+    user,
+    userById,
+    fetchUserById,
+    userActions,
+    fetchUserActions,
+    stageHistory,
+    fetchStageHistory,
+    followUpTasks,
+    fetchFollowUpTasks,
+    completeFollowUpTask,
+    fetchUserLock,
+    unlockUser,
+    userPledges,
+    fetchUserPledges,
+  } = useStore((state) => ({
+    user: state.user,
     userById: state.userById,
     fetchUserById: state.fetchUserById,
     userActions: state.userActions,
     fetchUserActions: state.fetchUserActions,
+    stageHistory: state.stageHistory,
+    fetchStageHistory: state.fetchStageHistory,
+    followUpTasks: state.followUpTasks,
+    fetchFollowUpTasks: state.fetchFollowUpTasks,
+    completeFollowUpTask: state.completeFollowUpTask,
+    fetchUserLock: state.fetchUserLock,
+    unlockUser: state.unlockUser,
+    userPledges: state.userPledges,
+    fetchUserPledges: state.fetchUserPledges,
   }));
 
+  // Follow-up tasks are for staff, so applicants looking at their own profile don't see them
+  const isStaff = user.locations?.some((userLocation) => userLocation.internal);
+  const taskParams = { user_id: userId, include_completed: true };
+
   const [, forceUpdate] = useReducer((x) => x + 1, 0);
+  // When too many failed logins locked this user's account, shown to staff with an unlock button
+  const [lockedUntil, setLockedUntil] = useState(null);
+  // The donation open in the editor: 'new', a donation from the action history, or null when closed
+  const [editingDonation, setEditingDonation] = useState(null);
+  // The pledge open in the editor, like editingDonation
+  const [editingPledge, setEditingPledge] = useState(null);
+  // The pledge whose installments are shown
+  const [openPledgeId, setOpenPledgeId] = useState(null);
 
   useEffect(() => {
     fetchUserById(userId);
     fetchUserActions(userId);
-  }, [userId]);
+    fetchStageHistory(userId);
+    fetchUserPledges(userId);
+    if (isStaff) {
+      fetchFollowUpTasks(taskParams);
+      fetchUserLock(userId).then(setLockedUntil);
+    }
+  }, [userId, isStaff]);
+
+  const handleUnlock = async () => {
+    if (await unlockUser(userId)) {
+      setLockedUntil(null);
+    }
+  };
 
   useEffect(() => {
     const handleResize = () => {
@@ -94,6 +198,18 @@ export default function Profile() {
             </Card.Body>
           </Card>
 
+          {isStaff && lockedUntil && (
+            <Alert variant='warning' className='d-flex justify-content-between align-items-center'>
+              <span>
+                This account is locked after too many failed logins, until{' '}
+                {new Date(lockedUntil).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}.
+              </span>
+              <Button variant='outline-dark' size='sm' onClick={handleUnlock}>
+                Unlock
+              </Button>
+            </Alert>
+          )}
+
           <Card className='shadow-sm mb-4' style={{ borderLeft: '4px solid #4b0082' }}>
             <Card.Body>
               <ListGroup variant='flush'>
@@ -102,6 +218,9 @@ export default function Profile() {
                 </ListGroup.Item>
                 <ListGroup.Item>
                   <strong>Pipeline Status:</strong> {userById?.pipeline_status_name}
+                  {userById?.pipeline_status_entered_at && (
+                    <span className='text-muted'> ({daysSince(userById.pipeline_status_entered_at)})</span>
+                  )}
                 </ListGroup.Item>
                 <ListGroup.Item>
                   <strong>Location:</strong> {userById?.location_name}
@@ -110,11 +229,222 @@ export default function Profile() {
             </Card.Body>
           </Card>
 
-          <Card className='shadow-sm'>
+          <Card className='shadow-sm mb-4'>
             <Card.Body>
               <Card.Title as='h2' className='mb-4'>
-                Action History
+                Stage History
               </Card.Title>
+              {stageHistory.current.length > 0 && (
+                <ListGroup variant='flush' className='mb-3'>
+                  {stageHistory.current.map((stage) => (
+                    <ListGroup.Item key={stage.pipeline_status_id}>
+                      <strong>{stage.pipeline_name}:</strong> in {stage.status} for {daysSince(stage.entered_at)}
+                      <span className='text-muted'> (since {formatDate(stage.entered_at)})</span>
+                      {stage.owner_name && <div className='small'>Owner: {stage.owner_name}</div>}
+                    </ListGroup.Item>
+                  ))}
+                </ListGroup>
+              )}
+              <div className='table-responsive'>
+                <Table hover bordered>
+                  <thead className='table-light'>
+                    <tr>
+                      <th className='text-nowrap'>Pipeline</th>
+                      <th>Move</th>
+                      <th className='text-nowrap'>Moved By</th>
+                      <th>Note</th>
+                      <th className='text-nowrap'>Date</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stageHistory.history.map((move) => (
+                      <tr key={move.id}>
+                        <td className='text-nowrap'>{move.pipeline_name}</td>
+                        <td>
+                          {describeMove(move)}
+                          {move.override && (
+                            <span className='badge ms-2' style={{ backgroundColor: '#cc0000' }}>
+                              override
+                            </span>
+                          )}
+                        </td>
+                        <td className='text-nowrap'>{move.actor_id ? move.actor_name : 'Automatic'}</td>
+                        <td>{move.note}</td>
+                        <td className='text-nowrap'>{formatDate(move.moved_at)}</td>
+                      </tr>
+                    ))}
+                    {stageHistory.history.length === 0 && (
+                      <tr>
+                        <td colSpan='5' className='text-center text-muted py-4'>
+                          No stage changes yet
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </Table>
+              </div>
+            </Card.Body>
+          </Card>
+
+          {isStaff && (
+            <Card className='shadow-sm mb-4'>
+              <Card.Body>
+                <Card.Title as='h2' className='mb-4'>
+                  Follow-up Tasks
+                </Card.Title>
+                <ListGroup variant='flush'>
+                  {followUpTasks.map((task) => (
+                    <ListGroup.Item key={task.id} className='d-flex align-items-start'>
+                      <Form.Check
+                        type='checkbox'
+                        className='me-3'
+                        checked={Boolean(task.completed_at)}
+                        onChange={(e) => completeFollowUpTask(task.id, e.target.checked, taskParams)}
+                        aria-label={`Mark "${task.title}" done`}
+                      />
+                      <div className={task.completed_at ? 'text-muted text-decoration-line-through' : undefined}>
+                        <div>{task.title}</div>
+                        <div className='small text-muted'>
+                          {task.pipeline_name}
+                          {task.status && ` · ${task.status}`}
+                          {task.assigned_to_name && ` · ${task.assigned_to_name}`}
+                          {task.due_at && (
+                            <span
+                              style={
+                                !task.completed_at && new Date(task.due_at) < new Date()
+                                  ? { color: '#cc0000', fontWeight: 'bold' }
+                                  : undefined
+                              }
+                            >
+                              {' '}
+                              · due {formatDate(task.due_at)}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                    </ListGroup.Item>
+                  ))}
+                  {followUpTasks.length === 0 && (
+                    <ListGroup.Item className='text-center text-muted py-4'>No follow-up tasks</ListGroup.Item>
+                  )}
+                </ListGroup>
+              </Card.Body>
+            </Card>
+          )}
+
+          {(isStaff || userPledges.length > 0) && (
+            <Card className='shadow-sm mb-4'>
+              <Card.Body>
+                <div className='d-flex justify-content-between align-items-start mb-4'>
+                  <div>
+                    <Card.Title as='h2' className='mb-1'>
+                      Pledges
+                    </Card.Title>
+                    <div className='text-muted'>Outstanding: {outstandingBalance(userPledges)}</div>
+                  </div>
+                  {isStaff && (
+                    <Button
+                      size='sm'
+                      style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}
+                      onClick={() => setEditingPledge('new')}
+                    >
+                      Record Pledge
+                    </Button>
+                  )}
+                </div>
+                <ListGroup variant='flush'>
+                  {userPledges.map((pledge) => (
+                    <ListGroup.Item key={pledge.id}>
+                      <div className='d-flex justify-content-between align-items-start'>
+                        <div>
+                          {describeSchedule(pledge)}
+                          {isStaff && (
+                            <Button
+                              variant='link'
+                              size='sm'
+                              className='p-0 ms-2 align-baseline'
+                              onClick={() => setEditingPledge(pledge)}
+                            >
+                              Edit
+                            </Button>
+                          )}
+                          <div className='small text-muted'>
+                            {[pledge.campaign, pledge.location_name].filter(Boolean).join(' · ')}
+                          </div>
+                        </div>
+                        <span className='badge' style={{ backgroundColor: PLEDGE_STATUSES[pledge.status].color }}>
+                          {PLEDGE_STATUSES[pledge.status].label}
+                        </span>
+                      </div>
+                      <div className='small mt-1'>
+                        Paid {formatAmount(pledge.paid_cents, pledge.currency)}
+                        {pledge.status !== 'cancelled' &&
+                          ` · Balance ${formatAmount(pledge.balance_cents, pledge.currency)}`}
+                        {pledge.status === 'overdue' && (
+                          <span style={{ color: '#cc0000', fontWeight: 'bold' }}>
+                            {' '}
+                            · {formatAmount(pledge.overdue_cents, pledge.currency)} overdue since{' '}
+                            {formatDueDate(pledge.overdue_since)}
+                          </span>
+                        )}
+                        {pledge.status === 'open' && ` · Next due ${formatDueDate(pledge.next_due_on)}`}
+                        {pledge.schedule.length > 1 && (
+                          <Button
+                            variant='link'
+                            size='sm'
+                            className='p-0 ms-2 align-baseline'
+                            onClick={() => setOpenPledgeId(openPledgeId === pledge.id ? null : pledge.id)}
+                          >
+                            {openPledgeId === pledge.id ? 'Hide installments' : 'Installments'}
+                          </Button>
+                        )}
+                      </div>
+                      {openPledgeId === pledge.id && (
+                        <Table size='sm' className='mt-2 mb-0 small'>
+                          <thead>
+                            <tr>
+                              <th>Due</th>
+                              <th>Amount</th>
+                              <th>Paid</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {pledge.schedule.map((installment) => (
+                              <tr key={installment.due_on}>
+                                <td>{formatDueDate(installment.due_on)}</td>
+                                <td>{formatAmount(installment.amount_cents, pledge.currency)}</td>
+                                <td>{formatAmount(installment.paid_cents, pledge.currency)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </Table>
+                      )}
+                    </ListGroup.Item>
+                  ))}
+                  {userPledges.length === 0 && (
+                    <ListGroup.Item className='text-center text-muted py-4'>No pledges</ListGroup.Item>
+                  )}
+                </ListGroup>
+              </Card.Body>
+            </Card>
+          )}
+
+          <Card className='shadow-sm'>
+            <Card.Body>
+              <div className='d-flex justify-content-between align-items-start mb-4'>
+                <Card.Title as='h2' className='mb-0'>
+                  Action History
+                </Card.Title>
+                {isStaff && (
+                  <Button
+                    size='sm'
+                    style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}
+                    onClick={() => setEditingDonation('new')}
+                  >
+                    Record Donation
+                  </Button>
+                )}
+              </div>
               <div className='table-responsive'>
                 <Table hover bordered>
                   <thead className='table-light'>
@@ -126,7 +456,7 @@ export default function Profile() {
                   </thead>
                   <tbody>
                     {userActions?.map((action) => (
-                      <tr key={action.id}>
+                      <tr key={`${action.type}-${action.id}`}>
                         <td>
                           <span className='badge' style={{ backgroundColor: '#4b0082' }}>
                             {action.type}
@@ -138,10 +468,23 @@ export default function Profile() {
                               {action.name}
                             </Link>
                           ) : (
-                            action.name
+                            <>
+                              {describeDonation(action)}
+                              {isStaff && (
+                                <Button
+                                  variant='link'
+                                  size='sm'
+                                  className='p-0 ms-2 align-baseline'
+                                  onClick={() => setEditingDonation(action)}
+                                >
+                                  Edit
+                                </Button>
+                              )}
+                              {action.memo && <div className='small text-muted'>{action.memo}</div>}
+                            </>
                           )}
                         </td>
-                        <td className='text-nowrap'>{formatDate(action.finished_at)}</td>
+                        <td className='text-nowrap'>{formatDate(actionDate(action))}</td>
                       </tr>
                     ))}
                     {(!userActions || userActions.length === 0) && (
@@ -158,6 +501,21 @@ export default function Profile() {
           </Card>
         </Col>
       </Row>
+
+      {editingDonation && (
+        <DonationEditor
+          donation={editingDonation === 'new' ? null : editingDonation}
+          userId={userId}
+          onHide={() => setEditingDonation(null)}
+        />
+      )}
+      {editingPledge && (
+        <PledgeEditor
+          pledge={editingPledge === 'new' ? null : editingPledge}
+          userId={userId}
+          onHide={() => setEditingPledge(null)}
+        />
+      )}
     </Container>
   );
 }
@@ -2,6 +2,8 @@ import { useEffect, useState } from 'react';
 import { useParams } from 'react-router-dom';
 import useStore from '../../zustand/store';
 import { Button, Form, Card } from 'react-bootstrap';
+import VisibilityRuleEditor from '../VisibilityRuleEditor/VisibilityRuleEditor';
+import { ANSWER_TYPES, CHOICE_ANSWER_TYPES, answerTypeLabel } from '../FormPage/answerTypes';
 import './QuestionManager.css';
 
 export default function QuestionManager() {
@@ -14,6 +16,7 @@ export default function QuestionManager() {
     required: false,
     order: 0,
     multiple_choice_answers: [],
+    visibility_rule: null,
     newOption: ''
   });
 
@@ -24,21 +27,24 @@ export default function QuestionManager() {
     required: false,
     order: 0,
     multiple_choice_options: [],
+    visibility_rule: null,
     newOption: ''
   });
 
   const currentForm = useStore(store => store.currentForm);
-  const fetchFormById = useStore(store => store.fetchFormById);
+  const fetchDraftFormById = useStore(store => store.fetchDraftFormById);
   const updateQuestion = useStore(store => store.updateQuestion);
   const archiveQuestion = useStore(store => store.archiveQuestion);
   const createQuestion = useStore(store => store.createQuestion);
 
   useEffect(() => {
-    fetchFormById(formId);
+    fetchDraftFormById(formId);
   }, [formId]);
 
   const currentSection = currentForm?.sections?.find(s => s.id === Number(sectionId));
   const questions = currentSection?.questions || [];
+  // every question in the form, so visibility rules can depend on other sections too
+  const formQuestions = currentForm?.sections?.flatMap(s => s.questions || []) || [];
 
   const handleEdit = (question) => {
     setEditingQuestionId(question.id);
@@ -49,6 +55,7 @@ export default function QuestionManager() {
       required: question.required,
       order: question.order,
       multiple_choice_answers: question.multiple_choice_answers?.filter(a => a !== null) || [],
+      visibility_rule: question.visibility_rule || null,
       newOption: ''
     });
   };
@@ -57,9 +64,13 @@ export default function QuestionManager() {
     try {
       await updateQuestion(editingQuestionId, {
         ...editForm,
-        multiple_choice_options: editForm.multiple_choice_answers.map(a => a.answer)
+        // existing options keep their id so answers that chose them stay linked
+        multiple_choice_options: editForm.multiple_choice_answers.map(a => ({
+          id: String(a.id).startsWith('temp-') ? undefined : a.id,
+          answer: a.answer
+        }))
       });
-      await fetchFormById(formId);
+      await fetchDraftFormById(formId);
       setEditingQuestionId(null);
     } catch (error) {
       console.error('Error updating question:', error);
@@ -110,7 +121,7 @@ export default function QuestionManager() {
   const handleArchive = async (questionId) => {
     try {
       await archiveQuestion(questionId);
-      await fetchFormById(formId);
+      await fetchDraftFormById(formId);
     } catch (error) {
       console.error('Error archiving question:', error);
     }
@@ -124,7 +135,7 @@ export default function QuestionManager() {
         section_id: Number(sectionId),
         order: (questions.length || 0) + 1
       });
-      await fetchFormById(formId);
+      await fetchDraftFormById(formId);
       setNewQuestion({
         question: '',
         description: '',
@@ -132,6 +143,7 @@ export default function QuestionManager() {
         required: false,
         order: 0,
         multiple_choice_options: [],
+        visibility_rule: null,
         newOption: ''
       });
     } catch (error) {
@@ -208,9 +220,9 @@ export default function QuestionManager() {
                       value={editForm.answer_type}
                       onChange={e => setEditForm({...editForm, answer_type: e.target.value})}
                     >
-                      <option value="text">Text</option>
-                      <option value="dropdown">Dropdown</option>
-                      <option value="multiple_choice">Multiple Choice</option>
+                      {ANSWER_TYPES.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
                     </Form.Select>
                   </Form.Group>
 
@@ -223,7 +235,13 @@ export default function QuestionManager() {
                     />
                   </Form.Group>
 
-                  {(editForm.answer_type === 'multiple_choice' || editForm.answer_type === 'dropdown') && (
+                  <VisibilityRuleEditor
+                    rule={editForm.visibility_rule}
+                    questions={formQuestions.filter(q => q.id !== question.id)}
+                    onChange={rule => setEditForm({...editForm, visibility_rule: rule})}
+                  />
+
+                  {CHOICE_ANSWER_TYPES.includes(editForm.answer_type) && (
                     <div className="multiple-choice-section">
                       <h4>Multiple Choice Options:</h4>
                       <Form.Group className="mb-3 d-flex gap-2">
@@ -282,7 +300,14 @@ export default function QuestionManager() {
                 <>
                   <h3>{question.question}</h3>
                   <p className="text-muted">{question.description}</p>
-                  <p><strong>Type:</strong> {question.answer_type}</p>
+                  <p><strong>Type:</strong> {answerTypeLabel(question.answer_type)}</p>
+                  {question.visibility_rule && (
+                    <p>
+                      <strong>Visibility:</strong> {question.visibility_rule.action} if "
+                      {formQuestions.find(q => q.id === question.visibility_rule.question_id)?.question}"{' '}
+                      {question.visibility_rule.operator.replace('_', ' ')} {question.visibility_rule.value}
+                    </p>
+                  )}
                   {question.multiple_choice_answers && (
                     <div>
                       <p><strong>Options:</strong></p>
@@ -346,9 +371,9 @@ export default function QuestionManager() {
                 value={newQuestion.answer_type}
                 onChange={e => setNewQuestion({...newQuestion, answer_type: e.target.value})}
               >
-                <option value="text">Text</option>
-                <option value="dropdown">Dropdown</option>
-                <option value="multiple_choice">Multiple Choice</option>
+                {ANSWER_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
               </Form.Select>
             </Form.Group>
 
@@ -361,7 +386,13 @@ export default function QuestionManager() {
               />
             </Form.Group>
 
-            {(newQuestion.answer_type === 'multiple_choice' || newQuestion.answer_type === 'dropdown') && (
+            <VisibilityRuleEditor
+              rule={newQuestion.visibility_rule}
+              questions={formQuestions}
+              onChange={rule => setNewQuestion({...newQuestion, visibility_rule: rule})}
+            />
+
+            {CHOICE_ANSWER_TYPES.includes(newQuestion.answer_type) && (
               <div className="multiple-choice-section">
                 <h4>Multiple Choice Options:</h4>
                 <Form.Group className="mb-3 d-flex gap-2">
@@ -403,7 +434,7 @@ export default function QuestionManager() {
               <Button 
                 variant="primary"
                 type="submit"
-                disabled={(newQuestion.answer_type === 'multiple_choice' || newQuestion.answer_type === 'dropdown') && newQuestion.multiple_choice_options.length === 0}
+                disabled={CHOICE_ANSWER_TYPES.includes(newQuestion.answer_type) && newQuestion.multiple_choice_options.length === 0}
                 style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}
               >
                 Create Question
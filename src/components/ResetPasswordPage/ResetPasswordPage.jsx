@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import Container from 'react-bootstrap/Container';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Alert from 'react-bootstrap/Alert';
+import useStore from '../../zustand/store';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Opened from the link in a password reset email, e.g. /reset-password?token=...
+function ResetPasswordPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [done, setDone] = useState(false);
+  const resetPassword = useStore((state) => state.resetPassword);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (password !== confirmPassword) {
+      setErrorMessage('The passwords do not match.');
+      return;
+    }
+    const error = await resetPassword(token, password);
+    setErrorMessage(error || '');
+    setDone(!error);
+  };
+
+  return (
+    <Container>
+      <Row className='justify-content-center'>
+        <Col md={6} lg={4}>
+          <div className='bg-white p-4 rounded shadow-sm'>
+            <h2 className='text-center mb-4'>Choose a New Password</h2>
+
+            {!token && (
+              <Alert variant='danger'>
+                This page needs the link from your reset email. <Link to='/forgot-password'>Ask for a new one.</Link>
+              </Alert>
+            )}
+
+            {done ? (
+              <Alert variant='success'>
+                Your password was changed. <Link to='/login'>Log in with your new password.</Link>
+              </Alert>
+            ) : (
+              token && (
+                <Form onSubmit={handleSubmit}>
+                  {errorMessage && (
+                    <Alert variant='danger' className='mb-4'>
+                      {errorMessage}
+                    </Alert>
+                  )}
+                  <Form.Group className='mb-3' controlId='password'>
+                    <Form.Label>New Password</Form.Label>
+                    <Form.Control
+                      type='password'
+                      required
+                      minLength={MIN_PASSWORD_LENGTH}
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                    />
+                  </Form.Group>
+                  <Form.Group className='mb-4' controlId='confirmPassword'>
+                    <Form.Label>Confirm New Password</Form.Label>
+                    <Form.Control
+                      type='password'
+                      required
+                      value={confirmPassword}
+                      onChange={(e) => setConfirmPassword(e.target.value)}
+                      placeholder='Enter it again'
+                    />
+                  </Form.Group>
+                  <div className='d-grid'>
+                    <Button variant='primary' type='submit'>
+                      Change Password
+                    </Button>
+                  </div>
+                  <div className='text-center mt-3'>
+                    <Link to='/forgot-password'>Link expired? Get a new one</Link>
+                  </div>
+                </Form>
+              )
+            )}
+          </div>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default ResetPasswordPage;
@@ -2,6 +2,7 @@ import { useState } from 'react';
 import useStore from '../../zustand/store';
 import { Link } from 'react-router-dom';
 import { Button, Form } from 'react-bootstrap';
+import VisibilityRuleEditor from '../VisibilityRuleEditor/VisibilityRuleEditor';
 
 export default function SectionManager({ formId }) {
   const [newSection, setNewSection] = useState({
@@ -13,7 +14,10 @@ export default function SectionManager({ formId }) {
   const currentForm = useStore((store) => store.currentForm);
   const createSection = useStore((store) => store.createSection);
   const deleteSection = useStore((store) => store.deleteSection);
-  const fetchFormById = useStore((store) => store.fetchFormById);
+  const updateSection = useStore((store) => store.updateSection);
+  const fetchDraftFormById = useStore((store) => store.fetchDraftFormById);
+  // visibility rules being edited, by section id
+  const [sectionRules, setSectionRules] = useState({});
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -23,7 +27,7 @@ export default function SectionManager({ formId }) {
         form_id: formId,
       });
       // Refresh the form data
-      fetchFormById(formId);
+      fetchDraftFormById(formId);
       // Reset form
       setNewSection({
         name: '',
@@ -38,12 +42,28 @@ export default function SectionManager({ formId }) {
   const handleDelete = async (sectionId) => {
     try {
       await deleteSection(sectionId);
-      fetchFormById(formId);
+      fetchDraftFormById(formId);
     } catch (error) {
       console.error('Error deleting section:', error);
     }
   };
 
+  const handleSaveRule = async (section) => {
+    try {
+      await updateSection(section.id, {
+        name: section.name,
+        description: section.description,
+        order: section.order,
+        visibility_rule: sectionRules[section.id],
+      });
+      fetchDraftFormById(formId);
+      const { [section.id]: _, ...otherRules } = sectionRules;
+      setSectionRules(otherRules);
+    } catch (error) {
+      console.error('Error saving section visibility:', error);
+    }
+  };
+
   return (
     <div className='section-manager'>
       <h2
@@ -176,6 +196,26 @@ export default function SectionManager({ formId }) {
                 >
                   Order: {section.order}
                 </p>
+                <div className='d-flex gap-2 align-items-end'>
+                  <VisibilityRuleEditor
+                    rule={section.id in sectionRules ? sectionRules[section.id] : section.visibility_rule}
+                    questions={currentForm.sections
+                      .filter((otherSection) => otherSection.id !== section.id)
+                      .flatMap((otherSection) => otherSection.questions || [])}
+                    onChange={(rule) => setSectionRules({ ...sectionRules, [section.id]: rule })}
+                  />
+                  {section.id in sectionRules && (
+                    <Button
+                      variant='outline-secondary'
+                      size='sm'
+                      className='mb-3'
+                      onClick={() => handleSaveRule(section)}
+                      style={{ borderColor: '#4b0082', color: '#4b0082' }}
+                    >
+                      Save Visibility
+                    </Button>
+                  )}
+                </div>
               </div>
 
               <div className='d-flex gap-2 align-items-center'>
@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import { Button, Form, ListGroup, Modal } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+import { ACTIONS, TRIGGERS, actionLabel } from './actionTypes';
+
+const emptyRule = {
+  trigger: 'enter',
+  action: 'send_email',
+  form_id: '',
+  to: 'applicant',
+  subject: '',
+  body: '',
+  owner_id: '',
+  title: '',
+  due_in_days: '',
+  assign_to: 'owner',
+};
+
+// Only the fields the chosen action uses are sent to the server
+const ruleConfig = (rule) => {
+  const config = {};
+  if (rule.trigger === 'form_submitted' && rule.form_id) {
+    config.form_id = Number(rule.form_id);
+  }
+  if (rule.action === 'send_email') {
+    Object.assign(config, { to: rule.to, subject: rule.subject, body: rule.body });
+  }
+  if (rule.action === 'assign_owner') {
+    config.owner_id = Number(rule.owner_id);
+  }
+  if (rule.action === 'create_task') {
+    config.title = rule.title;
+    if (rule.due_in_days !== '') {
+      config.due_in_days = Number(rule.due_in_days);
+    }
+    if (rule.assign_to) {
+      config.assign_to = rule.assign_to === 'owner' ? 'owner' : Number(rule.assign_to);
+    }
+  }
+  return config;
+};
+
+// Lists a pipeline status's automations under its title, with a modal for staff to change them
+export default function StageActions({ status, pipelineId }) {
+  const addStageAction = useStore((state) => state.addStageAction);
+  const removeStageAction = useStore((state) => state.removeStageAction);
+  const fetchPipelineStaff = useStore((state) => state.fetchPipelineStaff);
+  const pipelineStaff = useStore((state) => state.pipelineStaff);
+  const fetchForms = useStore((state) => state.fetchForms);
+  const allForms = useStore((state) => state.allForms);
+  const [showModal, setShowModal] = useState(false);
+  const [newRule, setNewRule] = useState(emptyRule);
+
+  const actions = status.actions || [];
+
+  const openModal = () => {
+    fetchPipelineStaff(pipelineId);
+    fetchForms();
+    setShowModal(true);
+  };
+
+  const updateRule = (key, value) => setNewRule({ ...newRule, [key]: value });
+
+  const addRule = async (event) => {
+    event.preventDefault();
+    const rule = { trigger: newRule.trigger, action: newRule.action, config: ruleConfig(newRule) };
+    if (await addStageAction(status.pipeline_status_id, rule, pipelineId)) {
+      setNewRule(emptyRule);
+    }
+  };
+
+  const staffOptions = pipelineStaff.map((member) => (
+    <option key={member.id} value={member.id}>
+      {member.first_name} {member.last_name}
+    </option>
+  ));
+
+  return (
+    <div className='text-center small mb-2'>
+      {actions.length > 0 && <div className='text-muted'>{actions.length} automation(s)</div>}
+      <Button variant='link' size='sm' className='p-0' style={{ color: '#4b0082' }} onClick={openModal}>
+        Automations
+      </Button>
+
+      <Modal show={showModal} onHide={() => setShowModal(false)} size='lg'>
+        <Modal.Header closeButton>
+          <Modal.Title style={{ color: '#4b0082' }}>Automations for {status.status}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <ListGroup className='mb-3'>
+            {actions.map((rule) => (
+              <ListGroup.Item key={rule.id} className='d-flex justify-content-between align-items-center'>
+                {actionLabel(rule, pipelineStaff, allForms)}
+                <Button
+                  size='sm'
+                  variant='outline-danger'
+                  onClick={() => removeStageAction(status.pipeline_status_id, rule.id, pipelineId)}
+                >
+                  Remove
+                </Button>
+              </ListGroup.Item>
+            ))}
+            {actions.length === 0 && (
+              <ListGroup.Item className='text-muted'>Nothing happens automatically in this stage.</ListGroup.Item>
+            )}
+          </ListGroup>
+
+          <Form onSubmit={addRule}>
+            <Form.Label className='fw-bold'>Add an automation</Form.Label>
+            <Form.Group className='mb-2'>
+              <Form.Select value={newRule.trigger} onChange={(e) => updateRule('trigger', e.target.value)}>
+                {TRIGGERS.map((trigger) => (
+                  <option key={trigger.value} value={trigger.value}>
+                    {trigger.label}
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            {newRule.trigger === 'form_submitted' && (
+              <Form.Group className='mb-2'>
+                <Form.Select value={newRule.form_id} onChange={(e) => updateRule('form_id', e.target.value)}>
+                  <option value=''>Any form</option>
+                  {allForms.map((form) => (
+                    <option key={form.id} value={form.id}>
+                      {form.name}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            )}
+            <Form.Group className='mb-2'>
+              <Form.Select value={newRule.action} onChange={(e) => updateRule('action', e.target.value)}>
+                {ACTIONS.map((action) => (
+                  <option
+                    key={action.value}
+                    value={action.value}
+                    disabled={action.value === 'advance' && newRule.trigger !== 'form_submitted'}
+                  >
+                    {action.label}
+                  </option>
+                ))}
+              </Form.Select>
+              {newRule.action === 'advance' && newRule.trigger !== 'form_submitted' && (
+                <Form.Text muted>Moving to the next stage only runs when a form is submitted.</Form.Text>
+              )}
+            </Form.Group>
+
+            {newRule.action === 'send_email' && (
+              <>
+                <Form.Group className='mb-2'>
+                  <Form.Control
+                    list={`email-to-${status.pipeline_status_id}`}
+                    value={newRule.to}
+                    onChange={(e) => updateRule('to', e.target.value)}
+                    placeholder='applicant, owner or an email address'
+                  />
+                  <datalist id={`email-to-${status.pipeline_status_id}`}>
+                    <option value='applicant' />
+                    <option value='owner' />
+                  </datalist>
+                </Form.Group>
+                <Form.Group className='mb-2'>
+                  <Form.Control
+                    value={newRule.subject}
+                    onChange={(e) => updateRule('subject', e.target.value)}
+                    placeholder='Subject, e.g. Welcome to {{status}}'
+                  />
+                </Form.Group>
+                <Form.Group className='mb-2'>
+                  <Form.Control
+                    as='textarea'
+                    rows={4}
+                    value={newRule.body}
+                    onChange={(e) => updateRule('body', e.target.value)}
+                    placeholder='Hi {{first_name}}, ...'
+                  />
+                  <Form.Text muted>
+                    You can use {'{{first_name}}'}, {'{{last_name}}'}, {'{{status}}'} and {'{{pipeline}}'}.
+                  </Form.Text>
+                </Form.Group>
+              </>
+            )}
+
+            {newRule.action === 'assign_owner' && (
+              <Form.Group className='mb-2'>
+                <Form.Select value={newRule.owner_id} onChange={(e) => updateRule('owner_id', e.target.value)}>
+                  <option value=''>Choose a staff member</option>
+                  {staffOptions}
+                </Form.Select>
+              </Form.Group>
+            )}
+
+            {newRule.action === 'create_task' && (
+              <>
+                <Form.Group className='mb-2'>
+                  <Form.Control
+                    value={newRule.title}
+                    onChange={(e) => updateRule('title', e.target.value)}
+                    placeholder='Task, e.g. Call {{first_name}} to schedule an interview'
+                  />
+                </Form.Group>
+                <Form.Group className='mb-2'>
+                  <Form.Control
+                    type='number'
+                    min='0'
+                    value={newRule.due_in_days}
+                    onChange={(e) => updateRule('due_in_days', e.target.value)}
+                    placeholder='Due in how many days (optional)'
+                  />
+                </Form.Group>
+                <Form.Group className='mb-2'>
+                  <Form.Select value={newRule.assign_to} onChange={(e) => updateRule('assign_to', e.target.value)}>
+                    <option value='owner'>Assign to the applicant&apos;s owner</option>
+                    <option value=''>Leave unassigned</option>
+                    {staffOptions}
+                  </Form.Select>
+                </Form.Group>
+              </>
+            )}
+
+            <Button type='submit' className='mt-2' style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}>
+              Add Automation
+            </Button>
+          </Form>
+        </Modal.Body>
+      </Modal>
+    </div>
+  );
+}
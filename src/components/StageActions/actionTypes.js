@@ -0,0 +1,45 @@
+/*
+  The triggers and actions a pipeline status automation can have. The server
+  runs them in server/modules/stage-automation.js. Keep the two in sync.
+*/
+
+export const TRIGGERS = [
+  { value: 'enter', label: 'When someone enters this stage' },
+  { value: 'exit', label: 'When someone leaves this stage' },
+  { value: 'form_submitted', label: 'When someone in this stage submits a form' },
+];
+
+export const ACTIONS = [
+  { value: 'advance', label: 'Move to the next stage' },
+  { value: 'send_email', label: 'Send an email' },
+  { value: 'assign_owner', label: 'Assign a staff owner' },
+  { value: 'create_task', label: 'Create a follow-up task' },
+];
+
+const labelOf = (list, value) => list.find((item) => item.value === value)?.label || value;
+
+const staffName = (staff, userId) => {
+  const person = staff.find((member) => member.id === userId);
+  return person ? `${person.first_name} ${person.last_name}` : `user ${userId}`;
+};
+
+// A one-line description of a rule, e.g. "When someone enters this stage: Send an email to the applicant"
+export const actionLabel = (rule, staff = [], forms = []) => {
+  const config = rule.config || {};
+  let detail = '';
+  if (rule.action === 'send_email') {
+    detail = ` to ${config.to === 'applicant' || config.to === 'owner' ? `the ${config.to}` : config.to}`;
+  } else if (rule.action === 'assign_owner') {
+    detail = `: ${staffName(staff, config.owner_id)}`;
+  } else if (rule.action === 'create_task') {
+    detail = `: ${config.title}`;
+    if (config.due_in_days !== undefined) {
+      detail += ` (due in ${config.due_in_days} days)`;
+    }
+  }
+  if (rule.trigger === 'form_submitted' && config.form_id) {
+    const form = forms.find((item) => item.id === config.form_id);
+    detail += ` (only for ${form ? form.name : `form ${config.form_id}`})`;
+  }
+  return `${labelOf(TRIGGERS, rule.trigger)}: ${labelOf(ACTIONS, rule.action)}${detail}`;
+};
@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { Button, Form, ListGroup, Modal } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+import { REQUIREMENT_TYPES, requirementLabel } from './requirementTypes';
+
+const emptyRequirement = { type: 'previous_stage', description: '', question_id: '' };
+
+// Lists a pipeline status's entry requirements under its title, with a modal for staff to change them
+export default function StageRequirements({ status, pipelineId }) {
+  const addStageRequirement = useStore((state) => state.addStageRequirement);
+  const removeStageRequirement = useStore((state) => state.removeStageRequirement);
+  const [showModal, setShowModal] = useState(false);
+  const [newRequirement, setNewRequirement] = useState(emptyRequirement);
+
+  const requirements = status.requirements || [];
+
+  const addRequirement = async (event) => {
+    event.preventDefault();
+    const requirement = {
+      type: newRequirement.type,
+      description: newRequirement.description,
+      config:
+        newRequirement.type === 'file_uploaded' && newRequirement.question_id
+          ? { question_id: Number(newRequirement.question_id) }
+          : {},
+    };
+    if (await addStageRequirement(status.pipeline_status_id, requirement, pipelineId)) {
+      setNewRequirement(emptyRequirement);
+    }
+  };
+
+  return (
+    <div className='text-center small mb-2'>
+      {requirements.map((requirement) => (
+        <div key={requirement.id} className='text-muted'>
+          Requires: {requirementLabel(requirement)}
+        </div>
+      ))}
+      <Button variant='link' size='sm' className='p-0' style={{ color: '#4b0082' }} onClick={() => setShowModal(true)}>
+        Entry requirements
+      </Button>
+
+      <Modal show={showModal} onHide={() => setShowModal(false)}>
+        <Modal.Header closeButton>
+          <Modal.Title style={{ color: '#4b0082' }}>Requirements to enter {status.status}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <ListGroup className='mb-3'>
+            {requirements.map((requirement) => (
+              <ListGroup.Item key={requirement.id} className='d-flex justify-content-between align-items-center'>
+                {requirementLabel(requirement)}
+                <Button
+                  size='sm'
+                  variant='outline-danger'
+                  onClick={() => removeStageRequirement(status.pipeline_status_id, requirement.id, pipelineId)}
+                >
+                  Remove
+                </Button>
+              </ListGroup.Item>
+            ))}
+            {requirements.length === 0 && (
+              <ListGroup.Item className='text-muted'>Anyone can be moved into this stage.</ListGroup.Item>
+            )}
+          </ListGroup>
+
+          <Form onSubmit={addRequirement}>
+            <Form.Group className='mb-2'>
+              <Form.Label className='fw-bold'>Add a requirement</Form.Label>
+              <Form.Select
+                value={newRequirement.type}
+                onChange={(e) => setNewRequirement({ ...newRequirement, type: e.target.value })}
+              >
+                {REQUIREMENT_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>
+                    {type.label}
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            {newRequirement.type === 'file_uploaded' && (
+              <Form.Group className='mb-2'>
+                <Form.Control
+                  type='number'
+                  value={newRequirement.question_id}
+                  onChange={(e) => setNewRequirement({ ...newRequirement, question_id: e.target.value })}
+                  placeholder='Question ID of the upload (optional, any upload counts if empty)'
+                />
+              </Form.Group>
+            )}
+            <Form.Group className='mb-3'>
+              <Form.Control
+                value={newRequirement.description}
+                onChange={(e) => setNewRequirement({ ...newRequirement, description: e.target.value })}
+                placeholder='Description shown to staff, e.g. Background check document uploaded'
+              />
+            </Form.Group>
+            <Button type='submit' style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}>
+              Add Requirement
+            </Button>
+          </Form>
+        </Modal.Body>
+      </Modal>
+    </div>
+  );
+}
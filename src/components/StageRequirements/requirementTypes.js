@@ -0,0 +1,16 @@
+/*
+  The entry requirements a pipeline status can have. The server checks them in
+  server/modules/stage-requirements.js. Keep the two in sync.
+*/
+
+export const REQUIREMENT_TYPES = [
+  { value: 'previous_stage', label: 'Comes from the stage before' },
+  { value: 'file_uploaded', label: 'Document uploaded' },
+  { value: 'note_present', label: 'Note recorded' },
+  { value: 'donation_recorded', label: 'Donation recorded' },
+];
+
+export const requirementLabel = (requirement) =>
+  requirement.description ||
+  REQUIREMENT_TYPES.find((type) => type.value === requirement.type)?.label ||
+  requirement.type;
@@ -0,0 +1,103 @@
+import { useEffect, useState } from 'react';
+import { Button, Col, Form, Modal, Row } from 'react-bootstrap';
+import useStore from '../../zustand/store';
+
+// Only the filters that are filled in go in the query string
+const exportHref = (formId, format, filters) =>
+  `/api/form/${formId}/export?${new URLSearchParams({
+    format,
+    ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+  })}`;
+
+// Lets internal staff download a form's finished submissions as CSV or Excel, one row per applicant
+export default function SubmissionExport({ form, onHide }) {
+  const userLocations = useStore((state) => state.user.locations) || [];
+  const formStages = useStore((state) => state.formStages);
+  const fetchFormStages = useStore((state) => state.fetchFormStages);
+
+  const [filters, setFilters] = useState({ from: '', to: '', location_id: '', pipeline_status_id: '' });
+
+  useEffect(() => {
+    fetchFormStages(form.id);
+  }, [form.id]);
+
+  const setFilter = (key, value) => setFilters({ ...filters, [key]: value });
+
+  const datesInvalid = filters.from && filters.to && filters.from > filters.to;
+
+  return (
+    <Modal show onHide={onHide}>
+      <Modal.Header closeButton>
+        <Modal.Title>Export {form.name}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p className='small text-muted'>
+          Every finished submission, one row per applicant, with a column for each question.
+        </p>
+        <Row className='g-2 mb-3'>
+          <Col xs={6}>
+            <Form.Label className='fw-bold'>Submitted From</Form.Label>
+            <Form.Control type='date' value={filters.from} onChange={(e) => setFilter('from', e.target.value)} />
+          </Col>
+          <Col xs={6}>
+            <Form.Label className='fw-bold'>To</Form.Label>
+            <Form.Control
+              type='date'
+              value={filters.to}
+              onChange={(e) => setFilter('to', e.target.value)}
+              isInvalid={Boolean(datesInvalid)}
+            />
+            <Form.Control.Feedback type='invalid'>Pick a date on or after the first one.</Form.Control.Feedback>
+          </Col>
+        </Row>
+        <Row className='g-2'>
+          <Col xs={6}>
+            <Form.Label className='fw-bold'>Applicant Location</Form.Label>
+            <Form.Select value={filters.location_id} onChange={(e) => setFilter('location_id', e.target.value)}>
+              <option value=''>Any location</option>
+              {userLocations.map((location) => (
+                <option key={location.id} value={location.id}>
+                  {location.name}
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col xs={6}>
+            <Form.Label className='fw-bold'>Pipeline Stage</Form.Label>
+            <Form.Select
+              value={filters.pipeline_status_id}
+              onChange={(e) => setFilter('pipeline_status_id', e.target.value)}
+            >
+              <option value=''>Any stage</option>
+              {formStages.map((stage) => (
+                <option key={stage.id} value={stage.id}>
+                  {stage.name}
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+        </Row>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant='secondary' onClick={onHide}>
+          Close
+        </Button>
+        <Button
+          href={exportHref(form.id, 'csv', filters)}
+          disabled={Boolean(datesInvalid)}
+          variant='outline-secondary'
+          style={{ borderColor: '#4b0082', color: '#4b0082' }}
+        >
+          Download CSV
+        </Button>
+        <Button
+          href={exportHref(form.id, 'xlsx', filters)}
+          disabled={Boolean(datesInvalid)}
+          style={{ backgroundColor: '#4b0082', borderColor: '#4b0082' }}
+        >
+          Download Excel
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
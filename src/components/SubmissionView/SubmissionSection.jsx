@@ -2,6 +2,8 @@ import { useParams, Link } from 'react-router-dom';
 import Form from 'react-bootstrap/Form';
 import Button from 'react-bootstrap/Button';
 import Stack from 'react-bootstrap/Stack';
+import { answerValuesByQuestion, visibleItems } from '../FormPage/visibility';
+import { RATING_MAX } from '../FormPage/answerTypes';
 
 const formatPhoneNumber = (phoneNumber) => {
   if (!phoneNumber) return '';
@@ -13,8 +15,58 @@ const formatPhoneNumber = (phoneNumber) => {
   return phoneNumber;
 };
 
-const ReadOnlyAnswer = ({ question, answer }) => {
-  if (question.answer_type === 'text') {
+const formatDate = (date) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return date;
+  return new Date(`${date}T00:00:00`).toLocaleDateString();
+};
+
+const ReadOnlyAnswer = ({ submissionId, question, answer, selections = [], files = [] }) => {
+  if (question.answer_type === 'file') {
+    return (
+      <div className='p-3 bg-light rounded'>
+        {files.length === 0 && <p className='mb-0'>No file uploaded</p>}
+        <ul className='list-unstyled mb-0'>
+          {files.map((file) => (
+            <li key={file.id}>
+              <a href={`/api/submission/${submissionId}/files/${file.id}`}>{file.name}</a>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  } else if (question.answer_type === 'phone') {
+    return (
+      <div className='p-3 bg-light rounded'>
+        <p className='mb-0'>{formatPhoneNumber(answer) || 'No answer provided'}</p>
+      </div>
+    );
+  } else if (question.answer_type === 'date') {
+    return (
+      <div className='p-3 bg-light rounded'>
+        <p className='mb-0'>{formatDate(answer) || 'No answer provided'}</p>
+      </div>
+    );
+  } else if (question.answer_type === 'rating') {
+    return (
+      <div className='p-3 bg-light rounded'>
+        <p className='mb-0'>{answer ? `${answer} out of ${RATING_MAX}` : 'No rating given'}</p>
+      </div>
+    );
+  } else if (question.answer_type === 'long_text') {
+    return (
+      <div className='p-3 bg-light rounded'>
+        <p className='mb-0' style={{ whiteSpace: 'pre-wrap' }}>
+          {answer || 'No answer provided'}
+        </p>
+      </div>
+    );
+  } else if (['email', 'number', 'yes_no'].includes(question.answer_type)) {
+    return (
+      <div className='p-3 bg-light rounded'>
+        <p className='mb-0'>{answer || 'No answer provided'}</p>
+      </div>
+    );
+  } else if (question.answer_type === 'text') {
     if (question.question.toLowerCase().includes('phone')) {
       return (
         <div className='p-3 bg-light rounded'>
@@ -34,12 +86,13 @@ const ReadOnlyAnswer = ({ question, answer }) => {
       </div>
     );
   } else if (question.answer_type === 'multiple_choice') {
-    const selectedAnswers = answer ? answer.split('|') : [];
+    // each selection keeps the option text the applicant saw, even if the option was edited since
     return (
       <div className='p-3 bg-light rounded'>
+        {selections.length === 0 && <p className='mb-0'>No selection made</p>}
         <ul className='list-unstyled mb-0'>
-          {selectedAnswers.map((answer, i) => (
-            <li key={i}>{answer}</li>
+          {selections.map((selection) => (
+            <li key={selection.id}>{selection.answer}</li>
           ))}
         </ul>
       </div>
@@ -55,6 +108,11 @@ export default function SubmissionSection({ currentForm, currentSubmission }) {
   const currentSection = currentForm.sections.sort((a, b) => a.order - b.order)[Number(sectionIndex)];
   const isLastSection = Number(sectionIndex) + 1 >= currentForm.sections.length;
   const isFirstSection = Number(sectionIndex) === 0;
+  // Questions the applicant never saw because of visibility rules are left out
+  const { sectionIds, questionIds } = visibleItems(
+    currentForm,
+    answerValuesByQuestion(currentForm, currentSubmission.answers)
+  );
 
   return (
     <div>
@@ -69,8 +127,13 @@ export default function SubmissionSection({ currentForm, currentSubmission }) {
         {currentSection.name}
       </h2>
 
+      {!sectionIds.has(currentSection.id) && (
+        <p className='text-muted'>This section was skipped based on the applicant's answers.</p>
+      )}
+
       <Stack gap={4}>
-        {currentSection.questions
+        {(currentSection.questions || [])
+          .filter((question) => questionIds.has(question.id))
           .sort((a, b) => a.order - b.order)
           .map((question, index) => {
             const submissionAnswer = currentSubmission.answers.find(
@@ -86,7 +149,13 @@ export default function SubmissionSection({ currentForm, currentSubmission }) {
                     {question.description && (
                       <Form.Text className='text-muted d-block mb-2'>{question.description}</Form.Text>
                     )}
-                    <ReadOnlyAnswer question={question} answer={submissionAnswer?.answer} />
+                    <ReadOnlyAnswer
+                      submissionId={currentSubmission.id}
+                      question={question}
+                      answer={submissionAnswer?.answer}
+                      selections={submissionAnswer?.selections}
+                      files={submissionAnswer?.files}
+                    />
                   </Form.Group>
                 </div>
               </>
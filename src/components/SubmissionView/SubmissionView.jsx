@@ -23,7 +23,8 @@ export default function SubmissionView() {
 
   useEffect(() => {
     if (currentSubmission?.form_id) {
-      fetchFormById(currentSubmission.form_id);
+      // Show the exact revision of the form the applicant filled out
+      fetchFormById(currentSubmission.form_id, currentSubmission.form_revision_id);
     }
   }, [currentSubmission]);
 
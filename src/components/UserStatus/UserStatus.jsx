@@ -82,6 +82,7 @@ export default function UserStatus({ person }) {
             </Card.Title>
             <Card.Subtitle className='text-muted mb-2'>{formatPhoneNumber(person.phoneNumber)}</Card.Subtitle>
             <Card.Text className='text-muted small'>{person.username}</Card.Text>
+            {person.owner_name && <Card.Text className='small mb-0'>Owner: {person.owner_name}</Card.Text>}
           </div>
 
           <Form onSubmit={(e) => e.preventDefault()}>
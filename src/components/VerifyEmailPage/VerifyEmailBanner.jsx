@@ -0,0 +1,32 @@
+import { useState } from 'react';
+import Alert from 'react-bootstrap/Alert';
+import Button from 'react-bootstrap/Button';
+import useStore from '../../zustand/store';
+
+// Reminds logged in users who haven't confirmed their email yet, with a button to send a new link
+function VerifyEmailBanner() {
+  const user = useStore((state) => state.user);
+  const resendVerification = useStore((state) => state.resendVerification);
+  const [sent, setSent] = useState(false);
+
+  if (!user.id || user.email_verified_at) {
+    return null;
+  }
+
+  return (
+    <Alert variant='warning' className='d-flex justify-content-between align-items-center'>
+      <span>
+        {sent
+          ? `We sent a new link to ${user.username}.`
+          : `Please confirm your email address using the link we sent to ${user.username}.`}
+      </span>
+      {!sent && (
+        <Button variant='outline-dark' size='sm' onClick={async () => setSent(await resendVerification())}>
+          Send a New Link
+        </Button>
+      )}
+    </Alert>
+  );
+}
+
+export default VerifyEmailBanner;
@@ -0,0 +1,52 @@
+import { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Container from 'react-bootstrap/Container';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Alert from 'react-bootstrap/Alert';
+import Spinner from 'react-bootstrap/Spinner';
+import useStore from '../../zustand/store';
+
+// Opened from the link in a verification email, e.g. /verify-email?token=...
+function VerifyEmailPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const user = useStore((state) => state.user);
+  const verifyEmail = useStore((state) => state.verifyEmail);
+  // null while checking, then '' on success or an error message
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  useEffect(() => {
+    if (!token) {
+      setErrorMessage('This page needs the link from your verification email.');
+      return;
+    }
+    verifyEmail(token).then((error) => setErrorMessage(error || ''));
+  }, [token, verifyEmail]);
+
+  return (
+    <Container>
+      <Row className='justify-content-center'>
+        <Col md={6} lg={4}>
+          <div className='bg-white p-4 rounded shadow-sm text-center'>
+            <h2 className='mb-4'>Confirm Email</h2>
+            {errorMessage === null && <Spinner animation='border' />}
+            {errorMessage === '' && (
+              <Alert variant='success'>
+                Thanks, your email is confirmed. <Link to={user.id ? '/' : '/login'}>Continue</Link>
+              </Alert>
+            )}
+            {errorMessage && (
+              <Alert variant='danger'>
+                {errorMessage}
+                {user.id && ' You can send yourself a new link from the home page.'}
+              </Alert>
+            )}
+          </div>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default VerifyEmailPage;
@@ -0,0 +1,101 @@
+import { Form } from 'react-bootstrap';
+import { RULE_OPERATORS } from '../FormPage/visibility';
+
+/*
+    Edits a single visibility rule for a question or section, like
+    "show if <question> equals <value>". `questions` are the questions the
+    rule can depend on. Calls onChange with the new rule, or null for "always show".
+*/
+export default function VisibilityRuleEditor({ rule, questions, onChange }) {
+  const action = rule?.action || 'always';
+  const controllingQuestion = questions.find((q) => String(q.id) === String(rule?.question_id));
+  const options = controllingQuestion?.multiple_choice_answers?.filter((option) => option !== null) || [];
+  const needsValue = !['answered', 'not_answered'].includes(rule?.operator);
+
+  const updateRule = (changes) => {
+    const newRule = {
+      action: 'show',
+      question_id: questions[0]?.id || '',
+      operator: 'equals',
+      value: '',
+      ...rule,
+      ...changes,
+    };
+    if (newRule.action === 'always') {
+      onChange(null);
+    } else {
+      onChange({ ...newRule, question_id: Number(newRule.question_id) });
+    }
+  };
+
+  return (
+    <Form.Group className='mb-3'>
+      <Form.Label className='fw-bold'>Visibility:</Form.Label>
+      <div className='d-flex flex-wrap gap-2'>
+        <Form.Select
+          value={action}
+          onChange={(e) => updateRule({ action: e.target.value })}
+          style={{ width: 'auto' }}
+          disabled={questions.length === 0}
+        >
+          <option value='always'>Always show</option>
+          <option value='show'>Show if</option>
+          <option value='hide'>Hide if</option>
+        </Form.Select>
+
+        {action !== 'always' && (
+          <>
+            <Form.Select
+              value={rule.question_id}
+              onChange={(e) => updateRule({ question_id: e.target.value, value: '' })}
+              style={{ width: 'auto', maxWidth: '300px' }}
+            >
+              {questions.map((q) => (
+                <option key={q.id} value={q.id}>
+                  {q.question}
+                </option>
+              ))}
+            </Form.Select>
+            <Form.Select
+              value={rule.operator}
+              onChange={(e) => updateRule({ operator: e.target.value })}
+              style={{ width: 'auto' }}
+            >
+              {RULE_OPERATORS.map((operator) => (
+                <option key={operator.value} value={operator.value}>
+                  {operator.label}
+                </option>
+              ))}
+            </Form.Select>
+            {needsValue &&
+              (options.length > 0 ? (
+                <Form.Select
+                  value={rule.value}
+                  onChange={(e) => updateRule({ value: e.target.value })}
+                  style={{ width: 'auto' }}
+                >
+                  <option value=''>-- select a value --</option>
+                  {options.map((option) => (
+                    <option key={option.id} value={option.answer}>
+                      {option.answer}
+                    </option>
+                  ))}
+                </Form.Select>
+              ) : (
+                <Form.Control
+                  type='text'
+                  value={rule.value}
+                  onChange={(e) => updateRule({ value: e.target.value })}
+                  placeholder='Value'
+                  style={{ width: 'auto' }}
+                />
+              ))}
+          </>
+        )}
+      </div>
+      {questions.length === 0 && (
+        <Form.Text className='text-muted'>Add more questions to the form to set up a visibility rule.</Form.Text>
+      )}
+    </Form.Group>
+  );
+}
@@ -3,6 +3,10 @@ import axios from 'axios';
 const createActionSlice = (set, get) => ({
     userActions: [],
     currentDonation: null,
+    // Campaign and fund names already used at your locations, suggested in the donation editor
+    donationCampaigns: [],
+    // The fields a column of an imported CSV file can be mapped to: [{ key, label }]
+    donationImportFields: [],
 
     // Fetch all actions (submissions and donations) for a user
     fetchUserActions: async (userId) => {
@@ -16,12 +20,14 @@ const createActionSlice = (set, get) => ({
         }
     },
 
-    // Donation-related actions
+    // Donation-related actions. donationData: { user_id, amount_cents, currency, method, check_number,
+    // campaign, location_id, memo, received_on, pledge_id }. Errors are thrown so the editor can show the message.
     createDonation: async (donationData) => {
         try {
             await axios.post('/api/actions/donation', donationData);
-            // Refresh the actions list after adding
+            // Refresh the actions list after adding, and the pledge it may pay toward
             await get().fetchUserActions(donationData.user_id);
+            get().fetchUserPledges(donationData.user_id);
         } catch (error) {
             console.error('Error creating donation:', error);
             throw error;
@@ -31,13 +37,9 @@ const createActionSlice = (set, get) => ({
     updateDonation: async (donationData) => {
         try {
             await axios.put('/api/actions/donation', donationData);
-            // Refresh the actions list after updating
-            const userId = get().userActions.find(action => 
-                action.type === 'donation' && action.id === donationData.id
-            )?.user_id;
-            if (userId) {
-                await get().fetchUserActions(userId);
-            }
+            // Refresh the actions list after updating, and the pledge it may pay toward
+            await get().fetchUserActions(donationData.user_id);
+            get().fetchUserPledges(donationData.user_id);
         } catch (error) {
             console.error('Error updating donation:', error);
             throw error;
@@ -47,14 +49,54 @@ const createActionSlice = (set, get) => ({
     deleteDonation: async (donationId, userId) => {
         try {
             await axios.delete(`/api/actions/donation/${donationId}`);
-            // Refresh the actions list after deleting
+            // Refresh the actions list after deleting, and the pledge it may have paid toward
             await get().fetchUserActions(userId);
+            get().fetchUserPledges(userId);
         } catch (error) {
             console.error('Error deleting donation:', error);
             throw error;
         }
     },
 
+    fetchDonationCampaigns: async () => {
+        try {
+            const { data } = await axios.get('/api/actions/donation/campaigns');
+            set({ donationCampaigns: data });
+        } catch (error) {
+            console.error('Error fetching campaigns:', error);
+            set({ donationCampaigns: [] });
+        }
+    },
+
+    fetchDonationImportFields: async () => {
+        try {
+            const { data } = await axios.get('/api/donation-import/fields');
+            set({ donationImportFields: data });
+        } catch (error) {
+            console.error('Error fetching import fields:', error);
+            set({ donationImportFields: [] });
+        }
+    },
+
+    // Importing donations from a CSV file. options: { location_id, mapping, method, currency, overrides,
+    // notify }, see server/modules/donation-import.js. Errors are thrown so the page can show the message.
+    previewDonationImport: async (file, options) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('options', JSON.stringify(options));
+        const { data } = await axios.post('/api/donation-import/preview', formData);
+        return data;
+    },
+
+    // Resolves to { imported, skipped, duplicates, donation_ids }
+    importDonations: async (file, options) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('options', JSON.stringify(options));
+        const { data } = await axios.post('/api/donation-import', formData);
+        return data;
+    },
+
     fetchDonationById: async (donationId) => {
         try {
             const { data } = await axios.get(`/api/actions/donation/${donationId}`);
@@ -0,0 +1,108 @@
+import axios from 'axios';
+
+// The admin console's user accounts and audit log. See server/routes/admin.router.js.
+const createAdminSlice = (set, get) => ({
+  // [{ id, username, first_name, last_name, ..., deactivated_at, merged_into_id, locations: [{ id, name, internal }] }]
+  adminUsers: [],
+  // The filters of the last search, so the list can be refreshed after a change
+  adminUserFilters: {},
+  // One page of the audit log: { entries: [{ id, created_at, actor_name, action, ..., details }], total, page_size }
+  auditLog: { entries: [], total: 0, page_size: 50 },
+  // { actions: [], target_types: [] } seen in the audit log, for its filters
+  auditLogOptions: { actions: [], target_types: [] },
+
+  // filters: { search, location_id, include_deactivated }, empty values are left out
+  fetchAdminUsers: async (filters = get().adminUserFilters) => {
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+    set({ adminUserFilters: filters });
+    try {
+      const { data } = await axios.get('/api/admin/users', { params });
+      set({ adminUsers: data });
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      set({ adminUsers: [] });
+    }
+  },
+
+  setUserInternal: async (userId, locationId, internal) => {
+    try {
+      await axios.put(`/api/admin/users/${userId}/locations/${locationId}`, { internal });
+      get().fetchAdminUsers();
+    } catch (error) {
+      console.error('Error changing staff access:', error);
+      alert(error.response?.data?.message || 'Failed to change staff access.');
+    }
+  },
+
+  deactivateUser: async (userId) => {
+    try {
+      await axios.post(`/api/admin/users/${userId}/deactivate`);
+      get().fetchAdminUsers();
+    } catch (error) {
+      console.error('Error deactivating user:', error);
+      alert(error.response?.data?.message || 'Failed to deactivate the account.');
+    }
+  },
+
+  reactivateUser: async (userId) => {
+    try {
+      await axios.post(`/api/admin/users/${userId}/reactivate`);
+      get().fetchAdminUsers();
+    } catch (error) {
+      console.error('Error reactivating user:', error);
+      alert(error.response?.data?.message || 'Failed to reactivate the account.');
+    }
+  },
+
+  sendUserPasswordReset: async (userId) => {
+    try {
+      await axios.post(`/api/admin/users/${userId}/password-reset`);
+      return true;
+    } catch (error) {
+      console.error('Error sending password reset:', error);
+      alert(error.response?.data?.message || 'Failed to send the reset link.');
+      return false;
+    }
+  },
+
+  // Resolves to { moved, dropped_statuses }, or null when the merge failed
+  mergeUsers: async (sourceUserId, targetUserId) => {
+    try {
+      const { data } = await axios.post('/api/admin/users/merge', {
+        source_user_id: sourceUserId,
+        target_user_id: targetUserId,
+      });
+      get().fetchAdminUsers();
+      return data;
+    } catch (error) {
+      console.error('Error merging users:', error);
+      alert(error.response?.data?.message || 'Failed to merge the accounts.');
+      return null;
+    }
+  },
+
+  // filters: { action, target_type, target_id, actor_id, location_id, from, to, page }, empty values are left out
+  fetchAuditLog: async (filters = {}) => {
+    try {
+      const { data } = await axios.get('/api/admin/audit', { params: auditParams(filters) });
+      set({ auditLog: data });
+    } catch (error) {
+      console.error('Error fetching the audit log:', error);
+      alert(error.response?.data?.message || 'Failed to load the audit log.');
+    }
+  },
+
+  fetchAuditLogOptions: async () => {
+    try {
+      const { data } = await axios.get('/api/admin/audit/actions');
+      set({ auditLogOptions: data });
+    } catch (error) {
+      console.error('Error fetching audit log actions:', error);
+    }
+  },
+});
+
+// The audit log's query string, shared by the page and the CSV export link
+export const auditParams = (filters) => Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+export default createAdminSlice;
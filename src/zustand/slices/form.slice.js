@@ -2,8 +2,11 @@ import axios from "axios";
 
 // look at all forms, get information for one form by id
 const createFormSlice = (set, get) => ({
-    allForms: [], // list of forms (id, name)
+    allForms: [], // list of forms (id, name) at the user's internal locations
+    openForms: [], // list of forms anyone can apply with
     currentForm: null, // All details for a given form
+    formRevisions: [], // published revisions of the form being edited
+    formStages: [], // stages of the pipeline of the form being exported
     // GET all my forms
     fetchForms: async () => {
         try {
@@ -14,16 +17,66 @@ const createFormSlice = (set, get) => ({
             console.error('Error grabbing list of forms.', error);
         }
     },
-    // GET a single form by id
-    fetchFormById: async (formId) => {
+    // GET the forms applicants can fill out
+    fetchOpenForms: async () => {
+        try {
+            const { data } = await axios.get('/api/form/open');
+            set({ openForms: data })
+        } catch (error) {
+            console.error('Error grabbing list of open forms.', error);
+        }
+    },
+    // GET a single form by id. Pass a revision id to get the exact
+    // version a submission was started on, otherwise the latest published one.
+    fetchFormById: async (formId, revisionId) => {
         try { 
-            const { data } = await axios.get(`/api/form/${formId}/all`);
+            const params = revisionId ? { revision: revisionId } : {};
+            const { data } = await axios.get(`/api/form/${formId}/all`, { params });
             console.log(`Fetched form by id ${formId}`, data);
             set({ currentForm: data });
         } catch (error) {
             console.error('Error grabbing form by ID.', error);
         }
     },
+    // GET the editable draft of a form (used by the form editor)
+    fetchDraftFormById: async (formId) => {
+        try {
+            const { data } = await axios.get(`/api/form/${formId}/all`, { params: { draft: true } });
+            console.log(`Fetched draft form by id ${formId}`, data);
+            set({ currentForm: data });
+        } catch (error) {
+            console.error('Error grabbing draft form by ID.', error);
+        }
+    },
+    fetchFormRevisions: async (formId) => {
+        try {
+            const { data } = await axios.get(`/api/form/${formId}/revisions`);
+            set({ formRevisions: data });
+        } catch (error) {
+            console.error('Error grabbing form revisions.', error);
+            set({ formRevisions: [] });
+        }
+    },
+    // GET the stages of a form's pipeline, to filter its submission export by
+    fetchFormStages: async (formId) => {
+        try {
+            const { data } = await axios.get(`/api/form/${formId}/stages`);
+            set({ formStages: data });
+        } catch (error) {
+            console.error('Error grabbing form stages.', error);
+            set({ formStages: [] });
+        }
+    },
+    // POST publish the current draft as a new revision
+    publishForm: async (formId) => {
+        try {
+            await axios.post(`/api/form/${formId}/publish`);
+            get().fetchFormRevisions(formId);
+        } catch (error) {
+            console.error('Error publishing form:', error);
+            throw error;
+        }
+    },
     addForm: async (formData) => {
         // Validate required fields
         if (!formData.location_id) {
@@ -0,0 +1,42 @@
+import axios from 'axios';
+
+// Email templates for one location. See server/routes/notification.router.js.
+const createNotificationSlice = (set) => ({
+  // [{ event, label, placeholders, subject, body, enabled, custom, updated_at }]
+  emailTemplates: [],
+
+  fetchEmailTemplates: async (locationId) => {
+    try {
+      const { data } = await axios.get('/api/notification/templates', { params: { location_id: locationId } });
+      set({ emailTemplates: data });
+    } catch (error) {
+      console.error('Error fetching email templates:', error);
+      set({ emailTemplates: [] });
+    }
+  },
+
+  // template: { subject, body, enabled }
+  saveEmailTemplate: async (locationId, event, template) => {
+    try {
+      const { data } = await axios.put(`/api/notification/templates/${locationId}/${event}`, template);
+      set({ emailTemplates: data });
+      return true;
+    } catch (error) {
+      console.error('Error saving email template:', error);
+      alert(error.response?.data?.message || 'Failed to save email template.');
+      return false;
+    }
+  },
+
+  resetEmailTemplate: async (locationId, event) => {
+    try {
+      const { data } = await axios.delete(`/api/notification/templates/${locationId}/${event}`);
+      set({ emailTemplates: data });
+    } catch (error) {
+      console.error('Error resetting email template:', error);
+      alert('Failed to reset email template.');
+    }
+  },
+});
+
+export default createNotificationSlice;
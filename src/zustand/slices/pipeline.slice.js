@@ -5,6 +5,14 @@ const createPipelineSlice = (set, get) => ({
   selectedPipeline: {},
   foundUsers: [],
   selectedUserId: '',
+  // { current: [{ pipeline_name, status, entered_at, ... }], history: [{ from_status_name, to_status_name, actor_name, note, moved_at, ... }] }
+  stageHistory: { current: [], history: [] },
+  // A move the server refused because of unmet stage requirements: the move plus { message, unmet }
+  moveRejection: null,
+  // Follow-up tasks from stage automations: [{ id, user_name, pipeline_name, title, due_at, completed_at, ... }]
+  followUpTasks: [],
+  // Internal staff at the selected pipeline's location: [{ id, first_name, last_name, username }]
+  pipelineStaff: [],
   fetchPipeline: async () => {
     //  Retrieves the pipelines data from the /api/pipeline endpoint.
     try {
@@ -50,19 +58,22 @@ const createPipelineSlice = (set, get) => ({
       get().fetchPipelineById(userStatus.pipeline_id);
       console.log('data refreshed');
     } catch (err) {
+      if (err.response?.status === 409) {
+        set({ moveRejection: { ...userStatus, ...err.response.data } });
+        return;
+      }
       alert('Server error: possible duplicate record');
     }
   },
 
   addPipeline: async (newPipeline) => {
     //  Post the pipeline data from the /api/pipeline endpoint.
+    // The response is the new pipeline with all of its statuses, so it can be shown right away.
     try {
       const { data } = await axios.post('/api/pipeline', newPipeline);
+      set({ selectedPipeline: data });
       //refresh the data in dropdown selections
       get().fetchPipeline();
-      console.log('data refreshed');
-      console.log('new pipeline id', data.data);
-      get().fetchPipelineById(data.data);
     } catch (err) {
       console.log('error creating new pipeline', err);
     }
@@ -81,13 +92,111 @@ const createPipelineSlice = (set, get) => ({
     }
   },
 
+  // moveObject: { user_id, pipeline_status_id, pipeline_id, note?, override? }
+  // Returns true when the user was moved.
   moveUserOnPipeline: async (moveObject) => {
     try {
       await axios.put('/api/pipeline/user_status', moveObject);
       console.log('user has been moved on the pipeline');
+      set({ moveRejection: null });
       get().fetchPipelineById(moveObject.pipeline_id);
+      return true;
     } catch (err) {
       console.error('error moving user through pipeline');
+      if (err.response?.status === 409) {
+        // keep the note and override choice so the modal can show what was tried
+        set({ moveRejection: { ...moveObject, ...err.response.data } });
+      }
+      return false;
+    }
+  },
+
+  clearMoveRejection: () => set({ moveRejection: null }),
+
+  addStageRequirement: async (pipelineStatusId, requirement, pipelineId) => {
+    try {
+      await axios.post(`/api/pipeline/pipeline_status/${pipelineStatusId}/requirements`, requirement);
+      get().fetchPipelineById(pipelineId);
+      return true;
+    } catch (err) {
+      console.error('Error adding stage requirement:', err);
+      alert(err.response?.data?.message || 'Failed to add requirement.');
+      return false;
+    }
+  },
+
+  removeStageRequirement: async (pipelineStatusId, requirementId, pipelineId) => {
+    try {
+      await axios.delete(`/api/pipeline/pipeline_status/${pipelineStatusId}/requirements/${requirementId}`);
+      get().fetchPipelineById(pipelineId);
+    } catch (err) {
+      console.error('Error removing stage requirement:', err);
+      alert('Failed to remove requirement.');
+    }
+  },
+
+  fetchPipelineStaff: async (pipelineId) => {
+    // Retrieves the internal staff who can own applicants or be assigned tasks on a pipeline
+    try {
+      const { data } = await axios.get(`/api/pipeline/${pipelineId}/staff`);
+      set({ pipelineStaff: data });
+    } catch (err) {
+      console.error('fetchPipelineStaff error:', err);
+      set({ pipelineStaff: [] });
+    }
+  },
+
+  addStageAction: async (pipelineStatusId, rule, pipelineId) => {
+    try {
+      await axios.post(`/api/pipeline/pipeline_status/${pipelineStatusId}/actions`, rule);
+      get().fetchPipelineById(pipelineId);
+      return true;
+    } catch (err) {
+      console.error('Error adding stage automation:', err);
+      alert(err.response?.data?.message || 'Failed to add automation.');
+      return false;
+    }
+  },
+
+  removeStageAction: async (pipelineStatusId, actionId, pipelineId) => {
+    try {
+      await axios.delete(`/api/pipeline/pipeline_status/${pipelineStatusId}/actions/${actionId}`);
+      get().fetchPipelineById(pipelineId);
+    } catch (err) {
+      console.error('Error removing stage automation:', err);
+      alert('Failed to remove automation.');
+    }
+  },
+
+  fetchFollowUpTasks: async (params = {}) => {
+    // Retrieves follow-up tasks created by stage automations, e.g. { user_id } for one applicant
+    try {
+      const { data } = await axios.get('/api/pipeline/tasks', { params });
+      set({ followUpTasks: data });
+    } catch (err) {
+      console.error('fetchFollowUpTasks error:', err);
+      set({ followUpTasks: [] });
+    }
+  },
+
+  completeFollowUpTask: async (taskId, completed, params = {}) => {
+    try {
+      await axios.put(`/api/pipeline/tasks/${taskId}`, { completed });
+      get().fetchFollowUpTasks(params);
+    } catch (err) {
+      console.error('Error updating follow-up task:', err);
+      alert('Failed to update task.');
+    }
+  },
+
+  fetchStageHistory: async (userId) => {
+    // Retrieves where the user is on each pipeline and every move between statuses
+    try {
+      const { data } = await axios.get(`/api/pipeline/user_status/${userId}/history`);
+      set({ stageHistory: data });
+    } catch (err) {
+      console.error('fetchStageHistory error:', err);
+      set({ stageHistory: { current: [], history: [] } });
     }
   },
 
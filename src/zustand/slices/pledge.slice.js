@@ -0,0 +1,74 @@
+import axios from 'axios';
+
+// Donors' pledges and the overdue ones at your locations. See server/routes/pledge.router.js.
+const createPledgeSlice = (set, get) => ({
+  // The pledges of the donor whose profile is open, with schedule, paid_cents, balance_cents and status
+  userPledges: [],
+  // Overdue pledges at your internal locations, the longest overdue first
+  overduePledges: [],
+
+  fetchUserPledges: async (userId) => {
+    try {
+      const { data } = await axios.get(`/api/pledge/user/${userId}`);
+      set({ userPledges: data });
+    } catch (error) {
+      console.error('Error fetching pledges:', error);
+      set({ userPledges: [] });
+    }
+  },
+
+  fetchOverduePledges: async (locationId) => {
+    try {
+      const { data } = await axios.get('/api/pledge/overdue', { params: { location_id: locationId || undefined } });
+      set({ overduePledges: data });
+    } catch (error) {
+      console.error('Error fetching overdue pledges:', error);
+      set({ overduePledges: [] });
+    }
+  },
+
+  // pledgeData: { user_id, amount_cents, currency, frequency, installment_count, first_due_on, campaign,
+  // location_id, memo }. Errors are thrown so the editor can show the message.
+  createPledge: async (pledgeData) => {
+    try {
+      await axios.post('/api/pledge', pledgeData);
+      await get().fetchUserPledges(pledgeData.user_id);
+    } catch (error) {
+      console.error('Error creating pledge:', error);
+      throw error;
+    }
+  },
+
+  updatePledge: async (pledgeId, pledgeData) => {
+    try {
+      await axios.put(`/api/pledge/${pledgeId}`, pledgeData);
+      await get().fetchUserPledges(pledgeData.user_id);
+    } catch (error) {
+      console.error('Error updating pledge:', error);
+      throw error;
+    }
+  },
+
+  // Cancels the pledge, or reopens it when cancelled is false
+  setPledgeCancelled: async (pledgeId, userId, cancelled) => {
+    try {
+      await axios.post(`/api/pledge/${pledgeId}/${cancelled ? 'cancel' : 'reopen'}`);
+      await get().fetchUserPledges(userId);
+    } catch (error) {
+      console.error('Error cancelling pledge:', error);
+      throw error;
+    }
+  },
+
+  deletePledge: async (pledgeId, userId) => {
+    try {
+      await axios.delete(`/api/pledge/${pledgeId}`);
+      await get().fetchUserPledges(userId);
+    } catch (error) {
+      console.error('Error deleting pledge:', error);
+      throw error;
+    }
+  },
+});
+
+export default createPledgeSlice;
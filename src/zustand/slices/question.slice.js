@@ -33,6 +33,7 @@ const createQuestionSlice = (set, get) => ({
         order: questionData.order,
         section_id: questionData.section_id,
         required: questionData.required || false,
+        visibility_rule: questionData.visibility_rule || null,
         multiple_choice_options: questionData.multiple_choice_options || []
       });
     } catch (error) {
@@ -0,0 +1,48 @@
+import axios from 'axios';
+
+// With responseType text, error bodies come back as text too
+const errorMessage = (error) => {
+  try {
+    return JSON.parse(error.response?.data).message;
+  } catch (parseError) {
+    return null;
+  }
+};
+
+// Year-end giving statements. See server/routes/receipt.router.js.
+const createReceiptSlice = (set, get) => ({
+  // [{ user_id, name, email, gift_count, totals: { USD: cents }, last_receipt: { id, issued_at } or null }]
+  receiptDonors: [],
+
+  fetchReceiptDonors: async (year, locationId) => {
+    try {
+      const { data } = await axios.get('/api/receipt', { params: { year, location_id: locationId } });
+      set({ receiptDonors: data });
+    } catch (error) {
+      console.error('Error fetching donors:', error);
+      set({ receiptDonors: [] });
+    }
+  },
+
+  // Issues statements for the donors in userIds, or all of them when it's left out, and opens them to print
+  issueReceipts: async (year, locationId, userIds) => {
+    // Open the window now, while the click still counts, or popup blockers stop it
+    const printWindow = window.open('', '_blank');
+    try {
+      const { data } = await axios.post(
+        '/api/receipt/issue',
+        { year, location_id: locationId, user_ids: userIds },
+        { responseType: 'text' }
+      );
+      printWindow?.document.write(data);
+      printWindow?.document.close();
+      get().fetchReceiptDonors(year, locationId);
+    } catch (error) {
+      printWindow?.close();
+      console.error('Error issuing statements:', error);
+      alert(errorMessage(error) || 'Failed to issue the statements.');
+    }
+  },
+});
+
+export default createReceiptSlice;
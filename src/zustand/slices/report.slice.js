@@ -0,0 +1,40 @@
+import axios from 'axios';
+
+// Pipeline reports for the dashboard. See server/routes/report.router.js for what each one counts.
+const createReportSlice = (set) => ({
+  funnelReport: [],
+  agingReport: [],
+  throughputReport: [],
+  reportLoading: false,
+  reportError: null,
+
+  // filters: { type, location_id, from, to }, empty values are left out
+  fetchReports: async (filters) => {
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+    set({ reportLoading: true, reportError: null });
+    try {
+      const [funnel, aging, throughput] = await Promise.all([
+        axios.get('/api/report/funnel', { params }),
+        axios.get('/api/report/aging', { params }),
+        axios.get('/api/report/throughput', { params }),
+      ]);
+      set({
+        funnelReport: funnel.data,
+        agingReport: aging.data,
+        throughputReport: throughput.data,
+        reportLoading: false,
+      });
+    } catch (error) {
+      console.error('Error fetching reports:', error);
+      set({
+        funnelReport: [],
+        agingReport: [],
+        throughputReport: [],
+        reportLoading: false,
+        reportError: error.response?.data?.message || 'Failed to load reports',
+      });
+    }
+  },
+});
+
+export default createReportSlice;
@@ -2,6 +2,8 @@ import axios from 'axios';
 
 const createSubmissionSlice = (set, get) => ({
   currentSubmission: null,
+  // Per-question problems from the server, like [{ question_id, section_id, message }]
+  submissionErrors: [],
   fetchSubmissionById: async (submissionId) => {
     // GET submission by id
     try {
@@ -16,35 +18,69 @@ const createSubmissionSlice = (set, get) => ({
   createOrGetSubmissionByFormId: async (formId) => {
     try {
       const { data } = await axios.post('/api/submission', { form_id: formId });
+      set({ submissionErrors: [] });
       get().fetchSubmissionById(data.id);
     } catch (error) {
       console.log('Error posting/finding submission.', error);
     }
   },
-  saveSubmissionProgress: async (submissionId, answers) => {
+  // Returns true if the answers were saved
+  saveSubmissionProgress: async (submissionId, answers, validate = false) => {
     try {
-      // PUT with body like: { answers: [{answer, question_id, (optional) answer_id}]}
-      await axios.put(`/api/submission/${submissionId}/update`, { answers });
-      get().fetchSubmissionById(submissionId);
+      // PUT with body like: { answers: [{answer, question_id, (optional) answer_id}], validate }
+      await axios.put(`/api/submission/${submissionId}/update`, { answers, validate });
+      set({ submissionErrors: [] });
+      await get().fetchSubmissionById(submissionId);
+      return true;
     } catch (error) {
+      if (error.response?.status === 422) {
+        set({ submissionErrors: error.response.data.errors });
+      }
       console.error(`Error updating submission`, error);
+      return false;
     }
   },
+  // Returns true if the submission was accepted. Save the answers first.
   finishSubmission: async (submissionId) => {
     try {
-      // await saveSubmissionProgress(submissionId, answers);
-      // important: dont forget to update before marking complete
       await axios.put(`/api/submission/${submissionId}/submit`);
-
-      // fetchSubmissionById(submissionId);
-      // to do: set current submission to empty when finished
+      set({ submissionErrors: [] });
+      return true;
     } catch (error) {
+      if (error.response?.status === 422) {
+        set({ submissionErrors: error.response.data.errors });
+      }
       console.log('Error completing submission.', error);
+      return false;
+    }
+  },
+  // Uploads one file for a file question. Returns the stored file's details, or null if it was rejected.
+  uploadSubmissionFile: async (submissionId, questionId, file) => {
+    try {
+      const formData = new FormData();
+      formData.append('question_id', questionId);
+      formData.append('file', file);
+      const { data } = await axios.post(`/api/submission/${submissionId}/files`, formData);
+      return data;
+    } catch (error) {
+      console.log('Error uploading file.', error);
+      const message = error.response?.data?.message || 'The file could not be uploaded.';
+      set({ submissionErrors: [{ question_id: questionId, message }] });
+      return null;
+    }
+  },
+  deleteSubmissionFile: async (submissionId, fileId) => {
+    try {
+      await axios.delete(`/api/submission/${submissionId}/files/${fileId}`);
+      return true;
+    } catch (error) {
+      console.log('Error removing file.', error);
+      return false;
     }
   },
   deleteSubmission: async (submissionId) => {
     try {
-      await axios.delete(`/api/${submissionId}`);
+      await axios.delete(`/api/submission/${submissionId}`);
       console.log('Submissiion successfully deleted.');
     } catch (error) {
       console.log('Error deleting submission', error);
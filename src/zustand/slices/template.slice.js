@@ -0,0 +1,58 @@
+import axios from 'axios';
+
+// Pipeline templates: the types of pipeline staff can create and the stages each starts with
+const createTemplateSlice = (set, get) => ({
+  pipelineTemplates: [],
+  templateError: null,
+
+  fetchPipelineTemplates: async () => {
+    try {
+      const { data } = await axios.get('/api/template');
+      set({ pipelineTemplates: data, templateError: null });
+    } catch (error) {
+      console.error('Error fetching pipeline templates:', error);
+      set({ pipelineTemplates: [] });
+    }
+  },
+
+  // template: { name, key (optional), statuses: ['stage name', ...] }
+  createPipelineTemplate: async (template) => {
+    try {
+      await axios.post('/api/template', template);
+      set({ templateError: null });
+      get().fetchPipelineTemplates();
+      return true;
+    } catch (error) {
+      console.error('Error creating pipeline template:', error);
+      set({ templateError: error.response?.data?.message || 'Failed to create template' });
+      return false;
+    }
+  },
+
+  updatePipelineTemplate: async (templateId, template) => {
+    try {
+      await axios.put(`/api/template/${templateId}`, template);
+      set({ templateError: null });
+      get().fetchPipelineTemplates();
+      return true;
+    } catch (error) {
+      console.error('Error updating pipeline template:', error);
+      set({ templateError: error.response?.data?.message || 'Failed to update template' });
+      return false;
+    }
+  },
+
+  deletePipelineTemplate: async (templateId) => {
+    try {
+      await axios.delete(`/api/template/${templateId}`);
+      get().fetchPipelineTemplates();
+    } catch (error) {
+      console.error('Error deleting pipeline template:', error);
+      set({ templateError: error.response?.data?.message || 'Failed to delete template' });
+    }
+  },
+
+  clearTemplateError: () => set({ templateError: null }),
+});
+
+export default createTemplateSlice;
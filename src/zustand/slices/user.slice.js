@@ -51,10 +51,13 @@ const createUserSlice = (set, get) => ({
       get().fetchUser();
     } catch (err) {
       console.log('logIn error:', err);
-      if (err.response.status === 401) {
+      if (err.response?.status === 401) {
         // 401 is the status code sent from passport if user isn't in the database or
         // if the username and password don't match in the database, so:
         get().setAuthErrorMessage('Oops! Login failed. You have entered an invalid username or password. Try again!');
+      } else if (err.response?.status === 423 || err.response?.status === 429) {
+        // Too many failed logins, for this account (423) or from this network (429)
+        get().setAuthErrorMessage(err.response.data.message);
       } else {
         // Got an error that wasn't status 401, so we'll show a more generic error:
         get().setAuthErrorMessage('Oops! Login failed. It might be our fault. Try again!');
@@ -71,6 +74,68 @@ const createUserSlice = (set, get) => ({
       console.log('logOut error:', err);
     }
   },
+  requestPasswordReset: async (username) => {
+    // Emails a reset link if the account exists. The server answers the same either way.
+    // Resolves to an error message, or null when the request went through.
+    try {
+      await axios.post('/api/user/forgot-password', { username });
+      return null;
+    } catch (err) {
+      console.log('requestPasswordReset error:', err);
+      return err.response?.data?.message || 'Oops! Something went wrong on our end. Try again!';
+    }
+  },
+  resetPassword: async (token, password) => {
+    // Resolves to an error message, or null when the password was changed
+    try {
+      await axios.post('/api/user/reset-password', { token, password });
+      return null;
+    } catch (err) {
+      console.log('resetPassword error:', err);
+      return err.response?.data?.message || 'Oops! Resetting your password failed. Try again!';
+    }
+  },
+  verifyEmail: async (token) => {
+    // Resolves to an error message, or null when the email was confirmed
+    try {
+      await axios.post('/api/user/verify-email', { token });
+      if (get().user.id) {
+        get().fetchUser();
+      }
+      return null;
+    } catch (err) {
+      console.log('verifyEmail error:', err);
+      return err.response?.data?.message || 'Oops! We could not confirm your email. Try again!';
+    }
+  },
+  resendVerification: async () => {
+    try {
+      await axios.post('/api/user/resend-verification');
+      return true;
+    } catch (err) {
+      console.log('resendVerification error:', err);
+      return false;
+    }
+  },
+  fetchUserLock: async (userId) => {
+    // Resolves to when the user's account unlocks, or null when it isn't locked
+    try {
+      const { data } = await axios.get(`/api/user/${userId}/lock`);
+      return data.locked_until;
+    } catch (err) {
+      console.error('fetchUserLock error:', err);
+      return null;
+    }
+  },
+  unlockUser: async (userId) => {
+    try {
+      await axios.post(`/api/user/${userId}/unlock`);
+      return true;
+    } catch (err) {
+      console.error('unlockUser error:', err);
+      return false;
+    }
+  },
   setAuthErrorMessage: (message) => {
     // Sets an error message for authentication-related issues.
     set({ authErrorMessage: message });
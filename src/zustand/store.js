@@ -6,6 +6,12 @@ import submissionSlice from './slices/submission.slice.js';
 import sectionSlice from './slices/section.slice.js';
 import questionSlice from './slices/question.slice.js';
 import createActionSlice from './slices/action.slice';
+import createTemplateSlice from './slices/template.slice.js';
+import createReportSlice from './slices/report.slice.js';
+import createNotificationSlice from './slices/notification.slice.js';
+import createAdminSlice from './slices/admin.slice.js';
+import createReceiptSlice from './slices/receipt.slice.js';
+import createPledgeSlice from './slices/pledge.slice.js';
 
 // Combine all slices in the store:
 const useStore = create((set, get) => ({
@@ -15,7 +21,13 @@ const useStore = create((set, get) => ({
   ...submissionSlice(set, get),
   ...sectionSlice(set, get),
   ...questionSlice(set, get),
-  ...createActionSlice(set, get)
+  ...createActionSlice(set, get),
+  ...createTemplateSlice(set, get),
+  ...createReportSlice(set, get),
+  ...createNotificationSlice(set, get),
+  ...createAdminSlice(set, get),
+  ...createReceiptSlice(set, get),
+  ...createPledgeSlice(set, get)
 }));
 
 